@@ -18,6 +18,8 @@ import FarmReportsPage from "./farmreports";
 import PaymentsPage from "./payments";
 import FarmPaymentsPage from "./farmpayments";
 import SettingsPage from "./settings";
+import PortfolioHealthPage from "./portfoliohealth";
+import IoTDevicesPage from "./iotdevices";
 
 function App() {
   return (
@@ -82,6 +84,22 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/portfolio-health"
+            element={
+              <ProtectedRoute allowedRoles={["admin"]}>
+                <PortfolioHealthPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/iot-devices"
+            element={
+              <ProtectedRoute>
+                <IoTDevicesPage />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/create-farm"
             element={
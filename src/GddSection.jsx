@@ -0,0 +1,189 @@
+// src/GddSection.jsx
+/**
+ * Growing Degree Days Section for Farm Details Page
+ * Accumulates degree-days since the active cycle started from the weather provider, using the
+ * crop's base and cap temperatures, plots them against each milestone's GDD target and predicts the date of
+ * the next milestone from the recent accumulation rate
+ */
+
+import { useState, useEffect, useMemo } from "react";
+import { Line } from "react-chartjs-2";
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    Tooltip,
+    Legend,
+    Filler,
+} from "chart.js";
+import { weatherProvider } from "./weatherProviders";
+import {
+    getCropGddConfig,
+    getMilestoneTargets,
+    predictNextMilestone,
+} from "./utils/growingDegreeDays";
+import "./gdd.css";
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend, Filler);
+
+const GDD_COLOR = "#f97316";
+const TARGET_COLORS = ["#0ea5e9", "#8b5cf6", "#22c55e", "#db2777", "#64748b"];
+
+const formatShortDate = (time) =>
+    new Date(time).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+
+const GddSection = ({ location, cycleStart, crop, milestones }) => {
+    const [series, setSeries] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const config = useMemo(() => getCropGddConfig(crop), [crop]);
+
+    useEffect(() => {
+        if (!location || !cycleStart) return;
+
+        let cancelled = false;
+        const fetchGdd = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const data = await weatherProvider.getAccumulatedTemperature(location, {
+                    start: new Date(cycleStart).getTime(),
+                    end: Date.now(),
+                    base: config.base,
+                    cap: config.cap,
+                });
+                if (!cancelled) setSeries(data);
+            } catch (err) {
+                console.error("Failed to fetch accumulated temperature:", err);
+                if (!cancelled) setError("Degree-day data unavailable");
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        fetchGdd();
+        return () => {
+            cancelled = true;
+        };
+    }, [location, cycleStart, config.base, config.cap]);
+
+    const targets = useMemo(() => getMilestoneTargets(milestones, series), [milestones, series]);
+    const prediction = useMemo(() => predictNextMilestone(series, targets), [series, targets]);
+    const currentGdd = series.length > 0 ? series[series.length - 1].total : 0;
+
+    const chartData = useMemo(
+        () => ({
+            labels: series.map((day) => formatShortDate(day.time)),
+            datasets: [
+                {
+                    label: "Accumulated GDD",
+                    data: series.map((day) => day.total),
+                    borderColor: GDD_COLOR,
+                    backgroundColor: `${GDD_COLOR}22`,
+                    fill: true,
+                    tension: 0.2,
+                    pointRadius: 0,
+                },
+                ...targets.map((target, i) => ({
+                    label: `${target.name} (${target.target})`,
+                    data: series.map(() => target.target),
+                    borderColor: TARGET_COLORS[i % TARGET_COLORS.length],
+                    borderDash: [6, 4],
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    fill: false,
+                })),
+            ],
+        }),
+        [series, targets]
+    );
+
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: "index", intersect: false },
+        plugins: {
+            legend: { position: "bottom", labels: { boxWidth: 12, font: { size: 11 } } },
+        },
+        scales: {
+            y: { beginAtZero: true, title: { display: true, text: "°C·days" } },
+            x: { ticks: { maxTicksLimit: 8 } },
+        },
+    };
+
+    return (
+        <div className="data-card gdd-card">
+            <h3>
+                <span className="material-symbols-outlined header-icon">thermostat</span>
+                Growing Degree Days
+            </h3>
+            <p className="card-subtitle">
+                Since {formatShortDate(cycleStart)} · base {config.base}°C, cap {config.cap}°C
+                {config.isDefault && " (default - set gdd_base_temp on the crop)"}
+            </p>
+
+            {loading ? (
+                <p className="gdd-message">Loading degree-days...</p>
+            ) : error ? (
+                <p className="gdd-message">{error}</p>
+            ) : series.length === 0 ? (
+                <p className="gdd-message">No temperature data since the cycle started yet.</p>
+            ) : (
+                <>
+                    <div className="gdd-summary">
+                        <div>
+                            <span>Accumulated</span>
+                            <strong>{Math.round(currentGdd)} °C·days</strong>
+                        </div>
+                        {prediction && (
+                            <div>
+                                <span>Next: {prediction.milestone.name}</span>
+                                <strong>
+                                    {prediction.predictedTime
+                                        ? `~${formatShortDate(prediction.predictedTime)}`
+                                        : "No accumulation yet"}
+                                </strong>
+                                <small>
+                                    {prediction.remaining} °C·days to go at {prediction.ratePerDay}/day
+                                </small>
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="gdd-chart">
+                        <Line data={chartData} options={chartOptions} />
+                    </div>
+
+                    {targets.length > 0 ? (
+                        <ul className="gdd-targets">
+                            {targets.map((target) => (
+                                <li key={target.milestoneId}>
+                                    <span>{target.name}</span>
+                                    <span className="gdd-target-bar">
+                                        <span
+                                            style={{ width: `${Math.min(100, (currentGdd / target.target) * 100)}%` }}
+                                        />
+                                    </span>
+                                    <span className={target.reachedTime ? "reached" : ""}>
+                                        {target.reachedTime
+                                            ? `Reached ${formatShortDate(target.reachedTime)}`
+                                            : `${Math.round(currentGdd)} / ${target.target}`}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className="gdd-message">
+                            No milestone of this crop has a GDD target (milestone_templates.gdd_target).
+                        </p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default GddSection;
@@ -0,0 +1,171 @@
+// src/IoTAlertRulesPanel.jsx
+/**
+ * Alert Rules Panel for the IoT Sensor Section
+ * Lists the selected device's threshold rules and lets the farmer add, pause and delete them
+ * (e.g. soil moisture below 20 % for an hour, air temperature above 40 °C)
+ */
+
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { createAlertRule, deleteAlertRule, setAlertRuleActive } from "./iotAlerts";
+import { COMPARATORS, DEFAULT_COOLDOWN_MINUTES, describeRule } from "./utils/alertRules";
+import { getTelemetryLabel, getTelemetryUnit } from "./utils/telemetryKeys";
+
+const EMPTY_FORM = {
+    telemetryKey: "",
+    comparator: "lt",
+    threshold: "",
+    durationMinutes: "0",
+    cooldownHours: String(DEFAULT_COOLDOWN_MINUTES / 60),
+};
+
+const IoTAlertRulesPanel = ({ farmId, device, availableKeys, rules, onRulesChange }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [saving, setSaving] = useState(false);
+
+    const telemetryKey = form.telemetryKey || availableKeys[0] || "";
+
+    const updateForm = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const rule = await createAlertRule({
+                farmId,
+                deviceId: device.id,
+                telemetryKey,
+                comparator: form.comparator,
+                threshold: parseFloat(form.threshold),
+                durationMinutes: parseFloat(form.durationMinutes) || 0,
+                cooldownMinutes: (parseFloat(form.cooldownHours) || 0) * 60,
+            });
+            onRulesChange((prev) => [...prev, rule]);
+            setForm(EMPTY_FORM);
+            toast.success("Alert rule added");
+        } catch (err) {
+            console.error("Error creating alert rule:", err);
+            toast.error(err.message || "Failed to add alert rule");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleToggle = async (rule) => {
+        try {
+            await setAlertRuleActive(rule.id, !rule.is_active);
+            onRulesChange((prev) => prev.map((r) => (r.id === rule.id ? { ...r, is_active: !rule.is_active } : r)));
+        } catch (err) {
+            console.error("Error updating alert rule:", err);
+            toast.error("Failed to update alert rule");
+        }
+    };
+
+    const handleDelete = async (rule) => {
+        try {
+            await deleteAlertRule(rule.id);
+            onRulesChange((prev) => prev.filter((r) => r.id !== rule.id));
+            toast.success("Alert rule deleted");
+        } catch (err) {
+            console.error("Error deleting alert rule:", err);
+            toast.error("Failed to delete alert rule");
+        }
+    };
+
+    return (
+        <div className="iot-alerts">
+            <div className="iot-alerts-header">
+                <span>🔔 Alert Rules - {device.device_name}</span>
+            </div>
+
+            {rules.length === 0 ? (
+                <div className="iot-no-data">No alert rules for this device yet</div>
+            ) : (
+                <ul className="iot-alert-list">
+                    {rules.map((rule) => (
+                        <li key={rule.id} className={rule.is_active ? "" : "paused"}>
+                            <span className="iot-alert-rule">
+                                {describeRule(
+                                    rule,
+                                    getTelemetryLabel(rule.telemetry_key),
+                                    getTelemetryUnit(rule.telemetry_key, device)
+                                )}
+                            </span>
+                            <span className="iot-alert-meta">
+                                {rule.last_triggered_at
+                                    ? `Last alert ${new Date(rule.last_triggered_at).toLocaleString()}`
+                                    : "Never triggered"}
+                                {` · cooldown ${Math.round((rule.cooldown_minutes / 60) * 10) / 10} h`}
+                            </span>
+                            <button type="button" className="iot-alert-btn" onClick={() => handleToggle(rule)}>
+                                {rule.is_active ? "Pause" : "Resume"}
+                            </button>
+                            <button
+                                type="button"
+                                className="iot-alert-btn danger"
+                                onClick={() => handleDelete(rule)}
+                            >
+                                Delete
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form className="iot-alert-form" onSubmit={handleCreate}>
+                <select value={telemetryKey} onChange={(e) => updateForm("telemetryKey", e.target.value)} required>
+                    {availableKeys.map((key) => (
+                        <option key={key} value={key}>
+                            {getTelemetryLabel(key)}
+                        </option>
+                    ))}
+                </select>
+                <select value={form.comparator} onChange={(e) => updateForm("comparator", e.target.value)}>
+                    {Object.entries(COMPARATORS).map(([id, comparator]) => (
+                        <option key={id} value={id}>
+                            {comparator.label}
+                        </option>
+                    ))}
+                </select>
+                <label>
+                    <input
+                        type="number"
+                        step="any"
+                        value={form.threshold}
+                        onChange={(e) => updateForm("threshold", e.target.value)}
+                        placeholder="Threshold"
+                        required
+                    />
+                    {getTelemetryUnit(telemetryKey, device)}
+                </label>
+                <label>
+                    for
+                    <input
+                        type="number"
+                        min="0"
+                        step="5"
+                        value={form.durationMinutes}
+                        onChange={(e) => updateForm("durationMinutes", e.target.value)}
+                    />
+                    min
+                </label>
+                <label>
+                    cooldown
+                    <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={form.cooldownHours}
+                        onChange={(e) => updateForm("cooldownHours", e.target.value)}
+                    />
+                    h
+                </label>
+                <button type="submit" className="iot-alert-add" disabled={saving || availableKeys.length === 0}>
+                    {saving ? "Adding..." : "Add rule"}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default IoTAlertRulesPanel;
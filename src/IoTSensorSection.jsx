@@ -1,21 +1,82 @@
 // src/IoTSensorSection.jsx
 // Component for displaying IoT sensor data from ThingsBoard
 
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { toast } from "react-hot-toast";
 import { getFarmIoTData, getTelemetryHistory } from "./thingsboard";
+import { evaluateAlertRules, getAlertRules } from "./iotAlerts";
+import IoTAlertRulesPanel from "./IoTAlertRulesPanel";
 import { Line } from "react-chartjs-2";
+import { Chart as ChartJS, LinearScale, PointElement, LineElement, Tooltip, Legend } from "chart.js";
+import zoomPlugin from "chartjs-plugin-zoom";
+import {
+    RANGE_PRESETS,
+    applyCalibration,
+    getDeviceTelemetryKeys,
+    getRangeBounds,
+    getSoilMoistureKey,
+    getTelemetryLabel,
+    getTelemetryUnit,
+} from "./utils/telemetryKeys";
 import "./iotsensor.css";
 
-const IoTSensorSection = ({ farmId }) => {
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip, Legend, zoomPlugin);
+
+const SERIES_COLORS = ["#3b82f6", "#f97316", "#22c55e", "#a855f7", "#ef4444", "#0ea5e9", "#eab308", "#64748b"];
+const HOUR_MS = 60 * 60 * 1000;
+
+// datetime-local input value of a timestamp (local time)
+const toDateTimeInput = (ts) => {
+    const date = new Date(ts);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Series charted when a device is selected: soil moisture, or its first key
+const getDefaultKeys = (device) => {
+    const moistureKey = getSoilMoistureKey(device);
+    return moistureKey ? [moistureKey] : getDeviceTelemetryKeys(device).slice(0, 1);
+};
+
+// Latest readings shown on a device card (the first two keys with a numeric value)
+const CARD_READINGS = 2;
+const getCardReadings = (device) =>
+    getDeviceTelemetryKeys(device)
+        .filter((key) => Number.isFinite(device.telemetry?.[key]))
+        .slice(0, CARD_READINGS)
+        .map((key) => ({
+            key,
+            value: device.telemetry[key],
+            unit: getTelemetryUnit(key, device),
+            ts: device.telemetry[`${key}_ts`],
+        }));
+
+// x-axis tick label; times of day only make sense on short spans
+const formatTick = (ts, spanMs) =>
+    new Date(ts).toLocaleString(
+        "en-US",
+        spanMs <= 2 * 24 * HOUR_MS
+            ? { hour: "2-digit", minute: "2-digit", hourCycle: "h23" }
+            : { month: "short", day: "numeric" }
+    );
+
+const IoTSensorSection = ({ farmId, farmName, ownerId }) => {
     const [devices, setDevices] = useState([]);
+    const [alertRules, setAlertRules] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [historyData, setHistoryData] = useState(null);
     const [selectedDevice, setSelectedDevice] = useState(null);
-    const [historyDays, setHistoryDays] = useState(7);
+    const [selectedKeys, setSelectedKeys] = useState([]);
+    const [rangePreset, setRangePreset] = useState("7d");
+    const [customRange, setCustomRange] = useState(() => ({ start: Date.now() - 7 * 24 * HOUR_MS, end: Date.now() }));
+    const [rangeBounds, setRangeBounds] = useState(() => getRangeBounds("7d"));
+    const chartRef = useRef(null);
+
+    const availableKeys = useMemo(() => getDeviceTelemetryKeys(selectedDevice), [selectedDevice]);
 
     // Fetch all devices and their latest readings
-    const fetchData = useCallback(async () => {
+    const fetchData = useCallback(async (selectFirst = false) => {
         if (!farmId) return;
 
         setLoading(true);
@@ -23,8 +84,12 @@ const IoTSensorSection = ({ farmId }) => {
         try {
             const data = await getFarmIoTData(farmId);
             setDevices(data);
-            if (data.length > 0 && !selectedDevice) {
-                setSelectedDevice(data[0]);
+            if (selectFirst) {
+                setSelectedDevice(data[0] || null);
+                setSelectedKeys(getDefaultKeys(data[0]));
+            } else {
+                // Keep the selection on refresh, with its new readings
+                setSelectedDevice((prev) => data.find((d) => d.device_id === prev?.device_id) || null);
             }
         } catch (err) {
             console.error("Error fetching IoT data:", err);
@@ -32,35 +97,67 @@ const IoTSensorSection = ({ farmId }) => {
         } finally {
             setLoading(false);
         }
-    }, [farmId, selectedDevice]);
+    }, [farmId]);
 
-    // Fetch historical data for selected device
-    const fetchHistory = useCallback(async () => {
-        if (!selectedDevice) return;
+    // Check the alert rules against each set of readings loaded
+    useEffect(() => {
+        if (devices.length === 0) return;
 
-        const endTs = Date.now();
-        const startTs = endTs - historyDays * 24 * 60 * 60 * 1000;
+        let cancelled = false;
+        const checkAlerts = async () => {
+            try {
+                const rules = await getAlertRules(farmId);
+                if (cancelled) return;
+                setAlertRules(rules);
 
-        try {
-            const history = await getTelemetryHistory(
-                selectedDevice.device_id,
-                ["soilMoisture_%"],
-                startTs,
-                endTs
-            );
-            setHistoryData(history);
-        } catch (err) {
-            console.error("Error fetching history:", err);
-        }
-    }, [selectedDevice, historyDays]);
+                const triggered = await evaluateAlertRules({ farmId, farmName, ownerId, devices, rules });
+                if (cancelled || triggered.length === 0) return;
+                toast(`${triggered.length} sensor alert${triggered.length > 1 ? "s" : ""} sent to the farm owner`, {
+                    icon: "🔔",
+                });
+                setAlertRules(await getAlertRules(farmId).catch(() => rules));
+            } catch (err) {
+                console.error("Error checking IoT alert rules:", err);
+            }
+        };
+        checkAlerts();
+        return () => {
+            cancelled = true;
+        };
+    }, [devices, farmId, farmName, ownerId]);
+
+    const selectedDeviceId = selectedDevice?.device_id;
+
+    // Presets are relative to the moment they are applied
+    useEffect(() => {
+        setRangeBounds(getRangeBounds(rangePreset, customRange));
+    }, [rangePreset, customRange]);
 
+    // A new range starts unzoomed
     useEffect(() => {
-        fetchData();
+        chartRef.current?.resetZoom();
+    }, [rangeBounds]);
+
+    useEffect(() => {
+        fetchData(true);
     }, [fetchData]);
 
+    // Fetch historical data for the selected device and keys; a response for an earlier
+    // device, key set or range is dropped so it never lands under the current selection
     useEffect(() => {
-        fetchHistory();
-    }, [fetchHistory]);
+        setHistoryData(null);
+        if (!selectedDeviceId || selectedKeys.length === 0 || !(rangeBounds.endTs > rangeBounds.startTs)) return;
+
+        let cancelled = false;
+        getTelemetryHistory(selectedDeviceId, selectedKeys, rangeBounds.startTs, rangeBounds.endTs)
+            .then((history) => {
+                if (!cancelled) setHistoryData(history);
+            })
+            .catch((err) => console.error("Error fetching history:", err));
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedDeviceId, selectedKeys, rangeBounds]);
 
     // Format timestamp to readable time
     const formatTime = (ts) => {
@@ -76,39 +173,93 @@ const IoTSensorSection = ({ farmId }) => {
         return date.toLocaleDateString();
     };
 
-    // Prepare chart data
-    const chartData = historyData?.["soilMoisture_%"]
-        ? {
-            labels: historyData["soilMoisture_%"]
-                .map((d) => new Date(d.ts).toLocaleDateString())
-                .reverse(),
-            datasets: [
-                {
-                    label: "Soil Moisture %",
-                    data: historyData["soilMoisture_%"]
-                        .map((d) => parseFloat(d.value))
-                        .reverse(),
-                    borderColor: "#3b82f6",
-                    backgroundColor: "rgba(59, 130, 246, 0.1)",
-                    fill: true,
+    // A newly selected device starts with its default series charted
+    const selectDevice = (device) => {
+        if (device.device_id === selectedDeviceId) return;
+        setSelectedDevice(device);
+        setSelectedKeys(getDefaultKeys(device));
+    };
+
+    const toggleKey = (key) => {
+        setSelectedKeys((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+    };
+
+    // One y-axis per unit, alternating sides
+    const units = useMemo(
+        () => [...new Set(selectedKeys.map((key) => getTelemetryUnit(key, selectedDevice)))],
+        [selectedKeys, selectedDevice]
+    );
+
+    // Prepare chart data: one series per selected key, points as {x: ts, y}
+    const chartData = useMemo(() => {
+        if (!historyData) return null;
+        const datasets = selectedKeys
+            .filter((key) => Array.isArray(historyData[key]) && historyData[key].length > 0)
+            .map((key) => {
+                const color = SERIES_COLORS[availableKeys.indexOf(key) % SERIES_COLORS.length];
+                const unit = getTelemetryUnit(key, selectedDevice);
+                return {
+                    label: unit ? `${getTelemetryLabel(key)} (${unit})` : getTelemetryLabel(key),
+                    data: historyData[key]
+                        .map((d) => ({
+                            x: Number(d.ts),
+                            y: applyCalibration(key, parseFloat(d.value), selectedDevice),
+                        }))
+                        .filter((point) => Number.isFinite(point.y))
+                        .sort((a, b) => a.x - b.x),
+                    borderColor: color,
+                    backgroundColor: `${color}1a`,
                     tension: 0.3,
-                },
-            ],
-        }
-        : null;
+                    pointRadius: 0,
+                    borderWidth: 2,
+                    yAxisID: `y-${units.indexOf(unit)}`,
+                };
+            });
+        return datasets.length > 0 ? { datasets } : null;
+    }, [historyData, selectedKeys, availableKeys, selectedDevice, units]);
 
+    const spanMs = rangeBounds.endTs - rangeBounds.startTs;
     const chartOptions = {
         responsive: true,
         maintainAspectRatio: false,
+        parsing: false,
+        interaction: { mode: "nearest", axis: "x", intersect: false },
         plugins: {
-            legend: { display: false },
+            legend: { display: selectedKeys.length > 1, position: "bottom", labels: { boxWidth: 12, font: { size: 11 } } },
+            tooltip: {
+                callbacks: {
+                    title: (items) => (items.length > 0 ? new Date(items[0].parsed.x).toLocaleString() : ""),
+                },
+            },
+            zoom: {
+                zoom: { wheel: { enabled: true }, pinch: { enabled: true }, mode: "x" },
+                pan: { enabled: true, mode: "x" },
+                limits: { x: { min: rangeBounds.startTs, max: rangeBounds.endTs, minRange: 10 * 60 * 1000 } },
+            },
         },
         scales: {
-            y: {
-                beginAtZero: true,
-                max: 100,
-                title: { display: true, text: "Moisture %" },
+            x: {
+                type: "linear",
+                min: rangeBounds.startTs,
+                max: rangeBounds.endTs,
+                ticks: {
+                    maxTicksLimit: 8,
+                    callback: (value) => formatTick(value, spanMs),
+                },
             },
+            ...Object.fromEntries(
+                units.map((unit, i) => [
+                    `y-${i}`,
+                    {
+                        type: "linear",
+                        position: i % 2 === 0 ? "left" : "right",
+                        beginAtZero: unit === "%",
+                        ...(unit === "%" && { max: 100 }),
+                        title: { display: Boolean(unit), text: unit },
+                        grid: { drawOnChartArea: i === 0 },
+                    },
+                ])
+            ),
         },
     };
 
@@ -143,69 +294,152 @@ const IoTSensorSection = ({ farmId }) => {
         <div className="iot-section">
             <div className="iot-header">
                 <h3 className="iot-title">🌱 IoT Sensors</h3>
-                <button className="iot-refresh-btn" onClick={fetchData} disabled={loading}>
+                <button className="iot-refresh-btn" onClick={() => fetchData()} disabled={loading}>
                     {loading ? "Refreshing..." : "Refresh"}
                 </button>
             </div>
 
             {/* Device Cards */}
             <div className="iot-devices-grid">
-                {devices.map((device) => (
-                    <div
-                        key={device.device_id}
-                        className={`iot-device-card ${selectedDevice?.device_id === device.device_id ? "selected" : ""}`}
-                        onClick={() => setSelectedDevice(device)}
-                    >
-                        <div className="iot-device-name">{device.device_name}</div>
-
-                        {device.telemetry ? (
-                            <div className="iot-readings">
-                                <div className="iot-reading">
-                                    <span className="iot-reading-value">
-                                        {device.telemetry["soilMoisture_%"]?.toFixed(1) ?? "--"}%
-                                    </span>
-                                    <span className="iot-reading-label">Moisture</span>
+                {devices.map((device) => {
+                    const readings = getCardReadings(device);
+                    return (
+                        <div
+                            key={device.device_id}
+                            className={`iot-device-card ${selectedDevice?.device_id === device.device_id ? "selected" : ""}`}
+                            onClick={() => selectDevice(device)}
+                        >
+                            <div className="iot-device-name">{device.device_name}</div>
+
+                            {readings.length > 0 ? (
+                                <div className="iot-readings">
+                                    {readings.map((reading) => (
+                                        <div key={reading.key} className="iot-reading">
+                                            <span className="iot-reading-value">
+                                                {reading.value.toFixed(1)}
+                                                {reading.unit}
+                                            </span>
+                                            <span className="iot-reading-label">{getTelemetryLabel(reading.key)}</span>
+                                        </div>
+                                    ))}
                                 </div>
-                                {device.telemetry.temperature !== undefined && (
-                                    <div className="iot-reading">
-                                        <span className="iot-reading-value">
-                                            {device.telemetry.temperature}°C
-                                        </span>
-                                        <span className="iot-reading-label">Temp</span>
-                                    </div>
-                                )}
-                            </div>
-                        ) : (
-                            <div className="iot-no-data">No data</div>
-                        )}
+                            ) : (
+                                <div className="iot-no-data">No data</div>
+                            )}
 
-                        <div className="iot-device-updated">
-                            {formatTime(device.telemetry?.["soilMoisture_%_ts"])}
+                            <div className="iot-device-updated">
+                                {formatTime(Math.max(0, ...readings.map((reading) => Number(reading.ts) || 0)))}
+                            </div>
                         </div>
-                    </div>
-                ))}
+                    );
+                })}
             </div>
 
             {/* Historical Chart */}
-            {chartData && (
+            {selectedDevice && (
                 <div className="iot-chart-container">
                     <div className="iot-chart-header">
-                        <span>Soil Moisture History - {selectedDevice?.device_name}</span>
-                        <select
-                            value={historyDays}
-                            onChange={(e) => setHistoryDays(Number(e.target.value))}
-                            className="iot-days-select"
-                        >
-                            <option value={1}>Last 24h</option>
-                            <option value={7}>Last 7 days</option>
-                            <option value={30}>Last 30 days</option>
-                        </select>
+                        <span>History - {selectedDevice.device_name}</span>
+                        <div className="iot-range-controls">
+                            <select
+                                value={rangePreset}
+                                onChange={(e) => setRangePreset(e.target.value)}
+                                className="iot-days-select"
+                            >
+                                {RANGE_PRESETS.map((preset) => (
+                                    <option key={preset.id} value={preset.id}>
+                                        {preset.label}
+                                    </option>
+                                ))}
+                            </select>
+                            {rangePreset === "custom" && (
+                                <>
+                                    <input
+                                        type="datetime-local"
+                                        className="iot-range-input"
+                                        value={toDateTimeInput(customRange.start)}
+                                        max={toDateTimeInput(customRange.end)}
+                                        onChange={(e) =>
+                                            e.target.value &&
+                                            setCustomRange((prev) => ({ ...prev, start: new Date(e.target.value).getTime() }))
+                                        }
+                                    />
+                                    <input
+                                        type="datetime-local"
+                                        className="iot-range-input"
+                                        value={toDateTimeInput(customRange.end)}
+                                        min={toDateTimeInput(customRange.start)}
+                                        onChange={(e) =>
+                                            e.target.value &&
+                                            setCustomRange((prev) => ({ ...prev, end: new Date(e.target.value).getTime() }))
+                                        }
+                                    />
+                                </>
+                            )}
+                            <button
+                                type="button"
+                                className="iot-zoom-reset"
+                                onClick={() => chartRef.current?.resetZoom()}
+                                disabled={!chartData}
+                            >
+                                Reset zoom
+                            </button>
+                        </div>
                     </div>
-                    <div className="iot-chart">
-                        <Line data={chartData} options={chartOptions} />
+
+                    {/* Series the device reports */}
+                    <div className="iot-key-chips">
+                        {availableKeys.map((key) => {
+                            const unit = getTelemetryUnit(key, selectedDevice);
+                            return (
+                                <label
+                                    key={key}
+                                    className={`iot-key-chip ${selectedKeys.includes(key) ? "active" : ""}`}
+                                    style={{
+                                        "--chip-color": SERIES_COLORS[availableKeys.indexOf(key) % SERIES_COLORS.length],
+                                    }}
+                                >
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedKeys.includes(key)}
+                                        onChange={() => toggleKey(key)}
+                                    />
+                                    {getTelemetryLabel(key)}
+                                    {unit && <span className="iot-key-unit">{unit}</span>}
+                                </label>
+                            );
+                        })}
+                        {availableKeys.length === 0 && (
+                            <span className="iot-no-data">This device has not reported any telemetry keys</span>
+                        )}
                     </div>
+
+                    {chartData ? (
+                        <>
+                            <div className="iot-chart">
+                                <Line ref={chartRef} data={chartData} options={chartOptions} />
+                            </div>
+                            <div className="iot-chart-hint">Scroll or pinch to zoom, drag to pan</div>
+                        </>
+                    ) : (
+                        <div className="iot-no-data">
+                            {selectedKeys.length === 0 ? "Select a series to chart" : "No readings in this range"}
+                        </div>
+                    )}
                 </div>
             )}
+
+            {/* Threshold alerts of the selected device */}
+            {selectedDevice && (
+                <IoTAlertRulesPanel
+                    key={selectedDevice.id}
+                    farmId={farmId}
+                    device={selectedDevice}
+                    availableKeys={availableKeys}
+                    rules={alertRules.filter((rule) => rule.device_id === selectedDevice.id)}
+                    onRulesChange={setAlertRules}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,407 @@
+// src/IrrigationSection.jsx
+/**
+ * Irrigation Scheduling Section for Farm Details Page
+ * Runs a daily root-zone water balance from weather history, rainfall, the forecast, IoT soil
+ * moisture and the crop's growth-stage coefficients, recommends when to irrigate and how many
+ * millimetres, and keeps the farm's irrigation log that feeds back into the balance
+ */
+
+import { useState, useEffect, useMemo } from "react";
+import { Bar } from "react-chartjs-2";
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    BarElement,
+    BarController,
+    PointElement,
+    LineElement,
+    LineController,
+    Tooltip,
+    Legend,
+} from "chart.js";
+import { toast } from "react-hot-toast";
+import ConfirmDialog from "./confirmdialog";
+import { weatherProvider } from "./weatherProviders";
+import { getFarmIoTData } from "./thingsboard";
+import { getSoilMoistureKey } from "./utils/telemetryKeys";
+import { deleteIrrigationEvent, getIrrigationEvents, logIrrigationEvent } from "./irrigationEvents";
+import {
+    buildWaterBalance,
+    forecastToDays,
+    getCropWaterConfig,
+    getIrrigationRecommendation,
+    parseLocalDate,
+    startOfLocalDay,
+} from "./utils/waterBalance";
+import "./irrigation.css";
+
+ChartJS.register(
+    CategoryScale,
+    LinearScale,
+    BarElement,
+    BarController,
+    PointElement,
+    LineElement,
+    LineController,
+    Tooltip,
+    Legend
+);
+
+// Days of history before today the balance is run over (it starts at field capacity)
+const HISTORY_DAYS = 21;
+// Sensor readings older than this are not used to reset the balance
+const SENSOR_MAX_AGE_HOURS = 36;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEPLETION_COLOR = "#b45309";
+const RAIN_COLOR = "#60a5fa";
+const IRRIGATION_COLOR = "#14b8a6";
+
+const formatShortDate = (time) =>
+    new Date(time).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" });
+
+// YYYY-MM-DD of a local day
+const toDateInput = (time) => {
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Mean of the latest soil moisture readings across the farm's devices (each device's own moisture key)
+const getSensorReading = (devices) => {
+    const readings = (devices || [])
+        .map((device) => {
+            const key = getSoilMoistureKey(device);
+            return key && { time: device.telemetry?.[`${key}_ts`], value: device.telemetry?.[key] };
+        })
+        .filter((reading) => reading && Number.isFinite(reading.value))
+        .filter((reading) => Date.now() - reading.time < SENSOR_MAX_AGE_HOURS * 3600000);
+    if (readings.length === 0) return null;
+
+    return {
+        time: Math.max(...readings.map((reading) => reading.time)),
+        moisturePct: readings.reduce((sum, reading) => sum + reading.value, 0) / readings.length,
+        devices: readings.length,
+    };
+};
+
+const IrrigationSection = ({ farmId, location, forecast, crop, cycleStart }) => {
+    const [history, setHistory] = useState([]);
+    const [sensor, setSensor] = useState(null);
+    const [events, setEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [form, setForm] = useState({ appliedOn: toDateInput(Date.now()), amountMm: "", notes: "" });
+    const [saving, setSaving] = useState(false);
+    const [eventToDelete, setEventToDelete] = useState(null);
+
+    const config = useMemo(() => getCropWaterConfig(crop), [crop]);
+    const start = useMemo(() => {
+        const today = startOfLocalDay(Date.now());
+        return Math.max(parseLocalDate(cycleStart), today - HISTORY_DAYS * DAY_MS);
+    }, [cycleStart]);
+
+    useEffect(() => {
+        if (!farmId || !location) return;
+
+        let cancelled = false;
+        const loadInputs = async () => {
+            setLoading(true);
+            const today = startOfLocalDay(Date.now());
+            const [historyResult, rainResult, iotResult, eventsResult] = await Promise.allSettled([
+                start < today ? weatherProvider.getHistory(location, { start, end: today - 1 }) : [],
+                start < today ? weatherProvider.getAccumulatedPrecipitation(location, { start, end: today - 1 }) : [],
+                getFarmIoTData(farmId),
+                getIrrigationEvents(farmId, toDateInput(start)),
+            ]);
+            if (cancelled) return;
+
+            // Measured daily rainfall replaces the history's when both are available
+            const rainByDay = new Map(
+                rainResult.status === "fulfilled" ? rainResult.value.map((day) => [startOfLocalDay(day.time), day.daily]) : []
+            );
+            if (historyResult.status === "fulfilled") {
+                setHistory(
+                    historyResult.value
+                        .filter((day) => day.time < today)
+                        .map((day) => ({ ...day, rainMm: rainByDay.get(startOfLocalDay(day.time)) ?? day.rainMm }))
+                );
+            } else {
+                console.warn("Weather history unavailable for the water balance:", historyResult.reason);
+                setHistory([]);
+            }
+            setSensor(iotResult.status === "fulfilled" ? getSensorReading(iotResult.value) : null);
+            if (eventsResult.status === "fulfilled") {
+                setEvents(eventsResult.value);
+            } else {
+                toast.error("Failed to load the irrigation log");
+            }
+            setLoading(false);
+        };
+
+        loadInputs();
+        return () => {
+            cancelled = true;
+        };
+    }, [farmId, location, start]);
+
+    const balance = useMemo(() => {
+        const today = startOfLocalDay(Date.now());
+        const days = [
+            ...history.map((day) => ({ ...day, time: startOfLocalDay(day.time) })),
+            ...forecastToDays(forecast)
+                .filter((day) => day.time >= today)
+                .map((day) => ({ ...day, forecast: true })),
+        ].filter((day) => day.time >= start);
+
+        return buildWaterBalance({
+            days,
+            irrigationEvents: events,
+            sensor,
+            config,
+            cycleStart,
+            lat: location?.lat ?? 0,
+        });
+    }, [history, forecast, events, sensor, config, cycleStart, location, start]);
+
+    const recommendation = useMemo(() => getIrrigationRecommendation(balance, config), [balance, config]);
+    const todayEntry = balance.find((day) => day.time === startOfLocalDay(Date.now()));
+
+    const chartData = useMemo(
+        () => ({
+            labels: balance.map((day) => `${formatShortDate(day.time)}${day.forecast ? " (forecast)" : ""}`),
+            datasets: [
+                {
+                    type: "line",
+                    label: "Root-zone deficit (mm)",
+                    data: balance.map((day) => day.depletion),
+                    borderColor: DEPLETION_COLOR,
+                    backgroundColor: DEPLETION_COLOR,
+                    tension: 0.2,
+                    pointRadius: balance.map((day) => (day.measured ? 5 : 2)),
+                    segment: {
+                        borderDash: (ctx) => (balance[ctx.p1DataIndex]?.forecast ? [5, 4] : undefined),
+                    },
+                },
+                {
+                    type: "line",
+                    label: `Irrigate above ${config.raw} mm`,
+                    data: balance.map(() => config.raw),
+                    borderColor: "#dc2626",
+                    borderDash: [6, 4],
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                },
+                {
+                    type: "bar",
+                    label: "Rain (mm)",
+                    data: balance.map((day) => day.rainMm),
+                    backgroundColor: RAIN_COLOR,
+                },
+                {
+                    type: "bar",
+                    label: "Irrigation (mm)",
+                    data: balance.map((day) => day.irrigationMm),
+                    backgroundColor: IRRIGATION_COLOR,
+                },
+            ],
+        }),
+        [balance, config.raw]
+    );
+
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: "index", intersect: false },
+        plugins: {
+            legend: { position: "bottom", labels: { boxWidth: 12, font: { size: 11 } } },
+        },
+        scales: {
+            y: { beginAtZero: true, title: { display: true, text: "mm" } },
+            x: { ticks: { maxTicksLimit: 10 } },
+        },
+    };
+
+    const handleLogIrrigation = async (e) => {
+        e.preventDefault();
+        const amountMm = parseFloat(form.amountMm);
+        if (!Number.isFinite(amountMm) || amountMm <= 0) {
+            toast.error("Enter the irrigation amount in mm");
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const event = await logIrrigationEvent({
+                farmId,
+                appliedOn: form.appliedOn,
+                amountMm,
+                notes: form.notes.trim(),
+            });
+            setEvents((prev) => [...prev, event].sort((a, b) => a.applied_on.localeCompare(b.applied_on)));
+            setForm((prev) => ({ ...prev, amountMm: "", notes: "" }));
+            toast.success("Irrigation logged");
+        } catch (err) {
+            console.error("Error logging irrigation:", err);
+            toast.error(err.message || "Failed to log irrigation");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDeleteEvent = async () => {
+        const event = eventToDelete;
+        setEventToDelete(null);
+        try {
+            await deleteIrrigationEvent(event.id);
+            setEvents((prev) => prev.filter((e) => e.id !== event.id));
+            toast.success("Irrigation entry removed");
+        } catch (err) {
+            console.error("Error deleting irrigation:", err);
+            toast.error("Failed to remove irrigation entry");
+        }
+    };
+
+    return (
+        <div className="data-card irrigation-card">
+            <h3>
+                <span className="material-symbols-outlined header-icon">water</span>
+                Irrigation Schedule
+            </h3>
+            <p className="card-subtitle">
+                Root zone {config.rootDepthM} m · {config.taw} mm available, irrigate after {config.raw} mm used
+                {config.isDefault && " (default crop coefficients - set kc_stages on the crop)"}
+            </p>
+
+            {loading ? (
+                <p className="irrigation-message">Calculating water balance...</p>
+            ) : balance.length === 0 ? (
+                <p className="irrigation-message">Not enough weather data to run the water balance.</p>
+            ) : (
+                <>
+                    <div className="irrigation-summary">
+                        <div
+                            className={`irrigation-recommendation ${
+                                recommendation.time === null ? "ok" : recommendation.today ? "due" : "soon"
+                            }`}
+                        >
+                            <span className="material-symbols-outlined">
+                                {recommendation.time === null ? "check_circle" : "water_drop"}
+                            </span>
+                            <div>
+                                <strong>
+                                    {recommendation.time === null
+                                        ? "No irrigation needed in the forecast"
+                                        : recommendation.today
+                                          ? `Irrigate today: ${recommendation.amountMm} mm`
+                                          : `Irrigate ${formatShortDate(recommendation.time)}: ~${recommendation.amountMm} mm`}
+                                </strong>
+                                <small>
+                                    {recommendation.time === null
+                                        ? `${recommendation.headroomMm} mm of readily available water left`
+                                        : "Net amount to refill the root zone to field capacity"}
+                                </small>
+                            </div>
+                        </div>
+                        {todayEntry && (
+                            <div>
+                                <span>Today</span>
+                                <strong>
+                                    {todayEntry.etc} mm/day crop use
+                                </strong>
+                                <small>
+                                    ET₀ {todayEntry.et0} mm × Kc {todayEntry.kc} ({todayEntry.stage})
+                                </small>
+                            </div>
+                        )}
+                        <div>
+                            <span>Soil moisture sensor</span>
+                            <strong>{sensor ? `${sensor.moisturePct.toFixed(1)}%` : "No recent reading"}</strong>
+                            <small>
+                                {sensor
+                                    ? `Balance reset from ${sensor.devices} device${sensor.devices > 1 ? "s" : ""}`
+                                    : "Balance assumes field capacity at its start"}
+                            </small>
+                        </div>
+                    </div>
+
+                    <div className="irrigation-chart">
+                        <Bar data={chartData} options={chartOptions} />
+                    </div>
+                </>
+            )}
+
+            <div className="irrigation-log">
+                <h4>Irrigation log</h4>
+                <form className="irrigation-form" onSubmit={handleLogIrrigation}>
+                    <input
+                        type="date"
+                        value={form.appliedOn}
+                        max={toDateInput(Date.now())}
+                        onChange={(e) => setForm((prev) => ({ ...prev, appliedOn: e.target.value }))}
+                        required
+                    />
+                    <input
+                        type="number"
+                        min="0.1"
+                        step="0.1"
+                        placeholder="mm"
+                        value={form.amountMm}
+                        onChange={(e) => setForm((prev) => ({ ...prev, amountMm: e.target.value }))}
+                        required
+                    />
+                    <input
+                        type="text"
+                        placeholder="Notes (optional)"
+                        value={form.notes}
+                        onChange={(e) => setForm((prev) => ({ ...prev, notes: e.target.value }))}
+                    />
+                    <button type="submit" disabled={saving}>
+                        {saving ? "Saving..." : "Log irrigation"}
+                    </button>
+                </form>
+
+                {events.length === 0 ? (
+                    <p className="irrigation-message">No irrigation logged since {formatShortDate(start)}.</p>
+                ) : (
+                    <ul className="irrigation-events">
+                        {[...events].reverse().map((event) => (
+                            <li key={event.id}>
+                                <span>{formatShortDate(parseLocalDate(event.applied_on))}</span>
+                                <strong>{Number(event.amount_mm)} mm</strong>
+                                <span className="irrigation-notes">{event.notes}</span>
+                                <button
+                                    type="button"
+                                    className="irrigation-delete"
+                                    onClick={() => setEventToDelete(event)}
+                                    title="Remove entry"
+                                >
+                                    <span className="material-symbols-outlined">delete</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <ConfirmDialog
+                isOpen={Boolean(eventToDelete)}
+                onClose={() => setEventToDelete(null)}
+                onConfirm={handleDeleteEvent}
+                title="Remove Irrigation Entry"
+                message={
+                    eventToDelete
+                        ? `Remove the ${Number(eventToDelete.amount_mm)} mm irrigation on ${formatShortDate(
+                              parseLocalDate(eventToDelete.applied_on)
+                          )}? The water balance will be recalculated without it.`
+                        : ""
+                }
+                type="danger"
+                confirmText="Remove"
+            />
+        </div>
+    );
+};
+
+export default IrrigationSection;
@@ -0,0 +1,428 @@
+// src/ManagementZonesSection.jsx
+/**
+ * Management Zones Section for Farm Details Page
+ * Clusters a FLOAT32 NDVI raster (Sentinel-2 or drone via TiTiler) into 3-5 productivity zones
+ * and exports them as GeoJSON, KML or zipped Shapefile for variable-rate application
+ */
+
+import { useState, useEffect, useMemo, useCallback } from "react";
+import { MapContainer, TileLayer, GeoJSON, useMap } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import { toast } from "react-hot-toast";
+import { supabase } from "./createclient";
+import { getAvailableDates, getIndexRaster } from "./sentinelhub";
+import { getFeatureRaster, isTiTilerConfigured, LAYER_CONFIGS } from "./titiler";
+import { getImageryUrl } from "./droneImageryService";
+import { buildManagementZones, interpolateColor } from "./utils/rasterAnalysis";
+import {
+    downloadBlob,
+    toFileSafeName,
+    toGeoJSONBlob,
+    toKMLBlob,
+    toShapefileZipBlob,
+} from "./utils/geoExport";
+import "./managementzones.css";
+
+const ZONE_COUNTS = [3, 4, 5];
+
+// Zone colors run from red (lowest productivity) to green (highest)
+const ZONE_COLOR_STOPS = [
+    { value: 0, color: [0.84, 0.19, 0.15] },
+    { value: 0.5, color: [1.0, 0.87, 0.35] },
+    { value: 1, color: [0.1, 0.6, 0.31] },
+];
+
+const getZoneColor = (zone, zoneCount) => {
+    const position = zoneCount > 1 ? (zone - 1) / (zoneCount - 1) : 1;
+    const [r, g, b] = interpolateColor(position, ZONE_COLOR_STOPS);
+    return `#${[r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+};
+
+const formatDate = (dateStr) => {
+    if (!dateStr) return "";
+    return new Date(dateStr).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+    });
+};
+
+// Helper component to fit map to bounds
+const FitBounds = ({ bounds }) => {
+    const map = useMap();
+
+    useEffect(() => {
+        if (bounds) {
+            map.fitBounds(bounds, { padding: [20, 20] });
+        }
+    }, [bounds, map]);
+
+    return null;
+};
+
+/**
+ * Find the NDVI source in a drone flight: a multi-band MicaSense file (NDVI via expression)
+ * or a processed single-band NDVI layer
+ */
+const getDroneNdviSource = (flight) => {
+    const band = flight.drone_imagery_layers.find((l) => l.is_band && l.filename);
+    if (band) {
+        return {
+            filename: band.filename,
+            expression: LAYER_CONFIGS.ndvi.expression,
+            nodata: LAYER_CONFIGS.ndvi.nodata,
+        };
+    }
+
+    const ndviLayer = flight.drone_imagery_layers.find((l) => l.layer_type === "ndvi" && l.filename);
+    if (ndviLayer) {
+        return { filename: ndviLayer.filename, bidx: "1" };
+    }
+
+    return null;
+};
+
+const ManagementZonesSection = ({ farmId, coords, farmName = "Farm" }) => {
+    const [source, setSource] = useState("sentinel");
+    const [sentinelDates, setSentinelDates] = useState([]);
+    const [selectedDate, setSelectedDate] = useState("");
+    const [droneFlights, setDroneFlights] = useState([]);
+    const [selectedFlightId, setSelectedFlightId] = useState("");
+    const [zoneCount, setZoneCount] = useState(4);
+    const [raster, setRaster] = useState(null);
+    const [rasterLabel, setRasterLabel] = useState("");
+    const [rasterVersion, setRasterVersion] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const farmGeometry = useMemo(() => {
+        if (!coords || coords.length < 3) return null;
+        const ring = coords.map((c) => [c.lng, c.lat]);
+        ring.push([coords[0].lng, coords[0].lat]);
+        return { type: "Polygon", coordinates: [ring] };
+    }, [coords]);
+
+    const mapBounds = useMemo(() => {
+        if (!coords || coords.length < 3) return null;
+        const lats = coords.map((c) => c.lat);
+        const lngs = coords.map((c) => c.lng);
+        return [
+            [Math.min(...lats), Math.min(...lngs)],
+            [Math.max(...lats), Math.max(...lngs)],
+        ];
+    }, [coords]);
+
+    // Sentinel-2 dates clear enough for zoning (≤30% cloud)
+    useEffect(() => {
+        if (!coords || coords.length < 3) return;
+
+        const fetchDates = async () => {
+            try {
+                const { dates } = await getAvailableDates(coords, 180);
+                const clearDates = dates.filter((d) => d.cloudCover <= 30);
+                setSentinelDates(clearDates);
+                if (clearDates.length > 0) setSelectedDate(clearDates[0].date);
+            } catch (err) {
+                console.error("Failed to fetch available dates:", err);
+            }
+        };
+
+        fetchDates();
+    }, [coords]);
+
+    // Drone flights with an NDVI-capable layer
+    useEffect(() => {
+        if (!farmId || !isTiTilerConfigured()) return;
+
+        const fetchFlights = async () => {
+            const { data, error } = await supabase
+                .from("drone_flights")
+                .select("*, drone_imagery_layers(*)")
+                .eq("farm_id", farmId)
+                .order("flight_date", { ascending: false });
+
+            if (error) {
+                console.error("Error fetching drone flights:", error);
+                return;
+            }
+
+            const flights = (data || []).filter((flight) => getDroneNdviSource(flight));
+            setDroneFlights(flights);
+            if (flights.length > 0) setSelectedFlightId(flights[0].id);
+        };
+
+        fetchFlights();
+    }, [farmId]);
+
+    const handleGenerate = useCallback(async () => {
+        if (!farmGeometry) return;
+
+        setLoading(true);
+        setError(null);
+        setRaster(null);
+
+        try {
+            if (source === "sentinel") {
+                if (!selectedDate) throw new Error("No Sentinel-2 date selected");
+                setRaster(await getIndexRaster("ndvi", coords, selectedDate));
+                setRasterLabel(`Sentinel-2 NDVI · ${formatDate(selectedDate)}`);
+            } else {
+                const flight = droneFlights.find((f) => f.id === selectedFlightId);
+                if (!flight) throw new Error("No drone flight selected");
+                const ndviSource = getDroneNdviSource(flight);
+                const isLocal = (flight.storage_location || "local") === "local";
+
+                setRaster(
+                    await getFeatureRaster(ndviSource.filename, farmGeometry, {
+                        ...ndviSource,
+                        url: isLocal ? undefined : getImageryUrl(farmId, ndviSource.filename),
+                    })
+                );
+                setRasterLabel(`Drone NDVI · ${formatDate(flight.flight_date)}`);
+            }
+            setRasterVersion((v) => v + 1);
+        } catch (err) {
+            console.error("Failed to load NDVI raster:", err);
+            setError("Failed to load NDVI raster for zoning");
+        } finally {
+            setLoading(false);
+        }
+    }, [source, selectedDate, selectedFlightId, droneFlights, coords, farmGeometry, farmId]);
+
+    const zones = useMemo(() => {
+        if (!raster) return null;
+        return buildManagementZones(raster, { zoneCount });
+    }, [raster, zoneCount]);
+
+    const totalAreaHa = zones
+        ? zones.features.reduce((sum, f) => sum + f.properties.area_ha, 0)
+        : 0;
+
+    // Export attributes use short names (Shapefile DBF limit is 10 characters)
+    const exportCollection = useMemo(() => {
+        if (!zones) return null;
+        return {
+            type: "FeatureCollection",
+            features: zones.features.map((feature) => ({
+                type: "Feature",
+                geometry: feature.geometry,
+                properties: {
+                    zone: feature.properties.zone,
+                    area_ha: feature.properties.area_ha,
+                    mean_ndvi: feature.properties.mean,
+                    min_ndvi: feature.properties.min,
+                    max_ndvi: feature.properties.max,
+                },
+            })),
+        };
+    }, [zones]);
+
+    const handleExport = async (format) => {
+        const baseName = `${toFileSafeName(farmName)}_zones_${zoneCount}`;
+
+        try {
+            if (format === "geojson") {
+                downloadBlob(toGeoJSONBlob(exportCollection), `${baseName}.geojson`);
+            } else if (format === "kml") {
+                const blob = toKMLBlob(exportCollection, {
+                    name: `${farmName} management zones`,
+                    getName: (f) => `Zone ${f.properties.zone}`,
+                    getColor: (f) => getZoneColor(f.properties.zone, zones.features.length),
+                });
+                downloadBlob(blob, `${baseName}.kml`);
+            } else {
+                const blob = await toShapefileZipBlob(exportCollection, baseName);
+                downloadBlob(blob, `${baseName}_shp.zip`);
+            }
+        } catch (err) {
+            console.error("Failed to export zones:", err);
+            toast.error("Failed to export zones");
+        }
+    };
+
+    if (!coords || coords.length < 3) {
+        return null;
+    }
+
+    const canGenerate =
+        !loading && (source === "sentinel" ? !!selectedDate : !!selectedFlightId);
+
+    return (
+        <div className="data-card management-zones-card">
+            <div className="zones-header">
+                <h3>
+                    <span className="material-symbols-outlined header-icon">grid_view</span>
+                    Management Zones
+                </h3>
+                <p className="card-subtitle">Productivity zones from NDVI for variable-rate application</p>
+            </div>
+
+            {/* Controls */}
+            <div className="zones-controls">
+                <div className="control-group">
+                    <label>Source</label>
+                    <select value={source} onChange={(e) => setSource(e.target.value)}>
+                        <option value="sentinel">Sentinel-2</option>
+                        <option value="drone" disabled={droneFlights.length === 0}>
+                            Drone{droneFlights.length === 0 ? " (no NDVI flights)" : ""}
+                        </option>
+                    </select>
+                </div>
+
+                {source === "sentinel" ? (
+                    <div className="control-group">
+                        <label>Date</label>
+                        <select value={selectedDate} onChange={(e) => setSelectedDate(e.target.value)}>
+                            {sentinelDates.length === 0 && <option value="">No clear dates</option>}
+                            {sentinelDates.map((d) => (
+                                <option key={d.date} value={d.date}>
+                                    {formatDate(d.date)} ({Math.round(d.cloudCover)}% cloud)
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                ) : (
+                    <div className="control-group">
+                        <label>Flight</label>
+                        <select value={selectedFlightId} onChange={(e) => setSelectedFlightId(e.target.value)}>
+                            {droneFlights.map((flight) => (
+                                <option key={flight.id} value={flight.id}>
+                                    {formatDate(flight.flight_date)}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                <div className="control-group">
+                    <label>Zones</label>
+                    <select value={zoneCount} onChange={(e) => setZoneCount(Number(e.target.value))}>
+                        {ZONE_COUNTS.map((n) => (
+                            <option key={n} value={n}>
+                                {n} zones
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <button className="zones-generate-btn" onClick={handleGenerate} disabled={!canGenerate}>
+                    <span className="material-symbols-outlined">auto_awesome</span>
+                    {loading ? "Generating..." : "Generate Zones"}
+                </button>
+            </div>
+
+            {error && (
+                <div className="zones-error">
+                    <span className="material-symbols-outlined">error</span>
+                    {error}
+                </div>
+            )}
+
+            {/* Map */}
+            <div className="zones-map-container">
+                <MapContainer center={mapBounds[0]} zoom={16} className="zones-map" scrollWheelZoom={true}>
+                    <TileLayer
+                        url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
+                        attribution="&copy; Esri"
+                    />
+                    <FitBounds bounds={mapBounds} />
+
+                    {farmGeometry && (
+                        <GeoJSON data={farmGeometry} style={{ color: "#ffffff", weight: 2, fill: false }} />
+                    )}
+
+                    {zones && (
+                        <GeoJSON
+                            key={`${rasterVersion}-${zoneCount}`}
+                            data={zones}
+                            style={(feature) => ({
+                                color: getZoneColor(feature.properties.zone, zones.features.length),
+                                weight: 1,
+                                fillOpacity: 0.6,
+                            })}
+                            onEachFeature={(feature, layer) =>
+                                layer.bindTooltip(
+                                    `Zone ${feature.properties.zone}: ${feature.properties.area_ha} ha, ` +
+                                        `mean NDVI ${feature.properties.mean.toFixed(2)}`
+                                )
+                            }
+                        />
+                    )}
+                </MapContainer>
+            </div>
+
+            {/* Zone Summary and Export */}
+            {zones && zones.features.length > 0 && (
+                <>
+                    <table className="zones-table">
+                        <thead>
+                            <tr>
+                                <th>Zone</th>
+                                <th>Area (ha)</th>
+                                <th>Share</th>
+                                <th>Mean NDVI</th>
+                                <th>Range</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {zones.features.map((feature) => (
+                                <tr key={feature.properties.zone}>
+                                    <td>
+                                        <span
+                                            className="zone-swatch"
+                                            style={{
+                                                backgroundColor: getZoneColor(
+                                                    feature.properties.zone,
+                                                    zones.features.length
+                                                ),
+                                            }}
+                                        ></span>
+                                        Zone {feature.properties.zone}
+                                    </td>
+                                    <td>{feature.properties.area_ha.toFixed(2)}</td>
+                                    <td>
+                                        {totalAreaHa > 0
+                                            ? Math.round((feature.properties.area_ha / totalAreaHa) * 100)
+                                            : 0}
+                                        %
+                                    </td>
+                                    <td>{feature.properties.mean.toFixed(3)}</td>
+                                    <td>
+                                        {feature.properties.min.toFixed(2)} – {feature.properties.max.toFixed(2)}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <div className="zones-footer">
+                        <span className="zones-source">
+                            <span className="material-symbols-outlined">info</span>
+                            {rasterLabel}
+                        </span>
+                        <div className="zones-export">
+                            <button onClick={() => handleExport("geojson")}>
+                                <span className="material-symbols-outlined">download</span>
+                                GeoJSON
+                            </button>
+                            <button onClick={() => handleExport("kml")}>
+                                <span className="material-symbols-outlined">download</span>
+                                KML
+                            </button>
+                            <button onClick={() => handleExport("shapefile")}>
+                                <span className="material-symbols-outlined">download</span>
+                                Shapefile
+                            </button>
+                        </div>
+                    </div>
+                </>
+            )}
+
+            {zones && zones.features.length === 0 && (
+                <p className="zones-empty">No valid NDVI pixels in this image — try another date.</p>
+            )}
+        </div>
+    );
+};
+
+export default ManagementZonesSection;
@@ -0,0 +1,207 @@
+// src/PointHistoryPanel.jsx
+/**
+ * Point History Panel for the Satellite Imagery Section
+ * Charts the season-long index history of clicked map points (Statistical API, same collection
+ * as the imagery shown)
+ * Up to five points can be pinned in different colors for side-by-side comparison
+ */
+
+import { useState, useEffect } from "react";
+import { Line } from "react-chartjs-2";
+import {
+    Chart as ChartJS,
+    LinearScale,
+    PointElement,
+    LineElement,
+    Tooltip,
+    Legend,
+} from "chart.js";
+import { getPointHistory } from "./sentinelhub";
+import {
+    OPTICAL_COLLECTION,
+    SPECTRAL_INDICES,
+    getIndexCollection,
+    isIndexAvailable,
+    isStatisticalIndex,
+} from "./utils/spectralIndices";
+
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+const CHART_INDICES = Object.keys(SPECTRAL_INDICES).filter(isStatisticalIndex);
+
+const INTERVALS = [
+    { value: "P1D", label: "Daily" },
+    { value: "P5D", label: "5-day" },
+];
+
+const SEASON_DAYS = 180;
+
+const formatShortDate = (value) =>
+    new Date(value).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+
+const PointHistoryPanel = ({
+    points,
+    onPin,
+    onRemove,
+    onClose,
+    maxPins = 5,
+    defaultIndex = "ndvi",
+    collection = OPTICAL_COLLECTION,
+}) => {
+    const chartIndices = CHART_INDICES.filter((id) => isIndexAvailable(id, getIndexCollection(id, collection)));
+    const [indexId, setIndexId] = useState(
+        chartIndices.includes(defaultIndex) ? defaultIndex : "ndvi"
+    );
+    const [aggregation, setAggregation] = useState("P5D");
+    // Cache of histories keyed by point, index and interval: { status, data }
+    const [histories, setHistories] = useState({});
+
+    const historyKey = (point) => `${point.id}:${collection}:${indexId}:${aggregation}`;
+
+    // Fetch history for any point not yet loaded for the current index/interval
+    useEffect(() => {
+        points.forEach((point) => {
+            const key = `${point.id}:${collection}:${indexId}:${aggregation}`;
+            if (histories[key]) return;
+
+            setHistories((prev) => ({ ...prev, [key]: { status: "loading", data: [] } }));
+            getPointHistory(point.lat, point.lng, SEASON_DAYS, [indexId], aggregation, collection)
+                .then((data) => {
+                    setHistories((prev) => ({ ...prev, [key]: { status: "ready", data } }));
+                })
+                .catch((err) => {
+                    console.error("Failed to get point history:", err);
+                    setHistories((prev) => ({ ...prev, [key]: { status: "error", data: [] } }));
+                });
+        });
+    }, [points, collection, indexId, aggregation, histories]);
+
+    const pinnedCount = points.filter((p) => p.pinned).length;
+    const loadingCount = points.filter((p) => histories[historyKey(p)]?.status === "loading").length;
+    const indexName = SPECTRAL_INDICES[indexId].name;
+    const [rangeMin, rangeMax] = SPECTRAL_INDICES[indexId].range;
+
+    const chartData = {
+        datasets: points.map((point) => {
+            const history = histories[historyKey(point)]?.data || [];
+            return {
+                label: point.label,
+                data: history.map((item) => ({
+                    x: new Date(item.date).getTime(),
+                    y: item[indexId],
+                    validPixelPercent: item.validPixelPercent,
+                })),
+                borderColor: point.color,
+                backgroundColor: point.color,
+                borderDash: point.pinned ? [] : [5, 4],
+                tension: 0.3,
+                pointRadius: 3,
+                pointHoverRadius: 5,
+            };
+        }),
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        parsing: false,
+        plugins: {
+            legend: { position: "bottom", labels: { boxWidth: 12 } },
+            tooltip: {
+                callbacks: {
+                    title: (items) => (items.length ? formatShortDate(items[0].parsed.x) : ""),
+                    label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(3)}`,
+                    afterLabel: (context) => {
+                        const valid = context.raw.validPixelPercent;
+                        return valid !== null && valid < 100 ? `Clear pixels: ${valid}%` : "";
+                    },
+                },
+            },
+        },
+        scales: {
+            x: {
+                type: "linear",
+                ticks: { callback: (value) => formatShortDate(value), maxTicksLimit: 8 },
+            },
+            y: {
+                suggestedMin: rangeMin,
+                suggestedMax: rangeMax,
+                title: { display: true, text: indexName },
+            },
+        },
+    };
+
+    return (
+        <div className="point-history-panel">
+            <div className="point-history-header">
+                <h4>
+                    <span className="material-symbols-outlined">timeline</span>
+                    Point History
+                </h4>
+                <div className="point-history-controls">
+                    <select value={indexId} onChange={(e) => setIndexId(e.target.value)}>
+                        {chartIndices.map((id) => (
+                            <option key={id} value={id}>
+                                {SPECTRAL_INDICES[id].name}
+                            </option>
+                        ))}
+                    </select>
+                    <div className="point-history-intervals">
+                        {INTERVALS.map((option) => (
+                            <button
+                                key={option.value}
+                                className={aggregation === option.value ? "active" : ""}
+                                onClick={() => setAggregation(option.value)}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                    <button className="point-history-close" onClick={onClose} title="Clear all points">
+                        <span className="material-symbols-outlined">close</span>
+                    </button>
+                </div>
+            </div>
+
+            {/* Point chips */}
+            <div className="point-history-chips">
+                {points.map((point) => (
+                    <span key={point.id} className={`point-chip ${point.pinned ? "pinned" : ""}`}>
+                        <span className="point-chip-dot" style={{ backgroundColor: point.color }}></span>
+                        {point.label}
+                        {histories[historyKey(point)]?.status === "error" && (
+                            <span className="point-chip-error" title="Failed to load history">!</span>
+                        )}
+                        {!point.pinned && (
+                            <button
+                                onClick={() => onPin(point.id)}
+                                disabled={pinnedCount >= maxPins}
+                                title={pinnedCount >= maxPins ? `Up to ${maxPins} points can be pinned` : "Pin point"}
+                            >
+                                <span className="material-symbols-outlined">push_pin</span>
+                            </button>
+                        )}
+                        <button onClick={() => onRemove(point.id)} title="Remove point">
+                            <span className="material-symbols-outlined">close</span>
+                        </button>
+                    </span>
+                ))}
+                <span className="point-history-hint">
+                    {pinnedCount}/{maxPins} pinned · click the map to add a point
+                </span>
+            </div>
+
+            <div className="point-history-chart">
+                {loadingCount > 0 && (
+                    <div className="point-history-loading">
+                        <div className="loader small"></div>
+                        <span>Loading history...</span>
+                    </div>
+                )}
+                <Line data={chartData} options={options} />
+            </div>
+        </div>
+    );
+};
+
+export default PointHistoryPanel;
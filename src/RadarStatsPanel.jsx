@@ -0,0 +1,142 @@
+// src/RadarStatsPanel.jsx
+/**
+ * Radar Statistics Panel for the Satellite Imagery Section
+ * Shown while a Sentinel-1 layer is selected: the latest field means of VV, VH, VH/VV and RVI
+ * and the selected index's 60-day trend. Radar sees through clouds, so these keep updating
+ * when the optical statistics have gaps
+ */
+
+import { useState, useEffect } from "react";
+import { Line } from "react-chartjs-2";
+import { Chart as ChartJS, LinearScale, PointElement, LineElement, Tooltip } from "chart.js";
+import { getRadarHistory, getRadarStats } from "./sentinelhub";
+import { RADAR_STATS_INDICES, SPECTRAL_INDICES } from "./utils/spectralIndices";
+
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip);
+
+const HISTORY_DAYS = 60;
+
+const formatShortDate = (value) =>
+    new Date(value).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+
+// dB indices are shown to one decimal, ratios to three
+const formatValue = (indexId, value) => {
+    if (value === null || value === undefined) return "--";
+    return indexId === "vv" || indexId === "vh" ? `${value.toFixed(1)} dB` : value.toFixed(3);
+};
+
+const RadarStatsPanel = ({ coords, indexId }) => {
+    const [stats, setStats] = useState(null);
+    const [history, setHistory] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (!coords || coords.length < 3) return;
+
+        let cancelled = false;
+        setLoading(true);
+        Promise.allSettled([getRadarStats(coords), getRadarHistory(coords, HISTORY_DAYS)]).then(
+            ([statsResult, historyResult]) => {
+                if (cancelled) return;
+                if (statsResult.status === "fulfilled") {
+                    setStats(statsResult.value);
+                } else {
+                    console.error("Radar stats failed:", statsResult.reason);
+                }
+                if (historyResult.status === "fulfilled") {
+                    setHistory(historyResult.value);
+                } else {
+                    console.error("Radar history failed:", historyResult.reason);
+                }
+                setLoading(false);
+            }
+        );
+        return () => {
+            cancelled = true;
+        };
+    }, [coords]);
+
+    const chartIndex = RADAR_STATS_INDICES.includes(indexId) ? indexId : "vhvv";
+    const series = history?.[chartIndex] || [];
+    const [rangeMin, rangeMax] = SPECTRAL_INDICES[chartIndex].range;
+
+    const chartData = {
+        datasets: [
+            {
+                label: SPECTRAL_INDICES[chartIndex].name,
+                data: series.map((point) => ({ x: point.dt * 1000, y: point.data.mean })),
+                borderColor: "#6366f1",
+                backgroundColor: "#6366f1",
+                tension: 0.3,
+                pointRadius: 3,
+            },
+        ],
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        parsing: false,
+        plugins: {
+            legend: { display: false },
+            tooltip: {
+                callbacks: {
+                    title: (items) => (items.length ? formatShortDate(items[0].parsed.x) : ""),
+                    label: (context) => formatValue(chartIndex, context.parsed.y),
+                },
+            },
+        },
+        scales: {
+            x: {
+                type: "linear",
+                ticks: { callback: (value) => formatShortDate(value), maxTicksLimit: 6 },
+            },
+            y: {
+                suggestedMin: rangeMin,
+                suggestedMax: rangeMax,
+                title: { display: true, text: SPECTRAL_INDICES[chartIndex].name },
+            },
+        },
+    };
+
+    return (
+        <div className="radar-stats-panel">
+            <div className="radar-stats-header">
+                <h4>
+                    <span className="material-symbols-outlined">radar</span>
+                    Radar Statistics
+                </h4>
+                {stats?.acquisitionDate && (
+                    <span className="radar-stats-date">Latest window from {formatShortDate(stats.acquisitionDate)}</span>
+                )}
+            </div>
+
+            {loading ? (
+                <div className="radar-stats-loading">
+                    <div className="loader small"></div>
+                    <span>Loading radar statistics...</span>
+                </div>
+            ) : (
+                <>
+                    <div className="radar-stats-tiles">
+                        {RADAR_STATS_INDICES.map((id) => (
+                            <div key={id} className={`radar-stats-tile ${id === chartIndex ? "active" : ""}`}>
+                                <span>{SPECTRAL_INDICES[id].name}</span>
+                                <strong>{formatValue(id, stats?.[id]?.mean)}</strong>
+                            </div>
+                        ))}
+                    </div>
+                    {series.length > 0 ? (
+                        <div className="radar-stats-chart">
+                            <Line data={chartData} options={options} />
+                        </div>
+                    ) : (
+                        <p className="radar-stats-empty">No radar acquisitions in the last {HISTORY_DAYS} days</p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default RadarStatsPanel;
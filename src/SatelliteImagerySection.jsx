@@ -2,61 +2,153 @@
 /**
  * Satellite Imagery Section for Farm Details Page
  * Displays Sentinel-2 satellite imagery with interactive map and layer selection
- * Supports date selection, index switching, and click-to-value features
+ * Supports date selection, index switching, click-to-value, two-date swipe comparison,
+ * change detection with anomaly zones and a time-lapse player with GIF/WebM export
+ * Sentinel-1 radar layers are grouped separately and keep working under cloud cover
+ * Raw FLOAT32 GeoTIFFs of any statistical index can be downloaded for one or several dates
+ * A side panel shows the in-field value histogram and uniformity metrics for the date on screen
+ * When Sentinel-2 has no clear scene in the window, optical layers fall back to Landsat 8/9
+ * and the source on screen is labelled
  */
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import {
     MapContainer,
     TileLayer,
     ImageOverlay,
+    GeoJSON,
+    CircleMarker,
+    Pane,
+    Tooltip,
     useMap,
     useMapEvents,
 } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import {
     getAvailableDates,
-    getSentinelNDVI,
-    getSentinelTrueColor,
-    getSentinelSAVI,
-    getSentinelMoisture,
-    getSentinelLAI,
+    getSentinelIndexImage,
     getPointStats,
+    getIndexChangeRaster,
+    getIndexGeoTiff,
+    getIndexRaster,
 } from "./sentinelhub";
+import {
+    SPECTRAL_INDICES,
+    getIndexConfig,
+    getIndexColor,
+    getIndexLegend,
+    getIndexCollection,
+    getCollectionName,
+    isIndexAvailable,
+    isRadarIndex,
+    isStatisticalIndex,
+    DATA_COLLECTIONS,
+    OPTICAL_COLLECTION,
+    OPTICAL_FALLBACK_COLLECTION,
+    RADAR_COLLECTION,
+} from "./utils/spectralIndices";
+import {
+    computeUniformity,
+    findAnomalyZones,
+    interpolateColor,
+    rasterToDataUrl,
+} from "./utils/rasterAnalysis";
+import {
+    exportFramesAsGif,
+    exportFramesAsWebM,
+    isWebMExportSupported,
+} from "./utils/animationExport";
+import { downloadBlob, toFileSafeName, toZipBlob } from "./utils/geoExport";
+import { toast } from "react-hot-toast";
+import PointHistoryPanel from "./PointHistoryPanel";
+import RadarStatsPanel from "./RadarStatsPanel";
+import { getFarmIoTDevices } from "./thingsboard";
 import "./satelliteimagery.css";
 
-// Satellite indices configuration
-const SATELLITE_INDICES = {
-    trueColor: {
-        name: "True Color",
-        description: "Natural RGB satellite view",
-        icon: "image",
-        fetchFn: getSentinelTrueColor,
-    },
-    ndvi: {
-        name: "NDVI",
-        description: "Vegetation health index",
-        icon: "eco",
-        fetchFn: getSentinelNDVI,
-    },
-    savi: {
-        name: "SAVI",
-        description: "Soil-adjusted vegetation",
-        icon: "grass",
-        fetchFn: getSentinelSAVI,
-    },
-    moisture: {
-        name: "Moisture",
-        description: "Plant water stress",
-        icon: "water_drop",
-        fetchFn: getSentinelMoisture,
-    },
-    lai: {
-        name: "LAI",
-        description: "Leaf area index",
-        icon: "forest",
-        fetchFn: getSentinelLAI,
-    },
+// Satellite indices configuration - one button per catalog entry
+const SATELLITE_INDICES = Object.fromEntries(
+    Object.entries(SPECTRAL_INDICES).map(([key, config]) => [
+        key,
+        {
+            name: config.name,
+            description: config.description,
+            icon: config.icon,
+            radar: isRadarIndex(key),
+            fetchFn: (coords, width, height, date, collection) =>
+                getSentinelIndexImage(key, coords, width, height, date, collection),
+        },
+    ])
+);
+
+// Diverging ramp for change layers, positions relative to the full color scale
+const CHANGE_COLOR_STOPS = [
+    { value: -1, color: [0.65, 0.0, 0.15] },
+    { value: -0.5, color: [0.96, 0.43, 0.26] },
+    { value: 0, color: [0.97, 0.97, 0.97] },
+    { value: 0.5, color: [0.4, 0.74, 0.39] },
+    { value: 1, color: [0.0, 0.41, 0.22] },
+];
+
+// Change layer colors saturate at this fraction of the index range (±0.3 for NDVI)
+const CHANGE_SCALE_FRACTION = 0.25;
+
+// Anomaly thresholds as a fraction of the index range (NDVI: -0.1, -0.15, -0.3)
+const ANOMALY_LEVELS = [
+    { id: "mild", label: "Mild", fraction: 0.08 },
+    { id: "moderate", label: "Moderate", fraction: 0.125 },
+    { id: "severe", label: "Severe", fraction: 0.25 },
+];
+
+/**
+ * Absolute change threshold for an anomaly level, in index units
+ */
+const getAnomalyThreshold = (indexId, levelId) => {
+    const [min, max] = getIndexConfig(indexId).range;
+    const level = ANOMALY_LEVELS.find((l) => l.id === levelId) || ANOMALY_LEVELS[1];
+    return -Math.round(level.fraction * (max - min) * 100) / 100;
+};
+
+// Point history colors - one spare so a new click is still visible with five points pinned
+const MAX_PINNED_POINTS = 5;
+const POINT_COLORS = ["#2563eb", "#f97316", "#16a34a", "#db2777", "#7c3aed", "#0891b2"];
+
+// Time-lapse options
+const TIMELAPSE_CLOUD_THRESHOLDS = [10, 20, 30, 50, 100];
+const TIMELAPSE_SPEEDS = [
+    { label: "0.5x", delay: 2000 },
+    { label: "1x", delay: 1000 },
+    { label: "2x", delay: 500 },
+    { label: "4x", delay: 250 },
+];
+
+// Sentinel-2 counts as having a usable scene when one date is at most this cloudy
+const CLEAR_SCENE_MAX_CLOUD = 30;
+// A clear fallback scene is offered when Sentinel-2 has no clear scene within this many days of it
+const FALLBACK_WINDOW_DAYS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sentinel-2 dates plus the clear fallback (Landsat) scenes that fill windows without a clear
+ * Sentinel-2 scene. A fallback scene replaces a cloudy Sentinel-2 scene of the same day,
+ * so each date appears once. Every entry carries the collection it is read from
+ */
+const mergeFallbackDates = (primaryDates, fallbackDates) => {
+    const clearTimes = primaryDates
+        .filter((d) => d.cloudCover <= CLEAR_SCENE_MAX_CLOUD)
+        .map((d) => new Date(d.date).getTime());
+    const fills = fallbackDates
+        .filter((d) => d.cloudCover <= CLEAR_SCENE_MAX_CLOUD)
+        .filter((d) => {
+            const time = new Date(d.date).getTime();
+            return !clearTimes.some((clear) => Math.abs(clear - time) <= FALLBACK_WINDOW_DAYS * DAY_MS);
+        })
+        .map((d) => ({ ...d, collection: OPTICAL_FALLBACK_COLLECTION, fallback: true }));
+    const fillDates = new Set(fills.map((d) => d.date));
+
+    return [
+        ...primaryDates.filter((d) => !fillDates.has(d.date)).map((d) => ({ ...d, collection: OPTICAL_COLLECTION })),
+        ...fills,
+    ].sort((a, b) => b.date.localeCompare(a.date));
 };
 
 // Cloud cover quality configuration
@@ -67,6 +159,24 @@ const CLOUD_QUALITY = {
     poor: { maxCloud: 100, label: "Poor", color: "#ef4444", badge: "🔴" },
 };
 
+// Format date for display
+const formatDate = (dateStr) => {
+    const date = new Date(dateStr);
+    return date.toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+    });
+};
+
+// Get quality badge for cloud cover
+const getQualityBadge = (cloudCover) => {
+    if (cloudCover <= 15) return CLOUD_QUALITY.excellent;
+    if (cloudCover <= 30) return CLOUD_QUALITY.good;
+    if (cloudCover <= 50) return CLOUD_QUALITY.moderate;
+    return CLOUD_QUALITY.poor;
+};
+
 // Helper component to fit map to bounds
 const FitBounds = ({ bounds }) => {
     const map = useMap();
@@ -88,11 +198,118 @@ const MapClickHandler = ({ onClick }) => {
     return null;
 };
 
-const SatelliteImagerySection = ({ farmId, coords }) => {
+// Helper component that clips a pane to the right of the swipe divider
+// (position is a percentage of the map width)
+const SwipeClip = ({ paneName, position }) => {
+    const map = useMap();
+    useEffect(() => {
+        const updateClip = () => {
+            const pane = map.getPane(paneName);
+            if (!pane) return;
+            const nw = map.containerPointToLayerPoint([0, 0]);
+            const se = map.containerPointToLayerPoint(map.getSize());
+            const clipX = nw.x + (map.getSize().x * position) / 100;
+            pane.style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${clipX}px)`;
+        };
+
+        updateClip();
+        map.on("move zoom resize", updateClip);
+        return () => {
+            map.off("move zoom resize", updateClip);
+        };
+    }, [map, paneName, position]);
+    return null;
+};
+
+// Date dropdown with cloud cover badges (hidden for radar, which sees through clouds)
+const DateDropdown = ({ dates, value, onChange, loading, showCloud = true }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const selected = dates.find((d) => d.date === value);
+
+    return (
+        <div className="date-dropdown-container">
+            <button
+                className="date-dropdown-trigger"
+                onClick={() => setIsOpen(!isOpen)}
+                disabled={loading}
+            >
+                {loading ? (
+                    <span>Loading dates...</span>
+                ) : value ? (
+                    <>
+                        <span className="selected-date">{formatDate(value)}</span>
+                        {showCloud && (
+                            <span
+                                className="cloud-badge"
+                                style={{
+                                    backgroundColor: getQualityBadge(selected?.cloudCover || 0).color,
+                                }}
+                            >
+                                ☁️ {Math.round(selected?.cloudCover || 0)}%
+                            </span>
+                        )}
+                    </>
+                ) : (
+                    <span>Select date...</span>
+                )}
+                <span className="material-symbols-outlined dropdown-arrow">
+                    {isOpen ? "expand_less" : "expand_more"}
+                </span>
+            </button>
+
+            {isOpen && (
+                <div className="date-dropdown-menu">
+                    {dates.length === 0 ? (
+                        <div className="date-option disabled">No dates available</div>
+                    ) : (
+                        dates.map((dateInfo) => {
+                            const quality = getQualityBadge(dateInfo.cloudCover);
+                            const isPoor = showCloud && dateInfo.cloudCover > 50;
+
+                            return (
+                                <button
+                                    key={dateInfo.date}
+                                    className={`date-option ${value === dateInfo.date ? "selected" : ""
+                                        } ${isPoor ? "poor-quality" : ""}`}
+                                    onClick={() => {
+                                        onChange(dateInfo.date);
+                                        setIsOpen(false);
+                                    }}
+                                >
+                                    <span className="date-text">{formatDate(dateInfo.date)}</span>
+                                    {dateInfo.fallback && (
+                                        <span className="date-source">{getCollectionName(dateInfo.collection)}</span>
+                                    )}
+                                    {showCloud && (
+                                        <span className="cloud-info">
+                                            <span className="cloud-icon">☁️</span>
+                                            <span className="cloud-percent">
+                                                {Math.round(dateInfo.cloudCover)}%
+                                            </span>
+                                            <span
+                                                className="quality-badge"
+                                                style={{ backgroundColor: quality.color }}
+                                            >
+                                                {quality.label}
+                                            </span>
+                                        </span>
+                                    )}
+                                </button>
+                            );
+                        })
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const SatelliteImagerySection = ({ farmId, coords, farmName }) => {
     // State
     const [selectedIndex, setSelectedIndex] = useState("ndvi");
     const [selectedDate, setSelectedDate] = useState(null);
     const [availableDates, setAvailableDates] = useState([]);
+    const [datesCollection, setDatesCollection] = useState(null);
     const [imageUrl, setImageUrl] = useState(null);
     const [mapBounds, setMapBounds] = useState(null);
     const [opacity, setOpacity] = useState(0.85);
@@ -101,7 +318,67 @@ const SatelliteImagerySection = ({ farmId, coords }) => {
     const [error, setError] = useState(null);
     const [pointValue, setPointValue] = useState(null);
     const [pointLoading, setPointLoading] = useState(false);
-    const [isDropdownOpen, setIsDropdownOpen] = useState(false);
+
+    // Optical and radar layers come from different collections with their own acquisition dates.
+    // datesCollection is the collection the date list was loaded for; each optical date also names
+    // the collection it is read from, so a date without a clear Sentinel-2 scene falls back to Landsat
+    const activeCollection = getIndexCollection(selectedIndex);
+    const radarSelected = activeCollection === RADAR_COLLECTION;
+    const datesReady = datesCollection === activeCollection;
+    const getDateCollection = useCallback(
+        (date) => availableDates.find((d) => d.date === date)?.collection || activeCollection,
+        [availableDates, activeCollection]
+    );
+    const sourceCollection = datesReady ? getDateCollection(selectedDate) : activeCollection;
+    const usingFallback = sourceCollection !== activeCollection;
+    const isUnavailable = (indexId) => usingFallback && !isIndexAvailable(indexId, sourceCollection);
+
+    // Compare mode state ("before" image shown left of the swipe divider)
+    const [compareMode, setCompareMode] = useState(false);
+    const [compareDate, setCompareDate] = useState(null);
+    const compareCollection = datesReady ? getDateCollection(compareDate) : activeCollection;
+    const [compareImageUrl, setCompareImageUrl] = useState(null);
+    const [compareLoading, setCompareLoading] = useState(false);
+    const [swipePosition, setSwipePosition] = useState(50);
+
+    // Change detection state ("change" view replaces the swipe with an after - before layer)
+    const [compareView, setCompareView] = useState("swipe");
+    const [changeRaster, setChangeRaster] = useState(null);
+    const [changeLoading, setChangeLoading] = useState(false);
+    const [anomalyLevel, setAnomalyLevel] = useState("moderate");
+    // Both dates must come from the same sensor for a per-pixel difference
+    const canDetectChange = isStatisticalIndex(selectedIndex) && compareCollection === sourceCollection;
+
+    // Time-lapse state (frames are cached per index and date as object URLs)
+    const [timelapseMode, setTimelapseMode] = useState(false);
+    const [cloudThreshold, setCloudThreshold] = useState(30);
+    const [frameIndex, setFrameIndex] = useState(0);
+    const [playing, setPlaying] = useState(false);
+    const [frameDelay, setFrameDelay] = useState(1000);
+    const [frameUrls, setFrameUrls] = useState({});
+    const frameUrlsRef = useRef({});
+    const [exporting, setExporting] = useState(null);
+
+    // GeoTIFF export state (dates to bundle and download progress)
+    const [exportOpen, setExportOpen] = useState(false);
+    const [exportDates, setExportDates] = useState([]);
+    const [tiffProgress, setTiffProgress] = useState(null);
+    const hasRawValues = isStatisticalIndex(selectedIndex);
+
+    // Field uniformity panel (raw values of the date on screen, stress threshold per index)
+    const [showUniformity, setShowUniformity] = useState(true);
+    const [fieldRaster, setFieldRaster] = useState(null);
+    const [uniformityLoading, setUniformityLoading] = useState(false);
+    const [stressThreshold, setStressThreshold] = useState(
+        SPECTRAL_INDICES.ndvi.stressThreshold ?? null
+    );
+
+    // Point history: the latest click plus up to five pinned points
+    const [historyPoints, setHistoryPoints] = useState([]);
+
+    // IoT devices placed on the farm (shown as markers)
+    const [sensorDevices, setSensorDevices] = useState([]);
+    const showChange = compareMode && compareView === "change" && canDetectChange;
 
     // Convert coords to bounds for map
     const coordsToBounds = useCallback((coords) => {
@@ -114,15 +391,48 @@ const SatelliteImagerySection = ({ farmId, coords }) => {
         ];
     }, []);
 
-    // Fetch available dates on mount
+    useEffect(() => {
+        if (!farmId) return;
+
+        let cancelled = false;
+        getFarmIoTDevices(farmId).then((devices) => {
+            if (!cancelled) {
+                setSensorDevices(devices.filter((d) => Number.isFinite(d.latitude) && Number.isFinite(d.longitude)));
+            }
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [farmId]);
+
+    // Fetch available dates on mount and whenever the layer switches between optical and radar
     useEffect(() => {
         if (!coords || coords.length < 3) return;
 
+        let cancelled = false;
         const fetchDates = async () => {
             setDatesLoading(true);
             try {
-                const { dates } = await getAvailableDates(coords, 180);
+                let dates;
+                if (activeCollection === OPTICAL_COLLECTION) {
+                    // Landsat scenes fill the windows where Sentinel-2 has no clear scene
+                    const [primary, fallback] = await Promise.all([
+                        getAvailableDates(coords, 180, OPTICAL_COLLECTION),
+                        getAvailableDates(coords, 180, OPTICAL_FALLBACK_COLLECTION).catch((err) => {
+                            console.error("Failed to fetch fallback dates:", err);
+                            return { dates: [] };
+                        }),
+                    ]);
+                    dates = mergeFallbackDates(primary.dates, fallback.dates);
+                } else {
+                    const result = await getAvailableDates(coords, 180, activeCollection);
+                    dates = result.dates.map((d) => ({ ...d, collection: activeCollection }));
+                }
+
+                if (cancelled) return;
                 setAvailableDates(dates);
+                setDatesCollection(activeCollection);
+                setCompareDate(null);
 
                 // Auto-select most recent date with excellent quality (≤15% cloud cover)
                 const excellentDate = dates.find((d) => d.cloudCover <= 15);
@@ -131,23 +441,39 @@ const SatelliteImagerySection = ({ farmId, coords }) => {
                 } else if (dates.length > 0) {
                     // Fallback to most recent
                     setSelectedDate(dates[0].date);
+                } else {
+                    setSelectedDate(null);
                 }
             } catch (err) {
                 console.error("Failed to fetch available dates:", err);
-                setError("Failed to load available dates");
+                if (!cancelled) setError("Failed to load available dates");
             } finally {
-                setDatesLoading(false);
+                if (!cancelled) setDatesLoading(false);
             }
         };
 
         fetchDates();
+        return () => {
+            cancelled = true;
+        };
+    }, [coords, activeCollection]);
+
+    useEffect(() => {
         setMapBounds(coordsToBounds(coords));
     }, [coords, coordsToBounds]);
 
+    // Indices that need bands the fallback source lacks (e.g. red-edge) drop back to NDVI
+    useEffect(() => {
+        if (datesReady && !isIndexAvailable(selectedIndex, sourceCollection)) {
+            setSelectedIndex("ndvi");
+        }
+    }, [datesReady, sourceCollection, selectedIndex]);
+
     // Fetch image when index or date changes
     useEffect(() => {
-        if (!coords || coords.length < 3 || !selectedDate) return;
+        if (!coords || coords.length < 3 || !selectedDate || !datesReady) return;
 
+        let cancelled = false;
         const fetchImage = async () => {
             setLoading(true);
             setError(null);
@@ -158,30 +484,408 @@ const SatelliteImagerySection = ({ farmId, coords }) => {
                     throw new Error(`Unknown index: ${selectedIndex}`);
                 }
 
-                const url = await indexConfig.fetchFn(coords, 512, 512, selectedDate);
+                const url = await indexConfig.fetchFn(coords, 512, 512, selectedDate, sourceCollection);
+                if (cancelled) {
+                    URL.revokeObjectURL(url);
+                    return;
+                }
                 setImageUrl(url);
             } catch (err) {
                 console.error("Failed to fetch satellite image:", err);
+                if (cancelled) return;
                 setError(`Failed to load ${SATELLITE_INDICES[selectedIndex]?.name || selectedIndex} image`);
                 setImageUrl(null);
             } finally {
-                setLoading(false);
+                if (!cancelled) setLoading(false);
             }
         };
 
         fetchImage();
-    }, [coords, selectedIndex, selectedDate]);
+        return () => {
+            cancelled = true;
+            setLoading(false);
+        };
+    }, [coords, selectedIndex, selectedDate, datesReady, sourceCollection]);
+
+    // Release each image once it is replaced (and the last one on unmount)
+    useEffect(() => {
+        return () => {
+            if (imageUrl) URL.revokeObjectURL(imageUrl);
+        };
+    }, [imageUrl]);
+
+    // Pick a default "before" date when compare mode is switched on:
+    // the most recent clear (≤30% cloud) date older than the selected date
+    useEffect(() => {
+        if (!compareMode || compareDate || !selectedDate) return;
+
+        const olderDates = availableDates.filter((d) => d.date < selectedDate);
+        const clearDate =
+            olderDates.find((d) => d.cloudCover <= 30 && d.collection === sourceCollection) ||
+            olderDates.find((d) => d.cloudCover <= 30);
+        const fallback = clearDate || olderDates[0] || availableDates.find((d) => d.date !== selectedDate);
+        if (fallback) setCompareDate(fallback.date);
+    }, [compareMode, compareDate, selectedDate, availableDates, sourceCollection]);
+
+    // Fetch the "before" image when compare mode is on
+    useEffect(() => {
+        if (!compareMode || !coords || coords.length < 3 || !compareDate || !datesReady) return;
+
+        let cancelled = false;
+        const fetchCompareImage = async () => {
+            setCompareLoading(true);
+            setError(null);
+
+            try {
+                const url = await SATELLITE_INDICES[selectedIndex].fetchFn(
+                    coords,
+                    512,
+                    512,
+                    compareDate,
+                    compareCollection
+                );
+                if (cancelled) {
+                    URL.revokeObjectURL(url);
+                    return;
+                }
+                setCompareImageUrl(url);
+            } catch (err) {
+                console.error("Failed to fetch comparison image:", err);
+                if (cancelled) return;
+                setError(`Failed to load ${SATELLITE_INDICES[selectedIndex]?.name || selectedIndex} image for comparison`);
+                setCompareImageUrl(null);
+            } finally {
+                if (!cancelled) setCompareLoading(false);
+            }
+        };
+
+        fetchCompareImage();
+        return () => {
+            cancelled = true;
+            setCompareLoading(false);
+        };
+    }, [compareMode, coords, selectedIndex, compareDate, datesReady, compareCollection]);
+
+    useEffect(() => {
+        return () => {
+            if (compareImageUrl) URL.revokeObjectURL(compareImageUrl);
+        };
+    }, [compareImageUrl]);
+
+    // Fetch the per-pixel change raster when the change view is shown
+    useEffect(() => {
+        if (!showChange || !coords || coords.length < 3 || !compareDate || !selectedDate || !datesReady) return;
+
+        let cancelled = false;
+        const fetchChange = async () => {
+            setChangeLoading(true);
+            setChangeRaster(null);
+            setError(null);
+
+            try {
+                const raster = await getIndexChangeRaster(
+                    selectedIndex,
+                    coords,
+                    compareDate,
+                    selectedDate,
+                    sourceCollection
+                );
+                if (!cancelled) setChangeRaster(raster);
+            } catch (err) {
+                console.error("Failed to fetch change raster:", err);
+                if (!cancelled) setError(`Failed to compute ${SATELLITE_INDICES[selectedIndex]?.name || selectedIndex} change`);
+            } finally {
+                if (!cancelled) setChangeLoading(false);
+            }
+        };
+
+        fetchChange();
+        return () => {
+            cancelled = true;
+        };
+    }, [showChange, coords, selectedIndex, compareDate, selectedDate, datesReady, sourceCollection]);
+
+    // Each index starts from its own stress threshold
+    useEffect(() => {
+        setStressThreshold(SPECTRAL_INDICES[selectedIndex]?.stressThreshold ?? null);
+    }, [selectedIndex]);
+
+    // Fetch raw values of the date on screen for the uniformity panel
+    useEffect(() => {
+        setFieldRaster(null);
+        if (!showUniformity || !hasRawValues || !coords || coords.length < 3 || !selectedDate || !datesReady) return;
+
+        let cancelled = false;
+        const fetchFieldRaster = async () => {
+            setUniformityLoading(true);
+            try {
+                const raster = await getIndexRaster(selectedIndex, coords, selectedDate, sourceCollection);
+                if (!cancelled) setFieldRaster(raster);
+            } catch (err) {
+                console.error("Failed to fetch field raster:", err);
+            } finally {
+                if (!cancelled) setUniformityLoading(false);
+            }
+        };
+
+        fetchFieldRaster();
+        return () => {
+            cancelled = true;
+        };
+    }, [showUniformity, hasRawValues, coords, selectedIndex, selectedDate, datesReady, sourceCollection]);
+
+    const uniformity = useMemo(() => {
+        if (!fieldRaster) return null;
+        return computeUniformity(fieldRaster, {
+            threshold: Number.isFinite(stressThreshold) ? stressThreshold : null,
+            range: getIndexConfig(selectedIndex).range,
+        });
+    }, [fieldRaster, stressThreshold, selectedIndex]);
+
+    // Render the change raster with a diverging ramp (red = decline, green = gain)
+    const changeScale = useMemo(() => {
+        const [min, max] = getIndexConfig(selectedIndex).range;
+        return CHANGE_SCALE_FRACTION * (max - min);
+    }, [selectedIndex]);
+
+    const changeImageUrl = useMemo(() => {
+        if (!changeRaster) return null;
+        return rasterToDataUrl(changeRaster, (value) => [
+            ...interpolateColor(value / changeScale, CHANGE_COLOR_STOPS),
+            255,
+        ]);
+    }, [changeRaster, changeScale]);
+
+    // Vectorize strongly negative areas into anomaly zones
+    const anomalyThreshold = getAnomalyThreshold(selectedIndex, anomalyLevel);
+    const anomalyZones = useMemo(() => {
+        if (!changeRaster) return null;
+        return findAnomalyZones(changeRaster, { threshold: anomalyThreshold });
+    }, [changeRaster, anomalyThreshold]);
+
+    const anomalyTotalHa = anomalyZones
+        ? anomalyZones.features.reduce((sum, f) => sum + f.properties.area_ha, 0)
+        : 0;
+
+    const handleDownloadZones = () => {
+        const blob = new Blob([JSON.stringify(anomalyZones, null, 2)], {
+            type: "application/geo+json",
+        });
+        downloadBlob(blob, `anomaly-zones_${selectedIndex}_${compareDate}_${selectedDate}.geojson`);
+    };
+
+    // Time-lapse frames: every date under the cloud threshold whose source has the index, oldest first
+    const timelapseDates = useMemo(
+        () =>
+            availableDates
+                .filter((d) => d.cloudCover <= cloudThreshold && isIndexAvailable(selectedIndex, d.collection))
+                .slice()
+                .reverse(),
+        [availableDates, cloudThreshold, selectedIndex]
+    );
+    const frameKey = (dateInfo) => `${dateInfo.collection}:${selectedIndex}:${dateInfo.date}`;
+    const currentFrame = timelapseDates[Math.min(frameIndex, timelapseDates.length - 1)] || null;
+    const currentFrameUrl = currentFrame ? frameUrls[frameKey(currentFrame)] : null;
+    const loadedFrameCount = timelapseDates.filter((d) => frameUrls[frameKey(d)]).length;
+
+    // Keep the frame index in range when the threshold changes
+    useEffect(() => {
+        setFrameIndex(0);
+        setPlaying(false);
+    }, [cloudThreshold, selectedIndex]);
+
+    // Release the frames of the previous farm or index (and all of them on unmount)
+    useEffect(() => {
+        return () => {
+            Object.values(frameUrlsRef.current).forEach((url) => URL.revokeObjectURL(url));
+            frameUrlsRef.current = {};
+            setFrameUrls({});
+        };
+    }, [coords, selectedIndex]);
+
+    // Load time-lapse frames one at a time so playback can start while the rest arrive
+    useEffect(() => {
+        if (!timelapseMode || !coords || coords.length < 3 || !datesReady) return;
+
+        let cancelled = false;
+        const loadFrames = async () => {
+            for (const { date, collection } of timelapseDates) {
+                if (cancelled) return;
+                const key = `${collection}:${selectedIndex}:${date}`;
+                if (frameUrlsRef.current[key]) continue;
+
+                try {
+                    const url = await SATELLITE_INDICES[selectedIndex].fetchFn(
+                        coords,
+                        512,
+                        512,
+                        date,
+                        collection
+                    );
+                    if (cancelled) {
+                        URL.revokeObjectURL(url);
+                        return;
+                    }
+                    frameUrlsRef.current[key] = url;
+                    setFrameUrls((prev) => ({ ...prev, [key]: url }));
+                } catch (err) {
+                    console.error(`Failed to load time-lapse frame ${date}:`, err);
+                }
+            }
+        };
+
+        loadFrames();
+        return () => {
+            cancelled = true;
+        };
+    }, [timelapseMode, coords, selectedIndex, timelapseDates, datesReady]);
+
+    // Advance playback once the current frame is on screen
+    useEffect(() => {
+        if (!playing || !currentFrameUrl || timelapseDates.length < 2) return;
+
+        const timer = setTimeout(() => {
+            setFrameIndex((i) => (i + 1) % timelapseDates.length);
+        }, frameDelay);
+        return () => clearTimeout(timer);
+    }, [playing, currentFrameUrl, frameIndex, frameDelay, timelapseDates.length]);
+
+    const toggleTimelapse = () => {
+        setTimelapseMode(!timelapseMode);
+        setCompareMode(false);
+        setPlaying(false);
+    };
+
+    const toggleCompare = () => {
+        setCompareMode(!compareMode);
+        setTimelapseMode(false);
+        setPlaying(false);
+    };
+
+    const handleExportTimelapse = async (format) => {
+        const frames = timelapseDates
+            .filter((d) => frameUrls[frameKey(d)])
+            .map((d) => ({
+                url: frameUrls[frameKey(d)],
+                label: formatDate(d.date),
+                subtitle: radarSelected
+                    ? `${SATELLITE_INDICES[selectedIndex]?.name} · Sentinel-1`
+                    : `${SATELLITE_INDICES[selectedIndex]?.name} · ${getCollectionName(d.collection)} · ${Math.round(d.cloudCover)}% cloud`,
+            }));
+        if (frames.length === 0) return;
+
+        setPlaying(false);
+        setExporting(format);
+        try {
+            const options = { width: 512, height: 512, frameDelay };
+            const blob =
+                format === "gif"
+                    ? await exportFramesAsGif(frames, options)
+                    : await exportFramesAsWebM(frames, options);
+            const first = timelapseDates[0].date;
+            const last = timelapseDates[timelapseDates.length - 1].date;
+            downloadBlob(blob, `timelapse_${selectedIndex}_${first}_${last}.${format}`);
+        } catch (err) {
+            console.error("Failed to export time-lapse:", err);
+            toast.error(`Failed to export ${format.toUpperCase()}`);
+        } finally {
+            setExporting(null);
+        }
+    };
+
+    // Drop selected export dates that are not in the current collection's date list
+    useEffect(() => {
+        setExportDates((prev) => prev.filter((date) => availableDates.some((d) => d.date === date)));
+    }, [availableDates]);
+
+    // Start the GeoTIFF date selection from the date on screen
+    const toggleExport = () => {
+        setExportOpen(!exportOpen);
+        setExportDates(selectedDate ? [selectedDate] : []);
+    };
+
+    const toggleExportDate = (date) => {
+        setExportDates((prev) =>
+            prev.includes(date) ? prev.filter((d) => d !== date) : [...prev, date].sort()
+        );
+    };
+
+    // Download FLOAT32 GeoTIFFs: one file for a single date, a zip for several
+    const handleExportGeoTiff = async () => {
+        if (exportDates.length === 0) return;
+
+        const baseName = `${toFileSafeName(farmName || `farm-${farmId}`)}_${selectedIndex}`;
+        setTiffProgress({ done: 0, total: exportDates.length });
+        try {
+            const files = [];
+            for (const date of exportDates) {
+                const blob = await getIndexGeoTiff(selectedIndex, coords, date, getDateCollection(date));
+                files.push({ name: `${baseName}_${date}.tif`, blob });
+                setTiffProgress({ done: files.length, total: exportDates.length });
+            }
+
+            if (files.length === 1) {
+                downloadBlob(files[0].blob, files[0].name);
+            } else {
+                const first = exportDates[0];
+                const last = exportDates[exportDates.length - 1];
+                downloadBlob(await toZipBlob(files), `${baseName}_${first}_${last}.zip`);
+            }
+            toast.success(`Exported ${files.length} GeoTIFF${files.length > 1 ? "s" : ""}`);
+        } catch (err) {
+            console.error("Failed to export GeoTIFF:", err);
+            toast.error("Failed to export GeoTIFF");
+        } finally {
+            setTiffProgress(null);
+        }
+    };
+
+    // Add a clicked location to the point history chart, replacing the previous unpinned point
+    const addHistoryPoint = useCallback(({ lat, lng }) => {
+        setHistoryPoints((prev) => {
+            const pinned = prev.filter((p) => p.pinned);
+            const usedColors = pinned.map((p) => p.color);
+            return [
+                ...pinned,
+                {
+                    id: `${Date.now()}`,
+                    lat,
+                    lng,
+                    label: `${lat.toFixed(4)}, ${lng.toFixed(4)}`,
+                    color: POINT_COLORS.find((c) => !usedColors.includes(c)),
+                    pinned: false,
+                },
+            ];
+        });
+    }, []);
+
+    const pinHistoryPoint = (id) => {
+        setHistoryPoints((prev) => prev.map((p) => (p.id === id ? { ...p, pinned: true } : p)));
+    };
+
+    const removeHistoryPoint = (id) => {
+        setHistoryPoints((prev) => prev.filter((p) => p.id !== id));
+    };
 
     // Handle map click for vegetation values
+    const activeDate = timelapseMode ? currentFrame?.date : selectedDate;
     const handleMapClick = useCallback(
         async ({ lat, lng }) => {
-            if (!selectedDate) return;
+            addHistoryPoint({ lat, lng });
+            // Point stats are optical vegetation indices; radar points are read from the history chart
+            if (!activeDate || radarSelected) return;
 
             setPointLoading(true);
             setPointValue(null);
 
             try {
-                const stats = await getPointStats(lat, lng, selectedDate);
+                const stats = await getPointStats(
+                    lat,
+                    lng,
+                    activeDate,
+                    ["ndvi", "savi", "moisture"],
+                    getDateCollection(activeDate)
+                );
                 setPointValue(stats);
             } catch (err) {
                 console.error("Failed to get point stats:", err);
@@ -190,27 +894,9 @@ const SatelliteImagerySection = ({ farmId, coords }) => {
                 setPointLoading(false);
             }
         },
-        [selectedDate]
+        [activeDate, radarSelected, getDateCollection, addHistoryPoint]
     );
 
-    // Format date for display
-    const formatDate = (dateStr) => {
-        const date = new Date(dateStr);
-        return date.toLocaleDateString("en-US", {
-            month: "short",
-            day: "numeric",
-            year: "numeric",
-        });
-    };
-
-    // Get quality badge for cloud cover
-    const getQualityBadge = (cloudCover) => {
-        if (cloudCover <= 15) return CLOUD_QUALITY.excellent;
-        if (cloudCover <= 30) return CLOUD_QUALITY.good;
-        if (cloudCover <= 50) return CLOUD_QUALITY.moderate;
-        return CLOUD_QUALITY.poor;
-    };
-
     // Get map center from bounds
     const getMapCenter = () => {
         if (!mapBounds) return [31.47, 74.41]; // Default to LUMS area
@@ -242,11 +928,17 @@ const SatelliteImagerySection = ({ farmId, coords }) => {
 
     // Polygon removed - satellite image overlay already shows farm area
 
+    const histogramPeak = uniformity ? Math.max(...uniformity.histogram.map((bin) => bin.percent)) : 0;
+
+    const mapBusy = timelapseMode
+        ? !!currentFrame && !currentFrameUrl
+        : loading || compareLoading || changeLoading;
+
     // Don't render if no coords
     if (!coords || coords.length < 3) {
         return (
             <div className="data-card satellite-imagery-card">
-                <h3>Sentinel-2 Satellite Imagery</h3>
+                <h3>{DATA_COLLECTIONS[activeCollection].shortName} Satellite Imagery</h3>
                 <div className="satellite-placeholder">
                     <span className="material-symbols-outlined">satellite_alt</span>
                     <p>No farm boundary defined</p>
@@ -261,8 +953,53 @@ const SatelliteImagerySection = ({ farmId, coords }) => {
             <div className="satellite-header">
                 <h3>
                     <span className="material-symbols-outlined header-icon">satellite_alt</span>
-                    Sentinel-2 Satellite Imagery
+                    {DATA_COLLECTIONS[sourceCollection].shortName} Satellite Imagery
+                    {usingFallback && (
+                        <span
+                            className="source-badge"
+                            title={`No clear ${getCollectionName(activeCollection)} scene within ${FALLBACK_WINDOW_DAYS} days of this date - showing ${DATA_COLLECTIONS[sourceCollection].name}`}
+                        >
+                            {getCollectionName(sourceCollection)} fallback
+                        </span>
+                    )}
                 </h3>
+                <div className="satellite-header-actions">
+                    <button
+                        className={`compare-toggle-btn ${showUniformity ? "active" : ""}`}
+                        onClick={() => setShowUniformity(!showUniformity)}
+                        title="Histogram and uniformity of values inside the farm"
+                    >
+                        <span className="material-symbols-outlined">bar_chart</span>
+                        Uniformity
+                    </button>
+                    <button
+                        className={`compare-toggle-btn ${exportOpen ? "active" : ""}`}
+                        onClick={toggleExport}
+                        disabled={availableDates.length === 0}
+                        title="Download raw index values as FLOAT32 GeoTIFF"
+                    >
+                        <span className="material-symbols-outlined">download</span>
+                        GeoTIFF
+                    </button>
+                    <button
+                        className={`compare-toggle-btn ${timelapseMode ? "active" : ""}`}
+                        onClick={toggleTimelapse}
+                        disabled={availableDates.length < 2}
+                        title="Step through every date under a cloud threshold"
+                    >
+                        <span className="material-symbols-outlined">animated_images</span>
+                        {timelapseMode ? "Exit Time-lapse" : "Time-lapse"}
+                    </button>
+                    <button
+                        className={`compare-toggle-btn ${compareMode ? "active" : ""}`}
+                        onClick={toggleCompare}
+                        disabled={availableDates.length < 2}
+                        title="Compare two dates with a swipe divider"
+                    >
+                        <span className="material-symbols-outlined">compare</span>
+                        {compareMode ? "Exit Compare" : "Compare Dates"}
+                    </button>
+                </div>
             </div>
 
             {/* Controls Row */}
@@ -271,97 +1008,154 @@ const SatelliteImagerySection = ({ farmId, coords }) => {
                 <div className="control-group">
                     <label>Index</label>
                     <div className="index-buttons">
-                        {Object.entries(SATELLITE_INDICES).map(([key, config]) => (
-                            <button
-                                key={key}
-                                className={`index-btn ${selectedIndex === key ? "active" : ""}`}
-                                onClick={() => setSelectedIndex(key)}
-                                title={config.description}
-                            >
-                                <span className="material-symbols-outlined">{config.icon}</span>
-                                <span className="btn-label">{config.name}</span>
-                            </button>
-                        ))}
+                        {Object.entries(SATELLITE_INDICES)
+                            .filter(([, config]) => !config.radar)
+                            .map(([key, config]) => (
+                                <button
+                                    key={key}
+                                    className={`index-btn ${selectedIndex === key ? "active" : ""}`}
+                                    onClick={() => setSelectedIndex(key)}
+                                    disabled={isUnavailable(key)}
+                                    title={
+                                        isUnavailable(key)
+                                            ? `${config.description} (not available from ${getCollectionName(sourceCollection)})`
+                                            : config.description
+                                    }
+                                >
+                                    <span className="material-symbols-outlined">{config.icon}</span>
+                                    <span className="btn-label">{config.name}</span>
+                                </button>
+                            ))}
                     </div>
                 </div>
 
-                {/* Date Selector */}
-                <div className="control-group date-control">
-                    <label>Date</label>
-                    <div className="date-dropdown-container">
-                        <button
-                            className="date-dropdown-trigger"
-                            onClick={() => setIsDropdownOpen(!isDropdownOpen)}
-                            disabled={datesLoading}
-                        >
-                            {datesLoading ? (
-                                <span>Loading dates...</span>
-                            ) : selectedDate ? (
-                                <>
-                                    <span className="selected-date">{formatDate(selectedDate)}</span>
-                                    <span
-                                        className="cloud-badge"
-                                        style={{
-                                            backgroundColor: getQualityBadge(
-                                                availableDates.find((d) => d.date === selectedDate)?.cloudCover || 0
-                                            ).color,
-                                        }}
-                                    >
-                                        ☁️{" "}
-                                        {Math.round(
-                                            availableDates.find((d) => d.date === selectedDate)?.cloudCover || 0
-                                        )}
-                                        %
-                                    </span>
-                                </>
-                            ) : (
-                                <span>Select date...</span>
-                            )}
-                            <span className="material-symbols-outlined dropdown-arrow">
-                                {isDropdownOpen ? "expand_less" : "expand_more"}
-                            </span>
-                        </button>
+                {/* Radar (Sentinel-1) Selector - all-weather fallback for cloudy periods */}
+                <div className="control-group">
+                    <label>Radar</label>
+                    <div className="index-buttons radar-buttons">
+                        {Object.entries(SATELLITE_INDICES)
+                            .filter(([, config]) => config.radar)
+                            .map(([key, config]) => (
+                                <button
+                                    key={key}
+                                    className={`index-btn radar ${selectedIndex === key ? "active" : ""}`}
+                                    onClick={() => setSelectedIndex(key)}
+                                    title={`${config.description} (Sentinel-1, sees through clouds)`}
+                                >
+                                    <span className="material-symbols-outlined">{config.icon}</span>
+                                    <span className="btn-label">{config.name}</span>
+                                </button>
+                            ))}
+                    </div>
+                </div>
 
-                        {isDropdownOpen && (
-                            <div className="date-dropdown-menu">
-                                {availableDates.length === 0 ? (
-                                    <div className="date-option disabled">No dates available</div>
-                                ) : (
-                                    availableDates.map((dateInfo) => {
-                                        const quality = getQualityBadge(dateInfo.cloudCover);
-                                        const isPoor = dateInfo.cloudCover > 50;
-
-                                        return (
-                                            <button
-                                                key={dateInfo.date}
-                                                className={`date-option ${selectedDate === dateInfo.date ? "selected" : ""
-                                                    } ${isPoor ? "poor-quality" : ""}`}
-                                                onClick={() => {
-                                                    setSelectedDate(dateInfo.date);
-                                                    setIsDropdownOpen(false);
-                                                }}
-                                            >
-                                                <span className="date-text">{formatDate(dateInfo.date)}</span>
-                                                <span className="cloud-info">
-                                                    <span className="cloud-icon">☁️</span>
-                                                    <span className="cloud-percent">
-                                                        {Math.round(dateInfo.cloudCover)}%
-                                                    </span>
-                                                    <span
-                                                        className="quality-badge"
-                                                        style={{ backgroundColor: quality.color }}
-                                                    >
-                                                        {quality.label}
-                                                    </span>
-                                                </span>
-                                            </button>
-                                        );
-                                    })
-                                )}
+                {/* Date Selector (time-lapse steps through dates instead) */}
+                {timelapseMode ? (
+                    <>
+                        {!radarSelected && (
+                            <div className="control-group">
+                                <label>Max Cloud</label>
+                                <select
+                                    value={cloudThreshold}
+                                    onChange={(e) => setCloudThreshold(Number(e.target.value))}
+                                    className="timelapse-select"
+                                >
+                                    {TIMELAPSE_CLOUD_THRESHOLDS.map((t) => (
+                                        <option key={t} value={t}>
+                                            {t === 100 ? "Any" : `≤ ${t}%`}
+                                        </option>
+                                    ))}
+                                </select>
                             </div>
                         )}
+                        <div className="control-group">
+                            <label>Speed</label>
+                            <select
+                                value={frameDelay}
+                                onChange={(e) => setFrameDelay(Number(e.target.value))}
+                                className="timelapse-select"
+                            >
+                                {TIMELAPSE_SPEEDS.map((speed) => (
+                                    <option key={speed.delay} value={speed.delay}>
+                                        {speed.label}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    </>
+                ) : (
+                    <div className="control-group date-control">
+                        <label>{compareMode ? "After" : "Date"}</label>
+                        <DateDropdown
+                            dates={availableDates}
+                            value={selectedDate}
+                            onChange={setSelectedDate}
+                            loading={datesLoading}
+                            showCloud={!radarSelected}
+                        />
                     </div>
-                </div>
+                )}
+
+                {/* Compare ("before") Date Selector */}
+                {compareMode && (
+                    <div className="control-group date-control">
+                        <label>Before</label>
+                        <DateDropdown
+                            dates={availableDates}
+                            value={compareDate}
+                            onChange={setCompareDate}
+                            loading={datesLoading}
+                            showCloud={!radarSelected}
+                        />
+                    </div>
+                )}
+
+                {/* Compare View Toggle */}
+                {compareMode && (
+                    <div className="control-group compare-view-control">
+                        <label>View</label>
+                        <div className="compare-view-buttons">
+                            <button
+                                className={`compare-view-btn ${compareView === "swipe" ? "active" : ""}`}
+                                onClick={() => setCompareView("swipe")}
+                            >
+                                Swipe
+                            </button>
+                            <button
+                                className={`compare-view-btn ${compareView === "change" ? "active" : ""}`}
+                                onClick={() => setCompareView("change")}
+                                disabled={!canDetectChange}
+                                title={
+                                    canDetectChange
+                                        ? "Per-pixel change between the two dates"
+                                        : isStatisticalIndex(selectedIndex)
+                                            ? "Change detection needs both dates from the same satellite"
+                                            : "Change detection needs a spectral index"
+                                }
+                            >
+                                Change
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {/* Anomaly Threshold */}
+                {showChange && (
+                    <div className="control-group anomaly-control">
+                        <label>Anomaly</label>
+                        <select
+                            value={anomalyLevel}
+                            onChange={(e) => setAnomalyLevel(e.target.value)}
+                            className="anomaly-select"
+                        >
+                            {ANOMALY_LEVELS.map((level) => (
+                                <option key={level.id} value={level.id}>
+                                    {level.label} (≤ {getAnomalyThreshold(selectedIndex, level.id)})
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                )}
 
                 {/* Opacity Control */}
                 <div className="control-group opacity-control">
@@ -382,120 +1176,529 @@ const SatelliteImagerySection = ({ farmId, coords }) => {
             </div>
 
             {/* Map Container */}
-            <div className="satellite-map-container">
-                {loading && (
-                    <div className="map-loading-overlay">
-                        <div className="loader"></div>
-                        <p>Loading {SATELLITE_INDICES[selectedIndex]?.name || "image"}...</p>
-                    </div>
-                )}
+            <div className={`satellite-map-row ${showUniformity ? "with-panel" : ""}`}>
+                <div className="satellite-map-container">
+                    {mapBusy && (
+                        <div className="map-loading-overlay">
+                            <div className="loader"></div>
+                            <p>
+                                {changeLoading ? "Computing" : "Loading"} {SATELLITE_INDICES[selectedIndex]?.name || "image"}
+                                {changeLoading ? " change" : ""}...
+                            </p>
+                        </div>
+                    )}
 
-                {error && (
-                    <div className="map-error-overlay">
-                        <span className="material-symbols-outlined">error</span>
-                        <p>{error}</p>
-                    </div>
-                )}
+                    {error && (
+                        <div className="map-error-overlay">
+                            <span className="material-symbols-outlined">error</span>
+                            <p>{error}</p>
+                        </div>
+                    )}
+
+                    <MapContainer
+                        center={getMapCenter()}
+                        zoom={17}
+                        className="satellite-map"
+                        scrollWheelZoom={true}
+                    >
+                        <TileLayer
+                            url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
+                            attribution="&copy; Esri"
+                        />
+
+                        {mapBounds && <FitBounds bounds={mapBounds} />}
 
-                <MapContainer
-                    center={getMapCenter()}
-                    zoom={17}
-                    className="satellite-map"
-                    scrollWheelZoom={true}
-                >
-                    <TileLayer
-                        url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
-                        attribution="&copy; Esri"
-                    />
+                        {/* Note: Farm boundary polygon removed - satellite image overlay shows the farm area */}
+
+                        {/* Satellite image overlay */}
+                        {timelapseMode ? (
+                            currentFrameUrl && mapBounds && (
+                                <ImageOverlay url={currentFrameUrl} bounds={mapBounds} opacity={opacity} />
+                            )
+                        ) : showChange ? (
+                            <>
+                                {changeImageUrl && mapBounds && (
+                                    <ImageOverlay url={changeImageUrl} bounds={mapBounds} opacity={opacity} />
+                                )}
+                                {anomalyZones && (
+                                    <GeoJSON
+                                        key={`${anomalyThreshold}-${changeImageUrl}`}
+                                        data={anomalyZones}
+                                        style={{ color: "#b91c1c", weight: 2, fillOpacity: 0.1, dashArray: "4 3" }}
+                                        onEachFeature={(feature, layer) =>
+                                            layer.bindTooltip(
+                                                `Zone ${feature.properties.zone}: ${feature.properties.area_ha} ha, ` +
+                                                    `mean change ${feature.properties.mean_change}`
+                                            )
+                                        }
+                                    />
+                                )}
+                            </>
+                        ) : compareMode ? (
+                            <>
+                                {/* "Before" image fills the map, "after" image is clipped to the right of the divider */}
+                                {compareImageUrl && mapBounds && (
+                                    <ImageOverlay url={compareImageUrl} bounds={mapBounds} opacity={opacity} />
+                                )}
+                                <Pane name="swipe-after-pane" style={{ zIndex: 410 }}>
+                                    {imageUrl && mapBounds && (
+                                        <ImageOverlay url={imageUrl} bounds={mapBounds} opacity={opacity} />
+                                    )}
+                                    <SwipeClip paneName="swipe-after-pane" position={swipePosition} />
+                                </Pane>
+                            </>
+                        ) : (
+                            imageUrl && mapBounds && (
+                                <ImageOverlay url={imageUrl} bounds={mapBounds} opacity={opacity} />
+                            )
+                        )}
+
+                        {/* Point history markers */}
+                        {historyPoints.map((point) => (
+                            <CircleMarker
+                                key={point.id}
+                                center={[point.lat, point.lng]}
+                                radius={point.pinned ? 7 : 5}
+                                pathOptions={{
+                                    color: "#ffffff",
+                                    weight: 2,
+                                    fillColor: point.color,
+                                    fillOpacity: 1,
+                                }}
+                            />
+                        ))}
+
+                        {/* IoT device markers */}
+                        {sensorDevices.map((device) => (
+                            <CircleMarker
+                                key={device.id}
+                                center={[device.latitude, device.longitude]}
+                                radius={7}
+                                bubblingMouseEvents={false}
+                                pathOptions={{ color: "#ffffff", weight: 2, fillColor: "#0d9488", fillOpacity: 1 }}
+                            >
+                                <Tooltip direction="top" offset={[0, -6]}>
+                                    {device.device_name} ({device.device_type})
+                                </Tooltip>
+                            </CircleMarker>
+                        ))}
 
-                    {mapBounds && <FitBounds bounds={mapBounds} />}
+                        <MapClickHandler onClick={handleMapClick} />
+                    </MapContainer>
 
-                    {/* Note: Farm boundary polygon removed - satellite image overlay shows the farm area */}
+                    {/* Swipe Divider */}
+                    {compareMode && !showChange && (
+                        <div className="swipe-overlay">
+                            <div className="swipe-divider" style={{ left: `${swipePosition}%` }}></div>
+                            <span className="swipe-label before">
+                                Before{compareDate ? ` · ${formatDate(compareDate)}` : ""}
+                            </span>
+                            <span className="swipe-label after">
+                                After{selectedDate ? ` · ${formatDate(selectedDate)}` : ""}
+                            </span>
+                            <input
+                                type="range"
+                                min="0"
+                                max="100"
+                                step="0.5"
+                                value={swipePosition}
+                                onChange={(e) => setSwipePosition(parseFloat(e.target.value))}
+                                className="swipe-range"
+                                aria-label="Swipe divider position"
+                            />
+                        </div>
+                    )}
 
-                    {/* Satellite image overlay */}
-                    {imageUrl && mapBounds && (
-                        <ImageOverlay url={imageUrl} bounds={mapBounds} opacity={opacity} />
+                    {/* Time-lapse Date Label */}
+                    {timelapseMode && currentFrame && (
+                        <div className="timelapse-date-label">
+                            <span className="timelapse-date">{formatDate(currentFrame.date)}</span>
+                            <span className="timelapse-cloud">
+                                {radarSelected ? "Radar" : `${Math.round(currentFrame.cloudCover)}% cloud`}
+                            </span>
+                        </div>
                     )}
 
-                    <MapClickHandler onClick={handleMapClick} />
-                </MapContainer>
+                    {/* Point Value Display */}
+                    {(pointValue || pointLoading) && (
+                        <div className="point-value-display satellite-point">
+                            <button
+                                className="close-point-value"
+                                onClick={() => setPointValue(null)}
+                            >
+                                <span className="material-symbols-outlined">close</span>
+                            </button>
 
-                {/* Point Value Display */}
-                {(pointValue || pointLoading) && (
-                    <div className="point-value-display satellite-point">
-                        <button
-                            className="close-point-value"
-                            onClick={() => setPointValue(null)}
-                        >
-                            <span className="material-symbols-outlined">close</span>
-                        </button>
+                            {pointLoading ? (
+                                <div className="point-loading">
+                                    <div className="loader small"></div>
+                                    <span>Loading values...</span>
+                                </div>
+                            ) : pointValue?.error ? (
+                                <div className="point-error">
+                                    <span className="material-symbols-outlined">error</span>
+                                    <span>Failed to load values</span>
+                                </div>
+                            ) : (
+                                <>
+                                    {/* Health Status Badge */}
+                                    <div
+                                        className="health-badge"
+                                        style={{
+                                            backgroundColor: getHealthBadgeColor(pointValue.health),
+                                        }}
+                                    >
+                                        {pointValue.health}
+                                    </div>
 
-                        {pointLoading ? (
-                            <div className="point-loading">
+                                    {/* Coordinates */}
+                                    <div className="point-coords">
+                                        <span>
+                                            {pointValue.lat?.toFixed(5)}, {pointValue.lng?.toFixed(5)}
+                                        </span>
+                                    </div>
+
+                                    {/* Vegetation Indices Grid */}
+                                    <div className="indices-grid">
+                                        <div className="index-item">
+                                            <span className="index-label">NDVI</span>
+                                            <span className="index-value">
+                                                {Number.isFinite(pointValue.ndvi) ? pointValue.ndvi.toFixed(3) : "—"}
+                                            </span>
+                                        </div>
+                                        <div className="index-item">
+                                            <span className="index-label">SAVI</span>
+                                            <span className="index-value">
+                                                {Number.isFinite(pointValue.savi) ? pointValue.savi.toFixed(3) : "—"}
+                                            </span>
+                                        </div>
+                                        <div className="index-item">
+                                            <span className="index-label">Moisture</span>
+                                            <span className="index-value">
+                                                {Number.isFinite(pointValue.moisture)
+                                                    ? pointValue.moisture.toFixed(3)
+                                                    : "—"}
+                                            </span>
+                                        </div>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                {/* Field Uniformity Panel */}
+                {showUniformity && (
+                    <aside className="uniformity-panel">
+                        <div className="uniformity-title">
+                            <span className="material-symbols-outlined">bar_chart</span>
+                            {SATELLITE_INDICES[selectedIndex]?.name} in field
+                            {selectedDate && <span className="uniformity-date">{formatDate(selectedDate)}</span>}
+                        </div>
+
+                        {!hasRawValues ? (
+                            <p className="uniformity-note">
+                                {SATELLITE_INDICES[selectedIndex]?.name} is a display composite; pick an index to see its distribution
+                            </p>
+                        ) : uniformityLoading ? (
+                            <div className="uniformity-note">
                                 <div className="loader small"></div>
-                                <span>Loading values...</span>
-                            </div>
-                        ) : pointValue?.error ? (
-                            <div className="point-error">
-                                <span className="material-symbols-outlined">error</span>
-                                <span>Failed to load values</span>
+                                Reading pixel values...
                             </div>
+                        ) : !uniformity ? (
+                            <p className="uniformity-note">No clear pixels inside the farm on this date</p>
                         ) : (
                             <>
-                                {/* Health Status Badge */}
-                                <div
-                                    className="health-badge"
-                                    style={{
-                                        backgroundColor: getHealthBadgeColor(pointValue.health),
-                                    }}
-                                >
-                                    {pointValue.health}
+                                <div className="uniformity-histogram" role="img" aria-label="Histogram of in-field values">
+                                    {uniformity.histogram.map((bin) => (
+                                        <div
+                                            key={bin.from}
+                                            className="histogram-bar"
+                                            title={`${bin.from.toFixed(2)} – ${bin.to.toFixed(2)}: ${bin.percent.toFixed(1)}%`}
+                                        >
+                                            <div
+                                                className={`histogram-fill ${
+                                                    Number.isFinite(stressThreshold) && bin.to <= stressThreshold ? "stressed" : ""
+                                                }`}
+                                                style={{
+                                                    height: `${histogramPeak > 0 ? (bin.percent / histogramPeak) * 100 : 0}%`,
+                                                    backgroundColor:
+                                                        getIndexColor(selectedIndex, (bin.from + bin.to) / 2) || "#22c55e",
+                                                }}
+                                            ></div>
+                                        </div>
+                                    ))}
                                 </div>
-
-                                {/* Coordinates */}
-                                <div className="point-coords">
-                                    <span>
-                                        {pointValue.lat?.toFixed(5)}, {pointValue.lng?.toFixed(5)}
-                                    </span>
+                                <div className="histogram-axis">
+                                    <span>{uniformity.histogram[0].from.toFixed(1)}</span>
+                                    <span>{uniformity.histogram[uniformity.histogram.length - 1].to.toFixed(1)}</span>
                                 </div>
 
-                                {/* Vegetation Indices Grid */}
-                                <div className="indices-grid">
-                                    <div className="index-item">
-                                        <span className="index-label">NDVI</span>
-                                        <span className="index-value">
-                                            {pointValue.ndvi !== null ? pointValue.ndvi.toFixed(3) : "—"}
-                                        </span>
+                                <div className="uniformity-metrics">
+                                    <div className="uniformity-metric">
+                                        <span className="metric-label">Mean</span>
+                                        <span className="metric-value">{uniformity.mean.toFixed(2)}</span>
                                     </div>
-                                    <div className="index-item">
-                                        <span className="index-label">SAVI</span>
-                                        <span className="index-value">
-                                            {pointValue.savi !== null ? pointValue.savi.toFixed(3) : "—"}
+                                    <div className="uniformity-metric">
+                                        <span className="metric-label" title="Standard deviation ÷ mean; lower is more even">
+                                            CV
+                                        </span>
+                                        <span className="metric-value">
+                                            {uniformity.cv !== null ? `${(uniformity.cv * 100).toFixed(1)}%` : "—"}
                                         </span>
                                     </div>
-                                    <div className="index-item">
-                                        <span className="index-label">Moisture</span>
-                                        <span className="index-value">
-                                            {pointValue.moisture !== null
-                                                ? pointValue.moisture.toFixed(3)
+                                    <div className="uniformity-metric">
+                                        <span className="metric-label">P10</span>
+                                        <span className="metric-value">{uniformity.p10.toFixed(2)}</span>
+                                    </div>
+                                    <div className="uniformity-metric">
+                                        <span className="metric-label">P90</span>
+                                        <span className="metric-value">{uniformity.p90.toFixed(2)}</span>
+                                    </div>
+                                    <div className="uniformity-metric wide">
+                                        <span className="metric-label">
+                                            Below{" "}
+                                            <input
+                                                type="number"
+                                                step="0.05"
+                                                value={Number.isFinite(stressThreshold) ? stressThreshold : ""}
+                                                onChange={(e) =>
+                                                    setStressThreshold(e.target.value === "" ? null : parseFloat(e.target.value))
+                                                }
+                                                className="stress-threshold-input"
+                                                aria-label="Stress threshold"
+                                            />
+                                        </span>
+                                        <span className="metric-value stressed">
+                                            {uniformity.stressedPercent !== null
+                                                ? `${uniformity.stressedPercent.toFixed(1)}% of area`
                                                 : "—"}
                                         </span>
                                     </div>
                                 </div>
+                                <p className="uniformity-footnote">
+                                    {uniformity.count.toLocaleString()} clear{" "}
+                                    {DATA_COLLECTIONS[sourceCollection].resolution} m pixels · P90 − P10 spread{" "}
+                                    {(uniformity.p90 - uniformity.p10).toFixed(2)}
+                                </p>
                             </>
                         )}
-                    </div>
+                    </aside>
                 )}
             </div>
 
+            {/* GeoTIFF Export */}
+            {exportOpen && (
+                <div className="geotiff-export-panel">
+                    <div className="geotiff-export-header">
+                        <span>
+                            <span className="material-symbols-outlined">download</span>
+                            {SATELLITE_INDICES[selectedIndex]?.name} GeoTIFF · FLOAT32,{" "}
+                            {DATA_COLLECTIONS[sourceCollection].resolution} m, clipped to the
+                            farm boundary (NaN = cloud or no data)
+                        </span>
+                        <button
+                            className="geotiff-export-btn"
+                            onClick={handleExportGeoTiff}
+                            disabled={!hasRawValues || exportDates.length === 0 || !!tiffProgress}
+                        >
+                            <span className="material-symbols-outlined">
+                                {exportDates.length > 1 ? "folder_zip" : "download"}
+                            </span>
+                            {tiffProgress
+                                ? `Exporting ${tiffProgress.done}/${tiffProgress.total}...`
+                                : exportDates.length > 1
+                                    ? `Download ${exportDates.length} dates (.zip)`
+                                    : "Download .tif"}
+                        </button>
+                    </div>
+                    {hasRawValues ? (
+                        <div className="geotiff-export-dates">
+                            {availableDates.map((dateInfo) => (
+                                <label key={dateInfo.date} className="geotiff-export-date">
+                                    <input
+                                        type="checkbox"
+                                        checked={exportDates.includes(dateInfo.date)}
+                                        onChange={() => toggleExportDate(dateInfo.date)}
+                                        disabled={!!tiffProgress}
+                                    />
+                                    {formatDate(dateInfo.date)}
+                                    {!radarSelected && (
+                                        <span className="geotiff-export-cloud">{Math.round(dateInfo.cloudCover)}%</span>
+                                    )}
+                                </label>
+                            ))}
+                        </div>
+                    ) : (
+                        <p className="geotiff-export-note">
+                            {SATELLITE_INDICES[selectedIndex]?.name} is a display composite; pick an index to export raw values
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {/* Point History Chart */}
+            {historyPoints.length > 0 && (
+                <PointHistoryPanel
+                    points={historyPoints}
+                    onPin={pinHistoryPoint}
+                    onRemove={removeHistoryPoint}
+                    onClose={() => setHistoryPoints([])}
+                    maxPins={MAX_PINNED_POINTS}
+                    defaultIndex={selectedIndex}
+                    collection={sourceCollection}
+                />
+            )}
+
+            {/* Radar Statistics */}
+            {radarSelected && !timelapseMode && <RadarStatsPanel coords={coords} indexId={selectedIndex} />}
+
+            {/* Time-lapse Player */}
+            {timelapseMode && (
+                <div className="timelapse-player">
+                    {timelapseDates.length === 0 ? (
+                        <span className="timelapse-empty">
+                            {radarSelected
+                                ? "No radar acquisitions in the last 180 days"
+                                : `No dates at or below ${cloudThreshold}% cloud cover`}
+                        </span>
+                    ) : (
+                        <>
+                            <button
+                                className="timelapse-btn"
+                                onClick={() => setFrameIndex((i) => (i - 1 + timelapseDates.length) % timelapseDates.length)}
+                                title="Previous date"
+                            >
+                                <span className="material-symbols-outlined">skip_previous</span>
+                            </button>
+                            <button
+                                className="timelapse-btn play"
+                                onClick={() => setPlaying(!playing)}
+                                disabled={timelapseDates.length < 2}
+                                title={playing ? "Pause" : "Play"}
+                            >
+                                <span className="material-symbols-outlined">{playing ? "pause" : "play_arrow"}</span>
+                            </button>
+                            <button
+                                className="timelapse-btn"
+                                onClick={() => setFrameIndex((i) => (i + 1) % timelapseDates.length)}
+                                title="Next date"
+                            >
+                                <span className="material-symbols-outlined">skip_next</span>
+                            </button>
+                            <input
+                                type="range"
+                                min="0"
+                                max={timelapseDates.length - 1}
+                                step="1"
+                                value={Math.min(frameIndex, timelapseDates.length - 1)}
+                                onChange={(e) => setFrameIndex(parseInt(e.target.value, 10))}
+                                className="timelapse-scrubber"
+                                aria-label="Time-lapse position"
+                            />
+                            <span className="timelapse-count">
+                                {Math.min(frameIndex, timelapseDates.length - 1) + 1} / {timelapseDates.length}
+                                {loadedFrameCount < timelapseDates.length && (
+                                    <> · loading {loadedFrameCount}/{timelapseDates.length}</>
+                                )}
+                            </span>
+                            <div className="timelapse-export">
+                                <button
+                                    onClick={() => handleExportTimelapse("gif")}
+                                    disabled={!!exporting || loadedFrameCount === 0}
+                                >
+                                    <span className="material-symbols-outlined">gif_box</span>
+                                    {exporting === "gif" ? "Encoding..." : "GIF"}
+                                </button>
+                                {isWebMExportSupported() && (
+                                    <button
+                                        onClick={() => handleExportTimelapse("webm")}
+                                        disabled={!!exporting || loadedFrameCount === 0}
+                                    >
+                                        <span className="material-symbols-outlined">movie</span>
+                                        {exporting === "webm" ? "Recording..." : "WebM"}
+                                    </button>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+
+            {/* Change Legend and Anomaly Zones */}
+            {showChange && (
+                <div className="change-panel">
+                    <div className="change-legend">
+                        <span className="legend-title">{SATELLITE_INDICES[selectedIndex]?.name} change</span>
+                        <span className="change-legend-label">−{changeScale.toFixed(2)}</span>
+                        <span className="change-legend-bar"></span>
+                        <span className="change-legend-label">+{changeScale.toFixed(2)}</span>
+                    </div>
+
+                    {anomalyZones && (
+                        <div className="anomaly-zones">
+                            <div className="anomaly-zones-header">
+                                <span>
+                                    <span className="material-symbols-outlined">warning</span>
+                                    {anomalyZones.features.length === 0
+                                        ? `No areas dropped by ${Math.abs(anomalyThreshold)} or more`
+                                        : `${anomalyZones.features.length} anomaly zone${anomalyZones.features.length === 1 ? "" : "s"} · ${anomalyTotalHa.toFixed(2)} ha`}
+                                </span>
+                                {anomalyZones.features.length > 0 && (
+                                    <button className="anomaly-download-btn" onClick={handleDownloadZones}>
+                                        <span className="material-symbols-outlined">download</span>
+                                        GeoJSON
+                                    </button>
+                                )}
+                            </div>
+                            {anomalyZones.features.length > 0 && (
+                                <ul className="anomaly-zone-list">
+                                    {anomalyZones.features.map((feature) => (
+                                        <li key={feature.properties.zone}>
+                                            <span className="zone-name">Zone {feature.properties.zone}</span>
+                                            <span>{feature.properties.area_ha} ha</span>
+                                            <span className="zone-change">
+                                                mean {feature.properties.mean_change.toFixed(2)}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Index Legend */}
+            {!showChange && getIndexLegend(selectedIndex).length > 0 && (
+                <div className="index-legend">
+                    <span className="legend-title">{SATELLITE_INDICES[selectedIndex]?.name}</span>
+                    {getIndexLegend(selectedIndex).map((entry) => (
+                        <span key={entry.range} className="legend-entry" title={entry.range}>
+                            <span className="legend-swatch" style={{ backgroundColor: entry.color }}></span>
+                            {entry.label}
+                        </span>
+                    ))}
+                </div>
+            )}
+
             {/* Scene Info Footer */}
-            {selectedDate && !loading && (
+            {selectedDate && !loading && !timelapseMode && (
                 <div className="scene-info">
                     <span className="material-symbols-outlined">info</span>
                     <span>
-                        Showing {SATELLITE_INDICES[selectedIndex]?.name} from {formatDate(selectedDate)}
-                        {availableDates.find((d) => d.date === selectedDate) && (
-                            <> • Cloud cover: {Math.round(availableDates.find((d) => d.date === selectedDate).cloudCover)}%</>
+                        Showing {SATELLITE_INDICES[selectedIndex]?.name} from{" "}
+                        {compareMode && compareDate && <>{formatDate(compareDate)} vs </>}
+                        {formatDate(selectedDate)}
+                        {radarSelected ? (
+                            <> • Sentinel-1 radar (unaffected by clouds)</>
+                        ) : (
+                            <>
+                                {" "}• {DATA_COLLECTIONS[sourceCollection].name} ({DATA_COLLECTIONS[sourceCollection].resolution} m)
+                                {availableDates.find((d) => d.date === selectedDate) && (
+                                    <> • Cloud cover: {Math.round(availableDates.find((d) => d.date === selectedDate).cloudCover)}%</>
+                                )}
+                            </>
                         )}
                     </span>
                 </div>
@@ -0,0 +1,264 @@
+// src/SeasonBaselineSection.jsx
+/**
+ * Season Baseline Section for Farm Details Page
+ * Overlays this season's NDVI curve (Sentinel Hub) on the same calendar window of previous
+ * years and on their mean ± one standard deviation, so a value can be read as normal or not
+ */
+
+import { useState, useEffect, useMemo } from "react";
+import { Line } from "react-chartjs-2";
+import {
+    Chart as ChartJS,
+    LinearScale,
+    PointElement,
+    LineElement,
+    Tooltip,
+    Legend,
+    Filler,
+} from "chart.js";
+import { getSeasonHistories } from "./sentinelhub";
+import { buildSeasonBaseline, compareToBaseline } from "./utils/seasonAnalysis";
+import "./seasonbaseline.css";
+
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip, Legend, Filler);
+
+const WINDOW_OPTIONS = [60, 90, 120];
+const YEAR_OPTIONS = [3, 5];
+
+// Previous seasons fade from slate to light grey as they get older
+const PAST_SEASON_COLORS = ["#64748b", "#94a3b8", "#a8a29e", "#cbd5e1", "#d6d3d1"];
+const CURRENT_COLOR = "#22c55e";
+const BASELINE_COLOR = "#0ea5e9";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatShortDate = (value) =>
+    new Date(value).toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" });
+
+// Classify a z-score against the baseline band
+const getDeviationStatus = (zScore) => {
+    if (zScore === null) return { label: "Not enough history", className: "unknown" };
+    if (zScore <= -1) return { label: "Below normal", className: "below" };
+    if (zScore >= 1) return { label: "Above normal", className: "above" };
+    return { label: "Normal for this week", className: "normal" };
+};
+
+const SeasonBaselineSection = ({ coords, cycleStart = null }) => {
+    const [days, setDays] = useState(60);
+    const [years, setYears] = useState(3);
+    const [history, setHistory] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!coords || coords.length < 3) return;
+
+        let cancelled = false;
+        const fetchSeasons = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const result = await getSeasonHistories(coords, days, years, "ndvi", cycleStart);
+                if (!cancelled) setHistory(result);
+            } catch (err) {
+                console.error("Failed to fetch season histories:", err);
+                if (!cancelled) {
+                    setHistory(null);
+                    setError("Failed to load NDVI history for previous seasons");
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        fetchSeasons();
+        return () => {
+            cancelled = true;
+        };
+    }, [coords, days, years, cycleStart]);
+
+    const currentSeason = history?.seasons.find((s) => s.yearsAgo === 0) || null;
+    const pastSeasons = useMemo(
+        () => (history ? history.seasons.filter((s) => s.yearsAgo > 0) : []),
+        [history]
+    );
+    const baseline = useMemo(
+        () => buildSeasonBaseline(pastSeasons.map((s) => s.data)),
+        [pastSeasons]
+    );
+    const comparison = currentSeason ? compareToBaseline(currentSeason.data, baseline) : null;
+    const status = comparison ? getDeviationStatus(comparison.zScore) : null;
+
+    const windowStartMs = history ? new Date(`${history.windowStart}T00:00:00Z`).getTime() : 0;
+    const dayToDate = (day) => windowStartMs + day * DAY_MS;
+
+    const chartData = {
+        datasets: [
+            {
+                label: "Mean ± 1σ",
+                data: baseline.map((b) => ({ x: b.day, y: b.mean + b.std })),
+                borderWidth: 0,
+                pointRadius: 0,
+                backgroundColor: `${BASELINE_COLOR}26`,
+                fill: "+1",
+                tension: 0.3,
+            },
+            {
+                label: "band-lower",
+                data: baseline.map((b) => ({ x: b.day, y: b.mean - b.std })),
+                borderWidth: 0,
+                pointRadius: 0,
+                fill: false,
+                tension: 0.3,
+            },
+            {
+                label: `${pastSeasons.length}-year mean`,
+                data: baseline.map((b) => ({ x: b.day, y: b.mean })),
+                borderColor: BASELINE_COLOR,
+                backgroundColor: BASELINE_COLOR,
+                borderDash: [6, 4],
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0.3,
+            },
+            ...pastSeasons.map((season, i) => ({
+                label: `${season.year}`,
+                data: season.data.map((item) => ({ x: item.day, y: item.data.mean })),
+                borderColor: PAST_SEASON_COLORS[i % PAST_SEASON_COLORS.length],
+                backgroundColor: PAST_SEASON_COLORS[i % PAST_SEASON_COLORS.length],
+                borderWidth: 1,
+                pointRadius: 2,
+                tension: 0.3,
+                spanGaps: true,
+            })),
+            ...(currentSeason
+                ? [
+                    {
+                        label: `${currentSeason.year} (this season)`,
+                        data: currentSeason.data.map((item) => ({ x: item.day, y: item.data.mean })),
+                        borderColor: CURRENT_COLOR,
+                        backgroundColor: CURRENT_COLOR,
+                        borderWidth: 3,
+                        pointRadius: 3,
+                        tension: 0.3,
+                        spanGaps: true,
+                    },
+                ]
+                : []),
+        ],
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        parsing: false,
+        plugins: {
+            legend: {
+                position: "bottom",
+                labels: {
+                    boxWidth: 12,
+                    filter: (item) => item.text !== "band-lower",
+                },
+            },
+            tooltip: {
+                filter: (item) => item.dataset.label !== "band-lower",
+                callbacks: {
+                    title: (items) => (items.length ? formatShortDate(dayToDate(items[0].parsed.x)) : ""),
+                    label: (context) => {
+                        if (context.datasetIndex === 0) {
+                            const point = baseline[context.dataIndex];
+                            return `Normal range: ${(point.mean - point.std).toFixed(3)} – ${(point.mean + point.std).toFixed(3)}`;
+                        }
+                        return `${context.dataset.label}: ${context.parsed.y.toFixed(3)}`;
+                    },
+                },
+            },
+        },
+        scales: {
+            x: {
+                type: "linear",
+                min: 0,
+                max: history?.windowDays ?? days,
+                ticks: { callback: (value) => formatShortDate(dayToDate(value)), maxTicksLimit: 8 },
+            },
+            y: {
+                suggestedMin: 0,
+                suggestedMax: 1,
+                title: { display: true, text: "NDVI" },
+            },
+        },
+    };
+
+    if (!coords || coords.length < 3) return null;
+
+    return (
+        <div className="data-card chart-card sentinel-chart-card season-baseline-card">
+            <div className="season-baseline-header">
+                <div>
+                    <h3>
+                        <span className="material-symbols-outlined header-icon">stacked_line_chart</span>
+                        NDVI vs Previous Seasons
+                    </h3>
+                    <p className="card-subtitle">
+                        {history?.anchored
+                            ? `This crop cycle since ${formatShortDate(windowStartMs)} against the same dates of the last ${years} years`
+                            : `This season against the same calendar window of the last ${years} years`}
+                    </p>
+                </div>
+                <div className="season-baseline-controls">
+                    <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+                        {WINDOW_OPTIONS.map((option) => (
+                            <option key={option} value={option}>
+                                {history?.anchored ? `At least ${option} days` : `Last ${option} days`}
+                            </option>
+                        ))}
+                    </select>
+                    <select value={years} onChange={(e) => setYears(Number(e.target.value))}>
+                        {YEAR_OPTIONS.map((option) => (
+                            <option key={option} value={option}>
+                                {option} previous years
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            {comparison && (
+                <div className={`season-baseline-summary ${status.className}`}>
+                    <span className="season-baseline-status">{status.label}</span>
+                    <span>
+                        NDVI {comparison.value.toFixed(2)} on {formatShortDate(dayToDate(comparison.day))} vs{" "}
+                        {comparison.mean.toFixed(2)} ± {comparison.std.toFixed(2)} over {comparison.count}{" "}
+                        season{comparison.count > 1 ? "s" : ""}
+                        {comparison.zScore !== null && (
+                            <> ({comparison.zScore >= 0 ? "+" : ""}{comparison.zScore.toFixed(1)}σ)</>
+                        )}
+                    </span>
+                </div>
+            )}
+
+            {error ? (
+                <p className="season-baseline-error">{error}</p>
+            ) : loading && !history ? (
+                <p>Loading previous seasons...</p>
+            ) : currentSeason && (currentSeason.data.length > 0 || pastSeasons.length > 0) ? (
+                <div className="chart-container season-baseline-chart">
+                    <Line data={chartData} options={options} />
+                </div>
+            ) : (
+                <p style={{ color: "#64748b", fontSize: "0.875rem" }}>
+                    No NDVI history available for this window.
+                </p>
+            )}
+
+            {history && pastSeasons.length < years && !loading && (
+                <p className="chart-mask-note">
+                    <span className="material-symbols-outlined">history</span>
+                    Only {pastSeasons.length} of {years} previous seasons could be loaded
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default SeasonBaselineSection;
@@ -0,0 +1,232 @@
+// src/SoilHistorySection.jsx
+/**
+ * Soil History Section for Farm Details Page
+ * Stores the current AgroMonitoring soil snapshot, then charts the season's daily soil
+ * temperature and moisture against the crop's sowing thresholds and reports whether the
+ * soil is ready for sowing
+ */
+
+import { useState, useEffect, useMemo } from "react";
+import { Line } from "react-chartjs-2";
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    Tooltip,
+    Legend,
+} from "chart.js";
+import { getSoilHistory, recordSoilReading } from "./soilReadings";
+import {
+    MAX_READING_AGE_DAYS,
+    SOWING_STREAK_DAYS,
+    getCropSoilConfig,
+    getSowingReadiness,
+    toDailySoil,
+} from "./utils/soilConditions";
+import "./soilhistory.css";
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+// History shown when no crop cycle is active
+const DEFAULT_SEASON_DAYS = 180;
+
+const T10_COLOR = "#b45309";
+const SURFACE_COLOR = "#f59e0b";
+const MOISTURE_COLOR = "#0284c7";
+
+const formatShortDate = (time) =>
+    new Date(time).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+
+const SoilHistorySection = ({ farmId, current, crop, seasonStart }) => {
+    const [readings, setReadings] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const config = useMemo(() => getCropSoilConfig(crop), [crop]);
+    const since = useMemo(
+        () => (seasonStart ? new Date(seasonStart) : new Date(Date.now() - DEFAULT_SEASON_DAYS * 86400000)),
+        [seasonStart]
+    );
+
+    useEffect(() => {
+        if (!farmId) return;
+
+        let cancelled = false;
+        const loadHistory = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                // Store today's snapshot first so it shows up in the history
+                if (current) {
+                    await recordSoilReading(farmId, current).catch((err) =>
+                        console.warn("Soil reading not stored:", err.message)
+                    );
+                }
+                const data = await getSoilHistory(farmId, since);
+                if (!cancelled) setReadings(data);
+            } catch (err) {
+                console.error("Failed to load soil history:", err);
+                if (!cancelled) setError("Soil history unavailable");
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        loadHistory();
+        return () => {
+            cancelled = true;
+        };
+    }, [farmId, current, since]);
+
+    const days = useMemo(() => toDailySoil(readings), [readings]);
+    const readiness = useMemo(() => getSowingReadiness(days, config), [days, config]);
+
+    const chartData = useMemo(
+        () => ({
+            labels: days.map((day) => formatShortDate(day.time)),
+            datasets: [
+                {
+                    label: "Soil temp 10 cm (°C)",
+                    data: days.map((day) => day.t10C),
+                    borderColor: T10_COLOR,
+                    backgroundColor: T10_COLOR,
+                    tension: 0.2,
+                    pointRadius: 2,
+                    yAxisID: "y",
+                    spanGaps: true,
+                },
+                {
+                    label: "Surface temp (°C)",
+                    data: days.map((day) => day.surfaceC),
+                    borderColor: SURFACE_COLOR,
+                    backgroundColor: SURFACE_COLOR,
+                    borderWidth: 1,
+                    tension: 0.2,
+                    pointRadius: 0,
+                    yAxisID: "y",
+                    spanGaps: true,
+                },
+                {
+                    label: "Moisture (%)",
+                    data: days.map((day) => day.moisturePct),
+                    borderColor: MOISTURE_COLOR,
+                    backgroundColor: MOISTURE_COLOR,
+                    tension: 0.2,
+                    pointRadius: 2,
+                    yAxisID: "y1",
+                    spanGaps: true,
+                },
+                {
+                    label: `Germination ${config.germinationTemp}°C`,
+                    data: days.map(() => config.germinationTemp),
+                    borderColor: T10_COLOR,
+                    borderDash: [6, 4],
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    yAxisID: "y",
+                },
+                {
+                    label: `Min moisture ${config.minMoisture}%`,
+                    data: days.map(() => config.minMoisture),
+                    borderColor: MOISTURE_COLOR,
+                    borderDash: [6, 4],
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    yAxisID: "y1",
+                },
+            ],
+        }),
+        [days, config]
+    );
+
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: "index", intersect: false },
+        plugins: {
+            legend: { position: "bottom", labels: { boxWidth: 12, font: { size: 11 } } },
+        },
+        scales: {
+            y: { position: "left", title: { display: true, text: "°C" } },
+            y1: {
+                position: "right",
+                min: 0,
+                title: { display: true, text: "Moisture %" },
+                grid: { drawOnChartArea: false },
+            },
+            x: { ticks: { maxTicksLimit: 8 } },
+        },
+    };
+
+    const latest = readiness.latest;
+
+    return (
+        <div className="data-card soil-history-card">
+            <h3>
+                <span className="material-symbols-outlined header-icon">grass</span>
+                Soil Temperature &amp; Moisture
+            </h3>
+            <p className="card-subtitle">
+                Since {formatShortDate(since)} · germination {config.germinationTemp}°C at 10 cm, moisture ≥{" "}
+                {config.minMoisture}%
+                {config.isDefault && " (default - set germination_soil_temp on the crop)"}
+            </p>
+
+            {loading ? (
+                <p className="soil-history-message">Loading soil history...</p>
+            ) : error ? (
+                <p className="soil-history-message">{error}</p>
+            ) : days.length === 0 ? (
+                <p className="soil-history-message">
+                    No soil readings stored yet. A reading is saved each time this page loads.
+                </p>
+            ) : (
+                <>
+                    {readiness.stale ? (
+                        <div className="sowing-status stale">
+                            <span className="material-symbols-outlined">history</span>
+                            <div>
+                                <strong>Soil data is out of date</strong>
+                                <small>
+                                    Latest reading from {latest ? formatShortDate(latest.time) : "-"} · sowing readiness
+                                    needs a reading from the last {MAX_READING_AGE_DAYS + 1} days
+                                </small>
+                            </div>
+                        </div>
+                    ) : (
+                        <div className={`sowing-status ${readiness.ready ? "ready" : "not-ready"}`}>
+                            <span className="material-symbols-outlined">
+                                {readiness.ready ? "check_circle" : "schedule"}
+                            </span>
+                            <div>
+                                <strong>{readiness.ready ? "Soil ready for sowing" : "Not ready for sowing yet"}</strong>
+                                <small>
+                                    {readiness.tempReady
+                                        ? `10 cm soil ≥ ${config.germinationTemp}°C since ${formatShortDate(readiness.warmSince)}`
+                                        : `10 cm soil ${latest?.t10C ?? "-"}°C · needs ${SOWING_STREAK_DAYS} days ≥ ${config.germinationTemp}°C (${readiness.streakDays} so far)`}
+                                    {" · "}
+                                    {readiness.moistureReady
+                                        ? `moisture ${latest.moisturePct}%`
+                                        : `moisture ${latest?.moisturePct ?? "-"}% (below ${config.minMoisture}%)`}
+                                </small>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="soil-history-chart">
+                        <Line data={chartData} options={chartOptions} />
+                    </div>
+
+                    <p className="soil-history-footer">
+                        {readings.length} reading{readings.length === 1 ? "" : "s"} over {days.length} day
+                        {days.length === 1 ? "" : "s"}
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SoilHistorySection;
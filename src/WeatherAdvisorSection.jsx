@@ -0,0 +1,181 @@
+// src/WeatherAdvisorSection.jsx
+/**
+ * Weather Advisor Section for Farm Details Page
+ * Reads the 5-day / 3-hour forecast as a colored timeline of spray windows and
+ * frost, heat-stress and heavy-rain risk periods. Risks starting within 24 hours are sent to
+ * the farm owner as notifications
+ */
+
+import { useState, useEffect, useMemo } from "react";
+import {
+    ADVISORY_TYPES,
+    DEFAULT_SPRAY_RULES,
+    buildAdvisoryWindows,
+    classifySlots,
+    describeWindow,
+    getUpcomingRisks,
+} from "./utils/weatherAdvisor";
+import { notifyUpcomingRisks } from "./riskNotifications";
+import "./weatheradvisor.css";
+
+// Editable spray rule inputs
+const RULE_FIELDS = [
+    { key: "maxWindSpeed", label: "Max wind", unit: "m/s", step: 0.5 },
+    { key: "rainFreeHours", label: "Rain-free", unit: "h", step: 3 },
+    { key: "minTemp", label: "Min temp", unit: "°C", step: 1 },
+    { key: "maxTemp", label: "Max temp", unit: "°C", step: 1 },
+];
+
+const NO_ADVICE_COLOR = "#e2e8f0";
+
+// Timeline color of a slot: the first risk wins, then spray suitability
+const getSlotType = (slot) => slot.risks[0] || (slot.spray ? "spray" : null);
+
+const formatDay = (time) =>
+    new Date(time).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" });
+
+const formatSlotTitle = (slot) => {
+    const type = getSlotType(slot);
+    const time = new Date(slot.start).toLocaleString("en-US", {
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+    });
+    return [
+        time,
+        type ? ADVISORY_TYPES[type].label : "No spray window",
+        `${Math.round(slot.tempC)}°C, wind ${slot.windSpeed.toFixed(1)} m/s, rain ${slot.rainMm.toFixed(1)} mm`,
+    ].join("\n");
+};
+
+const WeatherAdvisorSection = ({ forecast, farmId, farmName, ownerId }) => {
+    const [rules, setRules] = useState(DEFAULT_SPRAY_RULES);
+
+    const slots = useMemo(() => classifySlots(forecast, rules), [forecast, rules]);
+    const windows = useMemo(() => buildAdvisoryWindows(slots), [slots]);
+    // Risk windows do not depend on the spray rules, so editing them does not re-notify
+    const upcomingRisks = useMemo(
+        () => getUpcomingRisks(buildAdvisoryWindows(classifySlots(forecast))),
+        [forecast]
+    );
+
+    // Group slots by calendar day for the timeline header
+    const days = useMemo(() => {
+        const groups = [];
+        slots.forEach((slot) => {
+            const label = formatDay(slot.start);
+            const last = groups[groups.length - 1];
+            if (last && last.label === label) {
+                last.slots.push(slot);
+            } else {
+                groups.push({ label, slots: [slot] });
+            }
+        });
+        return groups;
+    }, [slots]);
+
+    useEffect(() => {
+        if (upcomingRisks.length === 0 || !ownerId) return;
+
+        notifyUpcomingRisks({ userId: ownerId, farmId, farmName, windows: upcomingRisks }).catch((err) =>
+            console.error("Failed to create risk notifications:", err)
+        );
+    }, [upcomingRisks, ownerId, farmId, farmName]);
+
+    const updateRule = (key, value) => {
+        const number = parseFloat(value);
+        if (Number.isFinite(number)) setRules((prev) => ({ ...prev, [key]: number }));
+    };
+
+    return (
+        <div className="data-card weather-advisor-card">
+            <div className="weather-advisor-header">
+                <h3>
+                    <span className="material-symbols-outlined header-icon">event_available</span>
+                    Spray &amp; Risk Advisor
+                </h3>
+                <div className="weather-advisor-rules">
+                    {RULE_FIELDS.map((field) => (
+                        <label key={field.key}>
+                            {field.label}
+                            <input
+                                type="number"
+                                step={field.step}
+                                value={rules[field.key]}
+                                onChange={(e) => updateRule(field.key, e.target.value)}
+                            />
+                            {field.unit}
+                        </label>
+                    ))}
+                </div>
+            </div>
+
+            {slots.length === 0 ? (
+                <p className="weather-advisor-empty">Forecast unavailable.</p>
+            ) : (
+                <>
+                    {/* 5-day timeline, one cell per 3-hour forecast slot */}
+                    <div className="advisor-timeline">
+                        {days.map((day) => (
+                            <div key={day.label} className="advisor-day" style={{ flexGrow: day.slots.length }}>
+                                <span className="advisor-day-label">{day.label}</span>
+                                <div className="advisor-slots">
+                                    {day.slots.map((slot) => {
+                                        const type = getSlotType(slot);
+                                        return (
+                                            <span
+                                                key={slot.start}
+                                                className="advisor-slot"
+                                                style={{
+                                                    backgroundColor: type ? ADVISORY_TYPES[type].color : NO_ADVICE_COLOR,
+                                                }}
+                                                title={formatSlotTitle(slot)}
+                                            />
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="advisor-legend">
+                        {Object.entries(ADVISORY_TYPES).map(([type, config]) => (
+                            <span key={type}>
+                                <span className="advisor-swatch" style={{ backgroundColor: config.color }} />
+                                {config.label}
+                            </span>
+                        ))}
+                    </div>
+
+                    {upcomingRisks.length > 0 && (
+                        <div className="advisor-alert">
+                            <span className="material-symbols-outlined">warning</span>
+                            {upcomingRisks.length} risk period{upcomingRisks.length > 1 ? "s" : ""} within the
+                            next 24 hours
+                        </div>
+                    )}
+
+                    <ul className="advisor-windows">
+                        {windows.map((window) => (
+                            <li key={`${window.type}-${window.start}`} className={window.type}>
+                                <span
+                                    className="material-symbols-outlined"
+                                    style={{ color: ADVISORY_TYPES[window.type].color }}
+                                >
+                                    {ADVISORY_TYPES[window.type].icon}
+                                </span>
+                                {describeWindow(window)}
+                            </li>
+                        ))}
+                        {windows.length === 0 && (
+                            <li className="none">No spray windows or risk periods in the forecast</li>
+                        )}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default WeatherAdvisorSection;
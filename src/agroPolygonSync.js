@@ -0,0 +1,259 @@
+// src/agroPolygonSync.js
+/**
+ * AgroMonitoring Polygon Sync
+ * Keeps the polygon registered with AgroMonitoring in step with each farm's boundary:
+ * registers farms that never got an agromonitoring_id (retrying with backoff), replaces
+ * the remote polygon when a boundary changes and renames it when the farm is renamed.
+ * Remote polygons whose farm no longer exists are found and deleted by an explicit admin
+ * action (Settings), never in the background
+ *
+ * Sync state is stored on the farm row:
+ *   ALTER TABLE farms ADD COLUMN IF NOT EXISTS agro_sync JSONB;
+ * { status: 'synced' | 'failed', boundaryHash, name, syncedAt, attempts, lastAttemptAt, error }
+ */
+
+import { supabase } from "./createclient";
+import {
+  deletePolygonFromAgro,
+  listAgroPolygons,
+  registerPolygonWithAgro,
+  renamePolygonInAgro,
+} from "./agromonitoring";
+import { geoJSONToLeaflet } from "./utils/geometryHelpers";
+import { runThrottledBatch } from "./utils/portfolioScan";
+
+// Retry delay after the first failure, doubled per attempt up to the maximum
+const RETRY_BASE_MINUTES = 5;
+const RETRY_MAX_HOURS = 24;
+
+// Farms are read in pages; PostgREST caps the rows of a single request
+const FARM_PAGE_SIZE = 500;
+
+// Polygons younger than this are never treated as orphans: a new farm registers its polygon
+// before the farm row records the agromonitoring_id
+export const ORPHAN_GRACE_HOURS = 24;
+
+/**
+ * Parse a farm boundary (ST_AsGeoJSON may return a string) into {lat, lng} coordinates
+ */
+const boundaryToCoords = (boundary) => {
+  let geometry = boundary;
+  if (typeof geometry === "string") {
+    try {
+      geometry = JSON.parse(geometry);
+    } catch {
+      return [];
+    }
+  }
+  return geoJSONToLeaflet(geometry);
+};
+
+/**
+ * Short fingerprint of a boundary, used to notice when it changed since the last sync
+ * Coordinates are rounded to ~10 cm so re-serialized geometries hash the same
+ */
+const fingerprintBoundary = (coords) => {
+  const text = coords.map((p) => `${p.lng.toFixed(6)},${p.lat.toFixed(6)}`).join(";");
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+};
+
+/**
+ * Check whether a failed sync may be retried yet
+ */
+const isRetryDue = (sync) => {
+  if (!sync?.lastAttemptAt) return true;
+  const delayMinutes = Math.min(
+    RETRY_BASE_MINUTES * 2 ** Math.max(0, (sync.attempts || 1) - 1),
+    RETRY_MAX_HOURS * 60
+  );
+  return Date.now() - new Date(sync.lastAttemptAt).getTime() >= delayMinutes * 60 * 1000;
+};
+
+/**
+ * Get the sync status of a farm for display
+ * @param {Object} farm - Farm row with agromonitoring_id, agro_sync and boundary_geojson
+ * @returns {'synced' | 'outdated' | 'failed' | 'pending'}
+ */
+export const getAgroSyncStatus = (farm) => {
+  const sync = farm.agro_sync;
+  if (!farm.agromonitoring_id) return sync?.status === "failed" ? "failed" : "pending";
+  if (!sync) return "synced";
+  if (sync.status === "failed") return "failed";
+
+  const coords = boundaryToCoords(farm.boundary_geojson);
+  if (coords.length >= 3 && fingerprintBoundary(coords) !== sync.boundaryHash) return "outdated";
+  if (farm.name && sync.name && farm.name !== sync.name) return "outdated";
+  return "synced";
+};
+
+/**
+ * Check whether a farm needs a sync call now (failed farms wait for their retry delay)
+ * @param {Object} farm - Farm row with agromonitoring_id, agro_sync and boundary_geojson
+ * @returns {boolean}
+ */
+export const needsAgroSync = (farm) => {
+  // Farms registered before sync tracking existed only need their baseline recorded
+  if (farm.agromonitoring_id && !farm.agro_sync) return true;
+
+  const status = getAgroSyncStatus(farm);
+  if (status === "synced") return false;
+  return status !== "failed" || isRetryDue(farm.agro_sync);
+};
+
+const saveSyncState = async (farmId, values) => {
+  const { error } = await supabase.from("farms").update(values).eq("id", farmId);
+  if (error) throw error;
+};
+
+/**
+ * Bring one farm's AgroMonitoring polygon in line with its boundary and name
+ * Never throws: failures are recorded on the farm (status 'failed') and retried later
+ * @param {Object} farm - { id, name, boundary_geojson, agromonitoring_id, agro_sync }
+ * @returns {Promise<{agromonitoring_id: string|null, agro_sync: Object}>} The farm's new sync fields
+ */
+export const syncFarmPolygon = async (farm) => {
+  const coords = boundaryToCoords(farm.boundary_geojson);
+  const boundaryHash = coords.length >= 3 ? fingerprintBoundary(coords) : null;
+  const previous = farm.agro_sync;
+
+  try {
+    if (!boundaryHash) throw new Error("Farm has no valid boundary");
+
+    let agromonitoringId = farm.agromonitoring_id;
+    let replacedId = null;
+
+    if (!agromonitoringId) {
+      agromonitoringId = await registerPolygonWithAgro(farm.name, coords);
+    } else if (previous && previous.boundaryHash !== boundaryHash) {
+      // AgroMonitoring polygons cannot be reshaped: register the new boundary, then drop the old one
+      agromonitoringId = await registerPolygonWithAgro(farm.name, coords);
+      replacedId = farm.agromonitoring_id;
+    } else if (previous && previous.name !== farm.name) {
+      await renamePolygonInAgro(agromonitoringId, farm.name);
+    }
+
+    const values = {
+      agromonitoring_id: agromonitoringId,
+      agro_sync: {
+        status: "synced",
+        boundaryHash,
+        name: farm.name,
+        syncedAt: new Date().toISOString(),
+        attempts: 0,
+        lastAttemptAt: null,
+        error: null,
+      },
+    };
+    await saveSyncState(farm.id, values);
+
+    if (replacedId) {
+      try {
+        await deletePolygonFromAgro(replacedId);
+      } catch (error) {
+        // Left for the orphan cleanup in Settings - no farm references it any more
+        console.error(`Failed to delete replaced polygon ${replacedId}:`, error);
+      }
+    }
+    return values;
+  } catch (error) {
+    console.error(`AgroMonitoring sync failed for farm ${farm.id}:`, error);
+    const values = {
+      agromonitoring_id: farm.agromonitoring_id || null,
+      agro_sync: {
+        ...previous,
+        status: "failed",
+        attempts: (previous?.status === "failed" ? previous.attempts || 0 : 0) + 1,
+        lastAttemptAt: new Date().toISOString(),
+        error: error.message,
+      },
+    };
+    try {
+      await saveSyncState(farm.id, { agro_sync: values.agro_sync });
+    } catch (saveError) {
+      console.error(`Failed to record sync failure for farm ${farm.id}:`, saveError);
+    }
+    return values;
+  }
+};
+
+/**
+ * Sync every farm that needs it, a couple at a time
+ * @param {Array<Object>} farms - Farm rows (see syncFarmPolygon)
+ * @param {Object} options
+ * @param {Function} options.onResult - (farm, values) => void, called as each farm settles
+ * @param {Function} options.isCancelled - () => boolean; stops picking up new farms when true
+ * @returns {Promise<number>} Number of farms attempted
+ */
+export const syncFarmPolygons = async (farms, { onResult = () => {}, isCancelled } = {}) => {
+  const pending = farms.filter(needsAgroSync);
+  await runThrottledBatch(pending, syncFarmPolygon, {
+    concurrency: 2,
+    delayMs: 300,
+    isCancelled,
+    onResult: (farm, values) => {
+      if (values) onResult(farm, values);
+    },
+  });
+  return pending.length;
+};
+
+/**
+ * Get the AgroMonitoring fields of every farm, page by page
+ * @returns {Promise<Array<{id: string, agromonitoring_id: string|null, agro_sync: Object|null}>>}
+ */
+export const getAllFarmSyncRows = async () => {
+  const rows = [];
+  // Stop on an empty page rather than a short one, in case the server caps pages below FARM_PAGE_SIZE
+  for (;;) {
+    const { data, error } = await supabase
+      .from("farms")
+      .select("id, agromonitoring_id, agro_sync")
+      .order("id")
+      .range(rows.length, rows.length + FARM_PAGE_SIZE - 1);
+    if (error) throw error;
+    if (!data || data.length === 0) return rows;
+    rows.push(...data);
+  }
+};
+
+/**
+ * Find AgroMonitoring polygons that no farm references (removed farms, replaced boundaries)
+ * Polygons younger than ORPHAN_GRACE_HOURS, or without a creation time, are left alone.
+ * The account may be shared with other environments, so show the result to an admin before deleting
+ * @returns {Promise<Array<{id: string, name: string, created_at: number}>>} Orphaned polygons
+ */
+export const findOrphanPolygons = async () => {
+  const farms = await getAllFarmSyncRows();
+  const known = new Set(farms.map((farm) => farm.agromonitoring_id).filter(Boolean));
+  const cutoff = Date.now() / 1000 - ORPHAN_GRACE_HOURS * 60 * 60;
+
+  return (await listAgroPolygons()).filter((polygon) => {
+    const createdAt = Number(polygon.created_at);
+    return !known.has(polygon.id) && createdAt > 0 && createdAt < cutoff;
+  });
+};
+
+/**
+ * Delete polygons returned by findOrphanPolygons
+ * @param {Array<{id: string}>} polygons - Polygons to delete
+ * @returns {Promise<number>} Number of polygons deleted
+ */
+export const removeOrphanPolygons = async (polygons) => {
+  let deleted = 0;
+  await runThrottledBatch(polygons, (polygon) => deletePolygonFromAgro(polygon.id), {
+    concurrency: 2,
+    delayMs: 300,
+    onResult: (polygon, result, error) => {
+      if (error) {
+        console.error(`Failed to delete orphan polygon ${polygon.id}:`, error);
+      } else {
+        deleted += 1;
+      }
+    },
+  });
+  return deleted;
+};
@@ -38,6 +38,35 @@ export const registerPolygonWithAgro = async (farmName, coordinates) => {
   return result.id;
 };
 
+/**
+ * Rename a polygon registered with AgroMonitoring
+ * AgroMonitoring only allows the name to change; a new boundary needs a new polygon
+ * @param {string} polyId - The AgroMonitoring polygon ID
+ * @param {string} farmName - New polygon name
+ */
+export const renamePolygonInAgro = async (polyId, farmName) => {
+  if (!polyId) throw new Error("Polygon ID is required.");
+  return await callAgroProxy("updatePolygon", { polyId, farmName });
+};
+
+/**
+ * Delete a polygon from AgroMonitoring
+ * @param {string} polyId - The AgroMonitoring polygon ID
+ */
+export const deletePolygonFromAgro = async (polyId) => {
+  if (!polyId) throw new Error("Polygon ID is required.");
+  return await callAgroProxy("deletePolygon", { polyId });
+};
+
+/**
+ * Lists every polygon registered under the AgroMonitoring account.
+ * @returns {Promise<Array<{id: string, name: string, created_at: number}>>} created_at in unix seconds
+ */
+export const listAgroPolygons = async () => {
+  const result = await callAgroProxy("listPolygons");
+  return Array.isArray(result) ? result : result?.polygons || [];
+};
+
 /**
  * Fetches weather forecast for a polygon.
  */
@@ -97,28 +126,53 @@ export const getEviHistoryForPolygon = async (polyId, days = 30) => {
 
 /**
  * Fetches Accumulated Active Temperature (AAT) data for a polygon.
+ * Returns one entry per day: { dt, temp, count }, where temp is the sum of that day's
+ * readings above the threshold and count the number of readings summed
  * @param {string} polyId - The polygon ID
  * @param {number} threshold - Temperature threshold in Kelvin (default: 283.15K = 10°C)
+ * @param {number|null} start - Start of the period (unix seconds); the proxy default when omitted
+ * @param {number|null} end - End of the period (unix seconds); the proxy default when omitted
  */
-export const getAccumulatedTemperature = async (polyId, threshold = 283.15) => {
+export const getAccumulatedTemperature = async (polyId, threshold = 283.15, start = null, end = null) => {
   if (!polyId) throw new Error("Polygon ID is required.");
-  return await callAgroProxy("getAccumulatedTemperature", { polyId, threshold });
+  return await callAgroProxy("getAccumulatedTemperature", {
+    polyId,
+    threshold,
+    ...(start !== null && { start }),
+    ...(end !== null && { end }),
+  });
 };
 
 /**
  * Fetches Accumulated Precipitation data for a polygon.
+ * Returns one entry per day: { dt, rain, count }, where rain is the day's total in mm
+ * @param {string} polyId - The polygon ID
+ * @param {number|null} start - Start of the period (unix seconds); the proxy default when omitted
+ * @param {number|null} end - End of the period (unix seconds); the proxy default when omitted
  */
-export const getAccumulatedPrecipitation = async (polyId) => {
+export const getAccumulatedPrecipitation = async (polyId, start = null, end = null) => {
   if (!polyId) throw new Error("Polygon ID is required.");
-  return await callAgroProxy("getAccumulatedPrecipitation", { polyId });
+  return await callAgroProxy("getAccumulatedPrecipitation", {
+    polyId,
+    ...(start !== null && { start }),
+    ...(end !== null && { end }),
+  });
 };
 
 /**
  * Fetches historical weather data for a polygon.
+ * Returns hourly readings in the OpenWeather format
+ * @param {string} polyId - The polygon ID
+ * @param {number|null} start - Start of the period (unix seconds); the proxy default when omitted
+ * @param {number|null} end - End of the period (unix seconds); the proxy default when omitted
  */
-export const getWeatherHistoryForPolygon = async (polyId) => {
+export const getWeatherHistoryForPolygon = async (polyId, start = null, end = null) => {
   if (!polyId) throw new Error("Polygon ID is required.");
-  return await callAgroProxy("getWeatherHistory", { polyId });
+  return await callAgroProxy("getWeatherHistory", {
+    polyId,
+    ...(start !== null && { start }),
+    ...(end !== null && { end }),
+  });
 };
 
 /**
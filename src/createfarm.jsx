@@ -6,7 +6,7 @@ import { EditControl } from "react-leaflet-draw";
 import { supabase } from "./createclient";
 import "./createfarm.css";
 import logo from "./assets/Image_fx.png";
-import { registerPolygonWithAgro } from "./agromonitoring";
+import { syncFarmPolygon } from "./agroPolygonSync";
 import Spinner from "./spinner";
 import { toast } from "react-hot-toast";
 import { useAuth } from "./useauth";
@@ -184,18 +184,21 @@ const CreateFarmPage = () => {
 
       const newFarmId = farmResult.farm_id;
 
-      // 2. Register the polygon with AgroMonitoring (uses Leaflet format)
-      const agroId = await registerPolygonWithAgro(farmName, leafletCoords);
+      // 2. Register the polygon with AgroMonitoring and record the sync state.
+      // The farm is already saved, so a failure here is retried later instead of failing the submission
+      const { agro_sync: agroSync } = await syncFarmPolygon({
+        id: newFarmId,
+        name: farmName,
+        boundary_geojson: geoJsonGeometry,
+      });
 
-      // 3. Update our farm record with the new AgroMonitoring ID
-      const { error: updateError } = await supabase
-        .from("farms")
-        .update({ agromonitoring_id: agroId })
-        .eq("id", newFarmId);
-
-      if (updateError) throw updateError;
-
-      toast.success("Farm saved and registered!");
+      if (agroSync.status === "failed") {
+        toast("Farm saved. Weather and soil data will be linked once registration succeeds.", {
+          icon: "⏳",
+        });
+      } else {
+        toast.success("Farm saved and registered!");
+      }
       navigate("/home");
     } catch (error) {
       setError(error.message);
@@ -225,26 +225,32 @@
 // export default FarmDetailsPage;
 
 // src/pages/FarmDetailsPage.jsx
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { useParams } from "react-router-dom";
 import { supabase } from "./createclient";
 import Sidebar from "./sidebar";
 import Modal from "./modal";
 import ConfirmDialog from "./confirmdialog";
 import {
-  getWeatherForPolygon,
   getSoilDataForPolygon,
   getNdviHistoryForPolygon,
   searchSatelliteImages,
-  getCurrentWeatherForPolygon,
   getUviForPolygon,
 } from "./agromonitoring";
+import { getWeatherLocation, weatherProvider } from "./weatherProviders";
 import {
-  getVegetationStats,
   getVegetationHistory,
+  getVegetationHistoryWithFallback,
+  getVegetationStatsWithFallback,
 } from "./sentinelhub";
 import DroneImagerySection from "./DroneImagerySection";
 import SatelliteImagerySection from "./SatelliteImagerySection";
+import ManagementZonesSection from "./ManagementZonesSection";
+import SeasonBaselineSection from "./SeasonBaselineSection";
+import WeatherAdvisorSection from "./WeatherAdvisorSection";
+import GddSection from "./GddSection";
+import SoilHistorySection from "./SoilHistorySection";
+import IrrigationSection from "./IrrigationSection";
 import IoTSensorSection from "./IoTSensorSection";
 import { toast } from "react-hot-toast";
 
@@ -272,6 +278,16 @@ import {
   isPendingVerification,
 } from "./utils/statusHelpers";
 import { geoJSONToLeaflet } from "./utils/geometryHelpers";
+import {
+  PHENOLOGY_EVENTS,
+  detectPhenology,
+  compareMilestonesToPhenology,
+} from "./utils/phenology";
+import {
+  LANDSAT_COLLECTION,
+  OPTICAL_COLLECTION,
+  getCollectionName,
+} from "./utils/spectralIndices";
 
 // Register Chart.js components
 ChartJS.register(
@@ -304,16 +320,63 @@ const NdviChart = ({ data }) => {
   return <Line options={options} data={chartData} />;
 };
 
+// Dates where less than this share of the field was cloud-free are flagged on the charts
+const MIN_VALID_PIXEL_PERCENT = 50;
+
+// Check if a history point was mostly masked by clouds/shadows
+const isMostlyMasked = (item) =>
+  item.validPixelPercent !== null &&
+  item.validPixelPercent !== undefined &&
+  item.validPixelPercent < MIN_VALID_PIXEL_PERCENT;
+
+// Draws vertical dashed lines with a label at the chart indices listed in options.plugins.eventMarkers
+const eventMarkersPlugin = {
+  id: "eventMarkers",
+  afterDatasetsDraw: (chart, args, markerOptions) => {
+    const markers = markerOptions?.markers || [];
+    const { ctx, chartArea, scales } = chart;
+    markers.forEach((marker, i) => {
+      const x = scales.x.getPixelForValue(marker.index);
+      ctx.save();
+      ctx.strokeStyle = marker.color;
+      ctx.fillStyle = marker.color;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.font = "10px sans-serif";
+      ctx.textAlign = x > chartArea.right - 60 ? "right" : "left";
+      ctx.fillText(marker.label, x + (ctx.textAlign === "right" ? -3 : 3), chartArea.top + 10 + (i % 2) * 12);
+      ctx.restore();
+    });
+  },
+};
+
 // Generic Vegetation Index Chart Component (for Sentinel Hub data)
+// markers: optional [{ time (ms), label, color }] drawn at the nearest data point
 const VegetationChart = ({
   data,
   label,
   color,
   minValue = -1,
   maxValue = 1,
+  markers = [],
 }) => {
   if (!data || data.length === 0) return null;
 
+  const markerIndices = markers.map((marker) => {
+    let nearest = 0;
+    data.forEach((item, i) => {
+      if (Math.abs(item.dt * 1000 - marker.time) < Math.abs(data[nearest].dt * 1000 - marker.time)) {
+        nearest = i;
+      }
+    });
+    return { ...marker, index: nearest };
+  });
+
   const chartData = {
     labels: data.map((item) => new Date(item.dt * 1000).toLocaleDateString()),
     datasets: [
@@ -324,8 +387,12 @@ const VegetationChart = ({
         backgroundColor: `${color}20`,
         fill: true,
         tension: 0.4,
-        pointRadius: 3,
+        spanGaps: true,
         pointHoverRadius: 5,
+        // Flag cloud-affected dates with a red cross
+        pointStyle: data.map((item) => (isMostlyMasked(item) ? "crossRot" : "circle")),
+        pointBorderColor: data.map((item) => (isMostlyMasked(item) ? "#ef4444" : color)),
+        pointRadius: data.map((item) => (isMostlyMasked(item) ? 6 : 3)),
       },
     ],
   };
@@ -334,9 +401,17 @@ const VegetationChart = ({
     responsive: true,
     plugins: {
       legend: { display: false },
+      eventMarkers: { markers: markerIndices },
       tooltip: {
         callbacks: {
           label: (context) => `${label}: ${context.parsed.y.toFixed(3)}`,
+          afterLabel: (context) => {
+            const item = data[context.dataIndex];
+            if (!isValidNumber(item.validPixelPercent)) return "";
+            return isMostlyMasked(item)
+              ? `Cloud-affected: only ${item.validPixelPercent}% of field visible`
+              : `Valid pixels: ${item.validPixelPercent}%`;
+          },
         },
       },
     },
@@ -352,7 +427,56 @@ const VegetationChart = ({
     },
   };
 
-  return <Line options={options} data={chartData} />;
+  return <Line options={options} data={chartData} plugins={[eventMarkersPlugin]} />;
+};
+
+// Imagery source of a stat or chart: Sentinel-2, or how much came from the fallback collection
+const SourceNote = ({ sources }) => {
+  const known = (sources || []).filter(Boolean);
+  if (known.length === 0) return null;
+
+  const fallbackSources = known.filter((source) => source !== OPTICAL_COLLECTION);
+  let text = `Source: ${getCollectionName(OPTICAL_COLLECTION)}`;
+  if (fallbackSources.length === known.length) {
+    text = `Source: ${getCollectionName(fallbackSources[0])} (no clear ${getCollectionName(OPTICAL_COLLECTION)} scene)`;
+  } else if (fallbackSources.length > 0) {
+    text =
+      `${fallbackSources.length} of ${known.length} dates from ${getCollectionName(fallbackSources[0])}, ` +
+      `the rest from ${getCollectionName(OPTICAL_COLLECTION)}`;
+  }
+  return <p className="veg-source">{text}</p>;
+};
+
+// Note shown under a vegetation chart when some dates were mostly cloud-masked
+const CloudMaskNote = ({ data }) => {
+  const maskedCount = (data || []).filter(isMostlyMasked).length;
+  if (maskedCount === 0) return null;
+
+  return (
+    <p className="chart-mask-note">
+      <span className="material-symbols-outlined">cloud</span>
+      {maskedCount} date{maskedCount > 1 ? "s" : ""} flagged: less than{" "}
+      {MIN_VALID_PIXEL_PERCENT}% of the field was cloud-free
+    </p>
+  );
+};
+
+// Label for a milestone-vs-phenology comparison row
+const getPhenologyStatusLabel = (row) => {
+  switch (row.status) {
+    case "on-time":
+      return row.differenceDays === 0
+        ? "On time"
+        : `On time (${row.differenceDays > 0 ? "+" : ""}${row.differenceDays} d)`;
+    case "early":
+      return `${Math.abs(row.differenceDays)} days early`;
+    case "late":
+      return `${row.differenceDays} days late`;
+    case "no-expected-date":
+      return "Detected";
+    default:
+      return "Not detected";
+  }
 };
 
 // Helper function to safely format numbers (handles NaN and undefined)
@@ -405,7 +529,7 @@ const FarmDetailsPage = () => {
   const [latestImage, setLatestImage] = useState(null);
   const [imageType, setImageType] = useState("tci");
 
-  // Additional AgroMonitoring data states
+  // Additional AgroMonitoring data states (weather comes from the configured weather provider)
   const [currentWeather, setCurrentWeather] = useState(null);
   const [uvi, setUvi] = useState(null);
 
@@ -420,6 +544,13 @@ const FarmDetailsPage = () => {
   });
   // Farm coordinates for satellite imagery component
   const [farmCoords, setFarmCoords] = useState(null);
+  const weatherLocation = useMemo(
+    () => getWeatherLocation(farm?.agromonitoring_id, farmCoords),
+    [farm?.agromonitoring_id, farmCoords]
+  );
+  const [seasonNdvi, setSeasonNdvi] = useState([]);
+  // Fill Sentinel-2 gaps with Landsat 8/9 in the season NDVI series
+  const [mergeLandsat, setMergeLandsat] = useState(false);
   const [activeCycle, setActiveCycle] = useState(null);
   const [cycleMilestones, setCycleMilestones] = useState([]);
   const [availableCrops, setAvailableCrops] = useState([]);
@@ -473,6 +604,11 @@ const FarmDetailsPage = () => {
           setCycleMilestones([]);
         }
 
+        // Weather works for unregistered farms too: the provider falls back to the farm centre
+        fetchWeather(
+          getWeatherLocation(farmData?.agromonitoring_id, getFarmCoordinates(farmData))
+        );
+
         // --- THE FIX IS HERE ---
         // Part 3: Fetch AgroMonitoring data regardless of active cycle, as long as the farm is registered.
         if (farmData && farmData.agromonitoring_id) {
@@ -481,47 +617,30 @@ const FarmDetailsPage = () => {
           // Use Promise.allSettled to prevent one failed request from stopping all others
           // Note: Some APIs (EVI, accumulated temp/precip, weather history) require paid subscription
           const results = await Promise.allSettled([
-            getWeatherForPolygon(polyId),
             getSoilDataForPolygon(polyId),
             getNdviHistoryForPolygon(polyId),
             searchSatelliteImages(polyId),
-            getCurrentWeatherForPolygon(polyId),
             getUviForPolygon(polyId),
           ]);
 
-          const apiNames = [
-            "Weather Forecast",
-            "Soil",
-            "NDVI",
-            "Satellite Images",
-            "Current Weather",
-            "UV Index",
-          ];
+          const apiNames = ["Soil", "NDVI", "Satellite Images", "UV Index"];
 
           // Assign data if the request was successful
           if (results[0].status === "fulfilled") {
-            console.log("Weather forecast data fetched successfully");
-            setWeather(results[0].value);
-          }
-          if (results[1].status === "fulfilled") {
             console.log("Soil data fetched successfully");
-            setSoil(results[1].value);
+            setSoil(results[0].value);
           }
-          if (results[2].status === "fulfilled") {
+          if (results[1].status === "fulfilled") {
             console.log("NDVI data fetched successfully");
-            setNdviHistory(results[2].value);
+            setNdviHistory(results[1].value);
           }
-          if (results[3].status === "fulfilled") {
+          if (results[2].status === "fulfilled") {
             console.log("Satellite images fetched successfully");
-            setLatestImage(results[3].value);
+            setLatestImage(results[2].value);
           }
-          if (results[4].status === "fulfilled") {
-            console.log("Current weather data fetched successfully");
-            setCurrentWeather(results[4].value);
-          }
-          if (results[5].status === "fulfilled") {
+          if (results[3].status === "fulfilled") {
             console.log("UV Index data fetched successfully");
-            setUvi(results[5].value);
+            setUvi(results[3].value);
           }
 
           // Log any errors without crashing the page
@@ -545,7 +664,7 @@ const FarmDetailsPage = () => {
           }
 
           // Show info message if NDVI specifically failed (normal for new farms)
-          if (results[2].status === "rejected") {
+          if (results[1].status === "rejected") {
             console.info(
               "NDVI data not yet available - this is normal for newly registered farms (takes 24-48 hours)"
             );
@@ -583,14 +702,38 @@ const FarmDetailsPage = () => {
     fetchFarmData();
   }, [farmId]);
 
+  // Forecast and current conditions in the normalized weather schema
+  const fetchWeather = async (location) => {
+    const [forecastResult, currentResult] = await Promise.allSettled([
+      weatherProvider.getForecast(location),
+      weatherProvider.getCurrent(location),
+    ]);
+
+    if (forecastResult.status === "fulfilled") {
+      setWeather(forecastResult.value);
+    } else {
+      console.warn("Failed to fetch weather forecast:", forecastResult.reason);
+    }
+    if (currentResult.status === "fulfilled") {
+      setCurrentWeather(currentResult.value);
+    } else {
+      console.warn("Failed to fetch current weather:", currentResult.reason);
+    }
+
+    if (forecastResult.status === "rejected" || currentResult.status === "rejected") {
+      toast.error(`Failed to fetch weather from ${weatherProvider.name}`);
+    }
+  };
+
   // Function to fetch Sentinel Hub vegetation stats and history
   // Publishing now handled by scheduled satellite-data-scheduler
   const fetchSentinelData = async (coords) => {
     setSentinelLoading(true);
     try {
       const [statsResult, historyResult] = await Promise.allSettled([
-        getVegetationStats(coords),
-        getVegetationHistory(coords, 60), // Get 60 days of history
+        // Landsat 8/9 stands in where Sentinel-2 has no clear view
+        getVegetationStatsWithFallback(coords),
+        getVegetationHistoryWithFallback(coords, 60), // Get 60 days of history
       ]);
 
       // Handle vegetation stats
@@ -616,6 +759,35 @@ const FarmDetailsPage = () => {
     }
   };
 
+  // Season-long NDVI for phenology: since the active cycle started, or the last 180 days
+  const cycleStart = activeCycle?.start_date || activeCycle?.created_at || null;
+  useEffect(() => {
+    if (!farmCoords || farmCoords.length < 3) return;
+
+    const seasonDays = cycleStart
+      ? Math.min(365, Math.max(60, Math.ceil((Date.now() - new Date(cycleStart).getTime()) / 86400000) + 15))
+      : 180;
+
+    const request = mergeLandsat
+      ? getVegetationHistory(farmCoords, seasonDays, ["ndvi"], new Date(), [OPTICAL_COLLECTION, LANDSAT_COLLECTION])
+      : getVegetationHistoryWithFallback(farmCoords, seasonDays, ["ndvi"]);
+    request
+      .then((history) => setSeasonNdvi(history.ndvi))
+      .catch((error) => console.error("Season NDVI history failed:", error));
+  }, [farmCoords, cycleStart, mergeLandsat]);
+
+  const phenology = useMemo(() => detectPhenology(seasonNdvi), [seasonNdvi]);
+  const phenologyMarkers = phenology
+    ? PHENOLOGY_EVENTS.filter((event) => phenology.events[event.id]).map((event) => ({
+        time: phenology.events[event.id].time,
+        label: event.label,
+        color: event.color,
+      }))
+    : [];
+  const milestoneTiming = phenology
+    ? compareMilestonesToPhenology(cycleMilestones, phenology.events, cycleStart)
+    : [];
+
   const getImageUrl = () => {
     if (!latestImage) return null;
     console.log("Latest Image Object:", latestImage);
@@ -870,15 +1042,15 @@ const FarmDetailsPage = () => {
             {weather && weather.length > 0 ? (
               <div className="weather-content">
                 <img
-                  src={`http://openweathermap.org/img/wn/${weather[0].weather[0].icon}@4x.png`}
+                  src={`http://openweathermap.org/img/wn/${weather[0].icon}@4x.png`}
                   alt="weather icon"
                 />
                 <div className="weather-details">
                   <p className="temperature">
-                    {Math.round(weather[0].main.temp - 273.15)}°C
+                    {Math.round(weather[0].tempC)}°C
                   </p>
                   <p className="description">
-                    {weather[0].weather[0].description}
+                    {weather[0].description}
                   </p>
                 </div>
               </div>
@@ -960,6 +1132,12 @@ const FarmDetailsPage = () => {
                   <span>Min: {safeToFixed(sentinelStats.ndvi.min, 2)}</span>
                   <span>Max: {safeToFixed(sentinelStats.ndvi.max, 2)}</span>
                 </div>
+                <SourceNote sources={[sentinelStats.source]} />
+                {isValidNumber(sentinelStats.validPixelPercent) && (
+                  <p className="veg-valid-pixels">
+                    Cloud-free: {safeToFixed(sentinelStats.validPixelPercent, 0)}% of field
+                  </p>
+                )}
               </div>
             ) : sentinelLoading ? (
               <p>Loading NDVI...</p>
@@ -1002,6 +1180,7 @@ const FarmDetailsPage = () => {
                   <span>Min: {safeToFixed(sentinelStats.lai.min, 1)}</span>
                   <span>Max: {safeToFixed(sentinelStats.lai.max, 1)}</span>
                 </div>
+                <SourceNote sources={[sentinelStats.source]} />
               </div>
             ) : sentinelLoading ? (
               <p>Loading LAI...</p>
@@ -1064,7 +1243,7 @@ const FarmDetailsPage = () => {
                     <div>
                       <p className="stat-label">Wind Speed</p>
                       <p className="stat-value">
-                        {currentWeather.wind?.speed?.toFixed(1) || 0} m/s
+                        {currentWeather.windSpeed?.toFixed(1) || 0} m/s
                       </p>
                     </div>
                   </div>
@@ -1075,7 +1254,7 @@ const FarmDetailsPage = () => {
                     <div>
                       <p className="stat-label">Humidity</p>
                       <p className="stat-value">
-                        {currentWeather.main?.humidity || 0}%
+                        {currentWeather.humidity || 0}%
                       </p>
                     </div>
                   </div>
@@ -1084,7 +1263,7 @@ const FarmDetailsPage = () => {
                     <div>
                       <p className="stat-label">Pressure</p>
                       <p className="stat-value">
-                        {currentWeather.main?.pressure || 0} hPa
+                        {currentWeather.pressure || 0} hPa
                       </p>
                     </div>
                   </div>
@@ -1095,7 +1274,7 @@ const FarmDetailsPage = () => {
                     <div>
                       <p className="stat-label">Clouds</p>
                       <p className="stat-value">
-                        {currentWeather.clouds?.all || 0}%
+                        {currentWeather.clouds || 0}%
                       </p>
                     </div>
                   </div>
@@ -1108,6 +1287,16 @@ const FarmDetailsPage = () => {
             )}
           </div>
 
+          {/* Spray windows and frost / heat / heavy-rain risk from the forecast */}
+          {weather && weather.length > 0 && (
+            <WeatherAdvisorSection
+              forecast={weather}
+              farmId={farmId}
+              farmName={farm?.name}
+              ownerId={farm?.user_id}
+            />
+          )}
+
           {/* SAVI Card (from Sentinel) */}
           <div className="data-card savi-card">
             <h3>SAVI</h3>
@@ -1140,6 +1329,7 @@ const FarmDetailsPage = () => {
                   <span>Min: {safeToFixed(sentinelStats.savi.min, 2)}</span>
                   <span>Max: {safeToFixed(sentinelStats.savi.max, 2)}</span>
                 </div>
+                <SourceNote sources={[sentinelStats.source]} />
               </div>
             ) : sentinelLoading ? (
               <p>Loading SAVI...</p>
@@ -1183,6 +1373,7 @@ const FarmDetailsPage = () => {
                   <span>Min: {safeToFixed(sentinelStats.moisture.min, 2)}</span>
                   <span>Max: {safeToFixed(sentinelStats.moisture.max, 2)}</span>
                 </div>
+                <SourceNote sources={[sentinelStats.source]} />
               </div>
             ) : sentinelLoading ? (
               <p>Loading moisture...</p>
@@ -1197,7 +1388,7 @@ const FarmDetailsPage = () => {
           <DroneImagerySection farmId={farmId} />
 
           {/* IoT Sensors Section */}
-          <IoTSensorSection farmId={farmId} />
+          <IoTSensorSection farmId={farmId} farmName={farm?.name} ownerId={farm?.user_id} />
 
           {/* NDVI Chart (AgroMonitoring) */}
           <div className="data-card chart-card">
@@ -1234,17 +1425,86 @@ const FarmDetailsPage = () => {
               </span>
               NDVI History (Sentinel Hub)
             </h3>
-            <p className="card-subtitle">60-day vegetation health trend</p>
-            {sentinelHistory.ndvi.length > 0 ? (
-              <div className="chart-container">
-                <VegetationChart
-                  data={sentinelHistory.ndvi}
-                  label="NDVI"
-                  color="#22c55e"
-                  minValue={-0.2}
-                  maxValue={1}
-                />
-              </div>
+            <p className="card-subtitle">
+              {seasonNdvi.length > 0
+                ? cycleStart
+                  ? `Season trend since ${new Date(cycleStart).toLocaleDateString()} with detected crop stages`
+                  : "180-day trend with detected crop stages"
+                : "60-day vegetation health trend"}
+            </p>
+            {seasonNdvi.length > 0 || sentinelHistory.ndvi.length > 0 ? (
+              <>
+                <div className="chart-container">
+                  <VegetationChart
+                    data={seasonNdvi.length > 0 ? seasonNdvi : sentinelHistory.ndvi}
+                    label="NDVI"
+                    color="#22c55e"
+                    minValue={-0.2}
+                    maxValue={1}
+                    markers={phenologyMarkers}
+                  />
+                </div>
+                <CloudMaskNote data={seasonNdvi.length > 0 ? seasonNdvi : sentinelHistory.ndvi} />
+                <div className="ndvi-source-row">
+                  <label className="ndvi-source-toggle">
+                    <input
+                      type="checkbox"
+                      checked={mergeLandsat}
+                      onChange={(e) => setMergeLandsat(e.target.checked)}
+                    />
+                    Include {getCollectionName(LANDSAT_COLLECTION)}
+                  </label>
+                  <SourceNote
+                    sources={(seasonNdvi.length > 0 ? seasonNdvi : sentinelHistory.ndvi).map((point) => point.source)}
+                  />
+                </div>
+                {phenologyMarkers.length > 0 && (
+                  <div className="phenology-events">
+                    {phenologyMarkers.map((marker) => (
+                      <span key={marker.label} className="phenology-event">
+                        <span className="phenology-swatch" style={{ background: marker.color }} />
+                        {marker.label}: {new Date(marker.time).toLocaleDateString()}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {milestoneTiming.length > 0 && (
+                  <table className="phenology-table">
+                    <thead>
+                      <tr>
+                        <th>Milestone</th>
+                        <th>Evidence</th>
+                        <th>Expected</th>
+                        <th>Detected</th>
+                        <th>Timing</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {milestoneTiming.map((row) => (
+                        <tr key={row.milestoneId}>
+                          <td>{row.name}</td>
+                          <td>{row.eventLabel}</td>
+                          <td>
+                            {row.expectedTime
+                              ? new Date(row.expectedTime).toLocaleDateString()
+                              : "—"}
+                          </td>
+                          <td>
+                            {row.detectedTime
+                              ? new Date(row.detectedTime).toLocaleDateString()
+                              : "Not yet"}
+                          </td>
+                          <td>
+                            <span className={`phenology-status ${row.status}`}>
+                              {getPhenologyStatusLabel(row)}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </>
             ) : sentinelLoading ? (
               <p>Loading Sentinel NDVI history...</p>
             ) : (
@@ -1254,6 +1514,42 @@ const FarmDetailsPage = () => {
             )}
           </div>
 
+          {/* Season-over-season NDVI against the multi-year baseline */}
+          <SeasonBaselineSection coords={farmCoords} cycleStart={cycleStart} />
+
+          {/* Degree-days since the cycle started against milestone GDD targets */}
+          {activeCycle && cycleStart && farmCoords && (
+            <GddSection
+              location={weatherLocation}
+              cycleStart={cycleStart}
+              crop={availableCrops.find((c) => c.id === activeCycle.crop_id)}
+              milestones={cycleMilestones}
+            />
+          )}
+
+          {/* Season-long soil temperature and moisture against the sowing thresholds */}
+          {farm?.agromonitoring_id && (
+            <SoilHistorySection
+              farmId={farmId}
+              current={soil}
+              crop={availableCrops.find(
+                (c) => c.id === (activeCycle ? activeCycle.crop_id : selectedCropId)
+              )}
+              seasonStart={cycleStart}
+            />
+          )}
+
+          {/* Daily water balance, irrigation recommendation and irrigation log */}
+          {activeCycle && cycleStart && farmCoords && (
+            <IrrigationSection
+              farmId={farmId}
+              location={weatherLocation}
+              forecast={weather}
+              crop={availableCrops.find((c) => c.id === activeCycle.crop_id)}
+              cycleStart={cycleStart}
+            />
+          )}
+
           {/* Sentinel Hub SAVI Trend Chart */}
           <div className="data-card chart-card sentinel-chart-card">
             <h3>
@@ -1274,15 +1570,19 @@ const FarmDetailsPage = () => {
               60-day soil-adjusted vegetation trend
             </p>
             {sentinelHistory.savi.length > 0 ? (
-              <div className="chart-container">
-                <VegetationChart
-                  data={sentinelHistory.savi}
-                  label="SAVI"
-                  color="#10b981"
-                  minValue={-0.2}
-                  maxValue={1.5}
-                />
-              </div>
+              <>
+                <div className="chart-container">
+                  <VegetationChart
+                    data={sentinelHistory.savi}
+                    label="SAVI"
+                    color="#10b981"
+                    minValue={-0.2}
+                    maxValue={1.5}
+                  />
+                </div>
+                <CloudMaskNote data={sentinelHistory.savi} />
+                <SourceNote sources={sentinelHistory.savi.map((point) => point.source)} />
+              </>
             ) : sentinelLoading ? (
               <p>Loading SAVI history...</p>
             ) : (
@@ -1310,15 +1610,19 @@ const FarmDetailsPage = () => {
             </h3>
             <p className="card-subtitle">60-day vegetation moisture trend</p>
             {sentinelHistory.moisture.length > 0 ? (
-              <div className="chart-container">
-                <VegetationChart
-                  data={sentinelHistory.moisture}
-                  label="Moisture"
-                  color="#0ea5e9"
-                  minValue={-0.5}
-                  maxValue={0.5}
-                />
-              </div>
+              <>
+                <div className="chart-container">
+                  <VegetationChart
+                    data={sentinelHistory.moisture}
+                    label="Moisture"
+                    color="#0ea5e9"
+                    minValue={-0.5}
+                    maxValue={0.5}
+                  />
+                </div>
+                <CloudMaskNote data={sentinelHistory.moisture} />
+                <SourceNote sources={sentinelHistory.moisture.map((point) => point.source)} />
+              </>
             ) : sentinelLoading ? (
               <p>Loading moisture history...</p>
             ) : (
@@ -1346,15 +1650,19 @@ const FarmDetailsPage = () => {
             </h3>
             <p className="card-subtitle">60-day leaf area index trend</p>
             {sentinelHistory.lai.length > 0 ? (
-              <div className="chart-container">
-                <VegetationChart
-                  data={sentinelHistory.lai}
-                  label="LAI"
-                  color="#84cc16"
-                  minValue={0}
-                  maxValue={8}
-                />
-              </div>
+              <>
+                <div className="chart-container">
+                  <VegetationChart
+                    data={sentinelHistory.lai}
+                    label="LAI"
+                    color="#84cc16"
+                    minValue={0}
+                    maxValue={8}
+                  />
+                </div>
+                <CloudMaskNote data={sentinelHistory.lai} />
+                <SourceNote sources={sentinelHistory.lai.map((point) => point.source)} />
+              </>
             ) : sentinelLoading ? (
               <p>Loading LAI history...</p>
             ) : (
@@ -1365,7 +1673,10 @@ const FarmDetailsPage = () => {
           </div>
 
           {/* Sentinel Hub Satellite Imagery - Interactive Map */}
-          <SatelliteImagerySection farmId={farmId} coords={farmCoords} />
+          <SatelliteImagerySection farmId={farmId} coords={farmCoords} farmName={farm?.name} />
+
+          {/* Management Zones - NDVI clustering for variable-rate application */}
+          <ManagementZonesSection farmId={farmId} coords={farmCoords} farmName={farm?.name} />
         </div>
       </main>
       <Modal
@@ -8,6 +8,15 @@ import Spinner from "./spinner";
 import { toast } from "react-hot-toast";
 import { useAuth } from "./useauth";
 import { getMapboxStaticImageUrl } from "./utils/geometryHelpers";
+import { getAgroSyncStatus, syncFarmPolygons } from "./agroPolygonSync";
+
+// AgroMonitoring sync status shown on each farm card
+const AGRO_SYNC_LABELS = {
+  synced: { label: "Weather linked", icon: "cloud_done" },
+  outdated: { label: "Updating boundary", icon: "cloud_sync" },
+  pending: { label: "Registering", icon: "cloud_upload" },
+  failed: { label: "Registration failed - retrying", icon: "cloud_off" },
+};
 
 // This is the new, self-contained Farm Card component
 const FarmCard = ({ farm }) => {
@@ -48,6 +57,9 @@ const FarmCard = ({ farm }) => {
   const milestonesComplete = 0; // Placeholder data
   const totalMilestones = 5; // Placeholder data
   const progress = (milestonesComplete / totalMilestones) * 100;
+  // Sync state is unknown when the farms were loaded without it (RPC fallback)
+  const syncStatus = farm.agro_sync !== undefined ? getAgroSyncStatus(farm) : null;
+  const syncInfo = syncStatus ? AGRO_SYNC_LABELS[syncStatus] : null;
 
   return (
     <div className="farm-card">
@@ -73,6 +85,15 @@ const FarmCard = ({ farm }) => {
               style={{ width: `${progress}%` }}
             ></div>
           </div>
+          {syncInfo && (
+            <span
+              className={`agro-sync-status ${syncStatus}`}
+              title={syncStatus === "failed" ? farm.agro_sync?.error : "AgroMonitoring polygon sync"}
+            >
+              <span className="material-symbols-outlined">{syncInfo.icon}</span>
+              {syncInfo.label}
+            </span>
+          )}
         </div>
       </div>
     </div>
@@ -86,6 +107,8 @@ const FarmsPage = () => {
   const { role } = useAuth();
 
   useEffect(() => {
+    let cancelled = false;
+
     const fetchFarms = async () => {
       try {
         // Attempt to use RPC to get farms with boundary as GeoJSON
@@ -111,7 +134,31 @@ const FarmsPage = () => {
             })) || []);
           }
         } else {
-          setFarms(data || []);
+          // The RPC only returns boundary fields; merge in the AgroMonitoring sync state
+          const { data: syncRows, error: syncError } = await supabase
+            .from("farms")
+            .select("id, agromonitoring_id, agro_sync");
+          if (syncError) console.error("Error fetching farm sync state:", syncError);
+
+          const syncById = new Map((syncRows || []).map((row) => [row.id, row]));
+          const rows = (data || []).map((farm) => ({
+            ...farm,
+            agromonitoring_id: syncById.get(farm.id)?.agromonitoring_id ?? null,
+            agro_sync: syncById.get(farm.id)?.agro_sync ?? null,
+          }));
+          setFarms(rows);
+
+          // Register farms that never got an AgroMonitoring polygon and push boundary changes,
+          // once per page load, in the background
+          if (!syncError) {
+            syncFarmPolygons(rows, {
+              isCancelled: () => cancelled,
+              onResult: (farm, values) => {
+                if (cancelled) return;
+                setFarms((prev) => prev.map((f) => (f.id === farm.id ? { ...f, ...values } : f)));
+              },
+            }).catch((err) => console.error("AgroMonitoring sync failed:", err));
+          }
         }
       } catch (err) {
         console.error("Error fetching farms:", err);
@@ -121,6 +168,9 @@ const FarmsPage = () => {
       }
     };
     fetchFarms();
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
   if (loading) return <Spinner></Spinner>;
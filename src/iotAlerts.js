@@ -0,0 +1,199 @@
+// src/iotAlerts.js
+/**
+ * IoT Telemetry Alerts
+ * Per-device threshold rules, checked against the latest telemetry (and its recent history
+ * when a rule needs the breach to last) whenever the farm's sensors are loaded. A triggered
+ * rule notifies the farm owner and then stays quiet for its cooldown
+ *
+ *   CREATE TABLE IF NOT EXISTS iot_alert_rules (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+ *     device_id UUID NOT NULL REFERENCES iot_devices(id) ON DELETE CASCADE,
+ *     telemetry_key TEXT NOT NULL,
+ *     comparator TEXT NOT NULL CHECK (comparator IN ('lt', 'lte', 'gt', 'gte')),
+ *     threshold NUMERIC NOT NULL,
+ *     duration_minutes INTEGER NOT NULL DEFAULT 0,
+ *     cooldown_minutes INTEGER NOT NULL DEFAULT 360,
+ *     is_active BOOLEAN NOT NULL DEFAULT true,
+ *     last_triggered_at TIMESTAMPTZ,
+ *     created_by UUID REFERENCES auth.users(id),
+ *     created_at TIMESTAMPTZ DEFAULT now()
+ *   );
+ */
+
+import { supabase } from "./createclient";
+import { getTelemetryHistory } from "./thingsboard";
+import { DEFAULT_COOLDOWN_MINUTES, describeAlert, evaluateReadings, isBreach, isInCooldown } from "./utils/alertRules";
+import { applyCalibration, getTelemetryLabel, getTelemetryUnit } from "./utils/telemetryKeys";
+
+const RULE_COLUMNS =
+  "id, device_id, telemetry_key, comparator, threshold, duration_minutes, cooldown_minutes, is_active, last_triggered_at";
+
+/**
+ * Alert rules of a farm's devices
+ * @param {string} farmId - Farm ID
+ * @returns {Promise<Array>} iot_alert_rules rows, oldest first
+ */
+export const getAlertRules = async (farmId) => {
+  const { data, error } = await supabase
+    .from("iot_alert_rules")
+    .select(RULE_COLUMNS)
+    .eq("farm_id", farmId)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    console.error("Error fetching alert rules:", error);
+    throw error;
+  }
+  return data || [];
+};
+
+/**
+ * Create an alert rule
+ * @param {Object} rule
+ * @param {string} rule.farmId - Farm ID
+ * @param {string} rule.deviceId - iot_devices ID
+ * @param {string} rule.telemetryKey - Telemetry key
+ * @param {string} rule.comparator - 'lt' | 'lte' | 'gt' | 'gte'
+ * @param {number} rule.threshold - Threshold in the key's unit
+ * @param {number} rule.durationMinutes - How long the breach must last (0 = immediately)
+ * @param {number} rule.cooldownMinutes - Quiet period after triggering
+ * @returns {Promise<Object>} The stored row
+ */
+export const createAlertRule = async ({
+  farmId,
+  deviceId,
+  telemetryKey,
+  comparator,
+  threshold,
+  durationMinutes = 0,
+  cooldownMinutes = DEFAULT_COOLDOWN_MINUTES,
+}) => {
+  if (!telemetryKey) throw new Error("Choose a telemetry key for the rule.");
+  if (!Number.isFinite(threshold)) throw new Error("Enter a numeric threshold.");
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+
+  const { data, error } = await supabase
+    .from("iot_alert_rules")
+    .insert({
+      farm_id: farmId,
+      device_id: deviceId,
+      telemetry_key: telemetryKey,
+      comparator,
+      threshold,
+      duration_minutes: Math.max(0, Math.round(durationMinutes)),
+      cooldown_minutes: Math.max(0, Math.round(cooldownMinutes)),
+      created_by: user?.id || null,
+    })
+    .select(RULE_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error("Error creating alert rule:", error);
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * Enable or disable an alert rule
+ * @param {number} ruleId - iot_alert_rules ID
+ * @param {boolean} isActive - New state
+ */
+export const setAlertRuleActive = async (ruleId, isActive) => {
+  const { error } = await supabase.from("iot_alert_rules").update({ is_active: isActive }).eq("id", ruleId);
+
+  if (error) {
+    console.error("Error updating alert rule:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an alert rule
+ * @param {number} ruleId - iot_alert_rules ID
+ */
+export const deleteAlertRule = async (ruleId) => {
+  const { error } = await supabase.from("iot_alert_rules").delete().eq("id", ruleId);
+
+  if (error) {
+    console.error("Error deleting alert rule:", error);
+    throw error;
+  }
+};
+
+// Readings of one key: the latest value, plus the history back to twice the rule's duration
+const getRuleReadings = async (device, rule) => {
+  const key = rule.telemetry_key;
+  const latest = { ts: device.telemetry[`${key}_ts`], value: device.telemetry[key] };
+  const durationMs = (Number(rule.duration_minutes) || 0) * 60 * 1000;
+  if (durationMs === 0 || !isBreach(latest.value, rule)) return [latest];
+
+  const history = await getTelemetryHistory(device.device_id, [key], latest.ts - 2 * durationMs, latest.ts);
+  const calibrated = (history?.[key] || []).map((r) => ({
+    ts: r.ts,
+    value: applyCalibration(key, parseFloat(r.value), device),
+  }));
+  return [latest, ...calibrated];
+};
+
+// Mark the rule triggered unless another viewer already did within the cooldown
+const claimTrigger = async (rule, now) => {
+  const cutoff = new Date(now - Number(rule.cooldown_minutes ?? DEFAULT_COOLDOWN_MINUTES) * 60 * 1000).toISOString();
+  const { data, error } = await supabase
+    .from("iot_alert_rules")
+    .update({ last_triggered_at: new Date(now).toISOString() })
+    .eq("id", rule.id)
+    .or(`last_triggered_at.is.null,last_triggered_at.lt.${cutoff}`)
+    .select("id");
+
+  if (error) throw error;
+  return (data || []).length > 0;
+};
+
+/**
+ * Check every active rule against the farm's latest telemetry and notify the owner of breaches
+ * @param {Object} params
+ * @param {string} params.farmId - Farm ID (notifications link to the farm page)
+ * @param {string} params.farmName - Farm name used in the message
+ * @param {string} params.ownerId - Farm owner (notification recipient)
+ * @param {Array} params.devices - getFarmIoTData result
+ * @param {Array} params.rules - getAlertRules result
+ * @returns {Promise<Array<number>>} IDs of the rules that triggered
+ */
+export const evaluateAlertRules = async ({ farmId, farmName, ownerId, devices, rules }) => {
+  if (!ownerId) return [];
+  const now = Date.now();
+  const triggered = [];
+
+  for (const rule of rules.filter((r) => r.is_active && !isInCooldown(r, now))) {
+    const device = devices.find((d) => d.id === rule.device_id);
+    if (!Number.isFinite(device?.telemetry?.[rule.telemetry_key])) continue;
+
+    try {
+      const result = evaluateReadings(await getRuleReadings(device, rule), rule);
+      if (!result.breached || !(await claimTrigger(rule, now))) continue;
+
+      const { error } = await supabase.from("notifications").insert({
+        user_id: ownerId,
+        message: describeAlert({
+          farmName,
+          deviceName: device.device_name,
+          rule,
+          label: getTelemetryLabel(rule.telemetry_key),
+          unit: getTelemetryUnit(rule.telemetry_key, device),
+          value: result.value,
+        }),
+        link_to: `/farm/${farmId}`,
+      });
+      if (error) throw error;
+      triggered.push(rule.id);
+    } catch (err) {
+      console.error(`Error evaluating alert rule ${rule.id}:`, err);
+    }
+  }
+  return triggered;
+};
@@ -0,0 +1,549 @@
+// src/pages/IoTDevicesPage.jsx
+/**
+ * IoT Devices Page (farm owners and admins)
+ * Registers iot_devices against a farm: sensor type, display name, the ThingsBoard device
+ * (entered or created from here), telemetry keys with their unit and calibration, and the
+ * device's position on the farm map. Devices are deactivated rather than deleted so their
+ * alert rules and history stay intact.
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { MapContainer, TileLayer, GeoJSON, CircleMarker, useMap, useMapEvents } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import { toast } from "react-hot-toast";
+import { supabase } from "./createclient";
+import Sidebar from "./sidebar";
+import Spinner from "./spinner";
+import ConfirmDialog from "./confirmdialog";
+import { useAuth } from "./useauth";
+import {
+  createThingsBoardDevice,
+  getIoTSensorTypes,
+  getManagedIoTDevices,
+  saveIoTDevice,
+  setIoTDeviceActive,
+} from "./thingsboard";
+import { geoJSONToLeaflet, isPointInPolygon } from "./utils/geometryHelpers";
+import { getTelemetryUnit } from "./utils/telemetryKeys";
+import "./iotdevices.css";
+
+const EMPTY_KEY = { key: "", unit: "", scale: "1", offset: "0" };
+
+const EMPTY_FORM = {
+  id: null,
+  farmId: "",
+  sensorTypeId: "",
+  displayName: "",
+  thingsboardDeviceId: "",
+  keys: [],
+  latitude: null,
+  longitude: null,
+};
+
+const parseBoundary = (boundary) => {
+  if (!boundary) return null;
+  try {
+    return typeof boundary === "string" ? JSON.parse(boundary) : boundary;
+  } catch (e) {
+    console.warn("Failed to parse boundary_geojson:", e);
+    return null;
+  }
+};
+
+// Form state of a stored device
+const toForm = (device) => {
+  const config = device.config || {};
+  return {
+    id: device.id,
+    farmId: device.farm_id,
+    sensorTypeId: device.sensor_type_id || "",
+    displayName: device.display_name || "",
+    thingsboardDeviceId: device.thingsboard_device_id || "",
+    keys: (config.telemetry_keys || []).map((key) => ({
+      key,
+      unit: config.telemetry_units?.[key] || "",
+      scale: String(config.calibration?.[key]?.scale ?? 1),
+      offset: String(config.calibration?.[key]?.offset ?? 0),
+    })),
+    latitude: device.latitude ?? null,
+    longitude: device.longitude ?? null,
+  };
+};
+
+// Device config from the key rows, keeping any other settings already stored
+const toConfig = (keys, existing = {}) => {
+  const rows = keys.filter((row) => row.key.trim());
+  const telemetryUnits = {};
+  const calibration = {};
+  rows.forEach((row) => {
+    const key = row.key.trim();
+    if (row.unit.trim()) telemetryUnits[key] = row.unit.trim();
+    const scale = parseFloat(row.scale);
+    const offset = parseFloat(row.offset);
+    if ((Number.isFinite(scale) && scale !== 1) || (Number.isFinite(offset) && offset !== 0)) {
+      calibration[key] = {
+        scale: Number.isFinite(scale) ? scale : 1,
+        offset: Number.isFinite(offset) ? offset : 0,
+      };
+    }
+  });
+  return {
+    ...existing,
+    telemetry_keys: rows.map((row) => row.key.trim()),
+    telemetry_units: telemetryUnits,
+    calibration,
+  };
+};
+
+const FitBounds = ({ bounds }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (bounds) {
+      map.fitBounds(bounds, { padding: [20, 20] });
+    }
+  }, [bounds, map]);
+
+  return null;
+};
+
+const PositionPicker = ({ onPick }) => {
+  useMapEvents({
+    click: (e) => onPick(e.latlng),
+  });
+  return null;
+};
+
+const IoTDevicesPage = () => {
+  const { role, loading: authLoading } = useAuth();
+  const [farms, setFarms] = useState([]);
+  const [sensorTypes, setSensorTypes] = useState([]);
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [farmFilter, setFarmFilter] = useState("");
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [creatingTb, setCreatingTb] = useState(false);
+  const [deviceToDeactivate, setDeviceToDeactivate] = useState(null);
+
+  useEffect(() => {
+    if (authLoading) return;
+
+    const fetchData = async () => {
+      try {
+        const { data, error } = await supabase.rpc(
+          role === "admin" ? "get_all_farms_geojson" : "get_user_farms_geojson"
+        );
+        if (error) throw error;
+
+        const rows = (data || []).map((farm) => {
+          const boundary = parseBoundary(farm.boundary_geojson);
+          return {
+            id: farm.id,
+            name: farm.name,
+            boundary,
+            coords: boundary ? geoJSONToLeaflet(boundary) : [],
+          };
+        });
+        const [types, stored] = await Promise.all([
+          getIoTSensorTypes(),
+          getManagedIoTDevices(rows.map((farm) => farm.id)),
+        ]);
+
+        setFarms(rows);
+        setSensorTypes(types);
+        setDevices(stored);
+      } catch (error) {
+        console.error("Error loading IoT devices:", error);
+        toast.error("Could not load IoT devices");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [role, authLoading]);
+
+  const farmsById = useMemo(() => new Map(farms.map((farm) => [farm.id, farm])), [farms]);
+
+  const visibleDevices = useMemo(
+    () => devices.filter((device) => !farmFilter || device.farm_id === farmFilter),
+    [devices, farmFilter]
+  );
+
+  const formFarm = form ? farmsById.get(form.farmId) : null;
+
+  const formBounds = useMemo(
+    () => (formFarm && formFarm.coords.length > 0 ? formFarm.coords.map((c) => [c.lat, c.lng]) : null),
+    [formFarm]
+  );
+
+  const updateForm = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const updateKey = (index, field, value) =>
+    setForm((prev) => ({
+      ...prev,
+      keys: prev.keys.map((row, i) => (i === index ? { ...row, [field]: value } : row)),
+    }));
+
+  const handleNew = () => setForm({ ...EMPTY_FORM, farmId: farmFilter || farms[0]?.id || "" });
+
+  const handleFarmChange = (farmId) =>
+    setForm((prev) => ({ ...prev, farmId, latitude: null, longitude: null }));
+
+  const handlePick = (latlng) => {
+    if (formFarm?.coords.length >= 3 && !isPointInPolygon(latlng, formFarm.coords)) {
+      toast.error("Place the device inside the farm boundary");
+      return;
+    }
+    setForm((prev) => ({ ...prev, latitude: latlng.lat, longitude: latlng.lng }));
+  };
+
+  const handleCreateTbDevice = async () => {
+    if (!form.displayName.trim()) {
+      toast.error("Enter a display name first");
+      return;
+    }
+    const sensorType = sensorTypes.find((type) => String(type.id) === String(form.sensorTypeId));
+    setCreatingTb(true);
+    try {
+      const farmName = formFarm?.name ? `${formFarm.name} - ` : "";
+      const tbId = await createThingsBoardDevice(
+        `${farmName}${form.displayName.trim()}`,
+        sensorType?.name || "default"
+      );
+      updateForm("thingsboardDeviceId", tbId);
+      toast.success("ThingsBoard device created");
+    } catch (error) {
+      toast.error(error.message || "Failed to create ThingsBoard device");
+    } finally {
+      setCreatingTb(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const existing = devices.find((device) => device.id === form.id);
+      const saved = await saveIoTDevice({
+        id: form.id,
+        farmId: form.farmId,
+        sensorTypeId: form.sensorTypeId,
+        displayName: form.displayName,
+        thingsboardDeviceId: form.thingsboardDeviceId,
+        config: toConfig(form.keys, existing?.config),
+        latitude: form.latitude,
+        longitude: form.longitude,
+      });
+      setDevices((prev) =>
+        form.id ? prev.map((device) => (device.id === saved.id ? saved : device)) : [...prev, saved]
+      );
+      setForm(null);
+      toast.success(form.id ? "Device updated" : "Device registered");
+    } catch (error) {
+      toast.error(error.message || "Failed to save device");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setActive = async (device, isActive) => {
+    try {
+      await setIoTDeviceActive(device.id, isActive);
+      setDevices((prev) => prev.map((d) => (d.id === device.id ? { ...d, is_active: isActive } : d)));
+      toast.success(isActive ? "Device reactivated" : "Device deactivated");
+    } catch (error) {
+      toast.error(error.message || "Failed to update device");
+    }
+  };
+
+  if (loading) return <Spinner />;
+
+  return (
+    <div className="iotdevices-page-container">
+      <Sidebar />
+      <main className="iotdevices-main">
+        <header className="iotdevices-page-header">
+          <div>
+            <h1>IoT Devices</h1>
+            <p className="page-subtitle">
+              Register field sensors, link them to ThingsBoard and place them on the farm map.
+            </p>
+          </div>
+          <button className="register-device-btn" onClick={handleNew} disabled={farms.length === 0}>
+            <span className="material-symbols-outlined">add</span>
+            Register Device
+          </button>
+        </header>
+
+        {form && (
+          <form className="device-form-card" onSubmit={handleSave}>
+            <h2>{form.id ? "Edit Device" : "Register Device"}</h2>
+            <div className="device-form-grid">
+              <div className="device-form-fields">
+                <label>
+                  Farm
+                  <select value={form.farmId} onChange={(e) => handleFarmChange(e.target.value)} required>
+                    {farms.map((farm) => (
+                      <option key={farm.id} value={farm.id}>
+                        {farm.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Sensor type
+                  <select value={form.sensorTypeId} onChange={(e) => updateForm("sensorTypeId", e.target.value)}>
+                    <option value="">Select a sensor type</option>
+                    {sensorTypes.map((type) => (
+                      <option key={type.id} value={type.id}>
+                        {type.unit ? `${type.name} (${type.unit})` : type.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Display name
+                  <input
+                    type="text"
+                    value={form.displayName}
+                    onChange={(e) => updateForm("displayName", e.target.value)}
+                    placeholder="e.g. North block soil probe"
+                    required
+                  />
+                </label>
+                <label>
+                  ThingsBoard device ID
+                  <div className="tb-device-row">
+                    <input
+                      type="text"
+                      value={form.thingsboardDeviceId}
+                      onChange={(e) => updateForm("thingsboardDeviceId", e.target.value)}
+                      placeholder="Paste an existing device ID"
+                      required
+                    />
+                    <button
+                      type="button"
+                      className="device-secondary-btn"
+                      onClick={handleCreateTbDevice}
+                      disabled={creatingTb || Boolean(form.thingsboardDeviceId)}
+                    >
+                      {creatingTb ? "Creating..." : "Create in ThingsBoard"}
+                    </button>
+                  </div>
+                </label>
+
+                <div className="telemetry-keys">
+                  <div className="telemetry-keys-header">
+                    <span>Telemetry keys</span>
+                    <button
+                      type="button"
+                      className="device-secondary-btn"
+                      onClick={() => updateForm("keys", [...form.keys, EMPTY_KEY])}
+                    >
+                      Add key
+                    </button>
+                  </div>
+                  {form.keys.length === 0 ? (
+                    <p className="device-hint">
+                      No keys configured. The farm page will chart whatever numeric keys the device reports.
+                    </p>
+                  ) : (
+                    <>
+                      <div className="telemetry-key-row telemetry-key-labels">
+                        <span>Key</span>
+                        <span>Unit</span>
+                        <span>Scale</span>
+                        <span>Offset</span>
+                        <span />
+                      </div>
+                      {form.keys.map((row, index) => (
+                        <div key={index} className="telemetry-key-row">
+                          <input
+                            type="text"
+                            value={row.key}
+                            onChange={(e) => updateKey(index, "key", e.target.value)}
+                            placeholder="soilMoisture_%"
+                          />
+                          <input
+                            type="text"
+                            value={row.unit}
+                            onChange={(e) => updateKey(index, "unit", e.target.value)}
+                            placeholder={getTelemetryUnit(row.key) || "unit"}
+                          />
+                          <input
+                            type="number"
+                            step="any"
+                            value={row.scale}
+                            onChange={(e) => updateKey(index, "scale", e.target.value)}
+                          />
+                          <input
+                            type="number"
+                            step="any"
+                            value={row.offset}
+                            onChange={(e) => updateKey(index, "offset", e.target.value)}
+                          />
+                          <button
+                            type="button"
+                            className="telemetry-key-remove"
+                            onClick={() => updateForm("keys", form.keys.filter((_, i) => i !== index))}
+                            title="Remove key"
+                          >
+                            <span className="material-symbols-outlined">close</span>
+                          </button>
+                        </div>
+                      ))}
+                      <p className="device-hint">Readings are shown as raw value × scale + offset.</p>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              <div className="device-map-panel">
+                <MapContainer center={[0, 0]} zoom={2} className="device-map">
+                  <TileLayer
+                    url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
+                    attribution="&copy; Esri"
+                  />
+                  <FitBounds bounds={formBounds} />
+                  <PositionPicker onPick={handlePick} />
+                  {formFarm?.boundary && (
+                    <GeoJSON
+                      key={formFarm.id}
+                      data={formFarm.boundary}
+                      style={{ color: "#ffffff", weight: 2, fillColor: "#4cdf20", fillOpacity: 0.2 }}
+                      interactive={false}
+                    />
+                  )}
+                  {form.latitude !== null && form.longitude !== null && (
+                    <CircleMarker
+                      center={[form.latitude, form.longitude]}
+                      radius={8}
+                      pathOptions={{ color: "#ffffff", weight: 2, fillColor: "#0d9488", fillOpacity: 1 }}
+                    />
+                  )}
+                </MapContainer>
+                <div className="device-map-footer">
+                  <span>
+                    {form.latitude !== null && form.longitude !== null
+                      ? `${form.latitude.toFixed(6)}, ${form.longitude.toFixed(6)}`
+                      : "Click the map to place the device"}
+                  </span>
+                  {form.latitude !== null && (
+                    <button
+                      type="button"
+                      className="device-link-btn"
+                      onClick={() => setForm((prev) => ({ ...prev, latitude: null, longitude: null }))}
+                    >
+                      Clear position
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            <div className="device-form-actions">
+              <button type="button" className="device-secondary-btn" onClick={() => setForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="register-device-btn" disabled={saving}>
+                {saving ? "Saving..." : form.id ? "Save Changes" : "Register Device"}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="devices-table-card">
+          <label className="devices-farm-filter">
+            Farm
+            <select value={farmFilter} onChange={(e) => setFarmFilter(e.target.value)}>
+              <option value="">All farms</option>
+              {farms.map((farm) => (
+                <option key={farm.id} value={farm.id}>
+                  {farm.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {visibleDevices.length === 0 ? (
+            <p className="device-hint">No devices registered yet.</p>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  <th>Device</th>
+                  <th>Farm</th>
+                  <th>Sensor Type</th>
+                  <th>Telemetry Keys</th>
+                  <th>Position</th>
+                  <th>Status</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {visibleDevices.map((device) => (
+                  <tr key={device.id} className={device.is_active ? "" : "inactive"}>
+                    <td>
+                      <strong>{device.display_name}</strong>
+                      <small>{device.thingsboard_device_id || "No ThingsBoard device"}</small>
+                    </td>
+                    <td>
+                      <Link to={`/farm/${device.farm_id}`}>
+                        {farmsById.get(device.farm_id)?.name || "—"}
+                      </Link>
+                    </td>
+                    <td>{device.iot_sensor_types?.name || "—"}</td>
+                    <td>{(device.config?.telemetry_keys || []).join(", ") || "Auto"}</td>
+                    <td>{device.latitude !== null && device.latitude !== undefined ? "Placed" : "—"}</td>
+                    <td>
+                      <span className={`device-status ${device.is_active ? "active" : "inactive"}`}>
+                        {device.is_active ? "Active" : "Inactive"}
+                      </span>
+                    </td>
+                    <td className="device-actions">
+                      <button type="button" className="device-link-btn" onClick={() => setForm(toForm(device))}>
+                        Edit
+                      </button>
+                      {device.is_active ? (
+                        <button
+                          type="button"
+                          className="device-link-btn danger"
+                          onClick={() => setDeviceToDeactivate(device)}
+                        >
+                          Deactivate
+                        </button>
+                      ) : (
+                        <button type="button" className="device-link-btn" onClick={() => setActive(device, true)}>
+                          Reactivate
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <ConfirmDialog
+          isOpen={Boolean(deviceToDeactivate)}
+          onClose={() => setDeviceToDeactivate(null)}
+          onConfirm={() => setActive(deviceToDeactivate, false)}
+          title="Deactivate Device"
+          message={
+            deviceToDeactivate
+              ? `Deactivate ${deviceToDeactivate.display_name}? It will disappear from the farm page and its alert rules will stop firing. You can reactivate it later.`
+              : ""
+          }
+          type="danger"
+          confirmText="Deactivate"
+        />
+      </main>
+    </div>
+  );
+};
+
+export default IoTDevicesPage;
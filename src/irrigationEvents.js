@@ -0,0 +1,86 @@
+// src/irrigationEvents.js
+/**
+ * Irrigation Log
+ * Irrigation applied by the farmer, in millimetres over the whole farm, feeds the water balance
+ *
+ *   CREATE TABLE IF NOT EXISTS irrigation_events (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+ *     applied_on DATE NOT NULL,
+ *     amount_mm NUMERIC NOT NULL CHECK (amount_mm > 0),
+ *     notes TEXT,
+ *     created_by UUID REFERENCES auth.users(id),
+ *     created_at TIMESTAMPTZ DEFAULT now()
+ *   );
+ */
+
+import { supabase } from "./createclient";
+
+/**
+ * Irrigation events of a farm, oldest first
+ * @param {string} farmId - Farm ID
+ * @param {string} since - First day (YYYY-MM-DD)
+ * @returns {Promise<Array>} irrigation_events rows
+ */
+export const getIrrigationEvents = async (farmId, since) => {
+  const { data, error } = await supabase
+    .from("irrigation_events")
+    .select("id, applied_on, amount_mm, notes")
+    .eq("farm_id", farmId)
+    .gte("applied_on", since)
+    .order("applied_on", { ascending: true });
+
+  if (error) {
+    console.error("Error fetching irrigation events:", error);
+    throw error;
+  }
+  return data || [];
+};
+
+/**
+ * Log an irrigation event
+ * @param {Object} event
+ * @param {string} event.farmId - Farm ID
+ * @param {string} event.appliedOn - Day applied (YYYY-MM-DD)
+ * @param {number} event.amountMm - Net water applied, mm
+ * @param {string} event.notes - Optional notes
+ * @returns {Promise<Object>} The stored row
+ */
+export const logIrrigationEvent = async ({ farmId, appliedOn, amountMm, notes }) => {
+  if (!(amountMm > 0)) throw new Error("Irrigation amount must be greater than 0 mm.");
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+
+  const { data, error } = await supabase
+    .from("irrigation_events")
+    .insert({
+      farm_id: farmId,
+      applied_on: appliedOn,
+      amount_mm: amountMm,
+      notes: notes || null,
+      created_by: user?.id || null,
+    })
+    .select("id, applied_on, amount_mm, notes")
+    .single();
+
+  if (error) {
+    console.error("Error logging irrigation event:", error);
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * Delete an irrigation event
+ * @param {number} eventId - irrigation_events ID
+ */
+export const deleteIrrigationEvent = async (eventId) => {
+  const { error } = await supabase.from("irrigation_events").delete().eq("id", eventId);
+
+  if (error) {
+    console.error("Error deleting irrigation event:", error);
+    throw error;
+  }
+};
@@ -11,8 +11,8 @@ import logo from "./assets/Image_fx.png";
 import { kml } from "@tmcw/togeojson";
 import { toast } from "react-hot-toast";
 import { useAuth } from "./useauth";
-import { registerPolygonWithAgro } from "./agromonitoring";
-import { extractPolygonFromFeatureCollection, geoJSONToLeaflet } from "./utils/geometryHelpers";
+import { syncFarmPolygon } from "./agroPolygonSync";
+import { extractPolygonFromFeatureCollection } from "./utils/geometryHelpers";
 // Reusable header from CreateFarmPage
 const MinimalHeader = () => (
   <header className="minimal-header">
@@ -149,19 +149,21 @@ const UploadKmlPage = () => {
 
       const newFarmId = farmResult.farm_id;
 
-      // 2. Register with AgroMonitoring (needs Leaflet format)
-      const leafletCoords = geoJSONToLeaflet(polygonGeometry);
-      const agroId = await registerPolygonWithAgro(farmName, leafletCoords);
+      // 2. Register the polygon with AgroMonitoring and record the sync state.
+      // The farm is already saved, so a failure here is retried later instead of failing the submission
+      const { agro_sync: agroSync } = await syncFarmPolygon({
+        id: newFarmId,
+        name: farmName,
+        boundary_geojson: polygonGeometry,
+      });
 
-      // 3. Update farm with AgroMonitoring ID
-      const { error: updateError } = await supabase
-        .from("farms")
-        .update({ agromonitoring_id: agroId })
-        .eq("id", newFarmId);
-
-      if (updateError) throw updateError;
-
-      toast.success("Farm boundaries submitted and registered!");
+      if (agroSync.status === "failed") {
+        toast("Farm saved. Weather and soil data will be linked once registration succeeds.", {
+          icon: "⏳",
+        });
+      } else {
+        toast.success("Farm boundaries submitted and registered!");
+      }
       navigate("/home");
     } catch (error) {
       setError(error.message);
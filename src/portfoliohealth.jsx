@@ -0,0 +1,404 @@
+// src/pages/PortfolioHealthPage.jsx
+/**
+ * Portfolio Health Page (admin)
+ * Scans every farm's latest Sentinel-2 NDVI and 14-day change in a throttled background
+ * batch, flags farms that need attention, and shows the results as a sortable table and a map.
+ * Results are saved on each farm (sentinel_data.healthScan) and only rescanned once stale.
+ */
+
+import React, { useState, useEffect, useRef, useMemo, useCallback } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import { MapContainer, TileLayer, GeoJSON, Popup, useMap } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import { toast } from "react-hot-toast";
+import { supabase } from "./createclient";
+import Sidebar from "./sidebar";
+import Spinner from "./spinner";
+import { getNdviChange } from "./sentinelhub";
+import { geoJSONToLeaflet } from "./utils/geometryHelpers";
+import {
+  assessFarmHealth,
+  isScanStale,
+  runThrottledBatch,
+  SCAN_MAX_AGE_HOURS,
+} from "./utils/portfolioScan";
+import "./portfoliohealth.css";
+
+// Fill colour for a farm polygon by mean NDVI (same breaks as the NDVI health labels)
+const getNdviColor = (ndvi) => {
+  if (ndvi === null || ndvi === undefined) return "#94a3b8";
+  if (ndvi < 0.1) return "#a16207";
+  if (ndvi < 0.2) return "#eab308";
+  if (ndvi < 0.4) return "#a3e635";
+  if (ndvi < 0.6) return "#22c55e";
+  return "#15803d";
+};
+
+const parseBoundary = (boundary) => {
+  if (!boundary) return null;
+  try {
+    return typeof boundary === "string" ? JSON.parse(boundary) : boundary;
+  } catch (e) {
+    console.warn("Failed to parse boundary_geojson:", e);
+    return null;
+  }
+};
+
+const formatChange = (change) =>
+  change === null || change === undefined
+    ? "—"
+    : `${change > 0 ? "+" : ""}${change.toFixed(2)}`;
+
+// Values used when sorting the table; missing values always sort last
+const SORT_VALUES = {
+  name: (row) => row.name?.toLowerCase() ?? null,
+  meanNdvi: (row) => row.scan?.meanNdvi ?? null,
+  ndviChange: (row) => row.scan?.ndviChange ?? null,
+  attention: (row) => (row.scan ? (row.scan.needsAttention ? 1 : 0) : null),
+  scannedAt: (row) => (row.scan?.scannedAt ? new Date(row.scan.scannedAt).getTime() : null),
+};
+
+// Helper component to fit the map to every farm
+const FitBounds = ({ bounds }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (bounds) {
+      map.fitBounds(bounds, { padding: [20, 20] });
+    }
+  }, [bounds, map]);
+
+  return null;
+};
+
+const PortfolioHealthPage = () => {
+  const navigate = useNavigate();
+  const [farms, setFarms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [progress, setProgress] = useState(null); // { done, total } while scanning
+  const [sort, setSort] = useState({ key: "attention", direction: "desc" });
+  const [attentionOnly, setAttentionOnly] = useState(false);
+  const [mapBounds, setMapBounds] = useState(null);
+  const cancelledRef = useRef(false);
+  const scanningRef = useRef(false);
+
+  useEffect(() => {
+    cancelledRef.current = false;
+    return () => {
+      cancelledRef.current = true;
+    };
+  }, []);
+
+  // Save one farm's scan result and show it straight away
+  const saveScan = useCallback(async (farm, scan) => {
+    const sentinelData = { ...(farm.sentinelData || {}), healthScan: scan };
+    setFarms((prev) =>
+      prev.map((f) => (f.id === farm.id ? { ...f, scan, sentinelData } : f))
+    );
+
+    const { error } = await supabase
+      .from("farms")
+      .update({ sentinel_data: sentinelData, sentinel_updated_at: scan.scannedAt })
+      .eq("id", farm.id);
+    if (error) console.error("Failed to save health scan for", farm.name, error);
+  }, []);
+
+  const scanFarms = useCallback(async (targets) => {
+    if (scanningRef.current || targets.length === 0) return;
+    scanningRef.current = true;
+    setProgress({ done: 0, total: targets.length });
+
+    let failed = 0;
+    await runThrottledBatch(targets, (farm) => getNdviChange(farm.coords), {
+      isCancelled: () => cancelledRef.current,
+      onResult: (farm, snapshot, error) => {
+        if (error) {
+          // Not saved, so the farm is retried on the next visit
+          failed++;
+          console.error(`Health scan failed for ${farm.name}:`, error);
+        } else {
+          saveScan(farm, {
+            ...snapshot,
+            ...assessFarmHealth(snapshot),
+            scannedAt: new Date().toISOString(),
+          });
+        }
+        setProgress((prev) => prev && { ...prev, done: prev.done + 1 });
+      },
+    });
+
+    scanningRef.current = false;
+    if (cancelledRef.current) return;
+    setProgress(null);
+    if (failed > 0) {
+      toast.error(`${failed} farm${failed > 1 ? "s" : ""} could not be scanned`);
+    } else {
+      toast.success("Portfolio scan complete");
+    }
+  }, [saveScan]);
+
+  useEffect(() => {
+    const fetchFarms = async () => {
+      try {
+        const { data, error } = await supabase.rpc("get_all_farms_geojson");
+        if (error) throw error;
+
+        // Stored scan results live on the farm row (admins read every farm, so no ID filter)
+        const { data: stored, error: storedError } = await supabase
+          .from("farms")
+          .select("id, sentinel_data");
+        if (storedError) throw storedError;
+        const storedById = new Map((stored || []).map((row) => [row.id, row.sentinel_data]));
+
+        const rows = (data || []).map((farm) => {
+          const boundary = parseBoundary(farm.boundary_geojson);
+          const sentinelData = storedById.get(farm.id) || null;
+          return {
+            id: farm.id,
+            name: farm.name,
+            areaHectares: farm.area_hectares,
+            boundary,
+            coords: boundary ? geoJSONToLeaflet(boundary) : [],
+            sentinelData,
+            scan: sentinelData?.healthScan || null,
+          };
+        });
+
+        const points = rows.flatMap((row) => row.coords.map((c) => [c.lat, c.lng]));
+        setMapBounds(points.length > 0 ? points : null);
+        setFarms(rows);
+        setLoading(false);
+
+        // Only farms without a fresh result are scanned in the background
+        scanFarms(rows.filter((row) => row.coords.length >= 3 && isScanStale(row.scan)));
+      } catch (error) {
+        console.error("Error fetching portfolio farms:", error);
+        toast.error("Could not load farms");
+        setLoading(false);
+      }
+    };
+
+    fetchFarms();
+  }, [scanFarms]);
+
+  const handleRescanAll = () => {
+    scanFarms(farms.filter((farm) => farm.coords.length >= 3));
+  };
+
+  const handleSort = (key) => {
+    setSort((prev) =>
+      prev.key === key
+        ? { key, direction: prev.direction === "asc" ? "desc" : "asc" }
+        : { key, direction: key === "name" ? "asc" : "desc" }
+    );
+  };
+
+  const sortedFarms = useMemo(() => {
+    const getValue = SORT_VALUES[sort.key];
+    const factor = sort.direction === "asc" ? 1 : -1;
+    return farms
+      .filter((farm) => !attentionOnly || farm.scan?.needsAttention)
+      .sort((a, b) => {
+        const va = getValue(a);
+        const vb = getValue(b);
+        if (va === null && vb === null) return 0;
+        if (va === null) return 1;
+        if (vb === null) return -1;
+        return va < vb ? -factor : va > vb ? factor : 0;
+      });
+  }, [farms, sort, attentionOnly]);
+
+  const mappedFarms = farms.filter((farm) => farm.coords.length >= 3);
+
+  const attentionCount = farms.filter((farm) => farm.scan?.needsAttention).length;
+  const scannedCount = farms.filter((farm) => farm.scan).length;
+
+  const renderSortHeader = (key, label) => (
+    <th onClick={() => handleSort(key)} className={sort.key === key ? "sorted" : ""}>
+      {label}
+      {sort.key === key && (
+        <span className="material-symbols-outlined">
+          {sort.direction === "asc" ? "arrow_upward" : "arrow_downward"}
+        </span>
+      )}
+    </th>
+  );
+
+  if (loading) return <Spinner />;
+
+  return (
+    <div className="portfolio-page-container">
+      <Sidebar />
+      <main className="portfolio-main">
+        <header className="portfolio-page-header">
+          <div>
+            <h1>Portfolio Health</h1>
+            <p className="page-subtitle">
+              Latest Sentinel-2 NDVI and 14-day change for every farm. Results are reused for{" "}
+              {SCAN_MAX_AGE_HOURS} hours.
+            </p>
+          </div>
+          <button
+            className="rescan-btn"
+            onClick={handleRescanAll}
+            disabled={progress !== null}
+          >
+            <span className="material-symbols-outlined">refresh</span>
+            Rescan All
+          </button>
+        </header>
+
+        <div className="portfolio-summary">
+          <div className="portfolio-metric">
+            <span>Farms</span>
+            <strong>{farms.length}</strong>
+          </div>
+          <div className="portfolio-metric">
+            <span>Scanned</span>
+            <strong>{scannedCount}</strong>
+          </div>
+          <div className="portfolio-metric attention">
+            <span>Need Attention</span>
+            <strong>{attentionCount}</strong>
+          </div>
+        </div>
+
+        {progress && (
+          <div className="scan-progress">
+            <span>
+              Scanning farms in the background… {progress.done} / {progress.total}
+            </span>
+            <div className="scan-progress-bar">
+              <div
+                className="scan-progress-fill"
+                style={{ width: `${(progress.done / progress.total) * 100}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="portfolio-map-card">
+          <MapContainer center={[0, 0]} zoom={2} className="portfolio-map">
+            <TileLayer
+              url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
+              attribution="&copy; Esri"
+            />
+            <FitBounds bounds={mapBounds} />
+            {mappedFarms.map((farm) => (
+              <GeoJSON
+                key={`${farm.id}-${farm.scan?.scannedAt || "none"}`}
+                data={farm.boundary}
+                style={{
+                  color: farm.scan?.needsAttention ? "#ef4444" : "#ffffff",
+                  weight: farm.scan?.needsAttention ? 3 : 1,
+                  fillColor: getNdviColor(farm.scan?.meanNdvi),
+                  fillOpacity: 0.7,
+                }}
+              >
+                <Popup>
+                  <strong>{farm.name}</strong>
+                  <br />
+                  NDVI: {farm.scan?.meanNdvi?.toFixed(2) ?? "—"} (
+                  {formatChange(farm.scan?.ndviChange)} in 14 days)
+                  {farm.scan?.reasons?.length > 0 && (
+                    <>
+                      <br />
+                      {farm.scan.reasons.join(", ")}
+                    </>
+                  )}
+                  <br />
+                  <Link to={`/farm/${farm.id}`}>View Details</Link>
+                </Popup>
+              </GeoJSON>
+            ))}
+          </MapContainer>
+          <div className="portfolio-legend">
+            {[
+              ["< 0.1", "#a16207"],
+              ["0.1–0.2", "#eab308"],
+              ["0.2–0.4", "#a3e635"],
+              ["0.4–0.6", "#22c55e"],
+              ["> 0.6", "#15803d"],
+              ["Not scanned", "#94a3b8"],
+            ].map(([label, color]) => (
+              <span key={label}>
+                <span className="legend-swatch" style={{ background: color }} />
+                {label}
+              </span>
+            ))}
+            <span>
+              <span className="legend-swatch attention" />
+              Needs attention
+            </span>
+          </div>
+        </div>
+
+        <div className="portfolio-table-card">
+          <label className="attention-filter">
+            <input
+              type="checkbox"
+              checked={attentionOnly}
+              onChange={(e) => setAttentionOnly(e.target.checked)}
+            />
+            Show only farms that need attention
+          </label>
+          <table>
+            <thead>
+              <tr>
+                {renderSortHeader("name", "Farm")}
+                {renderSortHeader("meanNdvi", "Mean NDVI")}
+                {renderSortHeader("ndviChange", "14-day Change")}
+                {renderSortHeader("attention", "Status")}
+                {renderSortHeader("scannedAt", "Last Scanned")}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedFarms.map((farm) => (
+                <tr key={farm.id} onClick={() => navigate(`/farm/${farm.id}`)}>
+                  <td>{farm.name}</td>
+                  <td>{farm.scan?.meanNdvi?.toFixed(2) ?? "—"}</td>
+                  <td
+                    className={
+                      farm.scan?.ndviChange < 0
+                        ? "change-down"
+                        : farm.scan?.ndviChange > 0
+                        ? "change-up"
+                        : ""
+                    }
+                  >
+                    {formatChange(farm.scan?.ndviChange)}
+                  </td>
+                  <td>
+                    {farm.coords.length < 3 ? (
+                      <span className="health-pill unknown">No boundary</span>
+                    ) : !farm.scan ? (
+                      <span className="health-pill unknown">Pending</span>
+                    ) : farm.scan.needsAttention ? (
+                      <span className="health-pill attention" title={farm.scan.reasons.join(", ")}>
+                        Needs attention
+                      </span>
+                    ) : (
+                      <span className="health-pill ok">OK</span>
+                    )}
+                  </td>
+                  <td>
+                    {farm.scan?.scannedAt
+                      ? new Date(farm.scan.scannedAt).toLocaleString()
+                      : "—"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {sortedFarms.length === 0 && (
+            <p className="portfolio-empty">
+              {attentionOnly ? "No farms currently need attention." : "No farms found."}
+            </p>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default PortfolioHealthPage;
@@ -0,0 +1,75 @@
+// src/riskNotifications.js
+/**
+ * Weather Risk Notifications
+ * Creates a notifications row for the farm owner when a frost, heat-stress or heavy-rain
+ * window starts within the next 24 hours. Each row records the risk type and window, and a window
+ * overlapping one already notified for the same type is not repeated, so forecast refreshes that
+ * shift the times slightly do not flood the bell. The unique index makes the insert itself
+ * skip a window another viewer (or a second effect run) has just notified
+ *
+ *   ALTER TABLE notifications
+ *     ADD COLUMN IF NOT EXISTS risk_type TEXT,
+ *     ADD COLUMN IF NOT EXISTS risk_start TIMESTAMPTZ,
+ *     ADD COLUMN IF NOT EXISTS risk_end TIMESTAMPTZ;
+ *   CREATE UNIQUE INDEX IF NOT EXISTS notifications_risk_window_key
+ *     ON notifications (user_id, link_to, risk_type, risk_start);
+ */
+
+import { supabase } from "./createclient";
+import { describeWindow } from "./utils/weatherAdvisor";
+
+// Windows of the same type that overlap are the same risk seen in a newer forecast
+const overlaps = (window, sent) =>
+  sent.risk_type === window.type &&
+  new Date(sent.risk_start).getTime() < window.end &&
+  new Date(sent.risk_end).getTime() > window.start;
+
+/**
+ * Notify a farmer about upcoming risk windows on one farm
+ * @param {Object} params
+ * @param {string} params.userId - Farm owner (notification recipient)
+ * @param {string} params.farmId - Farm ID (notifications link to the farm page)
+ * @param {string} params.farmName - Farm name used in the message
+ * @param {Array} params.windows - Risk windows from getUpcomingRisks
+ * @returns {Promise<number>} Number of new windows sent (rows the database already has are skipped)
+ */
+export const notifyUpcomingRisks = async ({ userId, farmId, farmName, windows }) => {
+  if (!userId || windows.length === 0) return 0;
+
+  const linkTo = `/farm/${farmId}`;
+  const earliestStart = Math.min(...windows.map((window) => window.start));
+  const { data: recent, error: recentError } = await supabase
+    .from("notifications")
+    .select("risk_type, risk_start, risk_end")
+    .eq("user_id", userId)
+    .eq("link_to", linkTo)
+    .not("risk_type", "is", null)
+    .gt("risk_end", new Date(earliestStart).toISOString());
+
+  if (recentError) {
+    console.error("Error checking recent notifications:", recentError);
+    throw recentError;
+  }
+
+  const rows = windows
+    .filter((window) => !(recent || []).some((sent) => overlaps(window, sent)))
+    .map((window) => ({
+      user_id: userId,
+      message: `${farmName}: ${describeWindow(window)}`,
+      link_to: linkTo,
+      risk_type: window.type,
+      risk_start: new Date(window.start).toISOString(),
+      risk_end: new Date(window.end).toISOString(),
+    }));
+
+  if (rows.length === 0) return 0;
+
+  const { error } = await supabase
+    .from("notifications")
+    .upsert(rows, { onConflict: "user_id,link_to,risk_type,risk_start", ignoreDuplicates: true });
+  if (error) {
+    console.error("Error creating risk notifications:", error);
+    throw error;
+  }
+  return rows.length;
+};
@@ -2,35 +2,70 @@
 // Sentinel Hub API integration for satellite imagery and vegetation indices
 
 import { supabase } from "./createclient";
+import {
+  DATA_COLLECTIONS,
+  DEFAULT_STATS_INDICES,
+  HLS_COLLECTION,
+  LANDSAT_COLLECTION,
+  OPTICAL_COLLECTION,
+  OPTICAL_FALLBACK_COLLECTION,
+  RADAR_COLLECTION,
+  RADAR_STATS_INDICES,
+  getIndexCollection,
+  getIndexConfig,
+  isIndexAvailable,
+  isStatisticalIndex,
+} from "./utils/spectralIndices";
+import { readGeoTiffRaster } from "./utils/rasterAnalysis";
+import { createHttpClient } from "./utils/httpClient";
+import {
+  buildCacheKey,
+  getCachedValue,
+  getExpiry,
+  setCachedValue,
+} from "./utils/imageryCache";
 
 const SENTINEL_API_BASE = "https://services.sentinel-hub.com";
+// Landsat and HLS are served from the US West deployment (same account and token)
+const SENTINEL_USWEST_API_BASE = "https://services-uswest2.sentinel-hub.com";
+
+// In-flight token refresh shared by parallel requests
+let tokenRefresh = null;
 
 /**
  * Get OAuth2 access token from Sentinel Hub via Supabase Edge Function
  * Tokens are cached in Supabase to avoid hitting rate limits
+ * @param {Object} options
+ * @param {boolean} options.forceRefresh - Skip the cached token (after the API rejected it with 401)
  */
-const getAccessToken = async () => {
-  // Try to get cached token from Supabase
-  const { data: tokenData, error } = await supabase
-    .from("sentinel_tokens")
-    .select("*")
-    .single();
-
-  // Check if token exists and is still valid (with 5 min buffer)
-  if (
-    tokenData &&
-    new Date(tokenData.expires_at) > new Date(Date.now() + 5 * 60 * 1000)
-  ) {
-    return tokenData.access_token;
+const getAccessToken = async ({ forceRefresh = false } = {}) => {
+  if (!forceRefresh) {
+    // Try to get cached token from Supabase
+    const { data: tokenData } = await supabase
+      .from("sentinel_tokens")
+      .select("*")
+      .single();
+
+    // Check if token exists and is still valid (with 5 min buffer)
+    if (
+      tokenData &&
+      new Date(tokenData.expires_at) > new Date(Date.now() + 5 * 60 * 1000)
+    ) {
+      return tokenData.access_token;
+    }
   }
 
-  // Token expired or doesn't exist - get new one via Edge Function
-  const { data, error: fnError } = await supabase.functions.invoke(
-    "sentinel-auth",
-    {
-      body: {},
-    }
-  );
+  // Token expired, rejected or doesn't exist - get new one via Edge Function
+  if (!tokenRefresh) {
+    tokenRefresh = supabase.functions
+      .invoke("sentinel-auth", {
+        body: {},
+      })
+      .finally(() => {
+        tokenRefresh = null;
+      });
+  }
+  const { data, error: fnError } = await tokenRefresh;
 
   if (fnError) {
     console.error("Error getting Sentinel token:", fnError);
@@ -40,6 +75,63 @@ const getAccessToken = async () => {
   return data.access_token;
 };
 
+// Shared client for every Sentinel Hub call: at most 4 requests on the wire,
+// 429/5xx retried with backoff and identical in-flight requests merged
+const sentinelClient = createHttpClient({
+  baseUrl: SENTINEL_API_BASE,
+  getToken: getAccessToken,
+  concurrency: 4,
+  name: "Sentinel Hub",
+});
+
+const sentinelUsWestClient = createHttpClient({
+  baseUrl: SENTINEL_USWEST_API_BASE,
+  getToken: getAccessToken,
+  concurrency: 4,
+  name: "Sentinel Hub (US West)",
+});
+
+/**
+ * Client for the deployment that hosts a data collection
+ */
+const getClientForCollection = (collection = OPTICAL_COLLECTION) =>
+  collection === LANDSAT_COLLECTION || collection === HLS_COLLECTION
+    ? sentinelUsWestClient
+    : sentinelClient;
+
+/**
+ * Send a Sentinel Hub request, answering from the persistent imagery cache when possible
+ * Only successful responses are stored; past dates never expire, "latest" expires at midnight
+ * The request's evalscript is part of the key, so edited evalscripts are fetched afresh
+ * @param {Object} cacheParts - Key parts for buildCacheKey (kind, coords or area, date, index, resolution, extra)
+ * @param {string} path - API path
+ * @param {Object} options - sentinelClient.request options
+ * @param {string} collection - Data collection of the request (selects the deployment)
+ */
+const cachedSentinelRequest = async (cacheParts, path, options, collection = OPTICAL_COLLECTION) => {
+  const script = options.body?.evalscript || options.body?.aggregation?.evalscript || "";
+  const key = buildCacheKey({ ...cacheParts, script });
+  const cached = await getCachedValue(key);
+  if (cached !== undefined) {
+    return { ok: true, status: 200, data: cached, errorText: null };
+  }
+
+  const response = await getClientForCollection(collection).request(path, options);
+  if (response.ok) {
+    setCachedValue(key, response.data, getExpiry(cacheParts.date));
+  }
+  return response;
+};
+
+/**
+ * Cache key `index` part for a request against a collection
+ * Sentinel-2 and Sentinel-1 keep their plain keys so existing cache entries stay valid
+ */
+const toCacheIndex = (indexKey, collection) =>
+  collection === OPTICAL_COLLECTION || collection === RADAR_COLLECTION
+    ? indexKey
+    : `${indexKey}@${collection}`;
+
 /**
  * Format coordinates to WKT (Well-Known Text) format for Sentinel API
  */
@@ -82,12 +174,13 @@ const coordsToGeoJSON = (coords) => {
 /**
  * Get available imagery dates with cloud cover for a farm polygon
  * Returns dates sorted by most recent first, with quality indicators
+ * Radar (Sentinel-1) acquisitions are not affected by clouds and report 0% cloud cover
  * @param {Array} coords - Array of {lat, lng} coordinates
  * @param {number} days - Number of days to look back (default 180 = 6 months)
+ * @param {string} collection - Data collection ('sentinel-2-l2a' or 'sentinel-1-grd')
  * @returns {Promise<{dates: Array<{date: string, cloudCover: number, quality: string}>}>}
  */
-export const getAvailableDates = async (coords, days = 180) => {
-  const token = await getAccessToken();
+export const getAvailableDates = async (coords, days = 180, collection = OPTICAL_COLLECTION) => {
   const bbox = coordsToBBox(coords);
 
   const endDate = new Date().toISOString().split("T")[0];
@@ -98,39 +191,31 @@ export const getAvailableDates = async (coords, days = 180) => {
   const searchBody = {
     bbox: bbox,
     datetime: `${startDate}T00:00:00Z/${endDate}T23:59:59Z`,
-    collections: ["sentinel-2-l2a"],
+    collections: [collection],
     limit: 100, // Get up to 100 scenes
     fields: {
       include: ["properties.datetime", "properties.eo:cloud_cover"],
     },
   };
 
-  const response = await fetch(
-    `${SENTINEL_API_BASE}/api/v1/catalog/1.0.0/search`,
-    {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(searchBody),
-    }
-  );
+  const response = await getClientForCollection(collection).request("/api/v1/catalog/1.0.0/search", {
+    body: searchBody,
+  });
 
   if (!response.ok) {
-    const errorText = await response.text();
-    console.error("Sentinel Dates Search Error:", response.status, errorText);
+    console.error("Sentinel Dates Search Error:", response.status, response.errorText);
     throw new Error(`Failed to get available dates: ${response.status}`);
   }
 
-  const data = await response.json();
+  const data = response.data;
 
   // Parse features into dates array
   const datesMap = new Map(); // Use map to deduplicate by date
 
   (data.features || []).forEach((feature) => {
     const datetime = feature.properties?.datetime;
-    const cloudCover = feature.properties?.["eo:cloud_cover"] ?? 100;
+    const cloudCover =
+      collection === RADAR_COLLECTION ? 0 : feature.properties?.["eo:cloud_cover"] ?? 100;
 
     if (datetime) {
       const dateStr = datetime.split("T")[0]; // Extract YYYY-MM-DD
@@ -193,7 +278,6 @@ const buildTimeRange = (date, fallbackDays = 30) => {
  * Search for available Sentinel-2 scenes for a given area
  */
 export const searchSentinelScenes = async (coords, days = 30) => {
-  const token = await getAccessToken();
   const bbox = coordsToBBox(coords);
 
   const endDate = new Date().toISOString().split("T")[0];
@@ -204,7 +288,7 @@ export const searchSentinelScenes = async (coords, days = 30) => {
   const searchBody = {
     bbox: bbox,
     datetime: `${startDate}T00:00:00Z/${endDate}T23:59:59Z`,
-    collections: ["sentinel-2-l2a"],
+    collections: [OPTICAL_COLLECTION],
     limit: 10,
     filter: {
       op: "<=",
@@ -212,394 +296,611 @@ export const searchSentinelScenes = async (coords, days = 30) => {
     },
   };
 
-  const response = await fetch(
-    `${SENTINEL_API_BASE}/api/v1/catalog/1.0.0/search`,
-    {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(searchBody),
-    }
-  );
+  const response = await sentinelClient.request("/api/v1/catalog/1.0.0/search", {
+    body: searchBody,
+  });
 
   if (!response.ok) {
-    const errorText = await response.text();
-    console.error("Sentinel Search Error:", response.status, errorText);
+    console.error("Sentinel Search Error:", response.status, response.errorText);
     throw new Error(`Failed to search Sentinel scenes: ${response.status}`);
   }
 
-  const data = await response.json();
+  const data = response.data;
   console.log("Sentinel Scenes:", data);
   return data.features || [];
 };
 
 /**
- * Get NDVI image from Sentinel-2
- * @param {Array} coords - Array of {lat, lng} coordinates
- * @param {number} width - Image width in pixels
- * @param {number} height - Image height in pixels
- * @param {string|null} date - Optional specific date (YYYY-MM-DD)
+ * Resolve catalog entries for the requested indices, including any indices
+ * their formulas call (dependencies come first so functions are declared in order)
+ * @param {Array<string>} indexIds - Catalog keys
+ * @returns {Array<Object>} Catalog entries
  */
-export const getSentinelNDVI = async (coords, width = 512, height = 512, date = null) => {
-  const token = await getAccessToken();
-  const bbox = coordsToBBox(coords);
-  const timeRange = buildTimeRange(date, 30);
-  // If user specified a date, accept any cloud cover; otherwise limit to 30%
-  const maxCloudCoverage = date ? 100 : 30;
+const resolveIndexConfigs = (indexIds) => {
+  const resolved = new Map();
+  const visit = (indexId) => {
+    if (resolved.has(indexId)) return;
+    const config = getIndexConfig(indexId);
+    (config.dependsOn || []).forEach(visit);
+    resolved.set(indexId, config);
+  };
+  indexIds.forEach(visit);
+  return Array.from(resolved.values());
+};
 
-  const evalscript = `
-    //VERSION=3
-    function setup() {
-      return {
-        input: ["B04", "B08", "dataMask"],
-        output: { bands: 4 }
-      };
-    }
+/**
+ * Collect the unique bands read by a set of catalog entries
+ */
+const collectBands = (configs) => {
+  return Array.from(new Set(configs.flatMap((config) => config.bands)));
+};
 
-    function evaluatePixel(sample) {
-      let ndvi = (sample.B08 - sample.B04) / (sample.B08 + sample.B04);
-      
-      // Color mapping for NDVI
-      if (ndvi < -0.2) return [0.05, 0.05, 0.05, sample.dataMask]; // Water/shadows
-      if (ndvi < 0) return [0.75, 0.75, 0.75, sample.dataMask];    // Bare soil
-      if (ndvi < 0.1) return [0.86, 0.78, 0.55, sample.dataMask];  // Sparse vegetation
-      if (ndvi < 0.2) return [0.93, 0.91, 0.71, sample.dataMask];  // Light vegetation
-      if (ndvi < 0.3) return [0.78, 0.89, 0.55, sample.dataMask];  // Moderate vegetation
-      if (ndvi < 0.4) return [0.55, 0.80, 0.38, sample.dataMask];  // Good vegetation
-      if (ndvi < 0.5) return [0.30, 0.70, 0.24, sample.dataMask];  // Dense vegetation
-      if (ndvi < 0.6) return [0.16, 0.58, 0.14, sample.dataMask];  // Very dense
-      return [0.04, 0.45, 0.04, sample.dataMask];                   // Extremely dense
-    }
-  `;
+// Per-collection request options. Sentinel-1 is requested as terrain-corrected gamma0
+// from the dual-polarization (VV+VH) interferometric wide swath product; Landsat and HLS
+// are read as surface reflectance and masked with their QA bit flags
+const COLLECTION_OPTIONS = {
+  [OPTICAL_COLLECTION]: {
+    dataFilter: {},
+    processing: {},
+    maskBands: ["SCL"],
+  },
+  [LANDSAT_COLLECTION]: {
+    dataFilter: {},
+    processing: {},
+    maskBands: ["QA_PIXEL"],
+  },
+  [HLS_COLLECTION]: {
+    dataFilter: {},
+    processing: {},
+    maskBands: ["QA"],
+  },
+  [RADAR_COLLECTION]: {
+    dataFilter: { acquisitionMode: "IW", polarization: "DV", resolution: "HIGH" },
+    processing: { backCoeff: "GAMMA0_TERRAIN", orthorectify: true, demInstance: "COPERNICUS" },
+    maskBands: [],
+  },
+};
 
-  const requestBody = {
-    input: {
-      bounds: {
-        bbox: bbox,
-        properties: { crs: "http://www.opengis.net/def/crs/EPSG/0/4326" },
-      },
-      data: [
-        {
-          type: "sentinel-2-l2a",
-          dataFilter: {
-            timeRange: timeRange,
-            maxCloudCoverage: maxCloudCoverage,
-          },
-          processing: { harmonizeValues: true },
-        },
-      ],
-    },
-    output: {
-      width: width,
-      height: height,
-      responses: [{ identifier: "default", format: { type: "image/png" } }],
-    },
-    evalscript: evalscript,
+/**
+ * Get the single data collection shared by a set of indices
+ * @param {Array<string>} indexIds - Catalog keys
+ * @param {string} opticalCollection - Collection for optical indices (default Sentinel-2)
+ * @returns {string} Collection id
+ * @throws {Error} If the indices mix optical and radar collections, or one of them
+ *   cannot be computed from the optical collection's bands
+ */
+const getCollectionForIndices = (indexIds, opticalCollection = OPTICAL_COLLECTION) => {
+  const collections = Array.from(
+    new Set(indexIds.map((indexId) => getIndexCollection(indexId, opticalCollection)))
+  );
+  if (collections.length > 1) {
+    throw new Error(`Indices from different collections cannot be combined: ${indexIds.join(", ")}`);
+  }
+  const unavailable = indexIds.filter((indexId) => !isIndexAvailable(indexId, collections[0]));
+  if (unavailable.length > 0) {
+    throw new Error(
+      `${unavailable.join(", ")} cannot be computed from ${DATA_COLLECTIONS[collections[0]].name}`
+    );
+  }
+  return collections[0];
+};
+
+/**
+ * Build a Process/Statistical API `input.data` entry for a collection
+ * Cloud filters and cloud-based mosaicking are dropped for radar, which sees through clouds
+ * @param {string} collection - Collection id
+ * @param {Object} options
+ * @param {Object} options.dataFilter - dataFilter fields (timeRange, maxCloudCoverage, mosaickingOrder)
+ * @param {Object} options.processing - Extra processing options (e.g. harmonizeValues for optical)
+ * @param {string} options.id - Datasource id for data fusion requests
+ * @returns {Object} Data entry
+ */
+const buildDataSource = (collection, { dataFilter = {}, processing = {}, id } = {}) => {
+  const options = COLLECTION_OPTIONS[collection];
+  const filter = { ...options.dataFilter, ...dataFilter };
+  let processingOptions = { ...options.processing, ...processing };
+
+  if (collection === RADAR_COLLECTION) {
+    delete filter.maxCloudCoverage;
+    if (filter.mosaickingOrder === "leastCC") filter.mosaickingOrder = "mostRecent";
+    processingOptions = options.processing;
+  } else if (collection !== OPTICAL_COLLECTION) {
+    // harmonizeValues only applies to the Sentinel-2 processing baseline offset
+    delete processingOptions.harmonizeValues;
+  }
+
+  return {
+    ...(id ? { id } : {}),
+    type: collection,
+    dataFilter: filter,
+    ...(Object.keys(processingOptions).length > 0 ? { processing: processingOptions } : {}),
   };
+};
 
-  const response = await fetch(`${SENTINEL_API_BASE}/api/v1/process`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-      Accept: "image/png",
-    },
-    body: JSON.stringify(requestBody),
-  });
+/**
+ * Bands read by evalscripts for a set of catalog entries, including mask bands,
+ * named as the collection names them
+ */
+const collectInputBands = (configs, collection) => {
+  const bandMap = DATA_COLLECTIONS[collection]?.bandMap;
+  const bands = collectBands(configs).map((band) => (bandMap ? bandMap[band] : band));
+  return [...new Set(bands), ...COLLECTION_OPTIONS[collection].maskBands, "dataMask"];
+};
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("Sentinel NDVI Error:", response.status, errorText);
-    throw new Error(`Failed to get NDVI image: ${response.status}`);
+/**
+ * Evalscript helper renaming a collection's bands to the Sentinel-2 names used by catalog formulas
+ * Collections that already use those names pass samples through unchanged
+ */
+const buildBandAdapter = (configs, collection) => {
+  const bandMap = DATA_COLLECTIONS[collection]?.bandMap;
+  if (!bandMap) {
+    return `function toCatalogBands(sample) {
+  return sample;
+}`;
   }
 
-  const blob = await response.blob();
-  return URL.createObjectURL(blob);
+  const fields = collectBands(configs)
+    .map((band) => `    ${band}: sample.${bandMap[band]},`)
+    .join("\n");
+  return `function toCatalogBands(sample) {
+  return {
+${fields}
+    dataMask: sample.dataMask
+  };
+}`;
 };
 
 /**
- * Get True Color (RGB) image from Sentinel-2
- * @param {Array} coords - Array of {lat, lng} coordinates
- * @param {number} width - Image width in pixels
- * @param {number} height - Image height in pixels
- * @param {string|null} date - Optional specific date (YYYY-MM-DD)
+ * Build one evalscript function per index, e.g. `function ndvi(sample) { ... }`
  */
-export const getSentinelTrueColor = async (
-  coords,
-  width = 512,
-  height = 512,
-  date = null
-) => {
-  const token = await getAccessToken();
-  const bbox = coordsToBBox(coords);
-  const timeRange = buildTimeRange(date, 30);
-  const maxCloudCoverage = date ? 100 : 30;
+const buildIndexFunctions = (configs) => {
+  return configs
+    .map(
+      (config) => `function ${config.id}(sample) {
+  return ${config.formula};
+}`
+    )
+    .join("\n\n");
+};
 
-  const evalscript = `
-    //VERSION=3
-    function setup() {
-      return {
-        input: ["B04", "B03", "B02", "dataMask"],
-        output: { bands: 4 }
-      };
-    }
+/**
+ * Build the evaluatePixel body that maps `value` to an RGBA color from a catalog ramp
+ */
+const buildColorRamp = (ramp) => {
+  if (ramp.type === "gradient") {
+    const values = JSON.stringify(ramp.stops.map((stop) => stop.value));
+    const colors = JSON.stringify(ramp.stops.map((stop) => stop.color));
+    return `  let color = colorBlend(value, ${values}, ${colors});
+  return [color[0], color[1], color[2], sample.dataMask];`;
+  }
 
-    function evaluatePixel(sample) {
-      return [2.5 * sample.B04, 2.5 * sample.B03, 2.5 * sample.B02, sample.dataMask];
-    }
-  `;
+  return ramp.stops
+    .map((stop) => {
+      const rgba = `[${stop.color.join(", ")}, sample.dataMask]`;
+      return stop.below === undefined
+        ? `  return ${rgba};`
+        : `  if (value < ${stop.below}) return ${rgba};`;
+    })
+    .join("\n");
+};
 
-  const requestBody = {
-    input: {
-      bounds: {
-        bbox: bbox,
-        properties: { crs: "http://www.opengis.net/def/crs/EPSG/0/4326" },
-      },
-      data: [
-        {
-          type: "sentinel-2-l2a",
-          dataFilter: {
-            timeRange: timeRange,
-            maxCloudCoverage: maxCloudCoverage,
-          },
-        },
-      ],
-    },
-    output: {
-      width: width,
-      height: height,
-      responses: [{ identifier: "default", format: { type: "image/png" } }],
-    },
-    evalscript: evalscript,
+/**
+ * Build a Process API evalscript that renders a catalog index as a colored PNG
+ * @param {string} indexId - Catalog key
+ * @param {string} collection - Collection the bands are read from
+ * @returns {string} Evalscript
+ */
+const buildImageEvalscript = (indexId, collection = getIndexCollection(indexId)) => {
+  const config = getIndexConfig(indexId);
+  const bandMap = DATA_COLLECTIONS[collection]?.bandMap;
+
+  if (config.kind === "rgb") {
+    const [r, g, b] = bandMap ? config.bands.map((band) => bandMap[band]) : config.bands;
+    return `//VERSION=3
+function setup() {
+  return {
+    input: ["${r}", "${g}", "${b}", "dataMask"],
+    output: { bands: 4 }
   };
+}
 
-  const response = await fetch(`${SENTINEL_API_BASE}/api/v1/process`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-      Accept: "image/png",
-    },
-    body: JSON.stringify(requestBody),
-  });
+function evaluatePixel(sample) {
+  return [${config.gain} * sample.${r}, ${config.gain} * sample.${g}, ${config.gain} * sample.${b}, sample.dataMask];
+}
+`;
+  }
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("Sentinel True Color Error:", response.status, errorText);
-    throw new Error(`Failed to get true color image: ${response.status}`);
+  const configs = resolveIndexConfigs([indexId]);
+  const bands = collectInputBands(configs, collection).filter(
+    (band) => !COLLECTION_OPTIONS[collection].maskBands.includes(band)
+  );
+
+  return `//VERSION=3
+function setup() {
+  return {
+    input: ${JSON.stringify(bands)},
+    output: { bands: 4 }
+  };
+}
+
+${buildIndexFunctions(configs)}
+
+${buildBandAdapter(configs, collection)}
+
+function evaluatePixel(sample) {
+  let value = ${indexId}(toCatalogBands(sample));
+${buildColorRamp(config.ramp)}
+}
+`;
+};
+
+// Scene Classification Layer classes excluded from statistics:
+// 3 = cloud shadow, 8 = cloud (medium probability), 9 = cloud (high probability),
+// 10 = thin cirrus, 11 = snow/ice
+const MASKED_SCL_CLASSES = [3, 8, 9, 10, 11];
+
+// Landsat Collection 2 QA_PIXEL bits excluded from statistics:
+// 1 = dilated cloud, 3 = cloud, 4 = cloud shadow, 5 = snow
+const LANDSAT_QA_MASK = (1 << 1) | (1 << 3) | (1 << 4) | (1 << 5);
+
+// HLS Fmask (QA) bits excluded from statistics:
+// 1 = cloud, 2 = adjacent to cloud/shadow, 3 = cloud shadow, 4 = snow/ice
+const HLS_QA_MASK = (1 << 1) | (1 << 2) | (1 << 3) | (1 << 4);
+
+/**
+ * Evalscript helper returning 1 for clear pixels and 0 for masked SCL classes / QA flags
+ * Radar has no cloud mask, so every pixel with data is clear
+ */
+const buildIsClearFunction = (collection = OPTICAL_COLLECTION) => {
+  if (collection === RADAR_COLLECTION) {
+    return `function isClear(sample) {
+  return 1;
+}`;
+  }
+  if (collection === LANDSAT_COLLECTION) {
+    return `function isClear(sample) {
+  return (sample.QA_PIXEL & ${LANDSAT_QA_MASK}) === 0 ? 1 : 0;
+}`;
   }
+  if (collection === HLS_COLLECTION) {
+    return `function isClear(sample) {
+  return (sample.QA & ${HLS_QA_MASK}) === 0 ? 1 : 0;
+}`;
+  }
+  return `function isClear(sample) {
+  return ${JSON.stringify(MASKED_SCL_CLASSES)}.indexOf(sample.SCL) === -1 ? 1 : 0;
+}`;
+};
 
-  const blob = await response.blob();
-  return URL.createObjectURL(blob);
+/**
+ * Build a Statistical API evalscript with one FLOAT32 output per index
+ * Cloudy, shadowed and snow pixels are excluded through the dataMask output
+ * @param {Array<string>} indexIds - Catalog keys (must be statistical indices)
+ * @param {string} opticalCollection - Collection for optical indices (default Sentinel-2)
+ * @returns {string} Evalscript
+ */
+const buildStatsEvalscript = (indexIds, opticalCollection = OPTICAL_COLLECTION) => {
+  const configs = resolveIndexConfigs(indexIds);
+  const collection = getCollectionForIndices(indexIds, opticalCollection);
+  const bands = collectInputBands(configs, collection);
+
+  const outputs = indexIds
+    .map((indexId) => `      { id: "${indexId}", bands: 1, sampleType: "FLOAT32" },`)
+    .join("\n");
+  const values = indexIds
+    .map((indexId) => `    ${indexId}: [${indexId}(bands)],`)
+    .join("\n");
+
+  return `//VERSION=3
+function setup() {
+  return {
+    input: [{ bands: ${JSON.stringify(bands)} }],
+    output: [
+${outputs}
+      { id: "dataMask", bands: 1 }
+    ]
+  };
+}
+
+${buildIndexFunctions(configs)}
+
+${buildBandAdapter(configs, collection)}
+
+${buildIsClearFunction(collection)}
+
+function evaluatePixel(sample) {
+  let bands = toCatalogBands(sample);
+  return {
+${values}
+    dataMask: [sample.dataMask * isClear(sample)]
+  };
+}
+`;
 };
 
 /**
- * Get SAVI (Soil Adjusted Vegetation Index) - better for sparse vegetation
- * @param {Array} coords - Array of {lat, lng} coordinates
- * @param {number} width - Image width in pixels
- * @param {number} height - Image height in pixels
- * @param {string|null} date - Optional specific date (YYYY-MM-DD)
+ * Build an evalscript returning raw FLOAT32 index values for one date
+ * Pixels outside the field or masked by SCL / QA flags are returned as NaN
+ * @param {string} indexId - Catalog key (must be a statistical index)
+ * @param {string} collection - Collection the bands are read from
+ * @returns {string} Evalscript
  */
-export const getSentinelSAVI = async (coords, width = 512, height = 512, date = null) => {
-  const token = await getAccessToken();
-  const bbox = coordsToBBox(coords);
-  const timeRange = buildTimeRange(date, 30);
-  const maxCloudCoverage = date ? 100 : 30;
+const buildRasterEvalscript = (indexId, collection = getIndexCollection(indexId)) => {
+  const configs = resolveIndexConfigs([indexId]);
+  const bands = collectInputBands(configs, collection);
 
-  const evalscript = `
-    //VERSION=3
-    function setup() {
-      return {
-        input: ["B04", "B08", "dataMask"],
-        output: { bands: 4 }
-      };
-    }
+  return `//VERSION=3
+function setup() {
+  return {
+    input: [{ bands: ${JSON.stringify(bands)} }],
+    output: { bands: 1, sampleType: "FLOAT32" }
+  };
+}
 
-    function evaluatePixel(sample) {
-      // SAVI = ((NIR - RED) / (NIR + RED + L)) * (1 + L), where L = 0.5
-      let L = 0.5;
-      let savi = ((sample.B08 - sample.B04) / (sample.B08 + sample.B04 + L)) * (1 + L);
-      
-      // Color mapping
-      if (savi < 0) return [0.5, 0.5, 0.5, sample.dataMask];
-      if (savi < 0.1) return [0.86, 0.78, 0.55, sample.dataMask];
-      if (savi < 0.2) return [0.78, 0.89, 0.55, sample.dataMask];
-      if (savi < 0.3) return [0.55, 0.80, 0.38, sample.dataMask];
-      if (savi < 0.4) return [0.30, 0.70, 0.24, sample.dataMask];
-      return [0.04, 0.50, 0.04, sample.dataMask];
-    }
-  `;
+${buildIndexFunctions(configs)}
+
+${buildBandAdapter(configs, collection)}
+
+${buildIsClearFunction(collection)}
+
+function evaluatePixel(sample) {
+  if (!(sample.dataMask * isClear(sample))) return [NaN];
+  return [${indexId}(toCatalogBands(sample))];
+}
+`;
+};
+
+/**
+ * Build a data fusion evalscript returning the per-pixel change (after - before)
+ * of an index between two acquisitions ("before" and "after" datasources)
+ * Pixels masked on either date are returned as NaN
+ * @param {string} indexId - Catalog key (must be a statistical index)
+ * @param {string} collection - Collection the bands are read from
+ * @returns {string} Evalscript
+ */
+const buildChangeEvalscript = (indexId, collection = getIndexCollection(indexId)) => {
+  const configs = resolveIndexConfigs([indexId]);
+  const bands = collectInputBands(configs, collection);
+
+  return `//VERSION=3
+function setup() {
+  return {
+    input: [
+      { datasource: "before", bands: ${JSON.stringify(bands)} },
+      { datasource: "after", bands: ${JSON.stringify(bands)} }
+    ],
+    output: { bands: 1, sampleType: "FLOAT32" }
+  };
+}
+
+${buildIndexFunctions(configs)}
+
+${buildBandAdapter(configs, collection)}
+
+${buildIsClearFunction(collection)}
+
+function evaluatePixel(samples) {
+  let before = samples.before[0];
+  let after = samples.after[0];
+  if (!before || !after) return [NaN];
+  if (!(before.dataMask * isClear(before)) || !(after.dataMask * isClear(after))) return [NaN];
+  return [${indexId}(toCatalogBands(after)) - ${indexId}(toCatalogBands(before))];
+}
+`;
+};
+
+/**
+ * Pixel size (width, height) covering a bbox at roughly the given resolution (default 10 m)
+ */
+const bboxToPixelSize = (bbox, metersPerPixel = 10, maxSize = 2500) => {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  const midLat = ((minLat + maxLat) / 2) * (Math.PI / 180);
+  const widthM = (maxLng - minLng) * 111320 * Math.cos(midLat);
+  const heightM = (maxLat - minLat) * 110540;
+  const clamp = (v) => Math.max(1, Math.min(maxSize, Math.round(v / metersPerPixel)));
+  return { width: clamp(widthM), height: clamp(heightM) };
+};
+
+/**
+ * Request a single-band FLOAT32 GeoTIFF clipped to the farm polygon from the Process API
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {Array} data - Process API `input.data` entries
+ * @param {string} evalscript - Evalscript with one FLOAT32 output band
+ * @param {string} label - Name used in error messages
+ * @param {Object} cacheParts - Imagery cache key parts (kind, date, index, extra)
+ * @returns {Promise<ArrayBuffer>} GeoTIFF file contents (EPSG:4326, NaN = no data)
+ */
+const fetchIndexTiff = async (coords, data, evalscript, label, cacheParts) => {
+  const bbox = coordsToBBox(coords);
+  // Native pixel size of the collection (10 m Sentinel-2, 30 m Landsat/HLS)
+  const { width, height } = bboxToPixelSize(bbox, DATA_COLLECTIONS[data[0].type]?.resolution);
 
   const requestBody = {
     input: {
       bounds: {
         bbox: bbox,
+        geometry: coordsToGeoJSON(coords),
         properties: { crs: "http://www.opengis.net/def/crs/EPSG/0/4326" },
       },
-      data: [
-        {
-          type: "sentinel-2-l2a",
-          dataFilter: {
-            timeRange: timeRange,
-            maxCloudCoverage: maxCloudCoverage,
-          },
-        },
-      ],
+      data: data,
     },
     output: {
       width: width,
       height: height,
-      responses: [{ identifier: "default", format: { type: "image/png" } }],
+      responses: [{ identifier: "default", format: { type: "image/tiff" } }],
     },
     evalscript: evalscript,
   };
 
-  const response = await fetch(`${SENTINEL_API_BASE}/api/v1/process`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-      Accept: "image/png",
+  const response = await cachedSentinelRequest(
+    { ...cacheParts, coords, resolution: `${width}x${height}` },
+    "/api/v1/process",
+    {
+      body: requestBody,
+      headers: { Accept: "image/tiff" },
+      responseType: "arrayBuffer",
     },
-    body: JSON.stringify(requestBody),
-  });
+    data[0].type
+  );
 
   if (!response.ok) {
-    const errorText = await response.text();
-    console.error("Sentinel SAVI Error:", response.status, errorText);
-    throw new Error(`Failed to get SAVI image: ${response.status}`);
+    console.error(`Sentinel ${label} Error:`, response.status, response.errorText);
+    throw new Error(`Failed to get ${label}: ${response.status}`);
   }
 
-  const blob = await response.blob();
-  return URL.createObjectURL(blob);
+  return response.data;
 };
 
 /**
- * Get Moisture Index (NDWI/NDMI) - for water stress detection
+ * Request a FLOAT32 index GeoTIFF and decode it into a raster
+ * @returns {Promise<{values: Float32Array, width: number, height: number, bbox: Array<number>}>}
+ */
+const fetchIndexRaster = async (coords, data, evalscript, label, cacheParts) => {
+  const buffer = await fetchIndexTiff(coords, data, evalscript, label, cacheParts);
+  const raster = await readGeoTiffRaster(buffer);
+  return { ...raster, bbox: coordsToBBox(coords) };
+};
+
+/**
+ * Process API data entry for a single-date index raster
+ * @param {string} indexId - Catalog key
+ * @param {string} date - Acquisition date (YYYY-MM-DD)
+ * @param {string} collection - Collection to read
+ */
+const buildSingleDateData = (indexId, date, collection) => [
+  buildDataSource(collection, {
+    dataFilter: {
+      timeRange: buildTimeRange(date),
+      mosaickingOrder: "leastCC",
+    },
+    processing: { harmonizeValues: true },
+  }),
+];
+
+/**
+ * Get raw index values for one date, clipped to the farm polygon
+ * Cloudy, shadowed and snow-covered pixels are returned as NaN
+ * @param {string} indexId - Catalog key (must be a statistical index, e.g. 'ndvi')
  * @param {Array} coords - Array of {lat, lng} coordinates
- * @param {number} width - Image width in pixels
- * @param {number} height - Image height in pixels
- * @param {string|null} date - Optional specific date (YYYY-MM-DD)
+ * @param {string} date - Acquisition date (YYYY-MM-DD)
+ * @param {string} opticalCollection - Collection for optical indices (default Sentinel-2)
+ * @returns {Promise<{values: Float32Array, width: number, height: number, bbox: Array<number>}>}
+ *   FLOAT32 raster, row-major from the north-west corner
  */
-export const getSentinelMoisture = async (
-  coords,
-  width = 512,
-  height = 512,
-  date = null
-) => {
-  const token = await getAccessToken();
-  const bbox = coordsToBBox(coords);
-  const timeRange = buildTimeRange(date, 30);
-  const maxCloudCoverage = date ? 100 : 30;
+export const getIndexRaster = async (indexId, coords, date, opticalCollection = OPTICAL_COLLECTION) => {
+  const config = getIndexConfig(indexId);
+  if (!isStatisticalIndex(indexId)) {
+    throw new Error(`Raw values are not available for ${config.name}`);
+  }
 
-  const evalscript = `
-    //VERSION=3
-    function setup() {
-      return {
-        input: ["B08", "B11", "dataMask"],
-        output: { bands: 4 }
-      };
-    }
+  const collection = getCollectionForIndices([indexId], opticalCollection);
+  const data = buildSingleDateData(indexId, date, collection);
+  return fetchIndexRaster(coords, data, buildRasterEvalscript(indexId, collection), `${config.name} raster`, {
+    kind: "raster",
+    date,
+    index: toCacheIndex(indexId, collection),
+  });
+};
 
-    function evaluatePixel(sample) {
-      // NDMI = (NIR - SWIR) / (NIR + SWIR)
-      let ndmi = (sample.B08 - sample.B11) / (sample.B08 + sample.B11);
-      
-      // Color mapping - blue for wet, red for dry
-      if (ndmi < -0.4) return [0.8, 0.2, 0.1, sample.dataMask];  // Very dry
-      if (ndmi < -0.2) return [0.9, 0.5, 0.2, sample.dataMask];  // Dry
-      if (ndmi < 0) return [0.95, 0.8, 0.4, sample.dataMask];    // Moderate dry
-      if (ndmi < 0.2) return [0.8, 0.9, 0.6, sample.dataMask];   // Moderate wet
-      if (ndmi < 0.4) return [0.4, 0.7, 0.9, sample.dataMask];   // Wet
-      return [0.1, 0.4, 0.8, sample.dataMask];                    // Very wet
-    }
-  `;
+/**
+ * Get an analysis-ready GeoTIFF of an index for one date, clipped to the farm polygon
+ * Single FLOAT32 band in EPSG:4326 at the collection's native resolution (10 m Sentinel-2,
+ * 30 m Landsat/HLS); cloudy, shadowed and outside pixels are NaN
+ * @param {string} indexId - Catalog key (must be a statistical index, e.g. 'ndvi')
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {string} date - Acquisition date (YYYY-MM-DD)
+ * @param {string} opticalCollection - Collection for optical indices (default Sentinel-2)
+ * @returns {Promise<Blob>} GeoTIFF file
+ */
+export const getIndexGeoTiff = async (indexId, coords, date, opticalCollection = OPTICAL_COLLECTION) => {
+  const config = getIndexConfig(indexId);
+  if (!isStatisticalIndex(indexId)) {
+    throw new Error(`GeoTIFF export is not available for ${config.name}`);
+  }
 
-  const requestBody = {
-    input: {
-      bounds: {
-        bbox: bbox,
-        properties: { crs: "http://www.opengis.net/def/crs/EPSG/0/4326" },
-      },
-      data: [
-        {
-          type: "sentinel-2-l2a",
-          dataFilter: {
-            timeRange: timeRange,
-            maxCloudCoverage: maxCloudCoverage,
-          },
-        },
-      ],
-    },
-    output: {
-      width: width,
-      height: height,
-      responses: [{ identifier: "default", format: { type: "image/png" } }],
-    },
-    evalscript: evalscript,
-  };
+  // Same request (and cache entry) as getIndexRaster
+  const collection = getCollectionForIndices([indexId], opticalCollection);
+  const data = buildSingleDateData(indexId, date, collection);
+  const buffer = await fetchIndexTiff(coords, data, buildRasterEvalscript(indexId, collection), `${config.name} GeoTIFF`, {
+    kind: "raster",
+    date,
+    index: toCacheIndex(indexId, collection),
+  });
+  return new Blob([buffer], { type: "image/tiff" });
+};
+
+/**
+ * Get the per-pixel change of an index between two dates, clipped to the farm polygon
+ * Pixels that are cloudy, shadowed or snow-covered on either date are returned as NaN
+ * @param {string} indexId - Catalog key (must be a statistical index, e.g. 'ndvi')
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {string} beforeDate - Earlier date (YYYY-MM-DD)
+ * @param {string} afterDate - Later date (YYYY-MM-DD)
+ * @param {string} opticalCollection - Collection for optical indices (default Sentinel-2)
+ * @returns {Promise<{values: Float32Array, width: number, height: number, bbox: Array<number>}>}
+ *   Change raster (after - before), row-major from the north-west corner
+ */
+export const getIndexChangeRaster = async (
+  indexId,
+  coords,
+  beforeDate,
+  afterDate,
+  opticalCollection = OPTICAL_COLLECTION
+) => {
+  const config = getIndexConfig(indexId);
+  if (!isStatisticalIndex(indexId)) {
+    throw new Error(`Change detection is not available for ${config.name}`);
+  }
 
-  const response = await fetch(`${SENTINEL_API_BASE}/api/v1/process`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-      Accept: "image/png",
-    },
-    body: JSON.stringify(requestBody),
-  });
+  const collection = getCollectionForIndices([indexId], opticalCollection);
+  const buildDateSource = (id, date) =>
+    buildDataSource(collection, {
+      id,
+      dataFilter: {
+        timeRange: buildTimeRange(date),
+        mosaickingOrder: "leastCC",
+      },
+      processing: { harmonizeValues: true },
+    });
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("Sentinel Moisture Error:", response.status, errorText);
-    throw new Error(`Failed to get moisture image: ${response.status}`);
-  }
+  const data = [
+    buildDateSource("before", beforeDate),
+    buildDateSource("after", afterDate),
+  ];
 
-  const blob = await response.blob();
-  return URL.createObjectURL(blob);
+  return fetchIndexRaster(coords, data, buildChangeEvalscript(indexId, collection), `${config.name} change`, {
+    kind: "change",
+    date: afterDate,
+    index: toCacheIndex(indexId, collection),
+    extra: beforeDate,
+  });
 };
 
 /**
- * Get LAI (Leaf Area Index) - crop growth indicator
+ * Get a rendered image of any catalog index (Sentinel-2 unless another optical collection is given)
+ * @param {string} indexId - Catalog key from SPECTRAL_INDICES (e.g. 'ndvi', 'ndre', 'trueColor')
  * @param {Array} coords - Array of {lat, lng} coordinates
  * @param {number} width - Image width in pixels
  * @param {number} height - Image height in pixels
  * @param {string|null} date - Optional specific date (YYYY-MM-DD)
+ * @param {string} opticalCollection - Collection for optical indices (Sentinel-2, Landsat 8/9 or HLS)
+ * @returns {Promise<string>} Object URL of the PNG image
  */
-export const getSentinelLAI = async (coords, width = 512, height = 512, date = null) => {
-  const token = await getAccessToken();
+export const getSentinelIndexImage = async (
+  indexId,
+  coords,
+  width = 512,
+  height = 512,
+  date = null,
+  opticalCollection = OPTICAL_COLLECTION
+) => {
+  const config = getIndexConfig(indexId);
+  const collection = getCollectionForIndices([indexId], opticalCollection);
   const bbox = coordsToBBox(coords);
   const timeRange = buildTimeRange(date, 30);
+  // If user specified a date, accept any cloud cover; otherwise limit to 30%
   const maxCloudCoverage = date ? 100 : 30;
 
-  const evalscript = `
-    //VERSION=3
-    function setup() {
-      return {
-        input: ["B03", "B04", "B05", "B06", "B07", "B8A", "B11", "B12", "dataMask"],
-        output: { bands: 4 }
-      };
-    }
-
-    function evaluatePixel(sample) {
-      // Simplified LAI estimation using NDVI relationship
-      let ndvi = (sample.B8A - sample.B04) / (sample.B8A + sample.B04);
-      let lai = 0;
-      
-      if (ndvi > 0) {
-        lai = -Math.log((0.69 - ndvi) / 0.59) / 2.13;
-        if (lai < 0) lai = 0;
-        if (lai > 6) lai = 6;
-      }
-      
-      // Normalize LAI to 0-1 range and apply color
-      let norm = lai / 6;
-      return [1 - norm, norm, 0.2, sample.dataMask];
-    }
-  `;
-
   const requestBody = {
     input: {
       bounds: {
@@ -607,13 +908,13 @@ export const getSentinelLAI = async (coords, width = 512, height = 512, date = n
         properties: { crs: "http://www.opengis.net/def/crs/EPSG/0/4326" },
       },
       data: [
-        {
-          type: "sentinel-2-l2a",
+        buildDataSource(collection, {
           dataFilter: {
             timeRange: timeRange,
             maxCloudCoverage: maxCloudCoverage,
           },
-        },
+          processing: { harmonizeValues: true },
+        }),
       ],
     },
     output: {
@@ -621,81 +922,147 @@ export const getSentinelLAI = async (coords, width = 512, height = 512, date = n
       height: height,
       responses: [{ identifier: "default", format: { type: "image/png" } }],
     },
-    evalscript: evalscript,
+    evalscript: buildImageEvalscript(indexId, collection),
   };
 
-  const response = await fetch(`${SENTINEL_API_BASE}/api/v1/process`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-      Accept: "image/png",
+  const response = await cachedSentinelRequest(
+    {
+      kind: "image",
+      coords,
+      date,
+      index: toCacheIndex(indexId, collection),
+      resolution: `${width}x${height}`,
     },
-    body: JSON.stringify(requestBody),
-  });
+    "/api/v1/process",
+    {
+      body: requestBody,
+      headers: { Accept: "image/png" },
+      responseType: "blob",
+    },
+    collection
+  );
 
   if (!response.ok) {
-    const errorText = await response.text();
-    console.error("Sentinel LAI Error:", response.status, errorText);
-    throw new Error(`Failed to get LAI image: ${response.status}`);
+    console.error(`Sentinel ${config.name} Error:`, response.status, response.errorText);
+    throw new Error(`Failed to get ${config.name} image: ${response.status}`);
   }
 
-  const blob = await response.blob();
+  const blob = response.data;
   return URL.createObjectURL(blob);
 };
 
+/**
+ * Get NDVI image from Sentinel-2
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {string|null} date - Optional specific date (YYYY-MM-DD)
+ */
+export const getSentinelNDVI = (coords, width = 512, height = 512, date = null) =>
+  getSentinelIndexImage("ndvi", coords, width, height, date);
+
+/**
+ * Get True Color (RGB) image from Sentinel-2
+ */
+export const getSentinelTrueColor = (coords, width = 512, height = 512, date = null) =>
+  getSentinelIndexImage("trueColor", coords, width, height, date);
+
+/**
+ * Get SAVI (Soil Adjusted Vegetation Index) - better for sparse vegetation
+ */
+export const getSentinelSAVI = (coords, width = 512, height = 512, date = null) =>
+  getSentinelIndexImage("savi", coords, width, height, date);
+
+/**
+ * Get Moisture Index (NDMI) - for water stress detection
+ */
+export const getSentinelMoisture = (coords, width = 512, height = 512, date = null) =>
+  getSentinelIndexImage("moisture", coords, width, height, date);
+
+/**
+ * Get LAI (Leaf Area Index) - crop growth indicator
+ */
+export const getSentinelLAI = (coords, width = 512, height = 512, date = null) =>
+  getSentinelIndexImage("lai", coords, width, height, date);
+
+/**
+ * Percentage of field pixels that survived cloud/shadow masking in a Statistical API interval
+ * Pixels removed by the SCL mask (or outside the scene) are counted in noDataCount
+ * @param {Object} outputs - `outputs` object of one Statistical API interval
+ * @param {Array<string>} indexIds - Catalog keys present in the outputs
+ * @returns {number|null} Valid pixel percentage (0-100), or null if counts are missing
+ */
+const getValidPixelPercent = (outputs, indexIds) => {
+  const s = outputs?.[indexIds[0]]?.bands?.B0?.stats;
+  if (!s || !s.sampleCount) return null;
+  const valid = s.sampleCount - (s.noDataCount || 0);
+  return Math.round((valid / s.sampleCount) * 1000) / 10;
+};
+
+/**
+ * Statistical API reports empty (fully masked) intervals as "NaN" strings - normalize to null
+ */
+const toStatNumber = (value) => {
+  const num = Number(value);
+  return value === null || value === undefined || !Number.isFinite(num) ? null : num;
+};
+
+/**
+ * Extract summary statistics for each index from a Statistical API interval
+ * @param {Object} outputs - `outputs` object of one Statistical API interval
+ * @param {Array<string>} indexIds - Catalog keys to extract
+ * @returns {Object} Map of indexId -> stats object (or null if missing)
+ */
+const parseIndexStats = (outputs, indexIds) => {
+  const result = {};
+  indexIds.forEach((indexId) => {
+    const s = outputs?.[indexId]?.bands?.B0?.stats;
+    result[indexId] = s
+      ? {
+          mean: toStatNumber(s.mean),
+          min: toStatNumber(s.min),
+          max: toStatNumber(s.max),
+          stDev: toStatNumber(s.stDev),
+          median: toStatNumber(s.percentiles?.p50),
+          p25: toStatNumber(s.percentiles?.p25),
+          p75: toStatNumber(s.percentiles?.p75),
+        }
+      : null;
+  });
+  return result;
+};
 /**
  * Get vegetation index values at a specific point (for click-to-value feature)
  * Uses the Statistical API to get mean values for a small bbox around the point
  * @param {number} lat - Latitude of the clicked point
  * @param {number} lng - Longitude of the clicked point
  * @param {string|null} date - Optional specific date (YYYY-MM-DD)
+ * @param {Array<string>} indexIds - Catalog indices to sample (NDVI is always included for the health label)
+ * @param {string} opticalCollection - Collection to sample (Sentinel-2, Landsat 8/9 or HLS)
  * @returns {Promise<{ndvi: number, savi: number, moisture: number, health: string}>}
  */
-export const getPointStats = async (lat, lng, date = null) => {
-  const token = await getAccessToken();
+export const getPointStats = async (
+  lat,
+  lng,
+  date = null,
+  indexIds = ["ndvi", "savi", "moisture"],
+  opticalCollection = OPTICAL_COLLECTION
+) => {
   const timeRange = buildTimeRange(date, 30);
+  const pointIndices = Array.from(new Set(["ndvi", ...indexIds])).filter(
+    (indexId) => isStatisticalIndex(indexId) && isIndexAvailable(indexId, opticalCollection)
+  );
+  const emptyValues = Object.fromEntries(pointIndices.map((id) => [id, null]));
 
   // Create a small bbox around the point (~22m buffer at equator)
   // Sentinel-2 has 10m resolution, so this covers a few pixels for averaging
   const buffer = 0.0002;
   const bbox = [lng - buffer, lat - buffer, lng + buffer, lat + buffer];
 
-  // Evalscript for Statistical API - must have separate outputs with IDs
+  // Evalscript for Statistical API - separate outputs with IDs
   // and a dataMask output to exclude invalid pixels
-  const evalscript = `
-//VERSION=3
-function setup() {
-  return {
-    input: [{ bands: ["B04", "B08", "B11", "dataMask"] }],
-    output: [
-      { id: "ndvi", bands: 1, sampleType: "FLOAT32" },
-      { id: "savi", bands: 1, sampleType: "FLOAT32" },
-      { id: "moisture", bands: 1, sampleType: "FLOAT32" },
-      { id: "dataMask", bands: 1 }
-    ]
-  };
-}
-
-function evaluatePixel(samples) {
-  // NDVI = (NIR - Red) / (NIR + Red)
-  let ndvi = (samples.B08 - samples.B04) / (samples.B08 + samples.B04 + 0.0001);
-  
-  // SAVI = ((NIR - Red) / (NIR + Red + L)) * (1 + L), L = 0.5
-  let L = 0.5;
-  let savi = ((samples.B08 - samples.B04) / (samples.B08 + samples.B04 + L)) * (1 + L);
-  
-  // NDMI (Moisture) = (NIR - SWIR) / (NIR + SWIR)
-  let moisture = (samples.B08 - samples.B11) / (samples.B08 + samples.B11 + 0.0001);
-  
-  return {
-    ndvi: [ndvi],
-    savi: [savi],
-    moisture: [moisture],
-    dataMask: [samples.dataMask]
-  };
-}
-`;
+  const evalscript = buildStatsEvalscript(pointIndices, opticalCollection);
+  const { resolution } = DATA_COLLECTIONS[opticalCollection];
 
   // Statistical API request body - different structure from Process API
   const requestBody = {
@@ -705,42 +1072,42 @@ function evaluatePixel(samples) {
         properties: { crs: "http://www.opengis.net/def/crs/EPSG/0/4326" },
       },
       data: [
-        {
-          type: "sentinel-2-l2a",
+        buildDataSource(opticalCollection, {
           dataFilter: {
             mosaickingOrder: "leastRecent",
           },
-        },
+        }),
       ],
     },
     aggregation: {
       timeRange: timeRange,
       aggregationInterval: { of: "P1D" },
       evalscript: evalscript,
-      resx: 10,
-      resy: 10,
+      resx: resolution,
+      resy: resolution,
     },
   };
 
   try {
     // Use Statistical API endpoint, NOT Process API
-    const response = await fetch(`${SENTINEL_API_BASE}/api/v1/statistics`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-        Accept: "application/json",
+    const response = await cachedSentinelRequest(
+      {
+        kind: "point-stats",
+        area: `${lat.toFixed(5)},${lng.toFixed(5)}`,
+        date,
+        index: toCacheIndex(pointIndices.join(","), opticalCollection),
       },
-      body: JSON.stringify(requestBody),
-    });
+      "/api/v1/statistics",
+      { body: requestBody },
+      opticalCollection
+    );
 
     if (!response.ok) {
-      const errorText = await response.text();
-      console.error("Sentinel Point Stats Error:", response.status, errorText);
+      console.error("Sentinel Point Stats Error:", response.status, response.errorText);
       throw new Error(`Failed to get point stats: ${response.status}`);
     }
 
-    const data = await response.json();
+    const data = response.data;
     console.log("Sentinel Point Stats Raw:", data);
 
     // Parse Statistical API response format:
@@ -750,29 +1117,119 @@ function evaluatePixel(samples) {
       const latest = data.data[data.data.length - 1];
 
       // Extract mean values from each output
-      const ndvi = latest.outputs?.ndvi?.bands?.B0?.stats?.mean ?? null;
-      const savi = latest.outputs?.savi?.bands?.B0?.stats?.mean ?? null;
-      const moisture = latest.outputs?.moisture?.bands?.B0?.stats?.mean ?? null;
+      const stats = parseIndexStats(latest.outputs, pointIndices);
+      const values = Object.fromEntries(
+        pointIndices.map((id) => [
+          id,
+          Number.isFinite(stats[id]?.mean) ? Math.round(stats[id].mean * 1000) / 1000 : null,
+        ])
+      );
 
       // Check if we have valid data
-      if (ndvi !== null) {
+      if (values.ndvi !== null) {
         return {
           lat: lat,
           lng: lng,
-          ndvi: Math.round(ndvi * 1000) / 1000,
-          savi: savi !== null ? Math.round(savi * 1000) / 1000 : null,
-          moisture: moisture !== null ? Math.round(moisture * 1000) / 1000 : null,
-          health: getNdviHealthStatus(ndvi),
+          ...values,
+          health: getNdviHealthStatus(values.ndvi),
         };
       }
     }
 
     console.warn("No valid data in point stats response:", data);
-    return { lat, lng, ndvi: null, savi: null, moisture: null, health: "No Data" };
+    return { lat, lng, ...emptyValues, health: "No Data" };
   } catch (error) {
     console.error("Error getting point stats:", error);
-    return { lat, lng, ndvi: null, savi: null, moisture: null, health: "Error" };
+    return { lat, lng, ...emptyValues, health: "Error" };
+  }
+};
+
+/**
+ * Get the index history of a single point (for click-to-chart time series)
+ * Uses the Statistical API over a small bbox around the point with cloud masking
+ * @param {number} lat - Latitude of the point
+ * @param {number} lng - Longitude of the point
+ * @param {number} days - Number of days to look back (default 180 = one season)
+ * @param {Array<string>} indexIds - Catalog indices to include (must be statistical)
+ * @param {string} interval - Aggregation interval: "P1D" (every acquisition) or "P5D"
+ * @param {string} opticalCollection - Collection for optical indices (default Sentinel-2)
+ * @returns {Promise<Array<{date: string, validPixelPercent: number|null}>>} One entry per
+ *   interval with at least one clear pixel, oldest first, with a mean value per index
+ */
+export const getPointHistory = async (
+  lat,
+  lng,
+  days = 180,
+  indexIds = ["ndvi"],
+  interval = "P5D",
+  opticalCollection = OPTICAL_COLLECTION
+) => {
+  // Same ~22m buffer as getPointStats - a few pixels around the point
+  const buffer = 0.0002;
+  const bbox = [lng - buffer, lat - buffer, lng + buffer, lat + buffer];
+  const collection = getCollectionForIndices(indexIds, opticalCollection);
+  const { resolution } = DATA_COLLECTIONS[collection];
+
+  const requestBody = {
+    input: {
+      bounds: {
+        bbox: bbox,
+        properties: { crs: "http://www.opengis.net/def/crs/EPSG/0/4326" },
+      },
+      data: [
+        buildDataSource(collection, {
+          dataFilter: {
+            maxCloudCoverage: 80,
+            mosaickingOrder: "leastCC",
+          },
+        }),
+      ],
+    },
+    aggregation: {
+      timeRange: buildTimeRange(null, days),
+      aggregationInterval: { of: interval },
+      evalscript: buildStatsEvalscript(indexIds, opticalCollection),
+      resx: resolution,
+      resy: resolution,
+    },
+  };
+
+  const response = await cachedSentinelRequest(
+    {
+      kind: "point-history",
+      area: `${lat.toFixed(5)},${lng.toFixed(5)}`,
+      index: toCacheIndex(indexIds.join(","), collection),
+      resolution: interval,
+      extra: `${days}d`,
+    },
+    "/api/v1/statistics",
+    { body: requestBody },
+    collection
+  );
+
+  if (!response.ok) {
+    console.error("Sentinel Point History Error:", response.status, response.errorText);
+    throw new Error(`Failed to get point history: ${response.status}`);
   }
+
+  const data = response.data;
+
+  return (data.data || [])
+    .map((item) => {
+      const stats = parseIndexStats(item.outputs, indexIds);
+      return {
+        date: item.interval.from.split("T")[0],
+        validPixelPercent: getValidPixelPercent(item.outputs, indexIds),
+        ...Object.fromEntries(
+          indexIds.map((id) => [
+            id,
+            Number.isFinite(stats[id]?.mean) ? Math.round(stats[id].mean * 1000) / 1000 : null,
+          ])
+        ),
+      };
+    })
+    .filter((item) => indexIds.some((id) => item[id] !== null))
+    .sort((a, b) => a.date.localeCompare(b.date));
 };
 
 /**
@@ -794,7 +1251,6 @@ const getNdviHealthStatus = (ndvi) => {
  * Get statistical values for a polygon (NDVI mean, min, max, std)
  */
 export const getSentinelStats = async (coords, days = 30) => {
-  const token = await getAccessToken();
   const geometry = coordsToGeoJSON(coords);
 
   const endDate = new Date().toISOString().split("T")[0];
@@ -802,26 +1258,7 @@ export const getSentinelStats = async (coords, days = 30) => {
     .toISOString()
     .split("T")[0];
 
-  const evalscript = `
-    //VERSION=3
-    function setup() {
-      return {
-        input: ["B04", "B08", "dataMask"],
-        output: [
-          { id: "ndvi", bands: 1 },
-          { id: "dataMask", bands: 1 }
-        ]
-      };
-    }
-
-    function evaluatePixel(sample) {
-      let ndvi = (sample.B08 - sample.B04) / (sample.B08 + sample.B04);
-      return {
-        ndvi: [ndvi],
-        dataMask: [sample.dataMask]
-      };
-    }
-  `;
+  const evalscript = buildStatsEvalscript(["ndvi"]);
 
   const requestBody = {
     input: {
@@ -863,32 +1300,40 @@ export const getSentinelStats = async (coords, days = 30) => {
     },
   };
 
-  const response = await fetch(`${SENTINEL_API_BASE}/api/v1/statistics`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(requestBody),
-  });
+  const response = await cachedSentinelRequest(
+    { kind: "sentinel-stats", coords, extra: `${days}d` },
+    "/api/v1/statistics",
+    { body: requestBody }
+  );
 
   if (!response.ok) {
-    const errorText = await response.text();
-    console.error("Sentinel Stats Error:", response.status, errorText);
+    console.error("Sentinel Stats Error:", response.status, response.errorText);
     throw new Error(`Failed to get statistics: ${response.status}`);
   }
 
-  const data = await response.json();
+  const data = response.data;
   console.log("Sentinel Statistics:", data);
   return data;
 };
 
 /**
- * Get comprehensive vegetation statistics (NDVI, SAVI, Moisture, LAI) as numeric values
- * Returns mean, min, max, and standard deviation for each index
+ * Get comprehensive vegetation statistics as numeric values
+ * Returns mean, min, max, and standard deviation for each index, computed over
+ * cloud-free pixels only, plus the valid pixel percentage of the latest interval
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {number} days - Number of days to look back
+ * @param {Array<string>} indexIds - Catalog indices to compute (default NDVI, SAVI, Moisture, LAI);
+ *   optical and radar indices must be requested separately
+ * @param {string} opticalCollection - Collection for optical indices (default Sentinel-2)
+ * @returns {Promise<Object>} Stats per index plus acquisitionDate, validPixelPercent and the
+ *   `source` collection
  */
-export const getVegetationStats = async (coords, days = 30) => {
-  const token = await getAccessToken();
+export const getVegetationStats = async (
+  coords,
+  days = 30,
+  indexIds = DEFAULT_STATS_INDICES,
+  opticalCollection = OPTICAL_COLLECTION
+) => {
   const geometry = coordsToGeoJSON(coords);
 
   const endDate = new Date().toISOString().split("T")[0];
@@ -897,48 +1342,9 @@ export const getVegetationStats = async (coords, days = 30) => {
     .split("T")[0];
 
   // Evalscript that calculates all vegetation indices
-  const evalscript = `
-    //VERSION=3
-    function setup() {
-      return {
-        input: ["B02", "B03", "B04", "B08", "B8A", "B11", "dataMask"],
-        output: [
-          { id: "ndvi", bands: 1 },
-          { id: "savi", bands: 1 },
-          { id: "moisture", bands: 1 },
-          { id: "lai", bands: 1 },
-          { id: "dataMask", bands: 1 }
-        ]
-      };
-    }
-
-    function evaluatePixel(sample) {
-      // NDVI = (NIR - Red) / (NIR + Red)
-      let ndvi = (sample.B08 - sample.B04) / (sample.B08 + sample.B04 + 0.0001);
-      
-      // SAVI = ((NIR - Red) / (NIR + Red + L)) * (1 + L), L = 0.5
-      let L = 0.5;
-      let savi = ((sample.B08 - sample.B04) / (sample.B08 + sample.B04 + L)) * (1 + L);
-      
-      // NDMI (Moisture) = (NIR - SWIR) / (NIR + SWIR)
-      let moisture = (sample.B8A - sample.B11) / (sample.B8A + sample.B11 + 0.0001);
-      
-      // Simplified LAI estimation based on NDVI
-      // LAI ≈ -ln((0.69 - NDVI) / 0.59) / 0.91 (capped at 0-8 range)
-      let lai = 0;
-      if (ndvi > 0.1) {
-        lai = Math.max(0, Math.min(8, -Math.log((0.69 - ndvi) / 0.59) / 0.91));
-      }
-      
-      return {
-        ndvi: [ndvi],
-        savi: [savi],
-        moisture: [moisture],
-        lai: [lai],
-        dataMask: [sample.dataMask]
-      };
-    }
-  `;
+  const collection = getCollectionForIndices(indexIds, opticalCollection);
+  const evalscript = buildStatsEvalscript(indexIds, collection);
+  const { resolution } = DATA_COLLECTIONS[collection];
 
   const requestBody = {
     input: {
@@ -947,8 +1353,7 @@ export const getVegetationStats = async (coords, days = 30) => {
         properties: { crs: "http://www.opengis.net/def/crs/EPSG/0/4326" },
       },
       data: [
-        {
-          type: "sentinel-2-l2a",
+        buildDataSource(collection, {
           dataFilter: {
             timeRange: {
               from: `${startDate}T00:00:00Z`,
@@ -957,7 +1362,7 @@ export const getVegetationStats = async (coords, days = 30) => {
             maxCloudCoverage: 30,
             mosaickingOrder: "leastCC",
           },
-        },
+        }),
       ],
     },
     aggregation: {
@@ -967,8 +1372,8 @@ export const getVegetationStats = async (coords, days = 30) => {
       },
       aggregationInterval: { of: "P30D" },
       evalscript: evalscript,
-      resx: 10,
-      resy: 10,
+      resx: resolution,
+      resy: resolution,
     },
     calculations: {
       default: {
@@ -981,17 +1386,15 @@ export const getVegetationStats = async (coords, days = 30) => {
     },
   };
 
-  const response = await fetch(`${SENTINEL_API_BASE}/api/v1/statistics`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(requestBody),
-  });
+  const response = await cachedSentinelRequest(
+    { kind: "stats", coords, index: toCacheIndex(indexIds.join(","), collection), extra: `${days}d` },
+    "/api/v1/statistics",
+    { body: requestBody },
+    collection
+  );
 
   if (!response.ok) {
-    const errorText = await response.text();
+    const errorText = response.errorText;
     console.error(
       "Sentinel Vegetation Stats Error:",
       response.status,
@@ -1000,43 +1403,113 @@ export const getVegetationStats = async (coords, days = 30) => {
     throw new Error(`Failed to get vegetation statistics: ${response.status}`);
   }
 
-  const data = await response.json();
+  const data = response.data;
   console.log("Sentinel Vegetation Statistics Raw:", data);
 
   // Parse the statistics into a cleaner format
   const stats = {
-    ndvi: null,
-    savi: null,
-    moisture: null,
-    lai: null,
+    ...Object.fromEntries(indexIds.map((id) => [id, null])),
     acquisitionDate: null,
+    validPixelPercent: null,
+    source: collection,
   };
 
   if (data.data && data.data.length > 0) {
     const latestData = data.data[data.data.length - 1];
     stats.acquisitionDate = latestData.interval?.from;
+    stats.validPixelPercent = getValidPixelPercent(latestData.outputs, indexIds);
 
     if (latestData.outputs) {
-      ["ndvi", "savi", "moisture", "lai"].forEach((index) => {
-        if (latestData.outputs[index]?.bands?.B0?.stats) {
-          const s = latestData.outputs[index].bands.B0.stats;
-          stats[index] = {
-            mean: s.mean,
-            min: s.min,
-            max: s.max,
-            stDev: s.stDev,
-            median: s.percentiles?.p50,
-            p25: s.percentiles?.p25,
-            p75: s.percentiles?.p75,
-          };
-        }
-      });
+      Object.assign(stats, parseIndexStats(latestData.outputs, indexIds));
     }
   }
 
   return stats;
 };
 
+// Indices of a request the fallback collection can compute
+const getFallbackIndices = (indexIds) =>
+  indexIds.filter((indexId) => isIndexAvailable(indexId, OPTICAL_FALLBACK_COLLECTION));
+
+// Intervals with less of the field visible than this are filled from the fallback collection
+const FALLBACK_MIN_VALID_PERCENT = 50;
+
+/**
+ * Get vegetation statistics from Sentinel-2, or from the fallback collection (Landsat 8/9)
+ * when Sentinel-2 has no clear pixels in the window. Indices the fallback cannot compute
+ * (e.g. red-edge LAI) are null in a fallback result; `source` names the collection used
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {number} days - Number of days to look back
+ * @param {Array<string>} indexIds - Optical catalog indices (the first one decides if the window is clear)
+ */
+export const getVegetationStatsWithFallback = async (coords, days = 30, indexIds = DEFAULT_STATS_INDICES) => {
+  const stats = await getVegetationStats(coords, days, indexIds);
+  const fallbackIds = getFallbackIndices(indexIds);
+  if (Number.isFinite(stats[indexIds[0]]?.mean) || !fallbackIds.includes(indexIds[0])) return stats;
+
+  try {
+    const fallback = await getVegetationStats(coords, days, fallbackIds, OPTICAL_FALLBACK_COLLECTION);
+    return Number.isFinite(fallback[indexIds[0]]?.mean)
+      ? { ...Object.fromEntries(indexIds.map((id) => [id, null])), ...fallback }
+      : stats;
+  } catch (error) {
+    console.warn("Fallback vegetation stats failed:", error);
+    return stats;
+  }
+};
+
+/**
+ * Get a Sentinel-2 index history with its cloudy or empty 5-day intervals filled from the
+ * fallback collection (Landsat 8/9) where that has a clearer view. Unlike merging sources in
+ * getVegetationHistory, Sentinel-2 is kept wherever at least half the field is clear
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {number} days - Number of days to look back
+ * @param {Array<string>} indexIds - Optical catalog indices
+ * @param {Date} until - Last day of the window (default today)
+ * @returns {Promise<Object>} Map of indexId -> points, each tagged with its `source` collection
+ */
+export const getVegetationHistoryWithFallback = async (
+  coords,
+  days = 60,
+  indexIds = DEFAULT_STATS_INDICES,
+  until = new Date()
+) => {
+  const history = await getVegetationHistory(coords, days, indexIds, until);
+  const fallbackIds = getFallbackIndices(indexIds);
+  const isClear = (point) =>
+    Number.isFinite(point?.data.mean) && (point.validPixelPercent ?? 100) >= FALLBACK_MIN_VALID_PERCENT;
+  const needsFallback = fallbackIds.some((index) => {
+    const points = history[index] || [];
+    return points.length === 0 || !points.every(isClear);
+  });
+  if (!needsFallback) return history;
+
+  let fallback;
+  try {
+    fallback = await fetchCollectionHistory(coords, days, fallbackIds, until, OPTICAL_FALLBACK_COLLECTION);
+  } catch (error) {
+    console.warn("Fallback vegetation history failed:", error);
+    return history;
+  }
+
+  return Object.fromEntries(
+    indexIds.map((index) => {
+      const byInterval = new Map((history[index] || []).map((point) => [point.dt, point]));
+      (fallback[index] || []).forEach((point) => {
+        const existing = byInterval.get(point.dt);
+        if (
+          !isClear(existing) &&
+          Number.isFinite(point.data.mean) &&
+          (point.validPixelPercent ?? 0) > (existing?.validPixelPercent ?? 0)
+        ) {
+          byInterval.set(point.dt, point);
+        }
+      });
+      return [index, Array.from(byInterval.values()).sort((a, b) => a.dt - b.dt)];
+    })
+  );
+};
+
 /**
  * Fetch all Sentinel data for a farm
  */
@@ -1067,60 +1540,21 @@ export const getAllSentinelDataForFarm = async (coords) => {
 };
 
 /**
- * Get historical vegetation index time series data for charts
- * Returns data points every 5 days for the last N days
+ * Fetch a 5-day index time series from a single collection
+ * Points are tagged with the collection they came from
  */
-export const getVegetationHistory = async (coords, days = 60) => {
-  const token = await getAccessToken();
+const fetchCollectionHistory = async (coords, days, indexIds, until, opticalCollection) => {
   const geometry = coordsToGeoJSON(coords);
 
-  const endDate = new Date().toISOString().split("T")[0];
-  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+  const endDate = until.toISOString().split("T")[0];
+  const startDate = new Date(until.getTime() - days * 24 * 60 * 60 * 1000)
     .toISOString()
     .split("T")[0];
 
   // Evalscript that calculates all vegetation indices
-  const evalscript = `
-    //VERSION=3
-    function setup() {
-      return {
-        input: ["B02", "B03", "B04", "B08", "B8A", "B11", "dataMask"],
-        output: [
-          { id: "ndvi", bands: 1 },
-          { id: "savi", bands: 1 },
-          { id: "moisture", bands: 1 },
-          { id: "lai", bands: 1 },
-          { id: "dataMask", bands: 1 }
-        ]
-      };
-    }
-
-    function evaluatePixel(sample) {
-      // NDVI = (NIR - Red) / (NIR + Red)
-      let ndvi = (sample.B08 - sample.B04) / (sample.B08 + sample.B04 + 0.0001);
-      
-      // SAVI = ((NIR - Red) / (NIR + Red + L)) * (1 + L), L = 0.5
-      let L = 0.5;
-      let savi = ((sample.B08 - sample.B04) / (sample.B08 + sample.B04 + L)) * (1 + L);
-      
-      // NDMI (Moisture) = (NIR - SWIR) / (NIR + SWIR)
-      let moisture = (sample.B8A - sample.B11) / (sample.B8A + sample.B11 + 0.0001);
-      
-      // Simplified LAI estimation based on NDVI
-      let lai = 0;
-      if (ndvi > 0.1) {
-        lai = Math.max(0, Math.min(8, -Math.log((0.69 - ndvi) / 0.59) / 0.91));
-      }
-      
-      return {
-        ndvi: [ndvi],
-        savi: [savi],
-        moisture: [moisture],
-        lai: [lai],
-        dataMask: [sample.dataMask]
-      };
-    }
-  `;
+  const collection = getCollectionForIndices(indexIds, opticalCollection);
+  const evalscript = buildStatsEvalscript(indexIds, collection);
+  const { resolution } = DATA_COLLECTIONS[collection];
 
   const requestBody = {
     input: {
@@ -1129,8 +1563,7 @@ export const getVegetationHistory = async (coords, days = 60) => {
         properties: { crs: "http://www.opengis.net/def/crs/EPSG/0/4326" },
       },
       data: [
-        {
-          type: "sentinel-2-l2a",
+        buildDataSource(collection, {
           dataFilter: {
             timeRange: {
               from: `${startDate}T00:00:00Z`,
@@ -1139,7 +1572,7 @@ export const getVegetationHistory = async (coords, days = 60) => {
             maxCloudCoverage: 50,
             mosaickingOrder: "leastCC",
           },
-        },
+        }),
       ],
     },
     aggregation: {
@@ -1149,8 +1582,8 @@ export const getVegetationHistory = async (coords, days = 60) => {
       },
       aggregationInterval: { of: "P5D" }, // 5-day intervals for time series
       evalscript: evalscript,
-      resx: 10,
-      resy: 10,
+      resx: resolution,
+      resy: resolution,
     },
     calculations: {
       default: {
@@ -1163,31 +1596,30 @@ export const getVegetationHistory = async (coords, days = 60) => {
     },
   };
 
-  const response = await fetch(`${SENTINEL_API_BASE}/api/v1/statistics`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
+  const response = await cachedSentinelRequest(
+    {
+      kind: "history",
+      coords,
+      date: endDate,
+      index: toCacheIndex(indexIds.join(","), collection),
+      resolution: "P5D",
+      extra: `${days}d`,
     },
-    body: JSON.stringify(requestBody),
-  });
+    "/api/v1/statistics",
+    { body: requestBody },
+    collection
+  );
 
   if (!response.ok) {
-    const errorText = await response.text();
-    console.error("Sentinel History Error:", response.status, errorText);
+    console.error("Sentinel History Error:", response.status, response.errorText);
     throw new Error(`Failed to get vegetation history: ${response.status}`);
   }
 
-  const responseData = await response.json();
+  const responseData = response.data;
   console.log("Sentinel Vegetation History Raw:", responseData);
 
   // Parse into chart-friendly format
-  const history = {
-    ndvi: [],
-    savi: [],
-    moisture: [],
-    lai: [],
-  };
+  const history = Object.fromEntries(indexIds.map((id) => [id, []]));
 
   if (responseData.data && responseData.data.length > 0) {
     responseData.data.forEach((interval) => {
@@ -1197,16 +1629,20 @@ export const getVegetationHistory = async (coords, days = 60) => {
       // Parse date to timestamp
       const timestamp = new Date(date).getTime() / 1000; // Unix timestamp
 
-      ["ndvi", "savi", "moisture", "lai"].forEach((index) => {
-        if (interval.outputs?.[index]?.bands?.B0?.stats?.mean !== undefined) {
+      const stats = parseIndexStats(interval.outputs, indexIds);
+      const validPixelPercent = getValidPixelPercent(interval.outputs, indexIds);
+      indexIds.forEach((index) => {
+        if (stats[index]?.mean !== undefined) {
           history[index].push({
             dt: timestamp,
             date: date,
+            validPixelPercent: validPixelPercent,
+            source: collection,
             data: {
-              mean: interval.outputs[index].bands.B0.stats.mean,
-              min: interval.outputs[index].bands.B0.stats.min,
-              max: interval.outputs[index].bands.B0.stats.max,
-              median: interval.outputs[index].bands.B0.stats.percentiles?.p50,
+              mean: stats[index].mean,
+              min: stats[index].min,
+              max: stats[index].max,
+              median: stats[index].median,
             },
           });
         }
@@ -1217,3 +1653,190 @@ export const getVegetationHistory = async (coords, days = 60) => {
   console.log("Parsed Vegetation History:", history);
   return history;
 };
+
+/**
+ * Get historical vegetation index time series data for charts
+ * Returns data points every 5 days for the last N days. Each point carries
+ * validPixelPercent so charts can flag dates where most of the field was masked,
+ * and the `source` collection it was computed from
+ *
+ * Passing several optical sources merges them into one denser series: both are aggregated
+ * on the same 5-day grid and, per interval, the point with more clear pixels wins. HLS is
+ * harmonized to Sentinel-2 reflectance; plain Landsat 8/9 NDVI runs slightly different
+ * (typically within ±0.02), so a merged series should be read as one curve, not compared point by point
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {number} days - Number of days to look back
+ * @param {Array<string>} indexIds - Catalog indices to compute (default NDVI, SAVI, Moisture, LAI);
+ *   optical and radar indices must be requested separately
+ * @param {Date} until - Last day of the window (default today); used to fetch past seasons
+ * @param {Array<string>} sources - Optical collections to read (default Sentinel-2 only)
+ */
+export const getVegetationHistory = async (
+  coords,
+  days = 60,
+  indexIds = DEFAULT_STATS_INDICES,
+  until = new Date(),
+  sources = [OPTICAL_COLLECTION]
+) => {
+  if (sources.length <= 1) {
+    return fetchCollectionHistory(coords, days, indexIds, until, sources[0] || OPTICAL_COLLECTION);
+  }
+
+  // A source that fails (or cannot compute an index) just leaves its gaps unfilled
+  const results = await Promise.allSettled(
+    sources.map((source) => fetchCollectionHistory(coords, days, indexIds, until, source))
+  );
+  const histories = results.filter((r) => r.status === "fulfilled").map((r) => r.value);
+  if (histories.length === 0) throw results[0].reason;
+
+  return Object.fromEntries(
+    indexIds.map((index) => {
+      const byInterval = new Map();
+      histories.forEach((history) => {
+        (history[index] || []).forEach((point) => {
+          const existing = byInterval.get(point.dt);
+          if (!existing || (point.validPixelPercent ?? 0) > (existing.validPixelPercent ?? 0)) {
+            byInterval.set(point.dt, point);
+          }
+        });
+      });
+      return [index, Array.from(byInterval.values()).sort((a, b) => a.dt - b.dt)];
+    })
+  );
+};
+
+/**
+ * Get the same calendar window of an index history for this season and previous years
+ * Every season's points carry a `day` offset from its window start, so the curves line up
+ * on one "day of season" axis regardless of the year
+ * With a cycle start the windows open on that date (and its anniversaries) and run for
+ * `days` or up to today, whichever is longer; without one, or when it is in the future or
+ * more than a year back, they are the trailing `days` ending today
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {number} days - Window length in days
+ * @param {number} years - Number of previous years to fetch
+ * @param {string} indexId - Catalog index (default NDVI)
+ * @param {string|null} cycleStart - Crop cycle start date (YYYY-MM-DD or ISO timestamp)
+ * @returns {Promise<{windowStart: string, windowDays: number, anchored: boolean,
+ *   seasons: Array<{year: number, yearsAgo: number, data: Array}>}>}
+ *   Seasons ordered from this year backwards; years that fail to load are left out
+ */
+export const getSeasonHistories = async (
+  coords,
+  days = 60,
+  years = 3,
+  indexId = "ndvi",
+  cycleStart = null
+) => {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const now = new Date();
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  const [startYear, startMonth, startDay] = (cycleStart || "").slice(0, 10).split("-").map(Number);
+  const anchorStart = startYear ? Date.UTC(startYear, startMonth - 1, startDay) : NaN;
+  const elapsedDays = Math.round((today - anchorStart) / dayMs);
+  const anchored = Number.isFinite(elapsedDays) && elapsedDays >= 1 && elapsedDays <= 365;
+
+  const windowDays = anchored ? Math.max(days, elapsedDays) : days;
+  const windowStartMs = anchored ? anchorStart : today - days * dayMs;
+
+  // Each season's window start shifted back by whole years; this season's window ends today
+  const windows = Array.from({ length: years + 1 }, (_, yearsAgo) => {
+    const start = new Date(windowStartMs);
+    start.setUTCFullYear(start.getUTCFullYear() - yearsAgo);
+    const seasonDays = yearsAgo === 0 ? Math.round((today - windowStartMs) / dayMs) : windowDays;
+    const until = yearsAgo === 0 ? now : new Date(start.getTime() + seasonDays * dayMs);
+    return { start: start.getTime(), seasonDays, until };
+  });
+
+  const results = await Promise.allSettled(
+    windows.map(({ seasonDays, until }) => getVegetationHistory(coords, seasonDays, [indexId], until))
+  );
+
+  const seasons = [];
+  results.forEach((result, yearsAgo) => {
+    if (result.status !== "fulfilled") {
+      console.warn(`Season history failed for ${yearsAgo} year(s) ago:`, result.reason);
+      return;
+    }
+    const { start, until } = windows[yearsAgo];
+    seasons.push({
+      year: until.getUTCFullYear(),
+      yearsAgo,
+      data: result.value[indexId].map((item) => ({
+        ...item,
+        day: Math.round((item.dt * 1000 - start) / dayMs),
+      })),
+    });
+  });
+
+  if (seasons.length === 0 || seasons[0].yearsAgo !== 0) {
+    throw new Error("Failed to get season histories: current season unavailable");
+  }
+
+  const windowStart = new Date(windowStartMs).toISOString().split("T")[0];
+  return { windowStart, windowDays, anchored, seasons };
+};
+
+/**
+ * Get the latest clear-sky mean NDVI of a farm and how much it moved over the last two weeks
+ * Uses one 5-day history request; points with less than half the field visible are skipped
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {number} changeDays - Length of the change window (default 14)
+ * @returns {Promise<{meanNdvi: number|null, previousNdvi: number|null, ndviChange: number|null,
+ *   acquisitionDate: string|null, validPixelPercent: number|null}>}
+ */
+export const getNdviChange = async (coords, changeDays = 14) => {
+  const history = await getVegetationHistory(coords, changeDays + 21, ["ndvi"]);
+  const clear = history.ndvi.filter(
+    (item) =>
+      Number.isFinite(item.data.mean) &&
+      (item.validPixelPercent === null || item.validPixelPercent >= 50)
+  );
+
+  if (clear.length === 0) {
+    return {
+      meanNdvi: null,
+      previousNdvi: null,
+      ndviChange: null,
+      acquisitionDate: null,
+      validPixelPercent: null,
+    };
+  }
+
+  const latest = clear[clear.length - 1];
+  const target = latest.dt - changeDays * 24 * 60 * 60;
+  // Closest clear point to two weeks before the latest, at least a week earlier
+  const previous = clear
+    .filter((item) => item.dt <= latest.dt - 7 * 24 * 60 * 60)
+    .reduce(
+      (best, item) =>
+        !best || Math.abs(item.dt - target) < Math.abs(best.dt - target) ? item : best,
+      null
+    );
+
+  return {
+    meanNdvi: latest.data.mean,
+    previousNdvi: previous ? previous.data.mean : null,
+    ndviChange: previous ? latest.data.mean - previous.data.mean : null,
+    acquisitionDate: latest.date,
+    validPixelPercent: latest.validPixelPercent,
+  };
+};
+
+/**
+ * Get Sentinel-1 radar statistics (VV, VH, VH/VV, RVI) for a farm
+ * Radar is unaffected by clouds, so this keeps working through the monsoon
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {number} days - Number of days to look back
+ */
+export const getRadarStats = (coords, days = 30) =>
+  getVegetationStats(coords, days, RADAR_STATS_INDICES);
+
+/**
+ * Get Sentinel-1 radar time series (VV, VH, VH/VV, RVI) for charts
+ * @param {Array} coords - Array of {lat, lng} coordinates
+ * @param {number} days - Number of days to look back
+ */
+export const getRadarHistory = (coords, days = 60) =>
+  getVegetationHistory(coords, days, RADAR_STATS_INDICES);
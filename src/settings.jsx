@@ -6,9 +6,19 @@ import { useAuth } from "./useauth";
 import MainLayout from "./layout";
 import Spinner from "./spinner";
 import ConfirmDialog from "./confirmdialog";
+import { clearImageryCache, getImageryCacheUsage } from "./utils/imageryCache";
+import { ORPHAN_GRACE_HOURS, findOrphanPolygons, removeOrphanPolygons } from "./agroPolygonSync";
+import { recordAllFarmsSoil } from "./soilReadings";
 import { toast } from "react-hot-toast";
 import "./settings.css";
 
+// Format a byte count for display (e.g. 12.3 MB)
+const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 const SettingsPage = () => {
     const { user, role, loading: authLoading } = useAuth();
     const navigate = useNavigate();
@@ -25,6 +35,14 @@ const SettingsPage = () => {
     const [confirmPassword, setConfirmPassword] = useState("");
     const [passwordSaving, setPasswordSaving] = useState(false);
 
+    // Imagery cache state
+    const [cacheUsage, setCacheUsage] = useState(null);
+    const [cacheClearing, setCacheClearing] = useState(false);
+
+    // AgroMonitoring maintenance state (admins): orphans found by the last check
+    const [orphanPolygons, setOrphanPolygons] = useState(null);
+    const [agroBusy, setAgroBusy] = useState(null); // 'checking' | 'deleting' | 'soil'
+
     // Confirm dialog state
     const [confirmDialog, setConfirmDialog] = useState({
         isOpen: false,
@@ -57,6 +75,13 @@ const SettingsPage = () => {
         fetchProfile();
     }, [user]);
 
+    // Load imagery cache usage on mount
+    useEffect(() => {
+        getImageryCacheUsage()
+            .then(setCacheUsage)
+            .catch((err) => console.error("Error reading imagery cache usage:", err));
+    }, []);
+
     // Save profile
     const handleSaveProfile = async () => {
         if (!fullName.trim()) {
@@ -109,6 +134,90 @@ const SettingsPage = () => {
         }
     };
 
+    // Clear cached satellite imagery and statistics
+    const handleClearCache = () => {
+        setConfirmDialog({
+            isOpen: true,
+            title: "Clear Cached Imagery",
+            message:
+                "Remove all satellite images and statistics stored on this device? They will be downloaded again from Sentinel Hub the next time you open a farm.",
+            type: "warning",
+            confirmText: "Clear Cache",
+            onConfirm: async () => {
+                setConfirmDialog((prev) => ({ ...prev, isOpen: false }));
+                setCacheClearing(true);
+                try {
+                    await clearImageryCache();
+                    setCacheUsage(await getImageryCacheUsage());
+                    toast.success("Cached imagery cleared");
+                } catch (err) {
+                    console.error("Error clearing imagery cache:", err);
+                    toast.error("Failed to clear cached imagery");
+                } finally {
+                    setCacheClearing(false);
+                }
+            },
+        });
+    };
+
+    // List AgroMonitoring polygons no farm references, for review before deleting
+    const handleFindOrphans = async () => {
+        setAgroBusy("checking");
+        try {
+            const orphans = await findOrphanPolygons();
+            setOrphanPolygons(orphans);
+            if (orphans.length === 0) toast.success("No orphaned polygons found");
+        } catch (err) {
+            console.error("Error finding orphaned polygons:", err);
+            toast.error("Failed to check AgroMonitoring polygons");
+        } finally {
+            setAgroBusy(null);
+        }
+    };
+
+    const handleRemoveOrphans = () => {
+        const count = orphanPolygons.length;
+        setConfirmDialog({
+            isOpen: true,
+            title: "Delete Orphaned Polygons",
+            message: `Delete ${count} AgroMonitoring polygon${count > 1 ? "s" : ""} that no farm references? Check the list first if the account is shared with another environment. This cannot be undone.`,
+            type: "danger",
+            confirmText: "Delete Polygons",
+            onConfirm: async () => {
+                setConfirmDialog((prev) => ({ ...prev, isOpen: false }));
+                setAgroBusy("deleting");
+                try {
+                    const deleted = await removeOrphanPolygons(orphanPolygons);
+                    toast.success(`Deleted ${deleted} of ${count} polygon${count > 1 ? "s" : ""}`);
+                    setOrphanPolygons(null);
+                } catch (err) {
+                    console.error("Error deleting orphaned polygons:", err);
+                    toast.error("Failed to delete orphaned polygons");
+                } finally {
+                    setAgroBusy(null);
+                }
+            },
+        });
+    };
+
+    // Store a soil snapshot for every registered farm (there is no scheduled job yet)
+    const handleRecordSoil = async () => {
+        setAgroBusy("soil");
+        try {
+            const recorded = await recordAllFarmsSoil();
+            toast.success(
+                recorded > 0
+                    ? `Stored soil readings for ${recorded} farm${recorded > 1 ? "s" : ""}`
+                    : "Every farm already has a recent soil reading"
+            );
+        } catch (err) {
+            console.error("Error recording soil readings:", err);
+            toast.error("Failed to record soil readings");
+        } finally {
+            setAgroBusy(null);
+        }
+    };
+
     // Logout
     const handleLogout = async () => {
         try {
@@ -288,6 +397,121 @@ const SettingsPage = () => {
                     </div>
                 </section>
 
+                {/* --- Storage Section --- */}
+                <section className="settings-section">
+                    <div className="section-heading">
+                        <span className="section-icon material-symbols-outlined">
+                            storage
+                        </span>
+                        <div>
+                            <h2>Storage</h2>
+                            <p>Satellite data cached on this device</p>
+                        </div>
+                    </div>
+
+                    <div className="settings-card">
+                        <div className="account-action">
+                            <div className="account-action-info">
+                                <h3>Cached Imagery</h3>
+                                <p>
+                                    {cacheUsage
+                                        ? `${cacheUsage.entries} items · ${formatBytes(cacheUsage.bytes)} of ${formatBytes(cacheUsage.limitBytes)}`
+                                        : "Checking usage..."}
+                                </p>
+                            </div>
+                            <button
+                                className="btn-outline"
+                                onClick={handleClearCache}
+                                disabled={cacheClearing || cacheUsage?.entries === 0}
+                            >
+                                <span className="material-symbols-outlined">delete_sweep</span>
+                                {cacheClearing ? "Clearing..." : "Clear Cached Imagery"}
+                            </button>
+                        </div>
+                    </div>
+                </section>
+
+                {/* --- AgroMonitoring Section (admins) --- */}
+                {role === "admin" && (
+                    <section className="settings-section">
+                        <div className="section-heading">
+                            <span className="section-icon material-symbols-outlined">
+                                satellite_alt
+                            </span>
+                            <div>
+                                <h2>AgroMonitoring</h2>
+                                <p>Polygon and soil data maintenance across every farm</p>
+                            </div>
+                        </div>
+
+                        <div className="settings-card">
+                            <div className="account-action">
+                                <div className="account-action-info">
+                                    <h3>Orphaned Polygons</h3>
+                                    <p>
+                                        Polygons of deleted farms or replaced boundaries. Polygons younger than{" "}
+                                        {ORPHAN_GRACE_HOURS} hours are skipped, as a farm may still be saving its ID.
+                                    </p>
+                                </div>
+                                {orphanPolygons?.length > 0 ? (
+                                    <button
+                                        className="btn-danger"
+                                        onClick={handleRemoveOrphans}
+                                        disabled={agroBusy !== null}
+                                    >
+                                        <span className="material-symbols-outlined">delete</span>
+                                        {agroBusy === "deleting"
+                                            ? "Deleting..."
+                                            : `Delete ${orphanPolygons.length} Polygon${orphanPolygons.length > 1 ? "s" : ""}`}
+                                    </button>
+                                ) : (
+                                    <button
+                                        className="btn-outline"
+                                        onClick={handleFindOrphans}
+                                        disabled={agroBusy !== null}
+                                    >
+                                        <span className="material-symbols-outlined">search</span>
+                                        {agroBusy === "checking" ? "Checking..." : "Find Orphaned Polygons"}
+                                    </button>
+                                )}
+                            </div>
+                            {orphanPolygons?.length > 0 && (
+                                <ul className="orphan-polygon-list">
+                                    {orphanPolygons.map((polygon) => (
+                                        <li key={polygon.id}>
+                                            <span>{polygon.name || "Unnamed polygon"}</span>
+                                            <small>
+                                                {polygon.id} · created{" "}
+                                                {new Date(polygon.created_at * 1000).toLocaleDateString()}
+                                            </small>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+
+                        <div className="settings-card">
+                            <div className="account-action">
+                                <div className="account-action-info">
+                                    <h3>Soil Readings</h3>
+                                    <p>
+                                        Store the current soil snapshot of every registered farm. Soil history
+                                        otherwise only grows when a farm page is opened.
+                                    </p>
+                                </div>
+                                <button
+                                    className="btn-outline"
+                                    onClick={handleRecordSoil}
+                                    disabled={agroBusy !== null}
+                                >
+                                    <span className="material-symbols-outlined">thermostat</span>
+                                    {agroBusy === "soil" ? "Recording..." : "Record Soil Readings"}
+                                </button>
+                            </div>
+                        </div>
+                    </section>
+                )}
+
                 {/* --- Account Section --- */}
                 <section className="settings-section">
                     <div className="section-heading">
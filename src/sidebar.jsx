@@ -14,6 +14,7 @@ const Sidebar = () => {
   const farmerNavItems = [
     { path: "/home", icon: "home", label: "Dashboard" },
     { path: "/farms", icon: "grass", label: "Farms" },
+    { path: "/iot-devices", icon: "sensors", label: "IoT Devices" },
     { path: "/payments", icon: "payments", label: "Payments" },
     { path: "/reports", icon: "analytics", label: "Reports" },
     { path: "/settings", icon: "settings", label: "Settings" },
@@ -21,6 +22,8 @@ const Sidebar = () => {
 
   const adminNavItems = [
     { path: "/home", icon: "home", label: "Dashboard" },
+    { path: "/portfolio-health", icon: "monitoring", label: "Portfolio Health" },
+    { path: "/iot-devices", icon: "sensors", label: "IoT Devices" },
     { path: "/reports", icon: "analytics", label: "Reports" },
     { path: "/settings", icon: "settings", label: "Settings" },
     { path: "/payments", icon: "payments", label: "Payments" },
@@ -0,0 +1,120 @@
+// src/soilReadings.js
+/**
+ * Soil Reading History
+ * AgroMonitoring only returns the current soil snapshot, so each reading is stored when a farm
+ * page loads, and for every registered farm when an admin runs "Record Soil Readings" in Settings.
+ * Readings are keyed by their measurement time, so repeated loads of the same snapshot are stored once
+ *
+ * Limitation: nothing in this app records readings on a timer, so a farm's history only grows while
+ * its page is opened or an admin records readings. A daily scheduled job (e.g. a Supabase cron calling
+ * an edge function that does what recordAllFarmsSoil does) is needed for gap-free history
+ *
+ *   CREATE TABLE IF NOT EXISTS soil_readings (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+ *     measured_at TIMESTAMPTZ NOT NULL,
+ *     surface_temp_c NUMERIC,
+ *     t10_temp_c NUMERIC,
+ *     moisture NUMERIC,            -- volumetric, m³/m³
+ *     created_at TIMESTAMPTZ DEFAULT now(),
+ *     UNIQUE (farm_id, measured_at)
+ *   );
+ */
+
+import { supabase } from "./createclient";
+import { getSoilDataForPolygon } from "./agromonitoring";
+import { getAllFarmSyncRows } from "./agroPolygonSync";
+import { KELVIN_OFFSET } from "./utils/growingDegreeDays";
+import { runThrottledBatch } from "./utils/portfolioScan";
+
+// Farms with a reading stored more recently than this are skipped by recordAllFarmsSoil
+const REFRESH_HOURS = 12;
+
+const toCelsius = (kelvin) => (Number.isFinite(kelvin) ? Math.round((kelvin - KELVIN_OFFSET) * 100) / 100 : null);
+
+/**
+ * Store one AgroMonitoring soil snapshot
+ * @param {string} farmId - Farm ID
+ * @param {{dt: number, t0: number, t10: number, moisture: number}} soil - getSoilDataForPolygon result
+ * @returns {Promise<boolean>} false when the snapshot has no timestamp
+ */
+export const recordSoilReading = async (farmId, soil) => {
+  if (!farmId || !soil?.dt) return false;
+
+  const { error } = await supabase.from("soil_readings").upsert(
+    {
+      farm_id: farmId,
+      measured_at: new Date(soil.dt * 1000).toISOString(),
+      surface_temp_c: toCelsius(soil.t0),
+      t10_temp_c: toCelsius(soil.t10),
+      moisture: Number.isFinite(soil.moisture) ? soil.moisture : null,
+    },
+    { onConflict: "farm_id,measured_at", ignoreDuplicates: true }
+  );
+
+  if (error) {
+    console.error("Error storing soil reading:", error);
+    throw error;
+  }
+  return true;
+};
+
+/**
+ * Stored soil readings of a farm, oldest first
+ * @param {string} farmId - Farm ID
+ * @param {Date|string} since - Start of the period
+ * @returns {Promise<Array>} soil_readings rows
+ */
+export const getSoilHistory = async (farmId, since) => {
+  const { data, error } = await supabase
+    .from("soil_readings")
+    .select("measured_at, surface_temp_c, t10_temp_c, moisture")
+    .eq("farm_id", farmId)
+    .gte("measured_at", new Date(since).toISOString())
+    .order("measured_at", { ascending: true });
+
+  if (error) {
+    console.error("Error fetching soil history:", error);
+    throw error;
+  }
+  return data || [];
+};
+
+/**
+ * Fetch and store the current soil snapshot of every registered farm without a recent reading
+ * Admin only: reads every farm
+ * @param {Object} options
+ * @param {Function} options.isCancelled - () => boolean; stops the batch when true
+ * @returns {Promise<number>} Number of farms with a new reading
+ */
+export const recordAllFarmsSoil = async ({ isCancelled = () => false } = {}) => {
+  const registered = (await getAllFarmSyncRows()).filter((farm) => farm.agromonitoring_id);
+  if (registered.length === 0) return 0;
+
+  // Farms missing from a capped result just get a duplicate snapshot, which the upsert ignores
+  const since = new Date(Date.now() - REFRESH_HOURS * 60 * 60 * 1000).toISOString();
+  const { data: recent, error } = await supabase
+    .from("soil_readings")
+    .select("farm_id")
+    .gte("created_at", since);
+
+  if (error) {
+    console.error("Error checking recent soil readings:", error);
+    throw error;
+  }
+
+  const fresh = new Set((recent || []).map((row) => row.farm_id));
+  let recorded = 0;
+  await runThrottledBatch(
+    registered.filter((farm) => !fresh.has(farm.id)),
+    async (farm) => recordSoilReading(farm.id, await getSoilDataForPolygon(farm.agromonitoring_id)),
+    {
+      isCancelled,
+      onResult: (farm, stored, err) => {
+        if (err) console.warn(`Soil reading for farm ${farm.id} failed:`, err.message);
+        else if (stored) recorded += 1;
+      },
+    }
+  );
+  return recorded;
+};
@@ -2,6 +2,7 @@
 // Frontend service for ThingsBoard IoT data via Supabase Edge Functions
 
 import { supabase } from "./createclient";
+import { applyCalibration } from "./utils/telemetryKeys";
 
 /**
  * Get IoT devices linked to a farm
@@ -28,6 +29,10 @@ export const getFarmIoTDevices = async (farmId) => {
         device_name: device.display_name,
         device_type: device.iot_sensor_types?.name || "unknown",
         telemetry_keys: device.config?.telemetry_keys || [],
+        telemetry_units: device.config?.telemetry_units || {},
+        calibration: device.config?.calibration || {},
+        latitude: device.latitude,
+        longitude: device.longitude,
         last_reading_at: device.last_reading_at,
     }));
 };
@@ -52,7 +57,9 @@ export const getLatestTelemetry = async (deviceId, keys = []) => {
     const result = {};
     for (const [key, values] of Object.entries(data || {})) {
         if (Array.isArray(values) && values.length > 0) {
-            result[key] = parseFloat(values[0].value) || values[0].value;
+            // Numeric readings (including 0) as numbers, anything else as sent
+            const number = parseFloat(values[0].value);
+            result[key] = Number.isFinite(number) ? number : values[0].value;
             result[`${key}_ts`] = values[0].ts;
         }
     }
@@ -92,7 +99,10 @@ export const getFarmIoTData = async (farmId) => {
     const devicesWithData = await Promise.all(
         devices.map(async (device) => {
             try {
-                const telemetry = await getLatestTelemetry(device.device_id, device.telemetry_keys);
+                const raw = await getLatestTelemetry(device.device_id, device.telemetry_keys);
+                const telemetry = Object.fromEntries(
+                    Object.entries(raw).map(([key, value]) => [key, applyCalibration(key, value, device)])
+                );
                 return { ...device, telemetry };
             } catch (error) {
                 console.error(`Error fetching telemetry for ${device.device_name}:`, error);
@@ -104,6 +114,138 @@ export const getFarmIoTData = async (farmId) => {
     return devicesWithData;
 };
 
+/*
+ * Device management
+ * iot_devices rows are registered from the IoT Devices page. Each device belongs to a farm and a
+ * sensor type, points at its ThingsBoard device and keeps its telemetry settings in config:
+ *   { telemetry_keys: [...], telemetry_units: { key: unit }, calibration: { key: { scale, offset } } }
+ * Its position on the farm map is stored in two columns:
+ *
+ *   ALTER TABLE iot_devices
+ *     ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+ *     ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+ */
+
+const MANAGED_DEVICE_COLUMNS =
+    "id, farm_id, sensor_type_id, thingsboard_device_id, display_name, config, latitude, longitude, is_active, last_reading_at, iot_sensor_types(name, unit)";
+
+/**
+ * Get the sensor types a device can be registered as
+ * @returns {Promise<Array>} iot_sensor_types rows, by name
+ */
+export const getIoTSensorTypes = async () => {
+    const { data, error } = await supabase.from("iot_sensor_types").select("*").order("name");
+
+    if (error) {
+        console.error("Error fetching IoT sensor types:", error);
+        throw error;
+    }
+    return data || [];
+};
+
+/**
+ * Get every device of the given farms, including inactive ones
+ * @param {string[]} farmIds - Farm UUIDs
+ * @returns {Promise<Array>} iot_devices rows with their sensor type
+ */
+export const getManagedIoTDevices = async (farmIds) => {
+    if (farmIds.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from("iot_devices")
+        .select(MANAGED_DEVICE_COLUMNS)
+        .in("farm_id", farmIds)
+        .order("display_name");
+
+    if (error) {
+        console.error("Error fetching IoT devices:", error);
+        throw error;
+    }
+    return data || [];
+};
+
+/**
+ * Register a device, or update it when device.id is set
+ * @param {Object} device
+ * @param {string} [device.id] - iot_devices ID of an existing device
+ * @param {string} device.farmId - Farm UUID
+ * @param {string} device.sensorTypeId - iot_sensor_types ID
+ * @param {string} device.displayName - Name shown on the farm page
+ * @param {string} device.thingsboardDeviceId - ThingsBoard device ID
+ * @param {Object} device.config - { telemetry_keys, telemetry_units, calibration }
+ * @param {number|null} device.latitude - Position on the farm map
+ * @param {number|null} device.longitude - Position on the farm map
+ * @returns {Promise<Object>} The stored row
+ */
+export const saveIoTDevice = async ({
+    id,
+    farmId,
+    sensorTypeId,
+    displayName,
+    thingsboardDeviceId,
+    config,
+    latitude = null,
+    longitude = null,
+}) => {
+    if (!farmId) throw new Error("Choose the farm the device belongs to.");
+    if (!displayName?.trim()) throw new Error("Enter a display name for the device.");
+    if (!thingsboardDeviceId?.trim()) throw new Error("Enter or create the ThingsBoard device.");
+
+    const row = {
+        farm_id: farmId,
+        sensor_type_id: sensorTypeId || null,
+        display_name: displayName.trim(),
+        thingsboard_device_id: thingsboardDeviceId.trim(),
+        config,
+        latitude,
+        longitude,
+    };
+
+    const query = id
+        ? supabase.from("iot_devices").update(row).eq("id", id)
+        : supabase.from("iot_devices").insert({ ...row, is_active: true });
+    const { data, error } = await query.select(MANAGED_DEVICE_COLUMNS).single();
+
+    if (error) {
+        console.error("Error saving IoT device:", error);
+        throw error;
+    }
+    return data;
+};
+
+/**
+ * Activate or deactivate a device (inactive devices are hidden from the farm page)
+ * @param {string} deviceId - iot_devices ID
+ * @param {boolean} isActive - New state
+ */
+export const setIoTDeviceActive = async (deviceId, isActive) => {
+    const { error } = await supabase.from("iot_devices").update({ is_active: isActive }).eq("id", deviceId);
+
+    if (error) {
+        console.error("Error updating IoT device:", error);
+        throw error;
+    }
+};
+
+/**
+ * Create a device in ThingsBoard
+ * @param {string} name - Device name (must be unique in ThingsBoard)
+ * @param {string} type - Device profile/type, e.g. the sensor type name
+ * @returns {Promise<string>} The new ThingsBoard device ID
+ */
+export const createThingsBoardDevice = async (name, type) => {
+    const { data, error } = await supabase.functions.invoke("thingsboard-devices", {
+        body: { action: "create", name, type },
+    });
+
+    if (error) {
+        console.error("Error creating ThingsBoard device:", error);
+        throw error;
+    }
+    if (!data?.id) throw new Error("ThingsBoard did not return a device ID.");
+    return data.id;
+};
+
 // Virtual sensor device ID for satellite data
 export const VIRTUAL_SENSOR_ID = "281e6cd0-0322-11f1-a7c1-43f8f9a544af";
 
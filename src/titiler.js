@@ -4,6 +4,8 @@
  * Handles COG tile serving with dynamic styling
  */
 
+import { readGeoTiffRaster } from "./utils/rasterAnalysis";
+
 const TITILER_URL = import.meta.env.VITE_TITILER_URL || "";
 
 // Check if we're in a production environment (no local TiTiler)
@@ -185,6 +187,51 @@ export const getExpressionPreviewUrl = (filename, expression, options = {}) => {
   return `${TITILER_URL}/cog/preview?${params.toString()}`;
 };
 
+/**
+ * Get raw FLOAT32 values of a layer clipped to a farm boundary
+ * Uses the /cog/feature endpoint with GeoTIFF output in EPSG:4326
+ * @param {string} filename - Name of file in imagery folder
+ * @param {object} geometry - GeoJSON Polygon of the farm boundary
+ * @param {object} options - Band selection (bidx or expression), nodata, maxSize and
+ *   an optional url for imagery that is not in the local imagery folder
+ * @returns {Promise<{values: Float32Array, width: number, height: number, bbox: Array<number>}>}
+ */
+export const getFeatureRaster = async (filename, geometry, options = {}) => {
+  const fileUrl = options.url || `file:///data/${filename}`;
+  const params = new URLSearchParams({
+    url: fileUrl,
+    max_size: options.maxSize || 512,
+    dst_crs: "epsg:4326",
+  });
+
+  if (options.bidx) {
+    const bands = options.bidx.split(",");
+    bands.forEach((band) => {
+      params.append("bidx", band.trim());
+    });
+  }
+
+  if (options.expression) {
+    params.append("expression", options.expression);
+  }
+
+  if (options.nodata !== undefined) {
+    params.append("nodata", options.nodata.toString());
+  }
+
+  const response = await fetch(`${TITILER_URL}/cog/feature.tif?${params.toString()}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ type: "Feature", geometry, properties: {} }),
+  });
+
+  if (!response.ok) {
+    throw new Error("Failed to get raster values");
+  }
+
+  return readGeoTiffRaster(await response.arrayBuffer(), { nodata: options.nodata });
+};
+
 /**
  * Predefined layer configurations
  * For 10-band MicaSense imagery:
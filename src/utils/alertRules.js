@@ -0,0 +1,111 @@
+/**
+ * IoT alert rule utilities for AgriPay
+ * Decides whether a telemetry threshold rule is breached, has stayed breached for the rule's
+ * duration and is out of its cooldown
+ *
+ * Rule shape (iot_alert_rules row):
+ * { telemetry_key, comparator: 'lt' | 'lte' | 'gt' | 'gte', threshold, duration_minutes,
+ *   cooldown_minutes, last_triggered_at }
+ */
+
+export const COMPARATORS = {
+  lt: { label: '<', text: 'below', test: (value, threshold) => value < threshold },
+  lte: { label: '≤', text: 'at or below', test: (value, threshold) => value <= threshold },
+  gt: { label: '>', text: 'above', test: (value, threshold) => value > threshold },
+  gte: { label: '≥', text: 'at or above', test: (value, threshold) => value >= threshold }
+};
+
+export const DEFAULT_COOLDOWN_MINUTES = 6 * 60;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Whether one value breaches the rule
+ *
+ * @param {number} value - Telemetry value
+ * @param {Object} rule - Alert rule
+ * @returns {boolean}
+ */
+export const isBreach = (value, rule) => {
+  const comparator = COMPARATORS[rule.comparator];
+  return Boolean(comparator) && Number.isFinite(value) && comparator.test(value, Number(rule.threshold));
+};
+
+/**
+ * Whether the latest readings have breached the rule for at least its duration
+ * Rules without a duration trigger on the latest reading alone
+ *
+ * @param {Array<{ts: number, value: number|string}>} readings - Readings of the rule's key, any order
+ * @param {Object} rule - Alert rule
+ * @returns {{breached: boolean, value: number|null, since: number|null}} since is the start of the breach run
+ */
+export const evaluateReadings = (readings, rule) => {
+  const points = (readings || [])
+    .map((r) => ({ ts: Number(r.ts), value: parseFloat(r.value) }))
+    .filter((r) => Number.isFinite(r.ts) && Number.isFinite(r.value))
+    .sort((a, b) => b.ts - a.ts);
+  if (points.length === 0 || !isBreach(points[0].value, rule)) {
+    return { breached: false, value: points[0]?.value ?? null, since: null };
+  }
+
+  // Walk back through the consecutive breaching readings
+  let since = points[0].ts;
+  for (const point of points) {
+    if (!isBreach(point.value, rule)) break;
+    since = point.ts;
+  }
+
+  const durationMs = (Number(rule.duration_minutes) || 0) * MINUTE_MS;
+  return { breached: points[0].ts - since >= durationMs, value: points[0].value, since };
+};
+
+/**
+ * Whether a rule triggered too recently to trigger again
+ *
+ * @param {Object} rule - Alert rule
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export const isInCooldown = (rule, now = Date.now()) => {
+  if (!rule.last_triggered_at) return false;
+  const cooldownMs = Number(rule.cooldown_minutes ?? DEFAULT_COOLDOWN_MINUTES) * MINUTE_MS;
+  return now - new Date(rule.last_triggered_at).getTime() < cooldownMs;
+};
+
+const formatDuration = (minutes) => {
+  if (minutes >= 60 && minutes % 60 === 0) return `${minutes / 60} h`;
+  return `${minutes} min`;
+};
+
+/**
+ * Rule summary, e.g. "Soil Moisture < 20 % for 30 min"
+ *
+ * @param {Object} rule - Alert rule
+ * @param {string} label - Readable key label
+ * @param {string} unit - Key unit
+ * @returns {string}
+ */
+export const describeRule = (rule, label, unit) => {
+  const duration = Number(rule.duration_minutes) > 0 ? ` for ${formatDuration(Number(rule.duration_minutes))}` : '';
+  return `${label} ${COMPARATORS[rule.comparator]?.label || rule.comparator} ${Number(rule.threshold)}${unit ? ` ${unit}` : ''}${duration}`;
+};
+
+/**
+ * Notification message of a triggered rule
+ *
+ * @param {Object} params
+ * @param {string} params.farmName - Farm name
+ * @param {string} params.deviceName - Device display name
+ * @param {Object} params.rule - Alert rule
+ * @param {string} params.label - Readable key label
+ * @param {string} params.unit - Key unit
+ * @param {number} params.value - Latest value
+ * @returns {string}
+ */
+export const describeAlert = ({ farmName, deviceName, rule, label, unit, value }) => {
+  const suffix = unit ? ` ${unit}` : '';
+  const duration = Number(rule.duration_minutes) > 0 ? ` for ${formatDuration(Number(rule.duration_minutes))}` : '';
+  return `${farmName}: ${label} on ${deviceName} is ${Math.round(value * 10) / 10}${suffix}, ${
+    COMPARATORS[rule.comparator]?.text || rule.comparator
+  } ${Number(rule.threshold)}${suffix}${duration}`;
+};
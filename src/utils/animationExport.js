@@ -0,0 +1,139 @@
+/**
+ * Animation export utilities for AgriPay
+ * Renders a sequence of imagery frames with captions to an animated GIF or WebM video
+ */
+
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+
+const CAPTION_HEIGHT = 44;
+
+/**
+ * Load an image URL into an HTMLImageElement
+ *
+ * @param {string} url - Object URL or same-origin URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+const loadImage = (url) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Failed to load frame image: ${url}`));
+    image.src = url;
+  });
+
+/**
+ * Draw one frame: imagery on a dark background with a caption bar underneath
+ */
+const drawFrame = (ctx, image, frame, width, height) => {
+  ctx.fillStyle = '#0f172a';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(image, 0, 0, width, height - CAPTION_HEIGHT);
+
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 18px sans-serif';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(frame.label, 12, height - CAPTION_HEIGHT / 2);
+
+  if (frame.subtitle) {
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '14px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(frame.subtitle, width - 12, height - CAPTION_HEIGHT / 2);
+    ctx.textAlign = 'left';
+  }
+};
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height + CAPTION_HEIGHT;
+  return canvas;
+};
+
+/**
+ * Encode frames as an animated GIF
+ *
+ * @param {Array<{url: string, label: string, subtitle?: string}>} frames - Frames in playback order
+ * @param {Object} options
+ * @param {number} options.width - Imagery width in pixels
+ * @param {number} options.height - Imagery height in pixels (caption bar is added below)
+ * @param {number} options.frameDelay - Milliseconds per frame
+ * @returns {Promise<Blob>} GIF file
+ */
+export const exportFramesAsGif = async (frames, { width = 512, height = 512, frameDelay = 1000 } = {}) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const gif = GIFEncoder();
+
+  for (const frame of frames) {
+    const image = await loadImage(frame.url);
+    drawFrame(ctx, image, frame, canvas.width, canvas.height);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const palette = quantize(data, 256);
+    const indexed = applyPalette(data, palette);
+    gif.writeFrame(indexed, canvas.width, canvas.height, { palette, delay: frameDelay });
+  }
+
+  gif.finish();
+  return new Blob([gif.bytes()], { type: 'image/gif' });
+};
+
+/**
+ * Check whether the browser can record WebM from a canvas
+ *
+ * @returns {boolean}
+ */
+export const isWebMExportSupported = () => {
+  return (
+    typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement !== 'undefined' &&
+    'captureStream' in HTMLCanvasElement.prototype &&
+    MediaRecorder.isTypeSupported('video/webm')
+  );
+};
+
+/**
+ * Record frames into a WebM video in real time (takes frames x frameDelay to finish)
+ *
+ * @param {Array<{url: string, label: string, subtitle?: string}>} frames - Frames in playback order
+ * @param {Object} options
+ * @param {number} options.width - Imagery width in pixels
+ * @param {number} options.height - Imagery height in pixels (caption bar is added below)
+ * @param {number} options.frameDelay - Milliseconds per frame
+ * @returns {Promise<Blob>} WebM file
+ */
+export const exportFramesAsWebM = async (frames, { width = 512, height = 512, frameDelay = 1000 } = {}) => {
+  if (!isWebMExportSupported()) {
+    throw new Error('WebM recording is not supported in this browser');
+  }
+
+  const images = await Promise.all(frames.map((frame) => loadImage(frame.url)));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const stream = canvas.captureStream(30);
+  const mimeType = MediaRecorder.isTypeSupported('video/webm;codecs=vp9')
+    ? 'video/webm;codecs=vp9'
+    : 'video/webm';
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+
+  const finished = new Promise((resolve) => {
+    recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+  });
+
+  drawFrame(ctx, images[0], frames[0], canvas.width, canvas.height);
+  recorder.start();
+
+  for (let i = 0; i < frames.length; i++) {
+    drawFrame(ctx, images[i], frames[i], canvas.width, canvas.height);
+    await new Promise((resolve) => setTimeout(resolve, frameDelay));
+  }
+
+  recorder.stop();
+  stream.getTracks().forEach((track) => track.stop());
+  return finished;
+};
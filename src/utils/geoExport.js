@@ -0,0 +1,182 @@
+/**
+ * Geo export utilities for AgriPay
+ * Converts GeoJSON FeatureCollections to downloadable GeoJSON, KML and zipped Shapefiles
+ */
+
+import shpwrite from '@mapbox/shp-write';
+import JSZip from 'jszip';
+
+/**
+ * Trigger a browser download for a Blob
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Make a string safe for use in a file name
+ *
+ * @param {string} value - Any label (farm name, layer name, ...)
+ * @returns {string} Lowercase name with only letters, digits, dashes and underscores
+ */
+export const toFileSafeName = (value) => {
+  return String(value || 'export')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Serialize a FeatureCollection as a GeoJSON Blob
+ *
+ * @param {Object} featureCollection - GeoJSON FeatureCollection
+ * @returns {Blob} GeoJSON file
+ */
+export const toGeoJSONBlob = (featureCollection) => {
+  return new Blob([JSON.stringify(featureCollection, null, 2)], {
+    type: 'application/geo+json'
+  });
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * KML colors are aabbggrr
+ */
+const hexToKmlColor = (hex, alpha = 'ff') => {
+  const clean = hex.replace('#', '');
+  return `${alpha}${clean.slice(4, 6)}${clean.slice(2, 4)}${clean.slice(0, 2)}`;
+};
+
+const ringToKml = (ring) => ring.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+const polygonToKml = (rings) => {
+  const [outer, ...holes] = rings;
+  const inner = holes
+    .map((ring) => `<innerBoundaryIs><LinearRing><coordinates>${ringToKml(ring)}</coordinates></LinearRing></innerBoundaryIs>`)
+    .join('');
+  return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${ringToKml(outer)}</coordinates></LinearRing></outerBoundaryIs>${inner}</Polygon>`;
+};
+
+const geometryToKml = (geometry) => {
+  if (geometry.type === 'Polygon') return polygonToKml(geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') {
+    return `<MultiGeometry>${geometry.coordinates.map(polygonToKml).join('')}</MultiGeometry>`;
+  }
+  throw new Error(`Unsupported geometry type for KML export: ${geometry.type}`);
+};
+
+/**
+ * Convert a polygon FeatureCollection to a KML document
+ *
+ * @param {Object} featureCollection - GeoJSON FeatureCollection of Polygons/MultiPolygons
+ * @param {Object} options
+ * @param {string} options.name - Document name
+ * @param {Function} options.getName - (feature) => placemark name
+ * @param {Function} options.getColor - (feature) => hex fill color (optional)
+ * @returns {Blob} KML file
+ */
+export const toKMLBlob = (featureCollection, { name = 'Export', getName, getColor } = {}) => {
+  const placemarks = featureCollection.features
+    .map((feature, i) => {
+      const color = getColor ? getColor(feature) : null;
+      const style = color
+        ? `<Style><LineStyle><color>${hexToKmlColor(color)}</color><width>2</width></LineStyle><PolyStyle><color>${hexToKmlColor(color, '99')}</color></PolyStyle></Style>`
+        : '';
+      const data = Object.entries(feature.properties || {})
+        .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+      const placemarkName = getName ? getName(feature) : `Feature ${i + 1}`;
+      return `  <Placemark><name>${escapeXml(placemarkName)}</name>${style}<ExtendedData>${data}</ExtendedData>${geometryToKml(feature.geometry)}</Placemark>`;
+    })
+    .join('\n');
+
+  const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+  <name>${escapeXml(name)}</name>
+${placemarks}
+</Document>
+</kml>
+`;
+  return new Blob([kml], { type: 'application/vnd.google-earth.kml+xml' });
+};
+
+/**
+ * Signed area of a [lng, lat] ring (positive = counter-clockwise)
+ */
+const signedArea = (ring) => {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return sum / 2;
+};
+
+/**
+ * Shapefiles expect clockwise outer rings and counter-clockwise holes (the reverse of GeoJSON)
+ */
+const orientForShapefile = (rings) =>
+  rings.map((ring, i) => {
+    const clockwise = signedArea(ring) < 0;
+    const wantClockwise = i === 0;
+    return clockwise === wantClockwise ? ring : [...ring].reverse();
+  });
+
+/**
+ * Convert a polygon FeatureCollection to a zipped Shapefile (.shp, .shx, .dbf, .prj in WGS84)
+ * All features are written as polygons into one layer so equipment sees a single file
+ *
+ * @param {Object} featureCollection - GeoJSON FeatureCollection of Polygons/MultiPolygons
+ * @param {string} layerName - Name of the shapefile inside the zip
+ * @returns {Promise<Blob>} Zip file
+ */
+export const toShapefileZipBlob = (featureCollection, layerName = 'export') => {
+  const features = featureCollection.features.map((feature) => {
+    const polygons =
+      feature.geometry.type === 'Polygon'
+        ? [feature.geometry.coordinates]
+        : feature.geometry.coordinates;
+    return {
+      ...feature,
+      geometry: { type: 'MultiPolygon', coordinates: polygons.map(orientForShapefile) }
+    };
+  });
+
+  return shpwrite.zip(
+    { type: 'FeatureCollection', features },
+    {
+      outputType: 'blob',
+      compression: 'DEFLATE',
+      types: { polygon: layerName }
+    }
+  );
+};
+
+/**
+ * Bundle several files into one zip
+ *
+ * @param {Array<{name: string, blob: Blob}>} files - Files to include
+ * @returns {Promise<Blob>} Zip file
+ */
+export const toZipBlob = (files) => {
+  const zip = new JSZip();
+  files.forEach(({ name, blob }) => zip.file(name, blob));
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+};
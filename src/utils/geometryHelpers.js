@@ -91,6 +91,28 @@ export const isValidPolygon = (coords) => {
   return coords.length >= 3;
 };
 
+/**
+ * Check if a point lies inside a polygon (ray casting)
+ * Used to keep IoT device positions within their farm boundary
+ *
+ * @param {{lat: number, lng: number}} point - Point as Leaflet LatLng
+ * @param {Array<{lat: number, lng: number}>} leafletCoords - Polygon ring as Leaflet LatLng objects
+ * @returns {boolean} True if the point is inside
+ */
+export const isPointInPolygon = (point, leafletCoords) => {
+  if (!point || !isValidPolygon(leafletCoords)) return false;
+
+  let inside = false;
+  for (let i = 0, j = leafletCoords.length - 1; i < leafletCoords.length; j = i++) {
+    const a = leafletCoords[i];
+    const b = leafletCoords[j];
+    const crosses = (a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
 /**
  * Convert a GeoJSON geometry to Mapbox Static Image URL format
  * Used for generating farm thumbnail images
@@ -0,0 +1,131 @@
+/**
+ * Growing degree day (GDD) utilities for AgriPay
+ * Accumulates degree-days from a crop cycle's start and predicts when each milestone's
+ * GDD target will be reached
+ *
+ * Crop thresholds and milestone targets come from the database:
+ *   ALTER TABLE crops ADD COLUMN IF NOT EXISTS gdd_base_temp NUMERIC;          -- °C
+ *   ALTER TABLE crops ADD COLUMN IF NOT EXISTS gdd_cap_temp NUMERIC;           -- °C
+ *   ALTER TABLE milestone_templates ADD COLUMN IF NOT EXISTS gdd_target NUMERIC; -- °C·days from cycle start
+ * Crops without thresholds use the common 10 °C base / 30 °C cap
+ */
+
+export const DEFAULT_GDD_BASE = 10;
+export const DEFAULT_GDD_CAP = 30;
+
+// Days of recent accumulation used to project the next milestone date
+const PREDICTION_WINDOW_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const KELVIN_OFFSET = 273.15;
+
+// Numeric column value, or null when unset
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Base and cap temperatures for a crop
+ *
+ * @param {Object|null} crop - crops row
+ * @returns {{base: number, cap: number, isDefault: boolean}} Temperatures in °C
+ */
+export const getCropGddConfig = (crop) => {
+  const base = toNumber(crop?.gdd_base_temp) ?? DEFAULT_GDD_BASE;
+  const cap = toNumber(crop?.gdd_cap_temp);
+
+  return {
+    base,
+    cap: cap !== null && cap > base ? cap : Math.max(DEFAULT_GDD_CAP, base + 1),
+    isDefault: toNumber(crop?.gdd_base_temp) === null
+  };
+};
+
+/**
+ * Degree-days of one day from its minimum and maximum temperature
+ * (averaging method with the maximum capped and the minimum floored at the base)
+ *
+ * @param {number} minC - Daily minimum in °C
+ * @param {number} maxC - Daily maximum in °C
+ * @param {{base: number, cap: number}} config - getCropGddConfig result
+ * @returns {number}
+ */
+export const degreeDaysFromRange = (minC, maxC, { base, cap }) =>
+  Math.max((Math.min(maxC, cap) + Math.max(Math.min(minC, cap), base)) / 2 - base, 0);
+
+/**
+ * Running total of daily values, e.g. degree-days or rainfall
+ *
+ * @param {Array<{time: number, daily: number}>} days - Daily values (times in ms)
+ * @returns {Array<{time: number, daily: number, total: number}>} Days in order
+ */
+export const accumulateDaily = (days) => {
+  let total = 0;
+
+  return (days || [])
+    .filter((day) => day?.time && Number.isFinite(day.daily))
+    .slice()
+    .sort((a, b) => a.time - b.time)
+    .map((day) => {
+      total += day.daily;
+      return {
+        time: day.time,
+        daily: Math.round(day.daily * 10) / 10,
+        total: Math.round(total * 10) / 10
+      };
+    });
+};
+
+/**
+ * Milestones with a GDD target, in target order, with the day each target was reached
+ *
+ * @param {Array} milestones - cycle_milestones rows with milestone_templates
+ * @param {Array} series - Accumulated temperature from the weather provider
+ * @returns {Array<{milestoneId, name: string, target: number, reachedTime: number|null}>}
+ */
+export const getMilestoneTargets = (milestones, series) => {
+  return (milestones || [])
+    .map((milestone) => {
+      const target = toNumber(milestone.milestone_templates?.gdd_target);
+      if (target === null) return null;
+
+      const reached = (series || []).find((day) => day.total >= target);
+      return {
+        milestoneId: milestone.id,
+        name: milestone.milestone_templates.name,
+        target,
+        reachedTime: reached ? reached.time : null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.target - b.target);
+};
+
+/**
+ * Predict when the next unreached milestone target will be hit, assuming the average
+ * daily accumulation of the last two weeks continues
+ *
+ * @param {Array} series - Accumulated temperature from the weather provider
+ * @param {Array} targets - getMilestoneTargets result
+ * @returns {{milestone: Object, remaining: number, ratePerDay: number, predictedTime: number|null}|null}
+ *   null when every target is reached; predictedTime is null while nothing accumulates
+ */
+export const predictNextMilestone = (series, targets) => {
+  const next = (targets || []).find((target) => target.reachedTime === null);
+  if (!next) return null;
+
+  const latest = series?.length ? series[series.length - 1] : null;
+  const current = latest ? latest.total : 0;
+  const recent = (series || []).filter((day) => latest && day.time > latest.time - PREDICTION_WINDOW_DAYS * DAY_MS);
+  const ratePerDay = recent.length > 0 ? recent.reduce((sum, day) => sum + day.daily, 0) / recent.length : 0;
+  const remaining = Math.max(next.target - current, 0);
+
+  return {
+    milestone: next,
+    remaining: Math.round(remaining),
+    ratePerDay: Math.round(ratePerDay * 10) / 10,
+    predictedTime: ratePerDay > 0 && latest ? latest.time + Math.ceil(remaining / ratePerDay) * DAY_MS : null
+  };
+};
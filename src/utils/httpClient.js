@@ -0,0 +1,194 @@
+/**
+ * Rate-limit aware HTTP client for AgriPay API services
+ * Queues requests behind a concurrency limit, retries 429/5xx/network failures with
+ * exponential backoff (honouring Retry-After), shares identical in-flight requests and
+ * refreshes the bearer token once on 401
+ *
+ * Responses are returned already read, so a deduplicated result can be handed to every caller:
+ * { ok: boolean, status: number, data: any, errorText: string|null }
+ */
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ *
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms, or null when absent/invalid
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+};
+
+/**
+ * Read a response body in the requested format
+ */
+const readBody = (response, responseType) => {
+  switch (responseType) {
+    case 'blob':
+      return response.blob();
+    case 'arrayBuffer':
+      return response.arrayBuffer();
+    case 'text':
+      return response.text();
+    default:
+      return response.json();
+  }
+};
+
+/**
+ * Create an HTTP client bound to one API
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - Prefix for request paths
+ * @param {Function} options.getToken - async ({ forceRefresh }) => bearer token
+ * @param {number} options.concurrency - Maximum requests on the wire at once (default 4)
+ * @param {number} options.maxRetries - Retries after the first attempt (default 4)
+ * @param {number} options.baseDelayMs - First backoff delay (default 1000)
+ * @param {number} options.maxDelayMs - Upper bound for any single delay (default 30000)
+ * @param {string} options.name - Label used in log messages
+ * @returns {{request: Function}}
+ */
+export const createHttpClient = ({
+  baseUrl,
+  getToken,
+  concurrency = 4,
+  maxRetries = 4,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  name = 'HTTP'
+}) => {
+  let active = 0;
+  const queue = [];
+  const inFlight = new Map();
+  // A 429 pauses every queued request, not only the one that was throttled
+  let pausedUntil = 0;
+
+  const acquire = () =>
+    new Promise((resolve) => {
+      if (active < concurrency) {
+        active++;
+        resolve();
+      } else {
+        queue.push(resolve);
+      }
+    });
+
+  const release = () => {
+    const next = queue.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  const getBackoffDelay = (attempt, retryAfterMs) => {
+    if (retryAfterMs !== null) return Math.min(retryAfterMs, maxDelayMs);
+    const exponential = baseDelayMs * 2 ** attempt;
+    return Math.min(exponential + Math.random() * baseDelayMs, maxDelayMs);
+  };
+
+  const execute = async (path, { method, body, headers, responseType }) => {
+    let forceRefresh = false;
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      const pause = pausedUntil - Date.now();
+      if (pause > 0) await wait(pause);
+
+      await acquire();
+      let response;
+      try {
+        // Token and body errors are not transient, so only the fetch itself is retried
+        const token = await getToken({ forceRefresh });
+        forceRefresh = false;
+        try {
+          response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+              Authorization: `Bearer ${token}`,
+              'Content-Type': 'application/json',
+              ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+          });
+        } catch (err) {
+          // Network failure (offline, connection reset, CORS on an error page): retry like a 5xx
+          if (attempt >= maxRetries) throw err;
+          response = null;
+          console.warn(`${name} request failed (attempt ${attempt + 1}/${maxRetries + 1}):`, err.message);
+        }
+
+        if (response?.ok) {
+          const data = await readBody(response, responseType);
+          return { ok: true, status: response.status, data, errorText: null };
+        }
+      } finally {
+        release();
+      }
+
+      if (!response) {
+        await wait(getBackoffDelay(attempt, null));
+        continue;
+      }
+
+      if (response.status === 401 && !refreshed) {
+        console.warn(`${name} token rejected, refreshing and retrying`);
+        refreshed = true;
+        forceRefresh = true;
+        attempt--;
+        continue;
+      }
+
+      if (RETRYABLE_STATUSES.includes(response.status) && attempt < maxRetries) {
+        const delay = getBackoffDelay(attempt, parseRetryAfter(response.headers.get('Retry-After')));
+        if (response.status === 429) {
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        }
+        console.warn(`${name} ${response.status}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
+        await wait(delay);
+        continue;
+      }
+
+      const errorText = await response.text();
+      return { ok: false, status: response.status, data: null, errorText };
+    }
+  };
+
+  /**
+   * Send a request through the queue
+   * Identical requests (method, path, body and response type) made while one is in flight share its result
+   *
+   * @param {string} path - Path appended to baseUrl
+   * @param {Object} options
+   * @param {string} options.method - HTTP method (default POST when a body is given, else GET)
+   * @param {Object} options.body - JSON request body
+   * @param {Object} options.headers - Extra headers (e.g. Accept)
+   * @param {string} options.responseType - 'json' (default), 'blob', 'arrayBuffer' or 'text'
+   * @returns {Promise<{ok: boolean, status: number, data: any, errorText: string|null}>}
+   */
+  const request = (path, { method, body, headers = {}, responseType = 'json' } = {}) => {
+    const resolvedMethod = method || (body === undefined ? 'GET' : 'POST');
+    const key = JSON.stringify([resolvedMethod, path, body, headers, responseType]);
+
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = execute(path, { method: resolvedMethod, body, headers, responseType }).finally(() => {
+      inFlight.delete(key);
+    });
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  return { request };
+};
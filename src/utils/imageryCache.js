@@ -0,0 +1,289 @@
+/**
+ * Persistent imagery cache for AgriPay
+ * Stores satellite images, rasters and statistics in IndexedDB so reopening a farm
+ * does not spend Sentinel Hub processing units on data that has already been fetched
+ *
+ * Keys combine the cache schema version, the request kind, a hash of the farm polygon, the date,
+ * the index, the resolution and a hash of the evalscript, so changing an evalscript or colour ramp
+ * never serves results rendered by the old one. TTL rules:
+ * - a date (or window ending) in the past never changes, so it never expires
+ * - "latest" requests (no date, or a window ending today) expire at the next local midnight
+ *
+ * Every function degrades to a cache miss when IndexedDB is unavailable (private mode, SSR)
+ */
+
+// Bump when the shape of cached responses changes; older entries are then never read again
+// and age out through the size cap
+export const CACHE_SCHEMA_VERSION = 2;
+
+const DB_NAME = 'agripay-imagery-cache';
+const DB_VERSION = 1;
+const STORE = 'entries';
+
+// Upper bound for the cache; also capped to a share of the browser's storage quota
+const MAX_CACHE_BYTES = 150 * 1024 * 1024;
+const MAX_QUOTA_SHARE = 0.2;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('lastAccess', 'lastAccess');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Imagery cache unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run one request against the object store and resolve with its result
+ */
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDb();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = makeRequest(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Read every entry's bookkeeping fields (not the values) in least-recently-used order
+ */
+const listEntries = async () => {
+  const db = await openDb();
+  if (!db) return [];
+
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const transaction = db.transaction(STORE, 'readonly');
+    const cursorRequest = transaction.objectStore(STORE).index('lastAccess').openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      const { key, size, expiresAt, lastAccess } = cursor.value;
+      entries.push({ key, size, expiresAt, lastAccess });
+      cursor.continue();
+    };
+    transaction.oncomplete = () => resolve(entries);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Hash a string into a short stable id (FNV-1a)
+ *
+ * @param {string} text - Text to hash (e.g. an evalscript)
+ * @returns {string} 8-character hex hash
+ */
+export const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Hash a farm polygon into a short stable id (coordinates rounded to ~10 cm)
+ *
+ * @param {Array<{lat: number, lng: number}>} coords - Polygon vertices
+ * @returns {string} 8-character hex hash
+ */
+export const hashPolygon = (coords) =>
+  hashText(coords.map((c) => `${c.lat.toFixed(6)},${c.lng.toFixed(6)}`).join(';'));
+
+/**
+ * Build a cache key from its parts
+ *
+ * @param {Object} parts
+ * @param {string} parts.kind - Request kind (e.g. 'image', 'stats', 'history')
+ * @param {Array} parts.coords - Farm polygon (hashed) - or pass parts.area for a point/other id
+ * @param {string|null} parts.date - YYYY-MM-DD, or null for "latest"
+ * @param {string} parts.index - Index id(s)
+ * @param {string|number} parts.resolution - Pixel size, image size or aggregation interval
+ * @param {string} parts.extra - Anything else that changes the result (window length, ...)
+ * @param {string} parts.script - Evalscript of the request (hashed)
+ * @returns {string}
+ */
+export const buildCacheKey = ({
+  kind,
+  coords,
+  area,
+  date = null,
+  index = '',
+  resolution = '',
+  extra = '',
+  script = ''
+}) =>
+  [
+    `v${CACHE_SCHEMA_VERSION}`,
+    kind,
+    area || hashPolygon(coords),
+    date || 'latest',
+    index,
+    resolution,
+    extra,
+    script ? hashText(script) : ''
+  ].join('|');
+
+const toLocalDateString = (value) => {
+  const year = value.getFullYear();
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Expiry time for a cached request
+ * Request dates are UTC days, so a date only counts as past once it is over both locally and in UTC
+ * (east of UTC the local date runs ahead, and "today" in UTC is still receiving acquisitions)
+ *
+ * @param {string|null} date - YYYY-MM-DD the data refers to (last day of a window), or null for "latest"
+ * @returns {number|null} Expiry timestamp in ms, or null when the entry never expires
+ */
+export const getExpiry = (date) => {
+  const now = new Date();
+  const localToday = toLocalDateString(now);
+  const utcToday = now.toISOString().split('T')[0];
+  if (date && date < (localToday < utcToday ? localToday : utcToday)) return null;
+
+  const midnight = new Date();
+  midnight.setHours(24, 0, 0, 0);
+  return midnight.getTime();
+};
+
+/**
+ * Approximate stored size of a value in bytes
+ */
+const estimateSize = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof Blob !== 'undefined' && value instanceof Blob) return value.size;
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return value.byteLength;
+  if (typeof value === 'object' && value.values && ArrayBuffer.isView(value.values)) {
+    return value.values.byteLength + 256;
+  }
+  return JSON.stringify(value).length * 2;
+};
+
+/**
+ * Storage budget for the cache: MAX_CACHE_BYTES or a share of the browser quota, whichever is lower
+ *
+ * @returns {Promise<number>} Bytes
+ */
+export const getCacheLimit = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return MAX_CACHE_BYTES;
+  try {
+    const { quota } = await navigator.storage.estimate();
+    return quota ? Math.min(MAX_CACHE_BYTES, quota * MAX_QUOTA_SHARE) : MAX_CACHE_BYTES;
+  } catch {
+    return MAX_CACHE_BYTES;
+  }
+};
+
+/**
+ * Drop expired entries, then least-recently-used ones until the cache fits its budget
+ *
+ * @returns {Promise<number>} Number of entries removed
+ */
+export const enforceCacheQuota = async () => {
+  const [entries, limit] = await Promise.all([listEntries(), getCacheLimit()]);
+  const now = Date.now();
+  const doomed = new Set(entries.filter((e) => e.expiresAt !== null && e.expiresAt <= now).map((e) => e.key));
+
+  let total = entries.filter((e) => !doomed.has(e.key)).reduce((sum, e) => sum + e.size, 0);
+  for (const entry of entries) {
+    if (total <= limit) break;
+    if (doomed.has(entry.key)) continue;
+    doomed.add(entry.key);
+    total -= entry.size;
+  }
+
+  if (doomed.size > 0) {
+    await runRequest('readwrite', (store) => {
+      doomed.forEach((key) => store.delete(key));
+      return store.count();
+    });
+  }
+  return doomed.size;
+};
+
+/**
+ * Read a fresh cached value
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<any|undefined>} Value, or undefined on a miss or expired entry
+ */
+export const getCachedValue = async (key) => {
+  try {
+    const entry = await runRequest('readonly', (store) => store.get(key));
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) return undefined;
+
+    // Touch for LRU eviction without holding up the caller
+    runRequest('readwrite', (store) => store.put({ ...entry, lastAccess: Date.now() })).catch(() => {});
+    return entry.value;
+  } catch (err) {
+    console.warn('Imagery cache read failed:', err);
+    return undefined;
+  }
+};
+
+/**
+ * Store a value in the cache
+ *
+ * @param {string} key - Cache key
+ * @param {any} value - Structured-cloneable value (Blob, ArrayBuffer, raster, plain object)
+ * @param {number|null} expiresAt - Expiry timestamp in ms, null for never
+ */
+export const setCachedValue = async (key, value, expiresAt) => {
+  const size = estimateSize(value);
+  if (size > (await getCacheLimit())) return;
+
+  try {
+    const now = Date.now();
+    await runRequest('readwrite', (store) =>
+      store.put({ key, value, size, expiresAt, createdAt: now, lastAccess: now })
+    );
+    await enforceCacheQuota();
+  } catch (err) {
+    // QuotaExceededError and friends: the cache is best-effort
+    console.warn('Imagery cache write failed:', err);
+  }
+};
+
+/**
+ * Summarize cache usage for the Settings page
+ *
+ * @returns {Promise<{entries: number, bytes: number, limitBytes: number}>}
+ */
+export const getImageryCacheUsage = async () => {
+  const [entries, limitBytes] = await Promise.all([listEntries(), getCacheLimit()]);
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((sum, e) => sum + e.size, 0),
+    limitBytes
+  };
+};
+
+/**
+ * Remove every cached image, raster and statistic
+ */
+export const clearImageryCache = async () => {
+  await runRequest('readwrite', (store) => store.clear());
+};
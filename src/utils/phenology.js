@@ -0,0 +1,225 @@
+/**
+ * Crop phenology utilities for AgriPay
+ * Detects green-up, peak greenness, senescence onset and harvest from an NDVI time series
+ * and checks them against the expected timing of a crop cycle's milestones
+ *
+ * Method: cloud-affected points are dropped, the series is resampled to a regular grid,
+ * smoothed with a Savitzky-Golay filter (quadratic), and events are read from where the
+ * smoothed curve crosses fixed shares of its seasonal amplitude (the TIMESAT threshold method)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Seasons whose smoothed NDVI rises less than this are treated as "no crop detected"
+const MIN_AMPLITUDE = 0.15;
+
+// Shares of the seasonal amplitude that mark each event
+const GREEN_UP_SHARE = 0.2;
+const SENESCENCE_SHARE = 0.8;
+const HARVEST_SHARE = 0.2;
+
+// Milestones more than this many days from the detected event are flagged
+const TIMING_TOLERANCE_DAYS = 14;
+
+/**
+ * Phenological events, the milestone names they are evidence for, and how many days after
+ * the milestone the event normally shows up from orbit (a sown field takes weeks to green up)
+ */
+export const PHENOLOGY_EVENTS = [
+  { id: 'greenUp', label: 'Green-up', color: '#84cc16', pattern: /sow|plant|seed|germinat|emergence/i, lagDays: 20 },
+  { id: 'peak', label: 'Peak greenness', color: '#15803d', pattern: /flower|heading|tassel|silk|peak/i, lagDays: 0 },
+  { id: 'senescence', label: 'Senescence onset', color: '#ca8a04', pattern: /matur|ripen|senesc|grain fill/i, lagDays: 0 },
+  { id: 'harvest', label: 'Harvest', color: '#b45309', pattern: /harvest/i, lagDays: 0 }
+];
+
+/**
+ * Savitzky-Golay smoothing with a quadratic fit over 2 * halfWindow + 1 points
+ * Edges are handled by mirroring the series
+ *
+ * @param {Array<number>} values - Evenly spaced samples
+ * @param {number} halfWindow - Points on each side of the centre (default 2 = 5-point window)
+ * @returns {Array<number>} Smoothed values
+ */
+export const savitzkyGolay = (values, halfWindow = 2) => {
+  const m = halfWindow;
+  if (values.length < 2 * m + 1) return [...values];
+
+  // Closed-form quadratic/cubic SG coefficients: c_i = 3(3m^2 + 3m - 1 - 5i^2) / ((4m^2 - 1)(2m + 3))
+  const norm = (4 * m * m - 1) * (2 * m + 3);
+  const coefficients = [];
+  for (let i = -m; i <= m; i++) {
+    coefficients.push((3 * (3 * m * m + 3 * m - 1 - 5 * i * i)) / norm);
+  }
+
+  const n = values.length;
+  const at = (i) => {
+    if (i < 0) return values[-i];
+    if (i >= n) return values[2 * (n - 1) - i];
+    return values[i];
+  };
+
+  return values.map((_, i) =>
+    coefficients.reduce((sum, c, k) => sum + c * at(i + k - m), 0)
+  );
+};
+
+/**
+ * Resample irregular points onto a regular time grid by linear interpolation
+ *
+ * @param {Array<{time: number, value: number}>} points - Sorted by time (ms)
+ * @param {number} stepMs - Grid step
+ * @returns {Array<{time: number, value: number}>}
+ */
+const resample = (points, stepMs) => {
+  const grid = [];
+  let j = 0;
+  for (let time = points[0].time; time <= points[points.length - 1].time; time += stepMs) {
+    while (j < points.length - 2 && points[j + 1].time < time) j++;
+    const a = points[j];
+    const b = points[j + 1] || a;
+    const t = b.time === a.time ? 0 : (time - a.time) / (b.time - a.time);
+    grid.push({ time, value: a.value + t * (b.value - a.value) });
+  }
+  return grid;
+};
+
+/**
+ * Time at which the curve crosses a level between two grid points
+ */
+const crossingTime = (a, b, level) => {
+  if (b.value === a.value) return a.time;
+  const t = (level - a.value) / (b.value - a.value);
+  return a.time + t * (b.time - a.time);
+};
+
+/**
+ * Detect the season's phenological events from an NDVI history
+ *
+ * @param {Array} history - getVegetationHistory series: [{ dt, data: { mean }, validPixelPercent }]
+ * @param {Object} options
+ * @param {number} options.minValidPixelPercent - Drop points with less of the field visible (default 50)
+ * @param {number} options.stepDays - Resampling step in days (default 5, the history interval)
+ * @param {number} options.halfWindow - Savitzky-Golay half window in steps (default 2)
+ * @returns {{smoothed: Array<{time: number, value: number}>, amplitude: number, events: Object}|null}
+ *   events maps each PHENOLOGY_EVENTS id to { time, value } or null when not (yet) reached;
+ *   null when there are too few clear points to analyse
+ */
+export const detectPhenology = (
+  history,
+  { minValidPixelPercent = 50, stepDays = 5, halfWindow = 2 } = {}
+) => {
+  const points = (history || [])
+    .filter(
+      (item) =>
+        Number.isFinite(item.data?.mean) &&
+        (item.validPixelPercent === null ||
+          item.validPixelPercent === undefined ||
+          item.validPixelPercent >= minValidPixelPercent)
+    )
+    .map((item) => ({ time: item.dt * 1000, value: item.data.mean }))
+    .sort((a, b) => a.time - b.time);
+
+  if (points.length < 2 * halfWindow + 1) return null;
+
+  const grid = resample(points, stepDays * DAY_MS);
+  const values = savitzkyGolay(grid.map((p) => p.value), halfWindow);
+  const smoothed = grid.map((p, i) => ({ time: p.time, value: values[i] }));
+
+  let peakIndex = 0;
+  smoothed.forEach((p, i) => {
+    if (p.value > smoothed[peakIndex].value) peakIndex = i;
+  });
+  const peak = smoothed[peakIndex];
+
+  const before = smoothed.slice(0, peakIndex + 1);
+  const after = smoothed.slice(peakIndex);
+  const baseBefore = before.reduce((min, p) => Math.min(min, p.value), peak.value);
+  const baseAfter = after.reduce((min, p) => Math.min(min, p.value), peak.value);
+  const amplitude = peak.value - Math.min(baseBefore, baseAfter);
+
+  const events = { greenUp: null, peak: null, senescence: null, harvest: null };
+  if (amplitude < MIN_AMPLITUDE) return { smoothed, amplitude, events };
+
+  // A peak at the very end of the series may still be rising
+  if (peakIndex < smoothed.length - 1) {
+    events.peak = { time: peak.time, value: peak.value };
+  }
+
+  // Green-up: last upward crossing of the green-up level before the peak
+  const greenUpLevel = baseBefore + GREEN_UP_SHARE * (peak.value - baseBefore);
+  for (let i = peakIndex; i > 0; i--) {
+    if (smoothed[i - 1].value < greenUpLevel && smoothed[i].value >= greenUpLevel) {
+      const time = crossingTime(smoothed[i - 1], smoothed[i], greenUpLevel);
+      events.greenUp = { time, value: greenUpLevel };
+      break;
+    }
+  }
+
+  // Senescence and harvest: first downward crossings after the peak
+  const findDrop = (level) => {
+    for (let i = peakIndex; i < smoothed.length - 1; i++) {
+      if (smoothed[i].value >= level && smoothed[i + 1].value < level) {
+        return { time: crossingTime(smoothed[i], smoothed[i + 1], level), value: level };
+      }
+    }
+    return null;
+  };
+  const amplitudeAfter = peak.value - baseAfter;
+  if (amplitudeAfter >= MIN_AMPLITUDE) {
+    events.senescence = findDrop(baseAfter + SENESCENCE_SHARE * amplitudeAfter);
+    events.harvest = findDrop(baseAfter + HARVEST_SHARE * amplitudeAfter);
+  }
+
+  return { smoothed, amplitude, events };
+};
+
+/**
+ * Compare detected events with the expected timing of a cycle's milestones
+ * A milestone's expected date is the cycle start plus its template's `expected_days`
+ *
+ * @param {Array} milestones - cycle_milestones rows with milestone_templates joined
+ * @param {Object} events - detectPhenology(...).events
+ * @param {string|Date} cycleStart - Cycle start date
+ * @returns {Array<{milestoneId, name, eventId, eventLabel, expectedTime: number|null,
+ *   detectedTime: number|null, differenceDays: number|null, status: string}>}
+ *   status: 'on-time' | 'early' | 'late' | 'not-detected' | 'no-expected-date'
+ */
+export const compareMilestonesToPhenology = (milestones, events, cycleStart) => {
+  const startTime = cycleStart ? new Date(cycleStart).getTime() : null;
+
+  return (milestones || [])
+    .map((milestone) => {
+      const template = milestone.milestone_templates || {};
+      const event = PHENOLOGY_EVENTS.find((e) => e.pattern.test(template.name || ''));
+      if (!event) return null;
+
+      const expectedDays = Number(template.expected_days);
+      const expectedTime =
+        startTime !== null && Number.isFinite(expectedDays)
+          ? startTime + (expectedDays + event.lagDays) * DAY_MS
+          : null;
+      const detectedTime = events?.[event.id]?.time ?? null;
+
+      let status = 'not-detected';
+      let differenceDays = null;
+      if (detectedTime !== null && expectedTime === null) {
+        status = 'no-expected-date';
+      } else if (detectedTime !== null) {
+        differenceDays = Math.round((detectedTime - expectedTime) / DAY_MS);
+        if (Math.abs(differenceDays) <= TIMING_TOLERANCE_DAYS) status = 'on-time';
+        else status = differenceDays < 0 ? 'early' : 'late';
+      }
+
+      return {
+        milestoneId: milestone.id,
+        name: template.name,
+        eventId: event.id,
+        eventLabel: event.label,
+        expectedTime,
+        detectedTime,
+        differenceDays,
+        status
+      };
+    })
+    .filter(Boolean);
+};
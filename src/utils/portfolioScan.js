@@ -0,0 +1,85 @@
+/**
+ * Portfolio health scan utilities for AgriPay
+ * Runs a per-farm satellite check across every farm in small throttled batches and
+ * decides which farms need an admin's attention
+ *
+ * Scan results are stored on the farm row (farms.sentinel_data.healthScan) so reopening the
+ * portfolio page only rescans farms whose last result has gone stale
+ */
+
+// Results younger than this are reused instead of rescanned
+export const SCAN_MAX_AGE_HOURS = 24;
+
+// Attention thresholds
+const LOW_NDVI = 0.3;
+const NDVI_DROP = -0.1;
+
+/**
+ * Decide whether a farm needs attention from its NDVI snapshot
+ *
+ * @param {Object} snapshot - getNdviChange result
+ * @returns {{needsAttention: boolean, reasons: Array<string>}}
+ */
+export const assessFarmHealth = (snapshot) => {
+  const reasons = [];
+
+  if (!snapshot || snapshot.meanNdvi === null) {
+    reasons.push('No clear imagery in the last month');
+  } else {
+    if (snapshot.meanNdvi < LOW_NDVI) {
+      reasons.push(`Low NDVI (${snapshot.meanNdvi.toFixed(2)})`);
+    }
+    if (snapshot.ndviChange !== null && snapshot.ndviChange <= NDVI_DROP) {
+      reasons.push(`NDVI dropped ${Math.abs(snapshot.ndviChange).toFixed(2)} in 14 days`);
+    }
+  }
+
+  return { needsAttention: reasons.length > 0, reasons };
+};
+
+/**
+ * Check whether a stored scan result should be refreshed
+ *
+ * @param {Object|null} scan - Stored healthScan
+ * @param {number} maxAgeHours - Freshness window (default SCAN_MAX_AGE_HOURS)
+ * @returns {boolean}
+ */
+export const isScanStale = (scan, maxAgeHours = SCAN_MAX_AGE_HOURS) => {
+  if (!scan?.scannedAt) return true;
+  return Date.now() - new Date(scan.scannedAt).getTime() > maxAgeHours * 60 * 60 * 1000;
+};
+
+/**
+ * Run an async worker over a list a few items at a time, pausing between items
+ * Failures are reported per item and never stop the batch
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item) => result
+ * @param {Object} options
+ * @param {number} options.concurrency - Items in progress at once (default 2)
+ * @param {number} options.delayMs - Pause after each item (default 500)
+ * @param {Function} options.onResult - (item, result, error) => void, called as each item settles
+ * @param {Function} options.isCancelled - () => boolean; stops picking up new items when true
+ * @returns {Promise<void>}
+ */
+export const runThrottledBatch = async (
+  items,
+  worker,
+  { concurrency = 2, delayMs = 500, onResult = () => {}, isCancelled = () => false } = {}
+) => {
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length && !isCancelled()) {
+      const item = items[next++];
+      try {
+        onResult(item, await worker(item), null);
+      } catch (err) {
+        onResult(item, null, err);
+      }
+      if (delayMs > 0) await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+};
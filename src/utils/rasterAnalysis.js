@@ -0,0 +1,612 @@
+/**
+ * Raster analysis utilities for AgriPay
+ * Works on small single-band rasters fetched for one farm (a few hundred pixels per side)
+ *
+ * Raster format used throughout:
+ * {
+ *   values: Float32Array,   // row-major, top row first; NaN = no data
+ *   width: number,
+ *   height: number,
+ *   bbox: [minLng, minLat, maxLng, maxLat]
+ * }
+ */
+
+import { area } from '@turf/area';
+import { fromArrayBuffer } from 'geotiff';
+
+/**
+ * Read the first band of a GeoTIFF (EPSG:4326) into the raster format above
+ * NaN, the GDAL nodata value and pixels masked by an optional second (mask) band become NaN
+ *
+ * @param {ArrayBuffer} buffer - GeoTIFF file contents
+ * @param {Object} options
+ * @param {number} options.nodata - Nodata value to use when the file does not declare one
+ * @returns {Promise<Object>} Raster
+ */
+export const readGeoTiffRaster = async (buffer, { nodata = null } = {}) => {
+  const tiff = await fromArrayBuffer(buffer);
+  const image = await tiff.getImage();
+  const width = image.getWidth();
+  const height = image.getHeight();
+  const bands = await image.readRasters();
+  const noDataValue = image.getGDALNoData() ?? nodata;
+  const mask = bands.length > 1 ? bands[bands.length - 1] : null;
+
+  const values = new Float32Array(width * height);
+  for (let i = 0; i < values.length; i++) {
+    const value = bands[0][i];
+    const masked = (mask && mask[i] === 0) || value === noDataValue || !Number.isFinite(value);
+    values[i] = masked ? NaN : value;
+  }
+
+  return { values, width, height, bbox: image.getBoundingBox() };
+};
+
+/**
+ * Label 4-connected regions of a binary mask
+ *
+ * @param {Uint8Array} mask - 1 for pixels to group, 0 otherwise
+ * @param {number} width - Raster width
+ * @param {number} height - Raster height
+ * @returns {{labels: Int32Array, count: number}} Label per pixel (0 = background) and number of regions
+ */
+export const labelRegions = (mask, width, height) => {
+  const labels = new Int32Array(width * height);
+  let count = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    count += 1;
+    labels[start] = count;
+    const stack = [start];
+
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      const neighbors = [
+        x > 0 ? i - 1 : -1,
+        x < width - 1 ? i + 1 : -1,
+        y > 0 ? i - width : -1,
+        y < height - 1 ? i + width : -1
+      ];
+      for (const n of neighbors) {
+        if (n >= 0 && mask[n] && !labels[n]) {
+          labels[n] = count;
+          stack.push(n);
+        }
+      }
+    }
+  }
+
+  return { labels, count };
+};
+
+/**
+ * Trace the pixel-edge outlines of one labeled region
+ * Edges run clockwise on screen (interior on the right); at pinch points the
+ * tracer turns toward the interior so rings never cross
+ *
+ * @returns {Array<Array<[number, number]>>} Closed rings in grid vertex coordinates (x right, y down)
+ */
+const traceRegionRings = (labels, label, width, height) => {
+  const inRegion = (x, y) =>
+    x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === label;
+
+  // Outgoing boundary edges keyed by start vertex
+  const edges = new Map();
+  const addEdge = (x1, y1, x2, y2) => {
+    const key = `${x1},${y1}`;
+    if (!edges.has(key)) edges.set(key, []);
+    edges.get(key).push([x2, y2]);
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (labels[y * width + x] !== label) continue;
+      if (!inRegion(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!inRegion(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!inRegion(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!inRegion(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const rings = [];
+  for (const [startKey, targets] of edges) {
+    while (targets.length > 0) {
+      const [sx, sy] = startKey.split(',').map(Number);
+      const ring = [[sx, sy]];
+      let [px, py] = [sx, sy];
+      let [cx, cy] = targets.pop();
+
+      while (cx !== sx || cy !== sy) {
+        ring.push([cx, cy]);
+        const outgoing = edges.get(`${cx},${cy}`);
+        const dx = cx - px;
+        const dy = cy - py;
+        // Prefer right turn, then straight, then left turn
+        const preferred = [
+          [-dy, dx],
+          [dx, dy],
+          [dy, -dx]
+        ];
+        let nextIndex = 0;
+        for (const [tx, ty] of preferred) {
+          const idx = outgoing.findIndex(([nx, ny]) => nx - cx === tx && ny - cy === ty);
+          if (idx !== -1) {
+            nextIndex = idx;
+            break;
+          }
+        }
+        const [next] = outgoing.splice(nextIndex, 1);
+        [px, py] = [cx, cy];
+        [cx, cy] = next;
+      }
+
+      ring.push([sx, sy]);
+      rings.push(simplifyRing(ring));
+    }
+  }
+
+  return rings;
+};
+
+/**
+ * Drop vertices that lie on a straight line between their neighbors
+ */
+const simplifyRing = (ring) => {
+  const points = ring.slice(0, -1);
+  const result = points.filter((p, i) => {
+    const prev = points[(i - 1 + points.length) % points.length];
+    const next = points[(i + 1) % points.length];
+    return (p[0] - prev[0]) * (next[1] - p[1]) - (p[1] - prev[1]) * (next[0] - p[0]) !== 0;
+  });
+  result.push(result[0]);
+  return result;
+};
+
+/**
+ * Signed area of a ring in grid coordinates (positive = clockwise on screen)
+ */
+const ringArea = (ring) => {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return sum / 2;
+};
+
+/**
+ * Convert a polygon outline from grid vertex coordinates to [lng, lat]
+ */
+const gridToLngLat = (ring, raster) => {
+  const [minLng, minLat, maxLng, maxLat] = raster.bbox;
+  const dx = (maxLng - minLng) / raster.width;
+  const dy = (maxLat - minLat) / raster.height;
+  return ring.map(([x, y]) => [minLng + x * dx, maxLat - y * dy]);
+};
+
+/**
+ * Convert a binary mask into GeoJSON polygons, one per connected region
+ *
+ * @param {Uint8Array} mask - 1 for pixels to vectorize, 0 otherwise
+ * @param {Object} raster - Raster the mask was derived from (for size and bbox)
+ * @returns {Array<{geometry: Object, pixels: Array<number>}>} Polygon geometry and pixel indices per region
+ */
+export const vectorizeMask = (mask, raster) => {
+  const { width, height } = raster;
+  const { labels, count } = labelRegions(mask, width, height);
+
+  const pixelsByLabel = Array.from({ length: count + 1 }, () => []);
+  for (let i = 0; i < labels.length; i++) {
+    if (labels[i]) pixelsByLabel[labels[i]].push(i);
+  }
+
+  const regions = [];
+  for (let label = 1; label <= count; label++) {
+    const rings = traceRegionRings(labels, label, width, height);
+    // The largest ring is the outer boundary; opposite-orientation rings are holes
+    rings.sort((a, b) => Math.abs(ringArea(b)) - Math.abs(ringArea(a)));
+    const outerSign = Math.sign(ringArea(rings[0]));
+    const outers = rings.filter((r) => Math.sign(ringArea(r)) === outerSign);
+    const holes = rings.filter((r) => Math.sign(ringArea(r)) !== outerSign);
+
+    const polygons = outers.map((outer, i) =>
+      i === 0 ? [outer, ...holes] : [outer]
+    );
+    const coordinates = polygons.map((polygon) =>
+      polygon.map((ring) => gridToLngLat(ring, raster))
+    );
+
+    regions.push({
+      geometry:
+        coordinates.length === 1
+          ? { type: 'Polygon', coordinates: coordinates[0] }
+          : { type: 'MultiPolygon', coordinates },
+      pixels: pixelsByLabel[label]
+    });
+  }
+
+  return regions;
+};
+
+/**
+ * Area of a GeoJSON geometry in hectares
+ *
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {number} Area in hectares (2 decimals)
+ */
+export const geometryAreaHa = (geometry) => {
+  return Math.round((area(geometry) / 10000) * 100) / 100;
+};
+
+/**
+ * Find zones where an index dropped by at least `threshold` between two dates
+ *
+ * @param {Object} changeRaster - Raster of per-pixel change (after - before)
+ * @param {Object} options
+ * @param {number} options.threshold - Negative change that counts as an anomaly (e.g. -0.15)
+ * @param {number} options.minAreaHa - Ignore zones smaller than this (removes speckle)
+ * @returns {Object} GeoJSON FeatureCollection sorted by area (largest first), with
+ *   properties { zone, area_ha, mean_change, min_change, pixel_count }
+ */
+export const findAnomalyZones = (changeRaster, { threshold = -0.15, minAreaHa = 0.05 } = {}) => {
+  const { values } = changeRaster;
+  const mask = new Uint8Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    mask[i] = !Number.isNaN(values[i]) && values[i] <= threshold ? 1 : 0;
+  }
+
+  const features = vectorizeMask(mask, changeRaster)
+    .map(({ geometry, pixels }) => {
+      const changes = pixels.map((i) => values[i]);
+      const mean = changes.reduce((sum, v) => sum + v, 0) / changes.length;
+      return {
+        type: 'Feature',
+        geometry,
+        properties: {
+          area_ha: geometryAreaHa(geometry),
+          mean_change: Math.round(mean * 1000) / 1000,
+          min_change: Math.round(changes.reduce((m, v) => Math.min(m, v), Infinity) * 1000) / 1000,
+          pixel_count: pixels.length
+        }
+      };
+    })
+    .filter((feature) => feature.properties.area_ha >= minAreaHa)
+    .sort((a, b) => b.properties.area_ha - a.properties.area_ha)
+    .map((feature, i) => ({
+      ...feature,
+      properties: { zone: i + 1, ...feature.properties }
+    }));
+
+  return { type: 'FeatureCollection', features };
+};
+
+/**
+ * Cluster valid raster values into k classes with 1-D k-means (centers seeded at quantiles)
+ *
+ * @param {Float32Array} values - Raster values (NaN = no data)
+ * @param {number} k - Number of classes
+ * @returns {{classes: Uint8Array, centers: Array<number>}} Class per pixel (0 = no data,
+ *   1..k ordered from lowest to highest center) and the sorted class centers
+ */
+export const classifyKMeans = (values, k) => {
+  const valid = Array.from(values).filter((v) => !Number.isNaN(v)).sort((a, b) => a - b);
+  const classes = new Uint8Array(values.length);
+  if (valid.length === 0) return { classes, centers: [] };
+
+  let centers = Array.from({ length: k }, (_, i) =>
+    valid[Math.min(valid.length - 1, Math.floor(((i + 0.5) / k) * valid.length))]
+  );
+
+  // Values are sorted, so each cluster is a contiguous slice split at center midpoints
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const sums = new Array(k).fill(0);
+    const counts = new Array(k).fill(0);
+    let c = 0;
+    for (const v of valid) {
+      while (c < k - 1 && v > (centers[c] + centers[c + 1]) / 2) c++;
+      sums[c] += v;
+      counts[c] += 1;
+    }
+    const next = centers.map((center, i) => (counts[i] > 0 ? sums[i] / counts[i] : center));
+    const moved = next.some((center, i) => Math.abs(center - centers[i]) > 1e-6);
+    centers = next.sort((a, b) => a - b);
+    if (!moved) break;
+  }
+
+  for (let i = 0; i < values.length; i++) {
+    if (Number.isNaN(values[i])) continue;
+    let best = 0;
+    for (let c = 1; c < k; c++) {
+      if (Math.abs(values[i] - centers[c]) < Math.abs(values[i] - centers[best])) best = c;
+    }
+    classes[i] = best + 1;
+  }
+
+  return { classes, centers };
+};
+
+/**
+ * Smooth a class raster with a 3x3 majority (mode) filter, leaving no-data pixels untouched
+ *
+ * @param {Uint8Array} classes - Class per pixel (0 = no data)
+ * @param {number} width - Raster width
+ * @param {number} height - Raster height
+ * @returns {Uint8Array} Smoothed classes
+ */
+export const majorityFilter = (classes, width, height) => {
+  const result = new Uint8Array(classes);
+  const counts = new Map();
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!classes[i]) continue;
+
+      counts.clear();
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          const c = classes[ny * width + nx];
+          if (c) counts.set(c, (counts.get(c) || 0) + 1);
+        }
+      }
+
+      let best = classes[i];
+      for (const [c, n] of counts) {
+        if (n > counts.get(best)) best = c;
+      }
+      result[i] = best;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Merge regions smaller than `minPixels` into the class they share the longest border with
+ *
+ * @param {Uint8Array} classes - Class per pixel (0 = no data)
+ * @param {number} width - Raster width
+ * @param {number} height - Raster height
+ * @param {number} minPixels - Smallest region size to keep
+ * @returns {Uint8Array} Classes with small regions absorbed
+ */
+export const removeSmallRegions = (classes, width, height, minPixels) => {
+  const result = new Uint8Array(classes);
+  const classIds = Array.from(new Set(classes)).filter(Boolean);
+
+  for (const classId of classIds) {
+    const mask = result.map((c) => (c === classId ? 1 : 0));
+    const { labels, count } = labelRegions(mask, width, height);
+
+    const pixelsByLabel = Array.from({ length: count + 1 }, () => []);
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i]) pixelsByLabel[labels[i]].push(i);
+    }
+
+    for (let label = 1; label <= count; label++) {
+      const pixels = pixelsByLabel[label];
+      if (pixels.length >= minPixels) continue;
+
+      const borders = new Map();
+      for (const i of pixels) {
+        const x = i % width;
+        const neighbors = [
+          x > 0 ? i - 1 : -1,
+          x < width - 1 ? i + 1 : -1,
+          i - width,
+          i + width
+        ];
+        for (const n of neighbors) {
+          const c = n >= 0 && n < result.length ? result[n] : 0;
+          if (c && c !== classId) borders.set(c, (borders.get(c) || 0) + 1);
+        }
+      }
+
+      let target = 0;
+      for (const [c, n] of borders) {
+        if (!target || n > borders.get(target)) target = c;
+      }
+      if (target) pixels.forEach((i) => (result[i] = target));
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Cluster an index raster into contiguous management zones
+ * Zone 1 has the lowest mean index (lowest productivity)
+ *
+ * @param {Object} raster - Index raster (e.g. NDVI)
+ * @param {Object} options
+ * @param {number} options.zoneCount - Number of zones (3-5)
+ * @param {number} options.minZoneAreaHa - Patches smaller than this are merged into a neighbor
+ * @returns {Object} GeoJSON FeatureCollection with one MultiPolygon per zone and
+ *   properties { zone, area_ha, mean, min, max, pixel_count }
+ */
+export const buildManagementZones = (raster, { zoneCount = 4, minZoneAreaHa = 0.1 } = {}) => {
+  const { values, width, height } = raster;
+  const { classes } = classifyKMeans(values, zoneCount);
+
+  // Minimum patch size in pixels, from the pixel footprint at the raster center
+  const [minLng, minLat, maxLng, maxLat] = raster.bbox;
+  const pixelAreaHa =
+    area({
+      type: 'Polygon',
+      coordinates: [[
+        [minLng, minLat],
+        [minLng + (maxLng - minLng) / width, minLat],
+        [minLng + (maxLng - minLng) / width, minLat + (maxLat - minLat) / height],
+        [minLng, minLat + (maxLat - minLat) / height],
+        [minLng, minLat]
+      ]]
+    }) / 10000;
+  const minPixels = Math.max(1, Math.round(minZoneAreaHa / pixelAreaHa));
+
+  const smoothed = removeSmallRegions(majorityFilter(classes, width, height), width, height, minPixels);
+
+  const features = [];
+  for (let zone = 1; zone <= zoneCount; zone++) {
+    const mask = smoothed.map((c) => (c === zone ? 1 : 0));
+    const regions = vectorizeMask(mask, raster);
+    if (regions.length === 0) continue;
+
+    const coordinates = regions.flatMap(({ geometry }) =>
+      geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+    );
+    const geometry = { type: 'MultiPolygon', coordinates };
+    const zoneValues = regions.flatMap(({ pixels }) => pixels.map((i) => values[i]));
+    const mean = zoneValues.reduce((sum, v) => sum + v, 0) / zoneValues.length;
+
+    features.push({
+      type: 'Feature',
+      geometry,
+      properties: {
+        zone,
+        area_ha: geometryAreaHa(geometry),
+        mean: Math.round(mean * 1000) / 1000,
+        min: Math.round(zoneValues.reduce((m, v) => Math.min(m, v), Infinity) * 1000) / 1000,
+        max: Math.round(zoneValues.reduce((m, v) => Math.max(m, v), -Infinity) * 1000) / 1000,
+        pixel_count: zoneValues.length
+      }
+    });
+  }
+
+  // Renumber in case a class vanished after smoothing
+  return {
+    type: 'FeatureCollection',
+    features: features.map((feature, i) => ({
+      ...feature,
+      properties: { ...feature.properties, zone: i + 1 }
+    }))
+  };
+};
+
+/**
+ * Render a raster to a PNG data URL for use in a Leaflet ImageOverlay
+ *
+ * @param {Object} raster - Raster to draw
+ * @param {Function} colorFn - (value) => [r, g, b, a] in 0-255; called only for valid pixels
+ * @returns {string} PNG data URL
+ */
+export const rasterToDataUrl = (raster, colorFn) => {
+  const { values, width, height } = raster;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+
+  for (let i = 0; i < values.length; i++) {
+    if (Number.isNaN(values[i])) continue;
+    const [r, g, b, a] = colorFn(values[i]);
+    image.data[i * 4] = r;
+    image.data[i * 4 + 1] = g;
+    image.data[i * 4 + 2] = b;
+    image.data[i * 4 + 3] = a;
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return canvas.toDataURL('image/png');
+};
+
+/**
+ * Linear interpolation through color stops
+ *
+ * @param {number} value - Value to color
+ * @param {Array<{value: number, color: Array<number>}>} stops - Sorted stops, colors as 0-1 RGB
+ * @returns {Array<number>} [r, g, b] in 0-255
+ */
+export const interpolateColor = (value, stops) => {
+  if (value <= stops[0].value) return stops[0].color.map((c) => Math.round(c * 255));
+  const last = stops[stops.length - 1];
+  if (value >= last.value) return last.color.map((c) => Math.round(c * 255));
+
+  const upper = stops.findIndex((stop) => stop.value >= value);
+  const a = stops[upper - 1];
+  const b = stops[upper];
+  const t = (value - a.value) / (b.value - a.value);
+  return a.color.map((c, i) => Math.round((c + (b.color[i] - c) * t) * 255));
+};
+
+/**
+ * Value at a percentile of a sorted array (linear interpolation between ranks)
+ *
+ * @param {Float32Array|Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile, 0-100
+ * @returns {number}
+ */
+const percentile = (sorted, p) => {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Distribution and uniformity metrics of the valid pixels of a raster
+ * A field with even emergence has a narrow histogram and a low coefficient of variation;
+ * patchy stands show up as a long lower tail and a large stressed share even when the mean looks fine
+ *
+ * @param {Object} raster - Raster (NaN pixels are ignored)
+ * @param {Object} options
+ * @param {number|null} options.threshold - Values below this count as stressed (null = skip)
+ * @param {Array<number>|null} options.range - [min, max] histogram range; values outside fall in the end bins
+ *   (default: the data's own min and max)
+ * @param {number} options.binCount - Histogram bins (default 20)
+ * @returns {{count: number, mean: number, std: number, cv: number|null, min: number, max: number,
+ *   p10: number, p50: number, p90: number, stressedPercent: number|null,
+ *   histogram: Array<{from: number, to: number, count: number, percent: number}>}|null}
+ *   null when the raster has no valid pixels; cv is null when the mean is not positive
+ */
+export const computeUniformity = (raster, { threshold = null, range = null, binCount = 20 } = {}) => {
+  const valid = raster.values.filter((v) => !Number.isNaN(v)).sort();
+  const count = valid.length;
+  if (count === 0) return null;
+
+  let sum = 0;
+  let stressed = 0;
+  for (let i = 0; i < count; i++) {
+    sum += valid[i];
+    if (threshold !== null && valid[i] < threshold) stressed++;
+  }
+  const mean = sum / count;
+  let squares = 0;
+  for (let i = 0; i < count; i++) squares += (valid[i] - mean) ** 2;
+  const std = Math.sqrt(squares / count);
+
+  const min = valid[0];
+  const max = valid[count - 1];
+  const [from, to] = range || [min, max];
+  const binWidth = (to - from) / binCount || 1;
+  const histogram = Array.from({ length: binCount }, (_, i) => ({
+    from: from + i * binWidth,
+    to: from + (i + 1) * binWidth,
+    count: 0,
+    percent: 0
+  }));
+  for (let i = 0; i < count; i++) {
+    const bin = Math.min(binCount - 1, Math.max(0, Math.floor((valid[i] - from) / binWidth)));
+    histogram[bin].count++;
+  }
+  histogram.forEach((bin) => {
+    bin.percent = (bin.count / count) * 100;
+  });
+
+  return {
+    count,
+    mean,
+    std,
+    cv: mean > 0 ? std / mean : null,
+    min,
+    max,
+    p10: percentile(valid, 10),
+    p50: percentile(valid, 50),
+    p90: percentile(valid, 90),
+    stressedPercent: threshold === null ? null : (stressed / count) * 100,
+    histogram
+  };
+};
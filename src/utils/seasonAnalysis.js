@@ -0,0 +1,85 @@
+/**
+ * Season analysis utilities for AgriPay
+ * Compares an index time series with the same calendar window of previous years
+ *
+ * Series format used throughout (from getSeasonHistories):
+ * [{ day: number, data: { mean: number }, validPixelPercent: number|null }]
+ * where `day` is the offset in days from the start of the season window
+ */
+
+/**
+ * Check whether a point is clear enough to count towards a baseline
+ *
+ * @param {Object} item - Series point
+ * @param {number} minValidPixelPercent - Minimum share of cloud-free field pixels
+ * @returns {boolean}
+ */
+const isClearPoint = (item, minValidPixelPercent) =>
+  Number.isFinite(item.data?.mean) &&
+  (item.validPixelPercent === null ||
+    item.validPixelPercent === undefined ||
+    item.validPixelPercent >= minValidPixelPercent);
+
+/**
+ * Build a mean and standard-deviation band from previous seasons
+ * Points are grouped by day of season; cloud-affected points are left out
+ *
+ * @param {Array<Array>} seriesList - One series per previous season
+ * @param {Object} options
+ * @param {number} options.minValidPixelPercent - Points below this clear share are ignored (default 50)
+ * @returns {Array<{day: number, mean: number, std: number, count: number}>} Sorted by day
+ */
+export const buildSeasonBaseline = (seriesList, { minValidPixelPercent = 50 } = {}) => {
+  const byDay = new Map();
+
+  seriesList.forEach((series) => {
+    series
+      .filter((item) => isClearPoint(item, minValidPixelPercent))
+      .forEach((item) => {
+        if (!byDay.has(item.day)) byDay.set(item.day, []);
+        byDay.get(item.day).push(item.data.mean);
+      });
+  });
+
+  return Array.from(byDay.entries())
+    .map(([day, values]) => {
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+      return { day, mean, std: Math.sqrt(variance), count: values.length };
+    })
+    .sort((a, b) => a.day - b.day);
+};
+
+/**
+ * Compare the latest clear point of a season with the baseline for the same day
+ *
+ * @param {Array} series - Current season
+ * @param {Array} baseline - Output of buildSeasonBaseline
+ * @param {Object} options
+ * @param {number} options.minValidPixelPercent - Points below this clear share are skipped (default 50)
+ * @returns {{day: number, value: number, mean: number, std: number, count: number, difference: number, zScore: number|null}|null}
+ *   zScore is null when fewer than two seasons (or no spread) back the baseline
+ */
+export const compareToBaseline = (series, baseline, { minValidPixelPercent = 50 } = {}) => {
+  const clearPoints = series.filter((item) => isClearPoint(item, minValidPixelPercent));
+
+  for (let i = clearPoints.length - 1; i >= 0; i--) {
+    const point = clearPoints[i];
+    const reference = baseline.find((b) => b.day === point.day);
+    if (!reference) continue;
+
+    const value = point.data.mean;
+    const difference = value - reference.mean;
+    return {
+      day: point.day,
+      value,
+      mean: reference.mean,
+      std: reference.std,
+      count: reference.count,
+      difference,
+      zScore: reference.count > 1 && reference.std > 0 ? difference / reference.std : null,
+    };
+  }
+
+  return null;
+};
@@ -0,0 +1,129 @@
+/**
+ * Soil condition utilities for AgriPay
+ * Turns stored soil readings into a daily series and decides whether the soil is ready
+ * for sowing the crop
+ *
+ * Crop thresholds come from the database:
+ *   ALTER TABLE crops ADD COLUMN IF NOT EXISTS germination_soil_temp NUMERIC;  -- °C at 10 cm
+ *   ALTER TABLE crops ADD COLUMN IF NOT EXISTS sowing_soil_moisture NUMERIC;   -- minimum volumetric moisture, %
+ * Crops without thresholds use 10 °C and 15 %
+ */
+
+export const DEFAULT_GERMINATION_SOIL_TEMP = 10;
+export const DEFAULT_SOWING_SOIL_MOISTURE = 15;
+
+// Consecutive days the 10 cm daily mean must stay at or above the germination temperature
+export const SOWING_STREAK_DAYS = 3;
+
+// The streak must end this recently (in local days) for the soil to count as ready; older data is stale
+export const MAX_READING_AGE_DAYS = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const startOfLocalDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * Sowing thresholds for a crop
+ *
+ * @param {Object|null} crop - crops row
+ * @returns {{germinationTemp: number, minMoisture: number, isDefault: boolean}} °C and %
+ */
+export const getCropSoilConfig = (crop) => {
+  const germinationTemp = toNumber(crop?.germination_soil_temp);
+  const minMoisture = toNumber(crop?.sowing_soil_moisture);
+
+  return {
+    germinationTemp: germinationTemp ?? DEFAULT_GERMINATION_SOIL_TEMP,
+    minMoisture: minMoisture ?? DEFAULT_SOWING_SOIL_MOISTURE,
+    isDefault: germinationTemp === null && minMoisture === null
+  };
+};
+
+/**
+ * Daily means of stored soil readings
+ *
+ * @param {Array} readings - soil_readings rows
+ * @returns {Array<{time: number, t10C: number|null, surfaceC: number|null, moisturePct: number|null, count: number}>}
+ *   Days in order (times in ms, local midnight)
+ */
+export const toDailySoil = (readings) => {
+  const days = new Map();
+
+  (readings || []).forEach((reading) => {
+    const time = startOfLocalDay(new Date(reading.measured_at).getTime());
+    const day = days.get(time) || { time, t10: [], surface: [], moisture: [] };
+    const t10 = toNumber(reading.t10_temp_c);
+    const surface = toNumber(reading.surface_temp_c);
+    const moisture = toNumber(reading.moisture);
+    if (t10 !== null) day.t10.push(t10);
+    if (surface !== null) day.surface.push(surface);
+    if (moisture !== null) day.moisture.push(moisture * 100);
+    days.set(time, day);
+  });
+
+  const mean = (values) => (values.length > 0 ? round1(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+  return [...days.values()]
+    .sort((a, b) => a.time - b.time)
+    .map((day) => ({
+      time: day.time,
+      t10C: mean(day.t10),
+      surfaceC: mean(day.surface),
+      moisturePct: mean(day.moisture),
+      count: Math.max(day.t10.length, day.moisture.length)
+    }));
+};
+
+/**
+ * Whether the latest days meet the sowing thresholds
+ * Soil temperature must hold for SOWING_STREAK_DAYS consecutive days; a missing day breaks the streak.
+ * The latest day must be today or up to MAX_READING_AGE_DAYS before it, otherwise the data is stale
+ * and the soil is never reported ready
+ *
+ * @param {Array} days - toDailySoil result
+ * @param {{germinationTemp: number, minMoisture: number}} config - getCropSoilConfig result
+ * @param {number} now - Current time in ms
+ * @returns {{ready: boolean, stale: boolean, tempReady: boolean, moistureReady: boolean,
+ *   warmSince: number|null, streakDays: number, latest: Object|null}} warmSince is the first day of the
+ *   current warm streak
+ */
+export const getSowingReadiness = (days, { germinationTemp, minMoisture }, now = Date.now()) => {
+  const withTemp = (days || []).filter((day) => day.t10C !== null);
+  const latest = withTemp.length > 0 ? withTemp[withTemp.length - 1] : null;
+  const stale = !latest || startOfLocalDay(now) - latest.time > MAX_READING_AGE_DAYS * DAY_MS * 1.5;
+
+  let streakDays = 0;
+  let warmSince = null;
+  for (let i = withTemp.length - 1; i >= 0; i--) {
+    const day = withTemp[i];
+    const contiguous = i === withTemp.length - 1 || withTemp[i + 1].time - day.time <= DAY_MS * 1.5;
+    if (day.t10C < germinationTemp || !contiguous) break;
+    streakDays += 1;
+    warmSince = day.time;
+  }
+
+  const tempReady = streakDays >= SOWING_STREAK_DAYS;
+  const moistureReady = latest?.moisturePct !== null && latest?.moisturePct !== undefined && latest.moisturePct >= minMoisture;
+
+  return {
+    ready: !stale && tempReady && moistureReady,
+    stale,
+    tempReady,
+    moistureReady,
+    warmSince: streakDays > 0 ? warmSince : null,
+    streakDays,
+    latest
+  };
+};
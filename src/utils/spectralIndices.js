@@ -0,0 +1,538 @@
+/**
+ * Spectral index catalog for AgriPay
+ * Declarative definitions of every satellite layer we can render or measure.
+ * Sentinel Hub evalscripts (images and statistics) are generated from this catalog,
+ * so adding a new index only requires a new entry here.
+ *
+ * Entry fields:
+ * - name / description / icon: UI labels (icon is a Material Symbols name)
+ * - kind: 'index' (single-band formula) or 'rgb' (band composite, display only)
+ * - collection: Sentinel Hub data collection, 'sentinel-2-l2a' (default, optical) or
+ *   'sentinel-1-grd' (radar, unaffected by clouds). Optical indices can also be computed
+ *   from the other optical collections in DATA_COLLECTIONS (Landsat 8/9, HLS)
+ * - bands: bands of that collection read by the formula (Sentinel-2 names for optical indices)
+ * - formula: evalscript expression evaluated per pixel; `sample` holds the band values.
+ *   Other indices can be called as functions, e.g. `ndvi(sample)` (list them in dependsOn)
+ * - range: [min, max] of meaningful values, used for chart axes and legends
+ * - stressThreshold: value below which a pixel counts as stressed in the field uniformity
+ *   metrics (optional; indices without one only get the distribution)
+ * - ramp: color ramp used to render the index
+ *     discrete: stops are checked in order, `below` is the exclusive upper bound,
+ *               the last stop (no `below`) catches everything else
+ *     gradient: colors are linearly blended between `value` stops
+ */
+
+export const SPECTRAL_INDICES = {
+  trueColor: {
+    name: 'True Color',
+    description: 'Natural RGB satellite view',
+    icon: 'image',
+    kind: 'rgb',
+    bands: ['B04', 'B03', 'B02'],
+    gain: 2.5
+  },
+  ndvi: {
+    name: 'NDVI',
+    description: 'Vegetation health index',
+    icon: 'eco',
+    kind: 'index',
+    bands: ['B04', 'B08'],
+    formula: '(sample.B08 - sample.B04) / (sample.B08 + sample.B04 + 0.0001)',
+    range: [-0.2, 1],
+    stressThreshold: 0.3,
+    ramp: {
+      type: 'discrete',
+      stops: [
+        { below: -0.2, color: [0.05, 0.05, 0.05], label: 'Water/Shadow' },
+        { below: 0, color: [0.75, 0.75, 0.75], label: 'Bare soil' },
+        { below: 0.1, color: [0.86, 0.78, 0.55], label: 'Sparse' },
+        { below: 0.2, color: [0.93, 0.91, 0.71], label: 'Light' },
+        { below: 0.3, color: [0.78, 0.89, 0.55], label: 'Moderate' },
+        { below: 0.4, color: [0.55, 0.80, 0.38], label: 'Good' },
+        { below: 0.5, color: [0.30, 0.70, 0.24], label: 'Dense' },
+        { below: 0.6, color: [0.16, 0.58, 0.14], label: 'Very dense' },
+        { color: [0.04, 0.45, 0.04], label: 'Extremely dense' }
+      ]
+    }
+  },
+  savi: {
+    name: 'SAVI',
+    description: 'Soil-adjusted vegetation',
+    icon: 'grass',
+    kind: 'index',
+    bands: ['B04', 'B08'],
+    // SAVI = ((NIR - Red) / (NIR + Red + L)) * (1 + L), L = 0.5
+    formula: '((sample.B08 - sample.B04) / (sample.B08 + sample.B04 + 0.5)) * 1.5',
+    range: [-0.2, 1.5],
+    stressThreshold: 0.3,
+    ramp: {
+      type: 'discrete',
+      stops: [
+        { below: 0, color: [0.5, 0.5, 0.5], label: 'Non-vegetated' },
+        { below: 0.1, color: [0.86, 0.78, 0.55], label: 'Sparse' },
+        { below: 0.2, color: [0.78, 0.89, 0.55], label: 'Light' },
+        { below: 0.3, color: [0.55, 0.80, 0.38], label: 'Moderate' },
+        { below: 0.4, color: [0.30, 0.70, 0.24], label: 'Dense' },
+        { color: [0.04, 0.50, 0.04], label: 'Very dense' }
+      ]
+    }
+  },
+  moisture: {
+    name: 'Moisture',
+    description: 'Plant water stress',
+    icon: 'water_drop',
+    kind: 'index',
+    bands: ['B8A', 'B11'],
+    // NDMI = (NIR - SWIR) / (NIR + SWIR)
+    formula: '(sample.B8A - sample.B11) / (sample.B8A + sample.B11 + 0.0001)',
+    range: [-0.5, 0.5],
+    stressThreshold: -0.2,
+    ramp: {
+      type: 'discrete',
+      stops: [
+        { below: -0.4, color: [0.8, 0.2, 0.1], label: 'Very dry' },
+        { below: -0.2, color: [0.9, 0.5, 0.2], label: 'Dry' },
+        { below: 0, color: [0.95, 0.8, 0.4], label: 'Moderately dry' },
+        { below: 0.2, color: [0.8, 0.9, 0.6], label: 'Moderately wet' },
+        { below: 0.4, color: [0.4, 0.7, 0.9], label: 'Wet' },
+        { color: [0.1, 0.4, 0.8], label: 'Very wet' }
+      ]
+    }
+  },
+  lai: {
+    name: 'LAI',
+    description: 'Leaf area index',
+    icon: 'forest',
+    kind: 'index',
+    bands: ['B04', 'B08'],
+    dependsOn: ['ndvi'],
+    // Simplified LAI estimation based on NDVI, capped at 0-8 (NDVI clamped below 0.69 to keep the log defined)
+    formula:
+      'ndvi(sample) > 0.1 ? Math.max(0, Math.min(8, -Math.log((0.69 - Math.min(ndvi(sample), 0.6899)) / 0.59) / 0.91)) : 0',
+    range: [0, 8],
+    stressThreshold: 1,
+    ramp: {
+      type: 'gradient',
+      stops: [
+        { value: 0, color: [1, 0, 0.2], label: 'Sparse' },
+        { value: 8, color: [0, 1, 0.2], label: 'Dense' }
+      ]
+    }
+  },
+  ndre: {
+    name: 'NDRE',
+    description: 'Red-edge chlorophyll index',
+    icon: 'spa',
+    kind: 'index',
+    bands: ['B05', 'B08'],
+    // NDRE = (NIR - RedEdge) / (NIR + RedEdge)
+    formula: '(sample.B08 - sample.B05) / (sample.B08 + sample.B05 + 0.0001)',
+    range: [-0.2, 0.8],
+    stressThreshold: 0.2,
+    ramp: {
+      type: 'gradient',
+      stops: [
+        { value: -0.2, color: [0.65, 0.0, 0.15], label: 'Low chlorophyll' },
+        { value: 0.2, color: [1.0, 0.88, 0.55], label: 'Moderate' },
+        { value: 0.6, color: [0.1, 0.6, 0.3], label: 'High chlorophyll' }
+      ]
+    }
+  },
+  gndvi: {
+    name: 'GNDVI',
+    description: 'Green-band vegetation vigor',
+    icon: 'psychiatry',
+    kind: 'index',
+    bands: ['B03', 'B08'],
+    // GNDVI = (NIR - Green) / (NIR + Green)
+    formula: '(sample.B08 - sample.B03) / (sample.B08 + sample.B03 + 0.0001)',
+    range: [-0.2, 1],
+    stressThreshold: 0.3,
+    ramp: {
+      type: 'gradient',
+      stops: [
+        { value: -0.2, color: [0.75, 0.75, 0.75], label: 'Non-vegetated' },
+        { value: 0.3, color: [0.93, 0.91, 0.71], label: 'Sparse' },
+        { value: 0.8, color: [0.04, 0.45, 0.04], label: 'Vigorous' }
+      ]
+    }
+  },
+  evi: {
+    name: 'EVI',
+    description: 'Enhanced vegetation (dense canopy)',
+    icon: 'nature',
+    kind: 'index',
+    bands: ['B02', 'B04', 'B08'],
+    // EVI = 2.5 * (NIR - Red) / (NIR + 6 * Red - 7.5 * Blue + 1)
+    formula:
+      '2.5 * (sample.B08 - sample.B04) / (sample.B08 + 6 * sample.B04 - 7.5 * sample.B02 + 1)',
+    range: [-0.2, 1],
+    stressThreshold: 0.2,
+    ramp: {
+      type: 'gradient',
+      stops: [
+        { value: -0.2, color: [0.75, 0.75, 0.75], label: 'Non-vegetated' },
+        { value: 0.2, color: [0.86, 0.78, 0.55], label: 'Sparse' },
+        { value: 0.5, color: [0.55, 0.80, 0.38], label: 'Moderate' },
+        { value: 0.8, color: [0.04, 0.45, 0.04], label: 'Dense' }
+      ]
+    }
+  },
+  ndwi: {
+    name: 'NDWI',
+    description: 'Open water and flooding',
+    icon: 'waves',
+    kind: 'index',
+    bands: ['B03', 'B08'],
+    // NDWI (McFeeters) = (Green - NIR) / (Green + NIR)
+    formula: '(sample.B03 - sample.B08) / (sample.B03 + sample.B08 + 0.0001)',
+    range: [-1, 1],
+    ramp: {
+      type: 'discrete',
+      stops: [
+        { below: -0.3, color: [0.55, 0.40, 0.25], label: 'Dry land' },
+        { below: 0, color: [0.85, 0.80, 0.60], label: 'Vegetation' },
+        { below: 0.2, color: [0.6, 0.8, 0.95], label: 'Wet surface' },
+        { color: [0.05, 0.3, 0.75], label: 'Open water' }
+      ]
+    }
+  },
+  msavi2: {
+    name: 'MSAVI2',
+    description: 'Early-season vegetation on bare soil',
+    icon: 'potted_plant',
+    kind: 'index',
+    bands: ['B04', 'B08'],
+    // MSAVI2 = (2 * NIR + 1 - sqrt((2 * NIR + 1)^2 - 8 * (NIR - Red))) / 2
+    formula:
+      '(2 * sample.B08 + 1 - Math.sqrt(Math.pow(2 * sample.B08 + 1, 2) - 8 * (sample.B08 - sample.B04))) / 2',
+    range: [-0.2, 1],
+    stressThreshold: 0.25,
+    ramp: {
+      type: 'gradient',
+      stops: [
+        { value: -0.2, color: [0.5, 0.5, 0.5], label: 'Bare soil' },
+        { value: 0.2, color: [0.86, 0.78, 0.55], label: 'Emerging' },
+        { value: 0.6, color: [0.04, 0.50, 0.04], label: 'Established' }
+      ]
+    }
+  },
+  cigreen: {
+    name: 'CIgreen',
+    description: 'Green chlorophyll index',
+    icon: 'energy_savings_leaf',
+    kind: 'index',
+    bands: ['B03', 'B08'],
+    // CIgreen = NIR / Green - 1
+    formula: 'sample.B08 / (sample.B03 + 0.0001) - 1',
+    range: [0, 10],
+    stressThreshold: 1.5,
+    ramp: {
+      type: 'gradient',
+      stops: [
+        { value: 0, color: [0.93, 0.91, 0.71], label: 'Low' },
+        { value: 4, color: [0.55, 0.80, 0.38], label: 'Moderate' },
+        { value: 8, color: [0.04, 0.45, 0.04], label: 'High' }
+      ]
+    }
+  },
+
+  // === Radar (Sentinel-1 GRD, terrain-corrected gamma0) ===
+  vv: {
+    name: 'VV',
+    description: 'Radar co-polarized backscatter (dB)',
+    icon: 'radar',
+    kind: 'index',
+    collection: 'sentinel-1-grd',
+    bands: ['VV'],
+    formula: '10 * Math.log(Math.max(sample.VV, 0.0001)) / Math.LN10',
+    range: [-25, 0],
+    ramp: {
+      type: 'gradient',
+      stops: [
+        { value: -25, color: [0.05, 0.05, 0.1], label: 'Smooth / water' },
+        { value: -12, color: [0.5, 0.5, 0.5], label: 'Moderate' },
+        { value: -3, color: [0.97, 0.97, 0.97], label: 'Rough / wet' }
+      ]
+    }
+  },
+  vh: {
+    name: 'VH',
+    description: 'Radar cross-polarized backscatter (dB)',
+    icon: 'radar',
+    kind: 'index',
+    collection: 'sentinel-1-grd',
+    bands: ['VH'],
+    formula: '10 * Math.log(Math.max(sample.VH, 0.0001)) / Math.LN10',
+    range: [-30, -5],
+    ramp: {
+      type: 'gradient',
+      stops: [
+        { value: -30, color: [0.05, 0.05, 0.1], label: 'Bare / water' },
+        { value: -20, color: [0.5, 0.5, 0.5], label: 'Sparse canopy' },
+        { value: -10, color: [0.97, 0.97, 0.97], label: 'Dense canopy' }
+      ]
+    }
+  },
+  vhvv: {
+    name: 'VH/VV',
+    description: 'Radar cross-ratio (canopy volume)',
+    icon: 'percent',
+    kind: 'index',
+    collection: 'sentinel-1-grd',
+    bands: ['VV', 'VH'],
+    formula: 'sample.VH / (sample.VV + 0.0001)',
+    range: [0, 0.6],
+    ramp: {
+      type: 'gradient',
+      stops: [
+        { value: 0.05, color: [0.6, 0.45, 0.3], label: 'Bare soil' },
+        { value: 0.2, color: [0.93, 0.91, 0.71], label: 'Developing' },
+        { value: 0.4, color: [0.04, 0.45, 0.04], label: 'Dense canopy' }
+      ]
+    }
+  },
+  rvi: {
+    name: 'RVI',
+    description: 'Radar vegetation index (dual-pol)',
+    icon: 'forest',
+    kind: 'index',
+    collection: 'sentinel-1-grd',
+    bands: ['VV', 'VH'],
+    // Dual-pol RVI = 4 * VH / (VV + VH)
+    formula: '4 * sample.VH / (sample.VV + sample.VH + 0.0001)',
+    range: [0, 1.2],
+    ramp: {
+      type: 'gradient',
+      stops: [
+        { value: 0.1, color: [0.6, 0.45, 0.3], label: 'Bare soil' },
+        { value: 0.5, color: [0.86, 0.78, 0.55], label: 'Emerging' },
+        { value: 1.0, color: [0.04, 0.45, 0.04], label: 'Full canopy' }
+      ]
+    }
+  }
+};
+
+// Indices included in farm statistics and history unless a caller asks for others
+export const DEFAULT_STATS_INDICES = ['ndvi', 'savi', 'moisture', 'lai'];
+
+// Radar indices for statistics and history (Sentinel-1, usable through cloud cover)
+export const RADAR_STATS_INDICES = ['vv', 'vh', 'vhvv', 'rvi'];
+
+export const OPTICAL_COLLECTION = 'sentinel-2-l2a';
+export const RADAR_COLLECTION = 'sentinel-1-grd';
+export const LANDSAT_COLLECTION = 'landsat-ot-l2';
+export const HLS_COLLECTION = 'hls';
+
+// Optical collection used when Sentinel-2 has no clear scene in a window
+export const OPTICAL_FALLBACK_COLLECTION = LANDSAT_COLLECTION;
+
+/**
+ * Data collections the catalog can run against
+ *
+ * Entry fields:
+ * - name / shortName: UI labels for the imagery source
+ * - resolution: native pixel size in meters (used for statistics)
+ * - optical: true for reflectance collections that share the optical indices
+ * - bandMap: Sentinel-2 band name -> this collection's band name (null = not measured);
+ *   omitted when the catalog band names are used as-is
+ */
+export const DATA_COLLECTIONS = {
+  [OPTICAL_COLLECTION]: {
+    name: 'Sentinel-2 L2A',
+    shortName: 'Sentinel-2',
+    resolution: 10,
+    optical: true
+  },
+  [LANDSAT_COLLECTION]: {
+    name: 'Landsat 8/9 L2',
+    shortName: 'Landsat 8/9',
+    resolution: 30,
+    optical: true,
+    bandMap: {
+      B02: 'B02',
+      B03: 'B03',
+      B04: 'B04',
+      B05: null,
+      B08: 'B05',
+      B8A: 'B05',
+      B11: 'B06',
+      B12: 'B07'
+    }
+  },
+  [HLS_COLLECTION]: {
+    name: 'Harmonized Landsat Sentinel (HLS)',
+    shortName: 'HLS',
+    resolution: 30,
+    optical: true,
+    // Landsat (L30) granules have no red-edge bands, so they are left out for both sensors
+    bandMap: {
+      B02: 'Blue',
+      B03: 'Green',
+      B04: 'Red',
+      B05: null,
+      B08: 'NIR_Narrow',
+      B8A: 'NIR_Narrow',
+      B11: 'SWIR1',
+      B12: 'SWIR2'
+    }
+  },
+  [RADAR_COLLECTION]: {
+    name: 'Sentinel-1 GRD',
+    shortName: 'Sentinel-1',
+    resolution: 10,
+    optical: false
+  }
+};
+
+/**
+ * Get the catalog entry for an index
+ *
+ * @param {string} indexId - Catalog key (e.g. 'ndvi')
+ * @returns {Object} Catalog entry with its id attached
+ * @throws {Error} If the index is not in the catalog
+ */
+export const getIndexConfig = (indexId) => {
+  const config = SPECTRAL_INDICES[indexId];
+  if (!config) {
+    throw new Error(`Unknown spectral index: ${indexId}`);
+  }
+  return { id: indexId, ...config };
+};
+
+/**
+ * Check if an index produces numeric values (can be used in statistics)
+ *
+ * @param {string} indexId - Catalog key
+ * @returns {boolean} True for single-band formula indices
+ */
+export const isStatisticalIndex = (indexId) => {
+  return SPECTRAL_INDICES[indexId]?.kind === 'index';
+};
+
+/**
+ * Get the Sentinel Hub data collection an index is computed from
+ *
+ * @param {string} indexId - Catalog key
+ * @param {string} opticalCollection - Collection used for optical indices (default Sentinel-2)
+ * @returns {string} Collection id (radar indices always use 'sentinel-1-grd')
+ */
+export const getIndexCollection = (indexId, opticalCollection = OPTICAL_COLLECTION) => {
+  return SPECTRAL_INDICES[indexId]?.collection || opticalCollection;
+};
+
+/**
+ * Check if an index can be computed from a collection (every band it reads, including
+ * the bands of indices it depends on, is measured by that collection)
+ *
+ * @param {string} indexId - Catalog key
+ * @param {string} collection - Collection id
+ * @returns {boolean}
+ */
+export const isIndexAvailable = (indexId, collection) => {
+  const config = SPECTRAL_INDICES[indexId];
+  if (!config) return false;
+  if (config.collection) return config.collection === collection;
+
+  const bandMap = DATA_COLLECTIONS[collection]?.bandMap;
+  if (!DATA_COLLECTIONS[collection]?.optical) return false;
+  if (!bandMap) return true;
+
+  return (
+    config.bands.every((band) => Boolean(bandMap[band])) &&
+    (config.dependsOn || []).every((dep) => isIndexAvailable(dep, collection))
+  );
+};
+
+/**
+ * Short display name of a data collection
+ *
+ * @param {string} collection - Collection id
+ * @returns {string}
+ */
+export const getCollectionName = (collection) => {
+  return DATA_COLLECTIONS[collection]?.shortName || collection;
+};
+
+/**
+ * Check if an index comes from Sentinel-1 radar
+ *
+ * @param {string} indexId - Catalog key
+ * @returns {boolean} True for radar indices
+ */
+export const isRadarIndex = (indexId) => {
+  return getIndexCollection(indexId) === RADAR_COLLECTION;
+};
+
+/**
+ * Convert a 0-1 RGB triplet to a hex color string
+ *
+ * @param {Array<number>} rgb - [r, g, b] in 0-1 range
+ * @returns {string} Hex color code
+ */
+export const rgbToHex = (rgb) => {
+  return (
+    '#' +
+    rgb
+      .map((c) => Math.round(Math.max(0, Math.min(1, c)) * 255).toString(16).padStart(2, '0'))
+      .join('')
+  );
+};
+
+/**
+ * Build legend entries for an index from its color ramp
+ * Discrete ramps get one entry per class, gradient ramps one entry per stop
+ *
+ * @param {string} indexId - Catalog key
+ * @returns {Array<{color: string, label: string, range: string}>} Legend entries (empty for RGB layers)
+ */
+export const getIndexLegend = (indexId) => {
+  const config = SPECTRAL_INDICES[indexId];
+  if (!config?.ramp) return [];
+
+  const { type, stops } = config.ramp;
+
+  if (type === 'gradient') {
+    return stops.map((stop) => ({
+      color: rgbToHex(stop.color),
+      label: stop.label,
+      range: `${stop.value}`
+    }));
+  }
+
+  return stops.map((stop, i) => {
+    const lower = i > 0 ? stops[i - 1].below : null;
+    let range;
+    if (lower === null) range = `< ${stop.below}`;
+    else if (stop.below === undefined) range = `≥ ${lower}`;
+    else range = `${lower} – ${stop.below}`;
+
+    return { color: rgbToHex(stop.color), label: stop.label, range };
+  });
+};
+
+/**
+ * Get the display color of an index value from the index's color ramp
+ *
+ * @param {string} indexId - Catalog key
+ * @param {number} value - Index value
+ * @returns {string|null} Hex color code, or null for layers without a ramp
+ */
+export const getIndexColor = (indexId, value) => {
+  const ramp = SPECTRAL_INDICES[indexId]?.ramp;
+  if (!ramp) return null;
+
+  const { type, stops } = ramp;
+  if (type !== 'gradient') {
+    const stop = stops.find((s) => s.below === undefined || value < s.below);
+    return rgbToHex(stop.color);
+  }
+
+  if (value <= stops[0].value) return rgbToHex(stops[0].color);
+  const upper = stops.findIndex((s) => s.value >= value);
+  if (upper === -1) return rgbToHex(stops[stops.length - 1].color);
+  const a = stops[upper - 1];
+  const b = stops[upper];
+  const t = (value - a.value) / (b.value - a.value);
+  return rgbToHex(a.color.map((c, i) => c + (b.color[i] - c) * t));
+};
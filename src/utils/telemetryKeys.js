@@ -0,0 +1,138 @@
+/**
+ * Telemetry key utilities for AgriPay IoT charts
+ * Works out which numeric keys a device reports, a readable label and the unit of each,
+ * and the time range of the chart presets
+ *
+ * Units come from iot_devices.config.telemetry_units ({ key: unit }) when set, then from a
+ * unit suffix in the key (soilMoisture_% → %), then from common key names. Raw readings are
+ * corrected with the device's iot_devices.config.calibration ({ key: { scale, offset } })
+ */
+
+// Unit of common telemetry keys without a suffix
+const KNOWN_UNITS = {
+  temperature: '°C',
+  soilTemperature: '°C',
+  airTemperature: '°C',
+  humidity: '%',
+  soilMoisture: '%',
+  battery: '%',
+  rssi: 'dBm',
+  pressure: 'hPa',
+  rainfall: 'mm',
+  windSpeed: 'm/s',
+  ec: 'mS/cm',
+  ph: 'pH',
+  ndvi: 'index'
+};
+
+// Unit suffixes recognised after the last underscore
+const UNIT_SUFFIXES = ['%', 'C', 'F', 'mm', 'ms', 'dBm', 'hPa', 'kPa', 'lux', 'V', 'mV', 'ppm'];
+
+export const RANGE_PRESETS = [
+  { id: '24h', label: 'Last 24h', hours: 24 },
+  { id: '7d', label: 'Last 7 days', hours: 7 * 24 },
+  { id: '30d', label: 'Last 30 days', hours: 30 * 24 },
+  { id: 'custom', label: 'Custom', hours: null }
+];
+
+const splitSuffix = (key) => {
+  const index = key.lastIndexOf('_');
+  if (index <= 0) return { base: key, suffix: null };
+  const suffix = key.slice(index + 1);
+  return UNIT_SUFFIXES.includes(suffix) ? { base: key.slice(0, index), suffix } : { base: key, suffix: null };
+};
+
+/**
+ * Numeric keys a device reports: its configured telemetry_keys plus any key in the latest telemetry
+ *
+ * @param {Object} device - getFarmIoTData device
+ * @returns {Array<string>} Keys, configured ones first
+ */
+export const getDeviceTelemetryKeys = (device) => {
+  const keys = [...(device?.telemetry_keys || [])];
+  Object.entries(device?.telemetry || {}).forEach(([key, value]) => {
+    if (key.endsWith('_ts') || typeof value !== 'number' || keys.includes(key)) return;
+    keys.push(key);
+  });
+  return keys;
+};
+
+/**
+ * Unit of a telemetry key
+ *
+ * @param {string} key - Telemetry key
+ * @param {Object} device - getFarmIoTData device (for configured units)
+ * @returns {string} Unit, or '' when unknown
+ */
+export const getTelemetryUnit = (key, device) => {
+  const configured = device?.telemetry_units?.[key];
+  if (configured) return configured;
+
+  const { base, suffix } = splitSuffix(key);
+  if (suffix === 'C' || suffix === 'F') return `°${suffix}`;
+  if (suffix === 'ms') return 'm/s';
+  if (suffix) return suffix;
+  return KNOWN_UNITS[base] || '';
+};
+
+/**
+ * Soil moisture key of a device: a percentage key named for soil moisture (or volumetric water
+ * content), else any percentage moisture key
+ *
+ * @param {Object} device - getFarmIoTData device (for configured keys and units)
+ * @returns {string|null} Key, or null when the device reports no moisture percentage
+ */
+export const getSoilMoistureKey = (device) => {
+  const candidates = getDeviceTelemetryKeys(device).filter(
+    (key) => getTelemetryUnit(key, device) === '%' && /moisture|vwc/i.test(splitSuffix(key).base)
+  );
+  return candidates.find((key) => /soil|vwc/i.test(key)) || candidates[0] || null;
+};
+
+/**
+ * Calibrated value of a raw reading: value * scale + offset
+ * Keys without a calibration, and non-numeric values, are returned unchanged
+ *
+ * @param {string} key - Telemetry key
+ * @param {number|string} value - Raw reading
+ * @param {Object} device - getFarmIoTData device (for configured calibration)
+ * @returns {number|string}
+ */
+export const applyCalibration = (key, value, device) => {
+  const calibration = device?.calibration?.[key];
+  if (!calibration || typeof value !== 'number' || !Number.isFinite(value)) return value;
+  const scale = Number.isFinite(Number(calibration.scale)) ? Number(calibration.scale) : 1;
+  const offset = Number.isFinite(Number(calibration.offset)) ? Number(calibration.offset) : 0;
+  return value * scale + offset;
+};
+
+/**
+ * Readable label of a telemetry key, e.g. soilMoisture_% → Soil Moisture
+ *
+ * @param {string} key - Telemetry key
+ * @returns {string}
+ */
+export const getTelemetryLabel = (key) => {
+  const { base } = splitSuffix(key);
+  const words = base
+    .replace(/[_-]+/g, ' ')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Start and end of a range preset
+ *
+ * @param {string} presetId - RANGE_PRESETS id
+ * @param {{start: number, end: number}} custom - Custom range (ms)
+ * @param {number} now - Current time in ms
+ * @returns {{startTs: number, endTs: number}}
+ */
+export const getRangeBounds = (presetId, custom, now = Date.now()) => {
+  const preset = RANGE_PRESETS.find((p) => p.id === presetId);
+  if (preset && preset.hours !== null) {
+    return { startTs: now - preset.hours * 60 * 60 * 1000, endTs: now };
+  }
+  return { startTs: custom.start, endTs: custom.end };
+};
@@ -0,0 +1,262 @@
+/**
+ * Root-zone water balance utilities for AgriPay
+ * Daily FAO-56 style balance: crop water use (reference ET × crop coefficient) depletes the
+ * root zone, effective rain and irrigation refill it, and irrigation is due once depletion
+ * passes the readily available water
+ *
+ * Crop parameters come from the database:
+ *   ALTER TABLE crops ADD COLUMN IF NOT EXISTS kc_stages JSONB;          -- [{ stage, days, kc }] from sowing
+ *   ALTER TABLE crops ADD COLUMN IF NOT EXISTS root_depth_m NUMERIC;
+ *   ALTER TABLE crops ADD COLUMN IF NOT EXISTS depletion_fraction NUMERIC; -- share of available water used before stress
+ * Crops without them use generic field-crop values; the soil is assumed to be a loam
+ */
+
+export const DEFAULT_KC_STAGES = [
+  { stage: 'initial', days: 25, kc: 0.4 },
+  { stage: 'development', days: 35, kc: 0.8 },
+  { stage: 'mid', days: 40, kc: 1.15 },
+  { stage: 'late', days: 30, kc: 0.7 }
+];
+export const DEFAULT_ROOT_DEPTH_M = 0.6;
+export const DEFAULT_DEPLETION_FRACTION = 0.5;
+
+// Volumetric water content of a loam, %
+export const FIELD_CAPACITY_PCT = 30;
+export const WILTING_POINT_PCT = 15;
+
+// Light showers mostly evaporate from the canopy and surface
+const MIN_EFFECTIVE_RAIN_MM = 2;
+const EFFECTIVE_RAIN_FACTOR = 0.8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+export const startOfLocalDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// 'YYYY-MM-DD' (or the date part of an ISO timestamp) as local midnight (Date parses bare dates as UTC)
+export const parseLocalDate = (value) => {
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day).getTime();
+};
+
+const parseStages = (value) => {
+  let stages = value;
+  if (typeof stages === 'string') {
+    try {
+      stages = JSON.parse(stages);
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(stages)) return null;
+  const valid = stages.filter((s) => toNumber(s?.days) > 0 && toNumber(s?.kc) !== null);
+  return valid.length > 0 ? valid.map((s) => ({ stage: s.stage || '', days: Number(s.days), kc: Number(s.kc) })) : null;
+};
+
+/**
+ * Water parameters for a crop
+ *
+ * @param {Object|null} crop - crops row
+ * @returns {{stages: Array, rootDepthM: number, depletionFraction: number, taw: number, raw: number,
+ *   isDefault: boolean}} taw/raw are total and readily available water in mm
+ */
+export const getCropWaterConfig = (crop) => {
+  const stages = parseStages(crop?.kc_stages);
+  const rootDepthM = toNumber(crop?.root_depth_m) ?? DEFAULT_ROOT_DEPTH_M;
+  const fraction = toNumber(crop?.depletion_fraction);
+  const depletionFraction = fraction !== null && fraction > 0 && fraction < 1 ? fraction : DEFAULT_DEPLETION_FRACTION;
+  const taw = ((FIELD_CAPACITY_PCT - WILTING_POINT_PCT) / 100) * rootDepthM * 1000;
+
+  return {
+    stages: stages || DEFAULT_KC_STAGES,
+    rootDepthM,
+    depletionFraction,
+    taw: round1(taw),
+    raw: round1(taw * depletionFraction),
+    isDefault: stages === null
+  };
+};
+
+/**
+ * Growth stage and crop coefficient on a day of the cycle; the last stage holds after it ends
+ *
+ * @param {Array<{stage: string, days: number, kc: number}>} stages - Stages in order
+ * @param {number} dayOfCycle - Days since sowing
+ * @returns {{stage: string, kc: number}}
+ */
+export const getCropStage = (stages, dayOfCycle) => {
+  let end = 0;
+  for (const stage of stages) {
+    end += stage.days;
+    if (dayOfCycle < end) return { stage: stage.stage, kc: stage.kc };
+  }
+  const last = stages[stages.length - 1];
+  return { stage: last.stage, kc: last.kc };
+};
+
+/**
+ * Extraterrestrial radiation (FAO-56 eq. 21)
+ *
+ * @param {number} lat - Latitude in degrees
+ * @param {number} time - Day (ms)
+ * @returns {number} MJ/m²/day
+ */
+export const extraterrestrialRadiation = (lat, time) => {
+  const date = new Date(time);
+  const dayOfYear = Math.round((startOfLocalDay(time) - new Date(date.getFullYear(), 0, 0).getTime()) / DAY_MS);
+  const phi = (lat * Math.PI) / 180;
+  const dr = 1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365);
+  const delta = 0.409 * Math.sin((2 * Math.PI * dayOfYear) / 365 - 1.39);
+  const ws = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(delta))));
+
+  return (
+    ((24 * 60) / Math.PI) *
+    0.082 *
+    dr *
+    (ws * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(ws))
+  );
+};
+
+/**
+ * Reference evapotranspiration from temperature alone (Hargreaves)
+ *
+ * @param {{time: number, tempMinC: number, tempMaxC: number, tempMeanC: number}} day
+ * @param {number} lat - Latitude in degrees
+ * @returns {number} mm/day
+ */
+export const hargreavesEt0 = ({ time, tempMinC, tempMaxC, tempMeanC }, lat) => {
+  const mean = Number.isFinite(tempMeanC) ? tempMeanC : (tempMinC + tempMaxC) / 2;
+  const et0 = 0.0023 * (mean + 17.8) * Math.sqrt(Math.max(tempMaxC - tempMinC, 0)) * 0.408 * extraterrestrialRadiation(lat, time);
+  return Math.max(et0, 0);
+};
+
+/**
+ * Daily temperature range and rain from 3-hour forecast slots
+ *
+ * @param {Array} forecast - Normalized forecast slots
+ * @returns {Array<{time: number, tempMinC: number, tempMaxC: number, tempMeanC: number, rainMm: number}>}
+ */
+export const forecastToDays = (forecast) => {
+  const days = new Map();
+  (forecast || []).forEach((slot) => {
+    const time = startOfLocalDay(slot.time);
+    const day = days.get(time) || { time, min: Infinity, max: -Infinity, sum: 0, count: 0, rainMm: 0 };
+    day.min = Math.min(day.min, slot.tempMinC ?? slot.tempC);
+    day.max = Math.max(day.max, slot.tempMaxC ?? slot.tempC);
+    day.sum += slot.tempC;
+    day.count += 1;
+    day.rainMm += slot.rainMm ?? 0;
+    days.set(time, day);
+  });
+
+  return [...days.values()]
+    .sort((a, b) => a.time - b.time)
+    .map((day) => ({
+      time: day.time,
+      tempMinC: day.min,
+      tempMaxC: day.max,
+      tempMeanC: round1(day.sum / day.count),
+      rainMm: round1(day.rainMm)
+    }));
+};
+
+/**
+ * Soil moisture deficit implied by a volumetric moisture reading
+ *
+ * @param {number} moisturePct - Volumetric moisture, %
+ * @param {{rootDepthM: number, taw: number}} config - getCropWaterConfig result
+ * @returns {number} Depletion in mm
+ */
+export const depletionFromMoisture = (moisturePct, { rootDepthM, taw }) =>
+  Math.max(0, Math.min(taw, ((FIELD_CAPACITY_PCT - moisturePct) / 100) * rootDepthM * 1000));
+
+/**
+ * Daily root-zone water balance
+ * Starts at field capacity; a soil moisture sensor reading resets the depletion on its day
+ *
+ * @param {Object} params
+ * @param {Array} params.days - Days in order with tempMinC, tempMaxC, tempMeanC, rainMm and a forecast flag
+ * @param {Array<{applied_on: string, amount_mm: number}>} params.irrigationEvents - Logged irrigation
+ * @param {{time: number, moisturePct: number}|null} params.sensor - Latest soil moisture reading
+ * @param {Object} params.config - getCropWaterConfig result
+ * @param {string} params.cycleStart - Sowing date, YYYY-MM-DD (growth stages count from it)
+ * @param {number} params.lat - Latitude in degrees
+ * @returns {Array<{time, forecast, stage, kc, et0, etc, rainMm, effectiveRainMm, irrigationMm, depletion,
+ *   measured, needsIrrigation}>} Millimetres, rounded to 0.1
+ */
+export const buildWaterBalance = ({ days, irrigationEvents, sensor, config, cycleStart, lat }) => {
+  const sowing = parseLocalDate(cycleStart);
+  const sensorDay = sensor ? startOfLocalDay(sensor.time) : null;
+
+  const irrigationByDay = new Map();
+  (irrigationEvents || []).forEach((event) => {
+    const time = parseLocalDate(event.applied_on);
+    irrigationByDay.set(time, (irrigationByDay.get(time) || 0) + (toNumber(event.amount_mm) || 0));
+  });
+
+  let depletion = 0;
+  return (days || []).map((day) => {
+    const { stage, kc } = getCropStage(config.stages, Math.max(0, Math.round((day.time - sowing) / DAY_MS)));
+    const et0 = hargreavesEt0(day, lat);
+    const etc = et0 * kc;
+    const rainMm = day.rainMm || 0;
+    const effectiveRainMm = rainMm >= MIN_EFFECTIVE_RAIN_MM ? rainMm * EFFECTIVE_RAIN_FACTOR : 0;
+    const irrigationMm = irrigationByDay.get(day.time) || 0;
+
+    const measured = sensorDay !== null && day.time === sensorDay;
+    depletion = measured
+      ? depletionFromMoisture(sensor.moisturePct, config)
+      : Math.max(0, Math.min(config.taw, depletion - effectiveRainMm - irrigationMm + etc));
+
+    return {
+      time: day.time,
+      forecast: Boolean(day.forecast),
+      stage,
+      kc,
+      et0: round1(et0),
+      etc: round1(etc),
+      rainMm: round1(rainMm),
+      effectiveRainMm: round1(effectiveRainMm),
+      irrigationMm: round1(irrigationMm),
+      depletion: round1(depletion),
+      measured,
+      needsIrrigation: depletion > config.raw
+    };
+  });
+};
+
+/**
+ * When to irrigate next and how much: the first day from today whose depletion passes the
+ * readily available water, refilled back to field capacity
+ *
+ * @param {Array} balance - buildWaterBalance result
+ * @param {Object} config - getCropWaterConfig result
+ * @param {number} now - Current time in ms
+ * @returns {{time: number|null, amountMm: number, today: boolean, headroomMm: number}}
+ *   time is null when no irrigation is needed within the forecast; headroomMm is what can
+ *   still be used today before irrigation is due
+ */
+export const getIrrigationRecommendation = (balance, config, now = Date.now()) => {
+  const today = startOfLocalDay(now);
+  const upcoming = (balance || []).filter((day) => day.time >= today);
+  const current = upcoming[0] || (balance?.length ? balance[balance.length - 1] : null);
+  const due = upcoming.find((day) => day.needsIrrigation);
+
+  return {
+    time: due ? due.time : null,
+    amountMm: due ? Math.ceil(due.depletion) : 0,
+    today: Boolean(due && due.time === today),
+    headroomMm: current ? round1(Math.max(config.raw - current.depletion, 0)) : config.raw
+  };
+};
@@ -0,0 +1,164 @@
+/**
+ * Weather advisor utilities for AgriPay
+ * Turns the 5-day / 3-hour forecast into actionable windows: when spraying
+ * is suitable, and when frost, heat stress or heavy rain is expected
+ *
+ * Forecast slots use the normalized weather provider schema (see weatherProviders.js):
+ * { time (ms), durationHours, tempC, tempMinC, windSpeed (m/s), rainMm }
+ */
+
+// Default spray rules (editable per farm in the UI)
+export const DEFAULT_SPRAY_RULES = {
+  maxWindSpeed: 4, // m/s (~15 km/h); drift rises quickly above this
+  rainFreeHours: 6, // no rain from the start of the slot for this long
+  minTemp: 10, // °C
+  maxTemp: 28 // °C; above this droplets evaporate before reaching the leaf
+};
+
+// Risk thresholds
+const FROST_TEMP = 2; // °C
+const HEAT_TEMP = 35; // °C
+const HEAVY_RAIN_MM = 10; // mm per 3-hour slot
+const RAIN_MM = 0.2; // below this a slot counts as dry
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Window types shown on the timeline, in display priority (risks before spray)
+ */
+export const ADVISORY_TYPES = {
+  frost: { label: 'Frost risk', color: '#3b82f6', icon: 'ac_unit', risk: true },
+  heat: { label: 'Heat stress', color: '#ef4444', icon: 'local_fire_department', risk: true },
+  heavyRain: { label: 'Heavy rain', color: '#6366f1', icon: 'thunderstorm', risk: true },
+  spray: { label: 'Spray window', color: '#22c55e', icon: 'sprinkler', risk: false }
+};
+
+/**
+ * Classify every forecast slot
+ *
+ * @param {Array} forecast - Normalized forecast slots
+ * @param {Object} rules - Spray rules (defaults to DEFAULT_SPRAY_RULES)
+ * @returns {Array<{start: number, end: number, tempC: number, minTempC: number, windSpeed: number, rainMm: number,
+ *   spray: boolean, risks: Array<string>}>} Slots in time order (times in ms)
+ */
+export const classifySlots = (forecast, rules = DEFAULT_SPRAY_RULES) => {
+  const entries = (forecast || [])
+    .filter((entry) => entry?.time && Number.isFinite(entry.tempC))
+    .slice()
+    .sort((a, b) => a.time - b.time);
+  const getEnd = (entry) => entry.time + (entry.durationHours || 3) * HOUR_MS;
+
+  return entries.map((entry) => {
+    const start = entry.time;
+    const tempC = entry.tempC;
+    const windSpeed = entry.windSpeed ?? 0;
+    const rainMm = entry.rainMm ?? 0;
+
+    const minTempC = entry.tempMinC ?? entry.tempC;
+    const risks = [];
+    if (minTempC <= FROST_TEMP) risks.push('frost');
+    if (tempC >= HEAT_TEMP) risks.push('heat');
+    if (rainMm >= HEAVY_RAIN_MM) risks.push('heavyRain');
+
+    // Rain anywhere in [start, start + rainFreeHours) rules the slot out
+    const rainFreeUntil = start + rules.rainFreeHours * 60 * 60 * 1000;
+    const rainAhead = entries.some(
+      (other) => other.time < rainFreeUntil && getEnd(other) > start && (other.rainMm ?? 0) >= RAIN_MM
+    );
+    const spray =
+      windSpeed < rules.maxWindSpeed &&
+      tempC >= rules.minTemp &&
+      tempC <= rules.maxTemp &&
+      !rainAhead &&
+      risks.length === 0;
+
+    return { start, end: getEnd(entry), tempC, minTempC, windSpeed, rainMm, spray, risks };
+  });
+};
+
+/**
+ * Merge consecutive slots of the same type into windows
+ *
+ * @param {Array} slots - classifySlots result
+ * @returns {Array<{type: string, start: number, end: number, slots: number, peak: Object}>}
+ *   Windows sorted by start; `peak` is the most extreme slot (coldest, hottest, wettest, calmest)
+ */
+export const buildAdvisoryWindows = (slots) => {
+  const windows = [];
+
+  Object.keys(ADVISORY_TYPES).forEach((type) => {
+    let current = null;
+    slots.forEach((slot) => {
+      const matches = type === 'spray' ? slot.spray : slot.risks.includes(type);
+      if (matches && current && current.end === slot.start) {
+        current.end = slot.end;
+        current.slots += 1;
+        if (isMoreExtreme(type, slot, current.peak)) current.peak = slot;
+      } else if (matches) {
+        current = { type, start: slot.start, end: slot.end, slots: 1, peak: slot };
+        windows.push(current);
+      } else {
+        current = null;
+      }
+    });
+  });
+
+  return windows.sort((a, b) => a.start - b.start);
+};
+
+const isMoreExtreme = (type, slot, peak) => {
+  switch (type) {
+    case 'frost':
+      return slot.minTempC < peak.minTempC;
+    case 'heat':
+      return slot.tempC > peak.tempC;
+    case 'heavyRain':
+      return slot.rainMm > peak.rainMm;
+    default:
+      return slot.windSpeed < peak.windSpeed;
+  }
+};
+
+/**
+ * Risk windows that start within the next hours (or are already under way)
+ *
+ * @param {Array} windows - buildAdvisoryWindows result
+ * @param {number} hours - Look-ahead (default 24)
+ * @param {number} now - Current time in ms
+ * @returns {Array} Risk windows, earliest first
+ */
+export const getUpcomingRisks = (windows, hours = 24, now = Date.now()) => {
+  const horizon = now + hours * 60 * 60 * 1000;
+  return windows.filter(
+    (window) => ADVISORY_TYPES[window.type].risk && window.start <= horizon && window.end > now
+  );
+};
+
+/**
+ * One-line description of a window, e.g. "Frost risk Tue 03:00-09:00 (min -1°C)"
+ *
+ * @param {Object} window - Advisory window
+ * @returns {string}
+ */
+export const describeWindow = (window) => {
+  const format = (time, options) => new Date(time).toLocaleString('en-US', { hourCycle: 'h23', ...options });
+  const from = format(window.start, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+  const to = format(window.end, { hour: '2-digit', minute: '2-digit' });
+
+  let detail;
+  switch (window.type) {
+    case 'frost':
+      detail = `min ${Math.round(window.peak.minTempC)}°C`;
+      break;
+    case 'heat':
+      detail = `max ${Math.round(window.peak.tempC)}°C`;
+      break;
+    case 'heavyRain':
+      detail = `up to ${window.peak.rainMm.toFixed(1)} mm / 3 h`;
+      break;
+    default:
+      detail = `wind ${window.peak.windSpeed.toFixed(1)} m/s`;
+  }
+
+  return `${ADVISORY_TYPES[window.type].label} ${from}-${to} (${detail})`;
+};
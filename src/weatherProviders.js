@@ -0,0 +1,442 @@
+// src/weatherProviders.js
+// Weather providers behind one normalized schema, so cards do not depend on where the data comes from
+
+import {
+  getAccumulatedPrecipitation,
+  getCurrentWeatherForPolygon,
+  getWeatherForPolygon,
+  getWeatherHistoryForPolygon,
+} from "./agromonitoring";
+import { getPolygonCenter, leafletToGeoJSON } from "./utils/geometryHelpers";
+import {
+  KELVIN_OFFSET,
+  accumulateDaily,
+  degreeDaysFromRange,
+} from "./utils/growingDegreeDays";
+import weatherFixture from "./fixtures/weather.json";
+
+/**
+ * Normalized schema (temperatures in °C, wind in m/s, rain in mm, times in ms)
+ *
+ * @typedef {Object} WeatherLocation
+ * @property {string|null} polyId - AgroMonitoring polygon ID
+ * @property {number|null} lat - Farm centre latitude
+ * @property {number|null} lng - Farm centre longitude
+ *
+ * @typedef {Object} CurrentConditions
+ * @property {number} time
+ * @property {number} tempC
+ * @property {number} feelsLikeC
+ * @property {number} humidity - %
+ * @property {number} pressure - hPa
+ * @property {number} windSpeed
+ * @property {number} clouds - %
+ * @property {string} description
+ * @property {string} icon - OpenWeather icon code (e.g. "01d")
+ *
+ * @typedef {Object} ForecastSlot - One 3-hour forecast slot
+ * @property {number} time - Slot start
+ * @property {number} durationHours
+ * @property {number} tempC
+ * @property {number} tempMinC
+ * @property {number} tempMaxC
+ * @property {number} humidity
+ * @property {number} windSpeed
+ * @property {number} rainMm - Rain over the slot
+ * @property {number} clouds
+ * @property {string} description
+ * @property {string} icon
+ *
+ * @typedef {Object} HistoryDay
+ * @property {number} time - Start of the day
+ * @property {number} tempMinC
+ * @property {number} tempMaxC
+ * @property {number} tempMeanC
+ * @property {number} rainMm
+ *
+ * @typedef {Object} AccumulationDay
+ * @property {number} time - Start of the day
+ * @property {number} daily - The day's value (°C·days or mm)
+ * @property {number} total - Running total since the start of the period
+ *
+ * Every provider implements:
+ *   getCurrent(location) → CurrentConditions
+ *   getForecast(location) → ForecastSlot[] (5 days)
+ *   getHistory(location, { start, end }) → HistoryDay[]
+ *   getAccumulatedTemperature(location, { start, end, base, cap }) → AccumulationDay[] of degree-days
+ *   getAccumulatedPrecipitation(location, { start, end }) → AccumulationDay[] of rain
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const SLOT_HOURS = 3;
+const FORECAST_DAYS = 5;
+
+const OPEN_METEO_FORECAST_URL = "https://api.open-meteo.com/v1/forecast";
+const OPEN_METEO_ARCHIVE_URL = "https://archive-api.open-meteo.com/v1/archive";
+// The forecast API serves recent days the archive has not caught up with yet, up to this far back
+const OPEN_METEO_MAX_PAST_DAYS = 92;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const startOfLocalDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+const toUnixSeconds = (time) => Math.floor(time / 1000);
+
+const requirePolyId = (location) => {
+  if (!location?.polyId) throw new Error("Polygon ID is required.");
+  return location.polyId;
+};
+
+const requireCoordinates = (location) => {
+  if (!Number.isFinite(location?.lat) || !Number.isFinite(location?.lng)) {
+    throw new Error("Farm location is required.");
+  }
+  return location;
+};
+
+/**
+ * Location passed to the providers
+ * @param {string|null} polyId - AgroMonitoring polygon ID (when registered)
+ * @param {Array<{lat: number, lng: number}>|null} coords - Farm boundary
+ * @returns {WeatherLocation}
+ */
+export const getWeatherLocation = (polyId, coords) => {
+  const center = coords && coords.length >= 3 ? getPolygonCenter(leafletToGeoJSON(coords)) : null;
+  return { polyId: polyId || null, lat: center?.lat ?? null, lng: center?.lng ?? null };
+};
+
+// Daily min/max/mean/rain from readings of any resolution
+const groupReadingsByDay = (readings) => {
+  const days = new Map();
+  readings.forEach((reading) => {
+    const dayStart = startOfLocalDay(reading.time);
+    const day = days.get(dayStart) || { time: dayStart, min: Infinity, max: -Infinity, sum: 0, count: 0, rainMm: 0 };
+    day.min = Math.min(day.min, reading.tempMinC);
+    day.max = Math.max(day.max, reading.tempMaxC);
+    day.sum += reading.tempC;
+    day.count += 1;
+    day.rainMm += reading.rainMm;
+    days.set(dayStart, day);
+  });
+
+  return [...days.values()]
+    .sort((a, b) => a.time - b.time)
+    .map((day) => ({
+      time: day.time,
+      tempMinC: round1(day.min),
+      tempMaxC: round1(day.max),
+      tempMeanC: round1(day.sum / day.count),
+      rainMm: round1(day.rainMm),
+    }));
+};
+
+const degreeDaysFromHistory = (history, config) =>
+  accumulateDaily(history.map((day) => ({ time: day.time, daily: degreeDaysFromRange(day.tempMinC, day.tempMaxC, config) })));
+
+const precipitationFromHistory = (history) =>
+  accumulateDaily(history.map((day) => ({ time: day.time, daily: day.rainMm })));
+
+// --- AgroMonitoring (OpenWeather format, temperatures in Kelvin) ---
+
+const fromOpenWeather = (entry) => ({
+  time: entry.dt * 1000,
+  tempC: round1(entry.main.temp - KELVIN_OFFSET),
+  tempMinC: round1((entry.main.temp_min ?? entry.main.temp) - KELVIN_OFFSET),
+  tempMaxC: round1((entry.main.temp_max ?? entry.main.temp) - KELVIN_OFFSET),
+  feelsLikeC: round1((entry.main.feels_like ?? entry.main.temp) - KELVIN_OFFSET),
+  humidity: entry.main.humidity ?? null,
+  pressure: entry.main.pressure ?? null,
+  windSpeed: entry.wind?.speed ?? 0,
+  clouds: entry.clouds?.all ?? null,
+  description: entry.weather?.[0]?.description || "",
+  icon: entry.weather?.[0]?.icon || "",
+  rainMm: entry.rain?.["3h"] ?? entry.rain?.["1h"] ?? 0,
+});
+
+const agroMonitoringProvider = {
+  id: "agromonitoring",
+  name: "AgroMonitoring",
+
+  getCurrent: async (location) => {
+    const data = await getCurrentWeatherForPolygon(requirePolyId(location));
+    if (!data?.main) return null;
+    const { time, tempC, feelsLikeC, humidity, pressure, windSpeed, clouds, description, icon } = fromOpenWeather(data);
+    return { time, tempC, feelsLikeC, humidity, pressure, windSpeed, clouds, description, icon };
+  },
+
+  getForecast: async (location) => {
+    const data = await getWeatherForPolygon(requirePolyId(location));
+    return (data || [])
+      .filter((entry) => entry?.dt && entry.main)
+      .map((entry) => {
+        const { time, tempC, tempMinC, tempMaxC, humidity, windSpeed, rainMm, clouds, description, icon } =
+          fromOpenWeather(entry);
+        return { time, durationHours: SLOT_HOURS, tempC, tempMinC, tempMaxC, humidity, windSpeed, rainMm, clouds, description, icon };
+      })
+      .sort((a, b) => a.time - b.time);
+  },
+
+  getHistory: async (location, { start, end }) => {
+    const data = await getWeatherHistoryForPolygon(requirePolyId(location), toUnixSeconds(start), toUnixSeconds(end));
+    return groupReadingsByDay((data || []).filter((entry) => entry?.dt && entry.main).map(fromOpenWeather));
+  },
+
+  // The accumulated-temperature endpoint sums readings above the threshold rather than averaging
+  // the day, so degree-days come from the daily min/max like the other providers
+  getAccumulatedTemperature: async (location, { start, end, base, cap }) =>
+    degreeDaysFromHistory(await agroMonitoringProvider.getHistory(location, { start, end }), { base, cap }),
+
+  getAccumulatedPrecipitation: async (location, { start, end }) => {
+    const data = await getAccumulatedPrecipitation(requirePolyId(location), toUnixSeconds(start), toUnixSeconds(end));
+    return accumulateDaily(
+      (data || [])
+        .filter((entry) => entry?.dt && Number.isFinite(entry.rain))
+        .map((entry) => ({ time: entry.dt * 1000, daily: entry.rain }))
+    );
+  },
+};
+
+// --- Open-Meteo (free, no key) ---
+
+// WMO weather codes → description and OpenWeather icon
+const WMO_CODES = [
+  { codes: [0], description: "clear sky", icon: "01" },
+  { codes: [1], description: "mainly clear", icon: "02" },
+  { codes: [2], description: "partly cloudy", icon: "03" },
+  { codes: [3], description: "overcast", icon: "04" },
+  { codes: [45, 48], description: "fog", icon: "50" },
+  { codes: [51, 53, 55, 56, 57], description: "drizzle", icon: "09" },
+  { codes: [61, 63, 66], description: "rain", icon: "10" },
+  { codes: [65, 67], description: "heavy rain", icon: "10" },
+  { codes: [71, 73, 75, 77, 85, 86], description: "snow", icon: "13" },
+  { codes: [80, 81, 82], description: "rain showers", icon: "09" },
+  { codes: [95, 96, 99], description: "thunderstorm", icon: "11" },
+];
+
+const describeWmoCode = (code, isDay) => {
+  const match = WMO_CODES.find((entry) => entry.codes.includes(code)) || WMO_CODES[0];
+  return { description: match.description, icon: `${match.icon}${isDay ? "d" : "n"}` };
+};
+
+const fetchOpenMeteo = async (url, { lat, lng }, params) => {
+  const query = new URLSearchParams({
+    latitude: lat.toFixed(4),
+    longitude: lng.toFixed(4),
+    timezone: "auto",
+    timeformat: "unixtime",
+    wind_speed_unit: "ms",
+    ...params,
+  });
+  const response = await fetch(`${url}?${query}`);
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok || data?.error) {
+    const reason = data?.reason || `HTTP ${response.status}`;
+    console.error("Open-Meteo request failed:", reason);
+    throw new Error(`Open-Meteo: ${reason}`);
+  }
+  return data;
+};
+
+const toDateParam = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Daily Open-Meteo block → HistoryDay[], skipping days the source has no values for yet
+const fromOpenMeteoDaily = (daily) =>
+  (daily?.time || [])
+    .map((time, i) => ({
+      time: time * 1000,
+      tempMinC: daily.temperature_2m_min[i],
+      tempMaxC: daily.temperature_2m_max[i],
+      tempMeanC: daily.temperature_2m_mean[i],
+      rainMm: daily.precipitation_sum[i] ?? 0,
+    }))
+    .filter((day) => day.tempMinC !== null && day.tempMaxC !== null)
+    .map((day) => ({ ...day, tempMeanC: day.tempMeanC ?? round1((day.tempMinC + day.tempMaxC) / 2) }));
+
+const OPEN_METEO_DAILY = "temperature_2m_min,temperature_2m_max,temperature_2m_mean,precipitation_sum";
+
+const openMeteoProvider = {
+  id: "open-meteo",
+  name: "Open-Meteo",
+
+  getCurrent: async (location) => {
+    const data = await fetchOpenMeteo(OPEN_METEO_FORECAST_URL, requireCoordinates(location), {
+      current:
+        "temperature_2m,apparent_temperature,relative_humidity_2m,pressure_msl,wind_speed_10m,cloud_cover,weather_code,is_day",
+    });
+    const current = data.current;
+    return {
+      time: current.time * 1000,
+      tempC: current.temperature_2m,
+      feelsLikeC: current.apparent_temperature,
+      humidity: current.relative_humidity_2m,
+      pressure: Math.round(current.pressure_msl),
+      windSpeed: current.wind_speed_10m,
+      clouds: current.cloud_cover,
+      ...describeWmoCode(current.weather_code, current.is_day),
+    };
+  },
+
+  // Hourly values merged into 3-hour slots aligned like the OpenWeather forecast
+  getForecast: async (location) => {
+    const data = await fetchOpenMeteo(OPEN_METEO_FORECAST_URL, requireCoordinates(location), {
+      hourly: "temperature_2m,relative_humidity_2m,precipitation,wind_speed_10m,cloud_cover,weather_code,is_day",
+      forecast_days: FORECAST_DAYS + 1,
+    });
+    const hourly = data.hourly;
+    const slotMs = SLOT_HOURS * HOUR_MS;
+    const now = Date.now();
+    const slots = new Map();
+
+    hourly.time.forEach((time, i) => {
+      const slotStart = Math.floor((time * 1000) / slotMs) * slotMs;
+      if (slotStart + slotMs <= now || hourly.temperature_2m[i] === null) return;
+
+      const slot = slots.get(slotStart) || { time: slotStart, temps: [], humidity: [], clouds: [], windSpeed: 0, rainMm: 0, code: 0, isDay: 0 };
+      slot.temps.push(hourly.temperature_2m[i]);
+      slot.humidity.push(hourly.relative_humidity_2m[i]);
+      slot.clouds.push(hourly.cloud_cover[i]);
+      slot.windSpeed = Math.max(slot.windSpeed, hourly.wind_speed_10m[i] ?? 0);
+      slot.rainMm += hourly.precipitation[i] ?? 0;
+      // Higher WMO codes are more significant weather
+      slot.code = Math.max(slot.code, hourly.weather_code[i] ?? 0);
+      slot.isDay = slot.isDay || hourly.is_day[i];
+      slots.set(slotStart, slot);
+    });
+
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    return [...slots.values()]
+      .sort((a, b) => a.time - b.time)
+      .slice(0, (FORECAST_DAYS * 24) / SLOT_HOURS)
+      .map((slot) => ({
+        time: slot.time,
+        durationHours: SLOT_HOURS,
+        tempC: round1(mean(slot.temps)),
+        tempMinC: Math.min(...slot.temps),
+        tempMaxC: Math.max(...slot.temps),
+        humidity: Math.round(mean(slot.humidity)),
+        windSpeed: slot.windSpeed,
+        rainMm: round1(slot.rainMm),
+        clouds: Math.round(mean(slot.clouds)),
+        ...describeWmoCode(slot.code, slot.isDay),
+      }));
+  },
+
+  // The archive lags a few days behind; the forecast API fills in the most recent days
+  getHistory: async (location, { start, end }) => {
+    requireCoordinates(location);
+    const archive = await fetchOpenMeteo(OPEN_METEO_ARCHIVE_URL, location, {
+      start_date: toDateParam(start),
+      end_date: toDateParam(end),
+      daily: OPEN_METEO_DAILY,
+    });
+    const days = fromOpenMeteoDaily(archive.daily);
+
+    const lastArchived = days.length > 0 ? days[days.length - 1].time : start - DAY_MS;
+    const missingDays = Math.ceil((end - lastArchived) / DAY_MS);
+    if (missingDays <= 0) return days;
+
+    const recent = await fetchOpenMeteo(OPEN_METEO_FORECAST_URL, location, {
+      past_days: Math.min(missingDays, OPEN_METEO_MAX_PAST_DAYS),
+      forecast_days: 1,
+      daily: OPEN_METEO_DAILY,
+    });
+    const recentDays = fromOpenMeteoDaily(recent.daily).filter(
+      (day) => day.time > lastArchived && day.time >= startOfLocalDay(start) && day.time <= end
+    );
+    return [...days, ...recentDays];
+  },
+
+  getAccumulatedTemperature: async (location, { start, end, base, cap }) =>
+    degreeDaysFromHistory(await openMeteoProvider.getHistory(location, { start, end }), { base, cap }),
+
+  getAccumulatedPrecipitation: async (location, { start, end }) =>
+    precipitationFromHistory(await openMeteoProvider.getHistory(location, { start, end })),
+};
+
+// --- Fixture (offline development) ---
+
+const fixtureHistory = ({ start, end }) => {
+  const days = [];
+  const template = weatherFixture.historyDays;
+  const yesterday = startOfLocalDay(Date.now()) - DAY_MS;
+  for (let time = Math.min(startOfLocalDay(end), yesterday), i = 0; time >= startOfLocalDay(start); time -= DAY_MS, i++) {
+    const day = template[i % template.length];
+    days.unshift({ time, ...day, tempMeanC: round1((day.tempMinC + day.tempMaxC) / 2) });
+  }
+  return days;
+};
+
+const fixtureProvider = {
+  id: "fixture",
+  name: "Offline fixture",
+
+  getCurrent: async () => ({ time: Date.now(), ...weatherFixture.current }),
+
+  getForecast: async () => {
+    const today = startOfLocalDay(Date.now());
+    const now = Date.now();
+    return weatherFixture.forecast
+      .map(({ offsetHours, ...slot }) => ({ time: today + offsetHours * HOUR_MS, durationHours: SLOT_HOURS, ...slot }))
+      .filter((slot) => slot.time + SLOT_HOURS * HOUR_MS > now);
+  },
+
+  getHistory: async (location, period) => fixtureHistory(period),
+
+  getAccumulatedTemperature: async (location, { start, end, base, cap }) =>
+    degreeDaysFromHistory(fixtureHistory({ start, end }), { base, cap }),
+
+  getAccumulatedPrecipitation: async (location, period) => precipitationFromHistory(fixtureHistory(period)),
+};
+
+// --- Selection ---
+
+const isEmpty = (result) => result === null || result === undefined || (Array.isArray(result) && result.length === 0);
+
+/**
+ * Provider that asks the primary first and the fallback when the primary fails or has no data
+ * (AgroMonitoring answers paid-plan endpoints with an error, and unregistered farms have no polygon)
+ */
+const withFallback = (primary, fallback) => {
+  const methods = ["getCurrent", "getForecast", "getHistory", "getAccumulatedTemperature", "getAccumulatedPrecipitation"];
+  const provider = { id: primary.id, name: `${primary.name} (${fallback.name} fallback)` };
+
+  methods.forEach((method) => {
+    provider[method] = async (...args) => {
+      try {
+        const result = await primary[method](...args);
+        if (!isEmpty(result)) return result;
+      } catch (err) {
+        console.warn(`${primary.name} ${method} failed, using ${fallback.name}:`, err.message);
+      }
+      return fallback[method](...args);
+    };
+  });
+  return provider;
+};
+
+export const WEATHER_PROVIDERS = {
+  agromonitoring: agroMonitoringProvider,
+  "open-meteo": openMeteoProvider,
+  fixture: fixtureProvider,
+};
+
+/**
+ * Weather provider chosen by VITE_WEATHER_PROVIDER
+ * "agromonitoring" (default) falls back to Open-Meteo per request; "open-meteo" and "fixture" are used alone
+ * @param {string} id - Provider ID
+ */
+export const getWeatherProvider = (id = import.meta.env.VITE_WEATHER_PROVIDER || "agromonitoring") => {
+  if (!WEATHER_PROVIDERS[id]) {
+    console.warn(`Unknown weather provider "${id}", using AgroMonitoring`);
+    return withFallback(agroMonitoringProvider, openMeteoProvider);
+  }
+  return id === "agromonitoring" ? withFallback(agroMonitoringProvider, openMeteoProvider) : WEATHER_PROVIDERS[id];
+};
+
+export const weatherProvider = getWeatherProvider();